@@ -0,0 +1,284 @@
+/**
+ * Albert Activity Log Scripts
+ *
+ * Drives the Activity page: loads log entries page by page as the table
+ * scrolls into view, reloads in place when the filters change (keeping
+ * the URL and export links in sync), and prepends entries logged while
+ * the page is open. Shared AJAX, live-region and relative-time helpers
+ * come from `albert-admin-utils.js`.
+ *
+ * @package Albert
+ * @since 1.2.0
+ */
+
+( function () {
+	'use strict';
+
+	const ActivityLog = {
+		FILTER_KEYS: [ 'ability', 'user', 'from', 'to' ],
+
+		init() {
+			this.cfg = window.albertActivity || {};
+			this.form = document.getElementById( 'albert-activity-log-filters' );
+			this.rows = document.getElementById( 'albert-activity-log-rows' );
+			this.status = document.getElementById( 'albert-activity-log-status' );
+			this.moreButton = document.getElementById( 'albert-activity-log-more' );
+			if ( ! this.cfg.ajaxUrl || ! this.form || ! this.rows ) {
+				return;
+			}
+			this.i18n = this.cfg.i18n || {};
+			this.pollTimer = null;
+
+			Albert.relativeTime.syncClock( this.cfg.now );
+			Albert.relativeTime.start();
+
+			this.form.addEventListener( 'submit', ( e ) => {
+				e.preventDefault();
+				this.applyFilters();
+			} );
+			this.form.addEventListener( 'change', ( e ) => {
+				if ( e.target.matches( 'select, input[type="date"]' ) ) {
+					this.applyFilters();
+				}
+			} );
+			this.moreButton?.addEventListener( 'click', () => this.loadMore() );
+
+			// The "Load more" button doubles as the scroll sentinel: when it
+			// comes into view the next page loads without a click.
+			if ( 'IntersectionObserver' in window && this.moreButton ) {
+				this.observer = new IntersectionObserver( ( entries ) => {
+					if ( entries.some( ( entry ) => entry.isIntersecting ) ) {
+						this.loadMore();
+					}
+				}, { rootMargin: '200px 0px' } );
+				this.observer.observe( this.moreButton.parentElement );
+			}
+
+			document.addEventListener( 'visibilitychange', () => {
+				if ( document.hidden ) {
+					clearTimeout( this.pollTimer );
+				} else {
+					this.pollNew();
+				}
+			} );
+
+			this.filters = this.readFilters();
+			this.reset();
+		},
+
+		readFilters() {
+			const data = new FormData( this.form );
+			const filters = {};
+			this.FILTER_KEYS.forEach( ( key ) => {
+				const value = String( data.get( key ) || '' );
+				if ( value ) {
+					filters[ key ] = value;
+				}
+			} );
+			return filters;
+		},
+
+		applyFilters() {
+			this.filters = this.readFilters();
+
+			const url = new URL( window.location.href );
+			this.FILTER_KEYS.forEach( ( key ) => url.searchParams.delete( key ) );
+			Object.entries( this.filters ).forEach( ( [ key, value ] ) => url.searchParams.set( key, value ) );
+			window.history.replaceState( null, '', url );
+
+			this.form.querySelectorAll( '.albert-activity-log-export a[data-format]' ).forEach( ( link ) => {
+				const href = new URL( this.cfg.exportUrl, window.location.href );
+				Object.entries( this.filters ).forEach( ( [ key, value ] ) => href.searchParams.set( key, value ) );
+				href.searchParams.set( 'format', link.dataset.format );
+				link.href = href.toString();
+			} );
+
+			this.reset();
+		},
+
+		/**
+		 * Start over from the newest entry. Bumping `generation` makes any
+		 * response still in flight for the old filters drop itself.
+		 */
+		reset() {
+			this.generation = ( this.generation || 0 ) + 1;
+			this.cursor = 0;
+			this.newestId = 0;
+			this.done = false;
+			this.loading = false;
+			this.count = 0;
+			this.rows.replaceChildren();
+			this.loadMore();
+		},
+
+		request( extra ) {
+			return Albert.ajax.post( this.cfg.ajaxUrl, {
+				action: 'albert_activity_log',
+				nonce: this.cfg.nonce,
+				...this.filters,
+				...extra,
+			} )
+				.then( ( response ) => response.json() )
+				.then( ( json ) => {
+					if ( ! json || ! json.success ) {
+						throw new Error( 'activity request failed' );
+					}
+					Albert.relativeTime.syncClock( json.data.now );
+					return json.data;
+				} );
+		},
+
+		loadMore() {
+			if ( this.loading || this.done ) {
+				return;
+			}
+			const generation = this.generation;
+			this.loading = true;
+			this.setStatus( this.i18n.loading || 'Loading…' );
+
+			this.request( this.cursor ? { before: this.cursor } : {} )
+				.then( ( data ) => {
+					if ( generation !== this.generation ) {
+						return;
+					}
+					data.entries.forEach( ( entry ) => this.rows.appendChild( this.createRow( entry ) ) );
+					this.count += data.entries.length;
+					if ( ! this.newestId && data.entries.length ) {
+						this.newestId = data.entries[ 0 ].id;
+					}
+					this.cursor = data.next_cursor;
+					this.done = ! data.next_cursor;
+					this.loading = false;
+					this.renderStatus();
+					this.schedulePoll();
+
+					// A short first page can leave the sentinel on screen,
+					// which the observer won't report again; keep filling.
+					if ( ! this.done && this.sentinelVisible() ) {
+						this.loadMore();
+					}
+				} )
+				.catch( () => {
+					if ( generation !== this.generation ) {
+						return;
+					}
+					this.loading = false;
+					this.setStatus( this.i18n.loadError || 'Could not load activity. Please try again.' );
+					if ( this.moreButton ) {
+						this.moreButton.hidden = false;
+					}
+				} );
+		},
+
+		sentinelVisible() {
+			if ( ! this.moreButton ) {
+				return false;
+			}
+			const rect = this.moreButton.parentElement.getBoundingClientRect();
+			return rect.top < window.innerHeight + 200;
+		},
+
+		schedulePoll() {
+			clearTimeout( this.pollTimer );
+			if ( document.hidden ) {
+				return;
+			}
+			this.pollTimer = setTimeout( () => this.pollNew(), this.cfg.pollInterval || 30000 );
+		},
+
+		/**
+		 * Fetch entries newer than the top row and prepend them. If more
+		 * arrived than fit in one page there would be a gap, so reload.
+		 */
+		pollNew() {
+			clearTimeout( this.pollTimer );
+			if ( this.loading ) {
+				return;
+			}
+			const generation = this.generation;
+
+			this.request( { after: this.newestId } )
+				.then( ( data ) => {
+					if ( generation !== this.generation ) {
+						return;
+					}
+					if ( data.next_cursor ) {
+						this.reset();
+						return;
+					}
+					if ( data.entries.length ) {
+						data.entries.slice().reverse().forEach( ( entry ) => {
+							const row = this.createRow( entry );
+							row.classList.add( 'is-new' );
+							row.addEventListener( 'animationend', () => row.classList.remove( 'is-new' ), { once: true } );
+							this.rows.prepend( row );
+						} );
+						this.newestId = data.entries[ 0 ].id;
+						this.count += data.entries.length;
+						this.renderStatus();
+						Albert.liveRegion.announce(
+							( this.i18n.newItems || '%s new entries added to the top of the log.' ).replace( '%s', String( data.entries.length ) )
+						);
+					}
+					this.schedulePoll();
+				} )
+				.catch( () => this.schedulePoll() );
+		},
+
+		createRow( entry ) {
+			const tr = document.createElement( 'tr' );
+			tr.dataset.entryId = String( entry.id );
+
+			const ability = document.createElement( 'td' );
+			const label = document.createElement( 'strong' );
+			label.textContent = entry.label;
+			ability.appendChild( label );
+			if ( entry.label !== entry.ability ) {
+				const id = document.createElement( 'code' );
+				id.className = 'albert-activity-log-id';
+				id.textContent = entry.ability;
+				ability.append( ' ', id );
+			}
+
+			const user = document.createElement( 'td' );
+			user.textContent = entry.user;
+
+			const when = document.createElement( 'td' );
+			when.appendChild( Albert.relativeTime.create( entry.timestamp ) );
+
+			tr.append( ability, user, when );
+			return tr;
+		},
+
+		renderStatus() {
+			if ( ! this.count ) {
+				this.setStatus( this.i18n.noEntries || 'No activity matches these filters.' );
+			} else {
+				const template = this.done
+					? this.i18n.shownAll || 'Showing all %s entries.'
+					: this.i18n.shown || 'Showing %s entries.';
+				this.setStatus( template.replace( '%s', String( this.count ) ) );
+			}
+			if ( this.moreButton ) {
+				this.moreButton.hidden = this.done;
+			}
+		},
+
+		setStatus( message ) {
+			if ( this.status ) {
+				this.status.textContent = message;
+			}
+		},
+	};
+
+	function init() {
+		Albert.liveRegion.ensure();
+		ActivityLog.init();
+	}
+
+	if ( document.readyState === 'loading' ) {
+		document.addEventListener( 'DOMContentLoaded', init );
+	} else {
+		init();
+	}
+} )();
@@ -1,8 +1,13 @@
 /**
  * Albert Dashboard Scripts
  *
- * Wires the "copy connection details" buttons on the dashboard. Shared
- * clipboard + live-region helpers come from `albert-admin-utils.js`.
+ * Wires the "copy connection details" buttons on the dashboard and keeps
+ * the Status / Recent Activity cards and the setup checklist current by
+ * polling wp_ajax_albert_dashboard_status. The connection diagnostics
+ * call the OAuth discovery and MCP endpoints straight from the browser,
+ * and the client snippet tabs copy or download ready-made configs.
+ * Shared clipboard, live-region and relative-time helpers come from
+ * `albert-admin-utils.js`.
  *
  * @package Albert
  * @since 1.0.0
@@ -11,6 +16,605 @@
 ( function () {
 	'use strict';
 
+	/**
+	 * Live dashboard state.
+	 *
+	 * Polls every `pollInterval` ms while the tab is visible; a hidden tab
+	 * stops the timer and becoming visible again polls straight away, so a
+	 * dashboard left open in the background costs no requests. Failures
+	 * back off (doubling, capped at MAX_INTERVAL); a 403 means the nonce or
+	 * session expired, which a reload has to fix, so polling stops.
+	 */
+	const DashboardStatus = {
+		MAX_INTERVAL: 300000,
+
+		init() {
+			this.cfg = window.albertDashboard || {};
+			this.list = document.querySelector( '.albert-activity-list' );
+			if ( ! this.cfg.ajaxUrl || ! this.cfg.statusNonce || ! this.list ) {
+				return;
+			}
+			this.i18n = this.cfg.i18n || {};
+			this.interval = this.cfg.pollInterval || 20000;
+			this.delay = this.interval;
+			this.timer = null;
+			this.inFlight = false;
+			this.stopped = false;
+			this.emptyNode = document.querySelector( '.albert-activity-empty' );
+			this.seen = new Set(
+				Array.from( this.list.children ).map( ( li ) => li.dataset.activityId )
+			);
+
+			Albert.relativeTime.syncClock( this.cfg.now );
+			Albert.relativeTime.start();
+
+			document.addEventListener( 'visibilitychange', () => {
+				if ( document.hidden ) {
+					clearTimeout( this.timer );
+				} else {
+					this.poll();
+				}
+			} );
+			this.schedule();
+		},
+
+		schedule() {
+			clearTimeout( this.timer );
+			if ( this.stopped || document.hidden ) {
+				return;
+			}
+			this.timer = setTimeout( () => this.poll(), this.delay );
+		},
+
+		poll() {
+			if ( this.inFlight || this.stopped ) {
+				return;
+			}
+			clearTimeout( this.timer );
+			this.inFlight = true;
+
+			Albert.ajax.post( this.cfg.ajaxUrl, {
+				action: 'albert_dashboard_status',
+				nonce: this.cfg.statusNonce,
+			} )
+				.then( ( response ) => {
+					if ( 403 === response.status ) {
+						this.stopped = true;
+						return null;
+					}
+					return response.json();
+				} )
+				.then( ( json ) => {
+					if ( ! json ) {
+						return;
+					}
+					if ( ! json.success ) {
+						throw new Error( 'status request failed' );
+					}
+					this.render( json.data );
+					this.delay = this.interval;
+				} )
+				.catch( () => {
+					this.delay = Math.min( this.delay * 2, this.MAX_INTERVAL );
+				} )
+				.finally( () => {
+					this.inFlight = false;
+					this.schedule();
+				} );
+		},
+
+		render( data ) {
+			Albert.relativeTime.syncClock( data.now );
+			this.setStatus( 'connections', String( data.connections ) );
+			this.setStatus( 'abilities', data.abilities );
+			this.updateChecklist( data );
+			this.updateActivity( data.activity || [] );
+		},
+
+		setStatus( key, value ) {
+			const node = document.querySelector( `.albert-status-value[data-status="${ key }"]` );
+			if ( node && node.textContent !== value ) {
+				node.textContent = value;
+			}
+		},
+
+		/**
+		 * Tick checklist steps the server now reports as done. The
+		 * "connect" step is the last one, so ticking it also drops the
+		 * endpoint-URL helper and announces that setup is complete.
+		 */
+		updateChecklist( data ) {
+			if ( data.has_allowed_users && this.completeStep( 'users', this.i18n.userAdded || 'Allowed user added' ) ) {
+				this.markCurrent( 'connect' );
+			}
+			if ( data.connections > 0 && this.completeStep( 'connect', this.i18n.assistantConnected || 'AI assistant connected' ) ) {
+				document.querySelector( '.albert-checklist-endpoint' )?.remove();
+				Albert.liveRegion.announce( this.i18n.setupComplete || 'An AI assistant just connected. Setup is complete.' );
+			}
+		},
+
+		/**
+		 * @param {string} step  data-step of the checklist item.
+		 * @param {string} label Text shown once done.
+		 * @return {boolean} True if the step was open and is now ticked.
+		 */
+		completeStep( step, label ) {
+			const item = document.querySelector( `.albert-checklist-item[data-step="${ step }"]` );
+			if ( ! item || item.classList.contains( 'albert-checklist-done' ) ) {
+				return false;
+			}
+			item.classList.remove( 'albert-checklist-current', 'albert-checklist-pending' );
+			item.classList.add( 'albert-checklist-done', 'is-just-done' );
+			const icon = item.querySelector( '.albert-checklist-icon' );
+			icon?.classList.replace( 'dashicons-marker', 'dashicons-yes-alt' );
+			const text = item.querySelector( '.albert-checklist-text' );
+			if ( text ) {
+				text.textContent = label;
+			}
+			return true;
+		},
+
+		markCurrent( step ) {
+			const item = document.querySelector( `.albert-checklist-item[data-step="${ step }"]` );
+			if ( item && item.classList.contains( 'albert-checklist-pending' ) ) {
+				item.classList.replace( 'albert-checklist-pending', 'albert-checklist-current' );
+			}
+		},
+
+		/**
+		 * Prepend entries the feed hasn't shown yet (oldest first, so the
+		 * newest ends up on top) and trim the list back to its limit.
+		 *
+		 * @param {Array<Object>} activity Items from the server, newest first.
+		 */
+		updateActivity( activity ) {
+			const fresh = activity.filter( ( item ) => ! this.seen.has( item.id ) );
+			if ( ! fresh.length ) {
+				return;
+			}
+
+			fresh.slice().reverse().forEach( ( item ) => {
+				this.seen.add( item.id );
+				this.list.prepend( this.createItem( item ) );
+			} );
+
+			const limit = this.cfg.activityLimit || 5;
+			while ( this.list.children.length > limit ) {
+				this.list.lastElementChild.remove();
+			}
+			this.list.hidden = false;
+			if ( this.emptyNode ) {
+				this.emptyNode.hidden = true;
+			}
+
+			Albert.liveRegion.announce(
+				( this.i18n.newActivity || 'New activity: %s' ).replace( '%s', fresh[ 0 ].text )
+			);
+		},
+
+		createItem( item ) {
+			const li = document.createElement( 'li' );
+			li.dataset.activityId = item.id;
+			li.className = 'is-new';
+			li.addEventListener( 'animationend', () => li.classList.remove( 'is-new' ), { once: true } );
+
+			const icon = document.createElement( 'span' );
+			icon.className = 'albert-activity-icon';
+			icon.setAttribute( 'aria-hidden', 'true' );
+			icon.textContent = item.icon;
+
+			const text = document.createElement( 'span' );
+			text.className = 'albert-activity-text';
+			text.textContent = item.text;
+
+			const time = Albert.relativeTime.create( item.timestamp );
+			time.classList.add( 'albert-activity-time' );
+
+			li.append( icon, text, time );
+			return li;
+		},
+	};
+
+	/**
+	 * Connection diagnostics.
+	 *
+	 * Requests the discovery documents and the MCP endpoint the way an AI
+	 * assistant would — no cookies, no token — so rewrite rules, proxies
+	 * and TLS are exercised for real. A quiet run on load sets the OAuth /
+	 * MCP status indicators; "Run diagnostics" shows the full checklist
+	 * with a suggested fix for each failure.
+	 */
+	const Diagnostics = {
+		TIMEOUT: 10000,
+
+		ICONS: {
+			pass: 'dashicons-yes-alt',
+			fail: 'dashicons-dismiss',
+			warn: 'dashicons-warning',
+		},
+
+		init() {
+			this.cfg = window.albertDashboard?.diagnostics;
+			this.panel = document.getElementById( 'albert-diagnostics' );
+			this.button = document.getElementById( 'albert-run-diagnostics' );
+			if ( ! this.cfg || ! this.panel ) {
+				return;
+			}
+			this.i18n = this.cfg.i18n || {};
+			this.summary = this.panel.querySelector( '.albert-diagnostics-summary' );
+			this.list = this.panel.querySelector( '.albert-diagnostics-list' );
+			this.running = null;
+
+			this.button?.addEventListener( 'click', () => {
+				this.panel.hidden = false;
+				this.list.replaceChildren();
+				this.summary.textContent = this.i18n.running || 'Running diagnostics…';
+				this.button.disabled = true;
+				this.run().then( ( results ) => {
+					this.render( results );
+					this.button.disabled = false;
+				} );
+			} );
+
+			this.run();
+		},
+
+		/**
+		 * @return {Promise<Array<Object>>} One result per check.
+		 */
+		run() {
+			if ( ! this.running ) {
+				this.running = Promise.all( [
+					this.checkHttps(),
+					this.checkExternalUrl(),
+					this.checkAuthServer(),
+					this.checkProtectedResource(),
+					this.checkResourceEndpoint(),
+					this.checkUnauthorized(),
+				] ).then( ( results ) => {
+					this.running = null;
+					this.updateIndicators( results );
+					return results;
+				} );
+			}
+			return this.running;
+		},
+
+		result( key, group, status, detail, fixes = [] ) {
+			return { key, group, status, detail, fixes };
+		},
+
+		request( url, options = {} ) {
+			const controller = new AbortController();
+			const timer = setTimeout( () => controller.abort(), this.TIMEOUT );
+			return fetch( url, {
+				credentials: 'omit',
+				cache: 'no-store',
+				signal: controller.signal,
+				...options,
+			} ).finally( () => clearTimeout( timer ) );
+		},
+
+		isCrossOrigin( url ) {
+			return new URL( url, window.location.href ).origin !== window.location.origin;
+		},
+
+		/**
+		 * Fixes for a URL that answered with an error status or something
+		 * that isn't Albert's JSON.
+		 */
+		routingFixes( url ) {
+			if ( ! this.cfg.prettyPermalinks ) {
+				return [ 'fixPermalinks' ];
+			}
+			return url.includes( '/wp-json/' ) ? [ 'fixRestBlocked' ] : [ 'fixRewrite' ];
+		},
+
+		/**
+		 * Fixes for a request that never got a response.
+		 */
+		networkFixes( url ) {
+			const fixes = [];
+			if ( 'active' === this.cfg.externalUrl?.state && this.isCrossOrigin( url ) ) {
+				fixes.push( 'fixExternalHost' );
+			}
+			if ( 'http:' === new URL( url, window.location.href ).protocol && 'https:' === window.location.protocol ) {
+				fixes.push( 'fixHttps' );
+			}
+			return fixes;
+		},
+
+		format( key, ...values ) {
+			let text = this.i18n[ key ] || key;
+			values.forEach( ( value, i ) => {
+				text = text.replace( `%${ i + 1 }$s`, value ).replace( '%s', value );
+			} );
+			return text;
+		},
+
+		checkHttps() {
+			const url = new URL( this.cfg.endpoint, window.location.href );
+			if ( 'https:' === url.protocol ) {
+				return Promise.resolve( this.result( 'checkHttps', 'mcp', 'pass', this.format( 'ok' ) ) );
+			}
+			const local = /^(localhost|127\.0\.0\.1|\[::1\])$|\.(local|test|localhost)$/.test( url.hostname );
+			return Promise.resolve( this.result(
+				'checkHttps',
+				'mcp',
+				local ? 'warn' : 'fail',
+				this.format( local ? 'detailLocal' : 'detailHttp' ),
+				[ 'fixHttps' ]
+			) );
+		},
+
+		checkExternalUrl() {
+			const state = this.cfg.externalUrl || { state: 'inactive', value: '' };
+			if ( 'invalid' === state.state ) {
+				return Promise.resolve( this.result( 'checkExternalUrl', null, 'fail', this.format( 'detailExternalInvalid', state.value ), [ 'fixExternalInvalid' ] ) );
+			}
+			const detail = 'active' === state.state
+				? this.format( 'detailExternalActive', state.value )
+				: this.format( 'detailExternalInactive' );
+			return Promise.resolve( this.result( 'checkExternalUrl', null, 'pass', detail ) );
+		},
+
+		/**
+		 * Shared GET-a-JSON-document check.
+		 *
+		 * @param {string}        key      i18n key of the check label.
+		 * @param {string}        url      Document URL.
+		 * @param {Array<string>} required Fields that must be present.
+		 * @param {Function}      [verify] Extra validation; returns a result or null.
+		 */
+		checkMetadata( key, url, required, verify ) {
+			return this.request( url, { headers: { Accept: 'application/json' } } )
+				.then( ( response ) => response.text().then( ( text ) => {
+					if ( ! response.ok ) {
+						return this.result( key, 'oauth', 'fail', this.format( 'detailStatus', String( response.status ) ), this.routingFixes( url ) );
+					}
+					let json = null;
+					try {
+						json = JSON.parse( text );
+					} catch ( e ) {
+						json = null;
+					}
+					if ( ! json || 'object' !== typeof json ) {
+						return this.result( key, 'oauth', 'fail', this.format( 'detailNotJson' ), this.routingFixes( url ) );
+					}
+					const missing = required.filter( ( field ) => ! json[ field ] );
+					if ( missing.length ) {
+						return this.result( key, 'oauth', 'fail', this.format( 'detailMissing', missing.join( ', ' ) ), [ 'fixAuthHeader' ] );
+					}
+					return ( verify && verify( json ) ) || this.result( key, 'oauth', 'pass', this.format( 'ok' ) );
+				} ) )
+				.catch( ( err ) => this.result( key, 'oauth', 'fail', this.format( 'detailNetwork', err.message || String( err ) ), this.networkFixes( url ) ) );
+		},
+
+		checkAuthServer() {
+			return this.checkMetadata(
+				'checkAuthServer',
+				this.cfg.authServerUrl,
+				[ 'issuer', 'authorization_endpoint', 'token_endpoint' ]
+			);
+		},
+
+		/**
+		 * Both protected-resource documents must name the endpoint users
+		 * paste into their assistant, or the client will refuse the token.
+		 */
+		verifyResource( key ) {
+			return ( json ) => {
+				if ( json.resource === this.cfg.endpoint ) {
+					return null;
+				}
+				return this.result( key, 'oauth', 'warn', this.format( 'detailMismatch', String( json.resource ), this.cfg.endpoint ), [ 'fixExternalHost' ] );
+			};
+		},
+
+		checkProtectedResource() {
+			return this.checkMetadata(
+				'checkProtected',
+				this.cfg.protectedResource,
+				[ 'resource', 'authorization_servers' ],
+				this.verifyResource( 'checkProtected' )
+			);
+		},
+
+		checkResourceEndpoint() {
+			return this.checkMetadata(
+				'checkResource',
+				this.cfg.resourceUrl,
+				[ 'resource', 'authorization_servers' ],
+				this.verifyResource( 'checkResource' )
+			);
+		},
+
+		/**
+		 * POST an MCP initialize request without a token. The route must
+		 * answer 401 and point at the resource metadata in WWW-Authenticate
+		 * — that header is how assistants find the OAuth server.
+		 */
+		checkUnauthorized() {
+			const url = this.cfg.endpoint;
+			const key = 'checkUnauthorized';
+
+			return this.request( url, {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+				body: JSON.stringify( { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} } ),
+			} )
+				.then( ( response ) => {
+					if ( 401 !== response.status ) {
+						const fixes = 404 === response.status ? this.routingFixes( url ) : [ 'fixAuthHeader' ];
+						return this.result( key, 'mcp', 'fail', this.format( 'detailStatus', String( response.status ) ), fixes );
+					}
+					const header = response.headers.get( 'WWW-Authenticate' );
+					if ( ! header ) {
+						return this.isCrossOrigin( url )
+							? this.result( key, 'mcp', 'warn', this.format( 'detailHeaderHidden' ) )
+							: this.result( key, 'mcp', 'fail', this.format( 'detailNoHeader' ), [ 'fixAuthHeader' ] );
+					}
+					const match = header.match( /resource="([^"]+)"/ );
+					if ( ! match || match[ 1 ] !== this.cfg.resourceUrl ) {
+						return this.result( key, 'mcp', 'warn', this.format( 'detailMismatch', match ? match[ 1 ] : header, this.cfg.resourceUrl ), [ 'fixAuthHeader' ] );
+					}
+					return this.result( key, 'mcp', 'pass', this.format( 'ok' ) );
+				} )
+				.catch( ( err ) => this.result( key, 'mcp', 'fail', this.format( 'detailNetwork', err.message || String( err ) ), this.networkFixes( url ) ) );
+		},
+
+		updateIndicators( results ) {
+			[ 'oauth', 'mcp' ].forEach( ( group ) => {
+				const failed = results.some( ( r ) => r.group === group && 'fail' === r.status );
+				const value = document.querySelector( `.albert-status-value[data-status="${ group }"]` );
+				const indicator = document.querySelector( `.albert-status-indicator[data-indicator="${ group }"]` );
+				if ( value ) {
+					value.textContent = failed ? this.i18n.problem || 'Problem found' : this.i18n.active || 'Active';
+				}
+				if ( indicator ) {
+					indicator.classList.remove( 'albert-status-info', 'albert-status-active', 'albert-status-inactive' );
+					indicator.classList.add( failed ? 'albert-status-inactive' : 'albert-status-active' );
+				}
+			} );
+		},
+
+		render( results ) {
+			const failed = results.filter( ( r ) => 'fail' === r.status ).length;
+			const warned = results.filter( ( r ) => 'warn' === r.status ).length;
+
+			this.list.replaceChildren( ...results.map( ( r ) => this.renderResult( r ) ) );
+			if ( failed ) {
+				this.summary.textContent = this.format( 'summaryFail', String( failed ), String( results.length ) );
+			} else if ( warned ) {
+				this.summary.textContent = this.format( 'summaryWarn', String( warned ) );
+			} else {
+				this.summary.textContent = this.format( 'summaryPass', String( results.length ) );
+			}
+		},
+
+		renderResult( result ) {
+			const li = document.createElement( 'li' );
+			li.className = `albert-diagnostic is-${ result.status }`;
+
+			const icon = document.createElement( 'span' );
+			icon.className = `albert-diagnostic-icon dashicons ${ this.ICONS[ result.status ] }`;
+			icon.setAttribute( 'aria-hidden', 'true' );
+
+			const body = document.createElement( 'div' );
+			body.className = 'albert-diagnostic-body';
+
+			const label = document.createElement( 'strong' );
+			label.textContent = this.format( result.key );
+			const state = document.createElement( 'span' );
+			state.className = 'screen-reader-text';
+			state.textContent = ` (${ this.format( result.status ) })`;
+			label.appendChild( state );
+
+			const detail = document.createElement( 'p' );
+			detail.textContent = result.detail;
+			body.append( label, detail );
+
+			result.fixes.forEach( ( fix ) => {
+				const p = document.createElement( 'p' );
+				p.className = 'albert-diagnostic-fix';
+				p.textContent = this.format( fix );
+				if ( 'fixPermalinks' === fix || 'fixRewrite' === fix ) {
+					const link = document.createElement( 'a' );
+					link.href = this.cfg.permalinksUrl;
+					link.textContent = this.format( 'permalinkSettings' );
+					p.append( ' ', link );
+				}
+				body.appendChild( p );
+			} );
+
+			li.append( icon, body );
+			return li;
+		},
+	};
+
+	/**
+	 * Client configuration snippets: an ARIA tablist (arrow keys, Home and
+	 * End move between tabs) with copy and download buttons per panel.
+	 */
+	const Snippets = {
+		init() {
+			this.root = document.querySelector( '.albert-snippets' );
+			if ( ! this.root ) {
+				return;
+			}
+			this.i18n = ( window.albertDashboard || {} ).i18n || {};
+			this.tabs = Array.from( this.root.querySelectorAll( '[role="tab"]' ) );
+
+			this.tabs.forEach( ( tab, index ) => {
+				tab.addEventListener( 'click', () => this.select( tab ) );
+				tab.addEventListener( 'keydown', ( e ) => {
+					const last = this.tabs.length - 1;
+					const next = {
+						ArrowRight: index === last ? 0 : index + 1,
+						ArrowLeft: 0 === index ? last : index - 1,
+						Home: 0,
+						End: last,
+					}[ e.key ];
+					if ( undefined === next ) {
+						return;
+					}
+					e.preventDefault();
+					this.select( this.tabs[ next ] );
+					this.tabs[ next ].focus();
+				} );
+			} );
+
+			this.root.addEventListener( 'click', ( e ) => {
+				const copy = e.target.closest( '.albert-snippet-copy' );
+				const download = e.target.closest( '.albert-snippet-download' );
+				if ( copy ) {
+					this.copy( copy );
+				} else if ( download ) {
+					this.download( download );
+				}
+			} );
+		},
+
+		select( selected ) {
+			this.tabs.forEach( ( tab ) => {
+				const active = tab === selected;
+				tab.setAttribute( 'aria-selected', active ? 'true' : 'false' );
+				tab.tabIndex = active ? 0 : -1;
+				const panel = document.getElementById( tab.getAttribute( 'aria-controls' ) );
+				if ( panel ) {
+					panel.hidden = ! active;
+				}
+			} );
+		},
+
+		source( button ) {
+			const code = document.getElementById( button.dataset.snippet );
+			return code ? code.textContent : '';
+		},
+
+		async copy( button ) {
+			const success = await Albert.clipboard.copy( this.source( button ) );
+			Albert.clipboard.flashButton( button, {
+				label: success ? this.i18n.copied || 'Copied!' : this.i18n.copyFailed || 'Copy failed',
+				className: success ? 'albert-copy-success' : 'albert-copy-error',
+				swap: true,
+				disable: true,
+			} );
+		},
+
+		download( button ) {
+			const blob = new Blob( [ this.source( button ) + '\n' ], { type: 'application/json' } );
+			const url = URL.createObjectURL( blob );
+			const link = document.createElement( 'a' );
+			link.href = url;
+			link.download = button.dataset.filename || 'mcp.json';
+			document.body.appendChild( link );
+			link.click();
+			link.remove();
+			setTimeout( () => URL.revokeObjectURL( url ), 0 );
+		},
+	};
+
 	function init() {
 		Albert.liveRegion.ensure();
 
@@ -44,6 +648,10 @@
 				}
 			} );
 		} );
+
+		DashboardStatus.init();
+		Diagnostics.init();
+		Snippets.init();
 	}
 
 	if ( document.readyState === 'loading' ) {
@@ -6,14 +6,292 @@
  */
 
 /**
- * Flat abilities list: filtering, view toggle, pagination, row expand,
- * destructive-confirmation, and stats updates.
+ * Fuzzy, ranked search over the abilities list.
+ *
+ * Queries are split into whitespace-separated terms and every term must
+ * match somewhere (AND). Plain terms are scored against the label, ID,
+ * and description, weighted in that order; terms of four or more
+ * characters tolerate a typo ("ordr" finds "order"). `field:value`
+ * terms — `id:woo/`, `supplier:woocommerce`, `category:`, `type:`,
+ * `label:`, `desc:` — only look at that field.
+ *
+ * Stateless: AbilitiesListModule and PermissionMatrix each build and own
+ * their index and the DOM.
+ */
+const AbilitySearch = {
+	/**
+	 * How much a hit in each field counts towards the row score.
+	 */
+	WEIGHTS: {
+		label: 3,
+		id: 2,
+		description: 1,
+	},
+
+	/**
+	 * Recognized `field:` prefixes and the index field each maps to.
+	 */
+	PREFIXES: {
+		id: 'id',
+		label: 'label',
+		name: 'label',
+		desc: 'description',
+		description: 'description',
+		category: 'category',
+		supplier: 'supplier',
+		type: 'annotation',
+	},
+
+	/**
+	 * Split a raw query into terms.
+	 *
+	 * @param {string} query Raw search input.
+	 * @return {Array<{field: ?string, text: string}>} Lowercased terms; `field` is null for plain terms.
+	 */
+	parse( query ) {
+		return query
+			.toLowerCase()
+			.split( /\s+/ )
+			.filter( Boolean )
+			.map( ( part ) => {
+				const colon = part.indexOf( ':' );
+				if ( colon > 0 ) {
+					const field = AbilitySearch.PREFIXES[ part.slice( 0, colon ) ];
+					const text = part.slice( colon + 1 );
+					if ( field && text ) {
+						return { field, text };
+					}
+				}
+				return { field: null, text: part };
+			} );
+	},
+
+	/**
+	 * Score a row against parsed terms.
+	 *
+	 * @param {Object} entry Search index entry (lowercased field strings).
+	 * @param {Array}  terms Output of parse().
+	 * @return {?{score: number, ranges: {label: Array, description: Array}}} Null when any term misses.
+	 */
+	score( entry, terms ) {
+		const ranges = { label: [], description: [] };
+		let total = 0;
+
+		for ( const term of terms ) {
+			const fields = term.field ? [ term.field ] : Object.keys( AbilitySearch.WEIGHTS );
+			let best = 0;
+
+			fields.forEach( ( field ) => {
+				const match = AbilitySearch.match( entry[ field ] || '', term.text );
+				if ( ! match ) {
+					return;
+				}
+				best = Math.max( best, match.score * ( AbilitySearch.WEIGHTS[ field ] || 1 ) );
+				if ( ranges[ field ] ) {
+					ranges[ field ].push( match.range );
+				}
+			} );
+
+			if ( 0 === best ) {
+				return null;
+			}
+			total += best;
+		}
+
+		return { score: total, ranges };
+	},
+
+	/**
+	 * Match one term against one field.
+	 *
+	 * Exact substrings win, with a bonus at the start of a word; failing
+	 * that, a word whose prefix is within one edit of the term (two for
+	 * long terms) still counts, for a lower score.
+	 *
+	 * @param {string} haystack Lowercased field text.
+	 * @param {string} term     Lowercased term.
+	 * @return {?{score: number, range: Array<number>}} Score and [start, end) of the matched text.
+	 */
+	match( haystack, term ) {
+		const index = haystack.indexOf( term );
+		if ( -1 !== index ) {
+			const atWordStart = 0 === index || /[^a-z0-9]/.test( haystack[ index - 1 ] );
+			return { score: atWordStart ? 10 : 6, range: [ index, index + term.length ] };
+		}
+
+		if ( term.length < 4 ) {
+			return null;
+		}
+
+		const maxEdits = term.length >= 8 ? 2 : 1;
+		const wordPattern = /[a-z0-9]+/g;
+		let best = null;
+		let word;
+		while ( ( word = wordPattern.exec( haystack ) ) ) {
+			// Compare against prefixes of the word around the term's length
+			// so "ordr" can match "orders" as well as "order". Longest first,
+			// so on a tie the highlight covers the fuller fragment.
+			for ( let len = term.length + 1; len >= term.length - 1; len-- ) {
+				if ( len < 1 || len > word[ 0 ].length ) {
+					continue;
+				}
+				const distance = AbilitySearch.editDistance( term, word[ 0 ].slice( 0, len ), maxEdits );
+				if ( distance <= maxEdits && ( ! best || distance < best.distance ) ) {
+					best = { distance, range: [ word.index, word.index + len ] };
+				}
+			}
+		}
+
+		return best ? { score: 4 - best.distance, range: best.range } : null;
+	},
+
+	/**
+	 * Levenshtein distance with an early exit once it exceeds `limit`.
+	 *
+	 * @param {string} a     First string.
+	 * @param {string} b     Second string.
+	 * @param {number} limit Distances above this are reported as limit + 1.
+	 * @return {number} Edit distance, capped at limit + 1.
+	 */
+	editDistance( a, b, limit ) {
+		if ( Math.abs( a.length - b.length ) > limit ) {
+			return limit + 1;
+		}
+		let previous = Array.from( { length: b.length + 1 }, ( _, i ) => i );
+		for ( let i = 1; i <= a.length; i++ ) {
+			const current = [ i ];
+			let rowMin = i;
+			for ( let j = 1; j <= b.length; j++ ) {
+				const cost = a[ i - 1 ] === b[ j - 1 ] ? 0 : 1;
+				current[ j ] = Math.min( previous[ j ] + 1, current[ j - 1 ] + 1, previous[ j - 1 ] + cost );
+				rowMin = Math.min( rowMin, current[ j ] );
+			}
+			if ( rowMin > limit ) {
+				return limit + 1;
+			}
+			previous = current;
+		}
+		return previous[ b.length ];
+	},
+
+	/**
+	 * Replace an element's text with the same text, matched ranges
+	 * wrapped in <mark>. Built from text nodes, never innerHTML.
+	 *
+	 * @param {HTMLElement}        el     Target element.
+	 * @param {string}             text   Original (un-lowercased) text.
+	 * @param {Array<Array<number>>} ranges [start, end) pairs, any order, may overlap.
+	 */
+	highlight( el, text, ranges ) {
+		const merged = [];
+		ranges
+			.slice()
+			.sort( ( a, b ) => a[ 0 ] - b[ 0 ] )
+			.forEach( ( range ) => {
+				const last = merged[ merged.length - 1 ];
+				if ( last && range[ 0 ] <= last[ 1 ] ) {
+					last[ 1 ] = Math.max( last[ 1 ], range[ 1 ] );
+				} else {
+					merged.push( range.slice() );
+				}
+			} );
+
+		const fragment = document.createDocumentFragment();
+		let cursor = 0;
+		merged.forEach( ( [ start, end ] ) => {
+			if ( start > cursor ) {
+				fragment.appendChild( document.createTextNode( text.slice( cursor, start ) ) );
+			}
+			const mark = document.createElement( 'mark' );
+			mark.className = 'albert-search-match';
+			mark.textContent = text.slice( start, end );
+			fragment.appendChild( mark );
+			cursor = end;
+		} );
+		if ( cursor < text.length ) {
+			fragment.appendChild( document.createTextNode( text.slice( cursor ) ) );
+		}
+		el.replaceChildren( fragment );
+	},
+
+	/**
+	 * Snapshot each row's searchable text once, so filtering doesn't
+	 * re-read the DOM and highlighting can restore the original text.
+	 *
+	 * Category, supplier, and annotation are indexed by slug and by the
+	 * label the page shows for that slug.
+	 *
+	 * @param {Iterable<HTMLElement>}                 rows      Ability rows.
+	 * @param {function(string): (?HTMLSelectElement)} filterFor Filter <select> for a data key ('category', 'supplier', 'annotation'), if any.
+	 * @return {Map<HTMLElement, Object>} Row => index entry.
+	 */
+	buildIndex( rows, filterFor ) {
+		const optionLabel = ( key, value ) => {
+			const select = filterFor( key );
+			const option = select ? Array.from( select.options ).find( ( o ) => o.value === value ) : null;
+			return option ? option.textContent.trim() : '';
+		};
+		const index = new Map();
+
+		rows.forEach( ( row ) => {
+			const labelEl = row.querySelector( '.ability-row-label' );
+			const descriptionEl = row.querySelector( '.ability-row-description' );
+			const labelText = labelEl ? labelEl.textContent : '';
+			const descriptionText = descriptionEl ? descriptionEl.textContent : '';
+			const { abilityId = '', category = '', supplier = '', annotation = '' } = row.dataset;
+
+			index.set( row, {
+				labelEl,
+				descriptionEl,
+				labelText,
+				descriptionText,
+				label: labelText.toLowerCase(),
+				description: descriptionText.toLowerCase(),
+				id: abilityId.toLowerCase(),
+				category: `${ category } ${ optionLabel( 'category', category ) }`.toLowerCase(),
+				supplier: `${ supplier } ${ optionLabel( 'supplier', supplier ) }`.toLowerCase(),
+				annotation: `${ annotation } ${ optionLabel( 'annotation', annotation ) }`.toLowerCase(),
+				highlighted: false,
+			} );
+		} );
+
+		return index;
+	},
+};
+
+/**
+ * Abilities list: filtering, view toggle (list, paginated, grouped),
+ * pagination, row expand, bulk actions, undo history, keyboard
+ * navigation, and stats updates.
  *
  * Every ability row is rendered once by the server inside #albert-abilities-list.
  * All navigation is client-side via the `hidden` attribute so form submit still
  * includes every row regardless of the current filter/page.
  */
 const AbilitiesListModule = {
+	/**
+	 * How many toggles the in-session undo history remembers.
+	 */
+	HISTORY_LIMIT: 20,
+
+	/**
+	 * Re-opening a details panel within this many ms reuses the last
+	 * activity fetch instead of hitting admin-ajax again.
+	 */
+	ACTIVITY_TTL: 60000,
+
+	/**
+	 * Largest preset file the import will read. Real presets are a few KB.
+	 */
+	IMPORT_MAX_BYTES: 1024 * 1024,
+
+	/**
+	 * Save-queue retry backoff: first retry after RETRY_BASE ms, doubling
+	 * up to RETRY_MAX.
+	 */
+	RETRY_BASE: 2000,
+	RETRY_MAX: 60000,
+
 	init() {
 		this.list = document.getElementById( 'albert-abilities-list' );
 		if ( ! this.list ) {
@@ -21,6 +299,7 @@ const AbilitiesListModule = {
 		}
 
 		this.rows = Array.from( this.list.querySelectorAll( '.ability-row' ) );
+		this.serverOrder = this.rows.slice();
 		this.emptyState = this.list.querySelector( '.albert-abilities-empty' );
 		this.searchInput = document.getElementById( 'albert-abilities-search' );
 		this.categoryFilter = document.getElementById( 'albert-abilities-filter-category' );
@@ -29,8 +308,20 @@ const AbilitiesListModule = {
 		this.statsNode = document.getElementById( 'albert-abilities-stats' );
 		this.pagination = document.querySelector( '.albert-abilities-pagination' );
 		this.pagesNode = this.pagination ? this.pagination.querySelector( '.albert-pagination-pages' ) : null;
+		this.pageStatusNode = this.pagination ? this.pagination.querySelector( '.albert-pagination-status' ) : null;
+		this.gotoForm = this.pagination ? this.pagination.querySelector( '.albert-pagination-goto' ) : null;
+		this.rowsPerPageSelect = document.getElementById( 'albert-abilities-rows-per-page' );
+		this.groupBySelect = document.getElementById( 'albert-abilities-group-by' );
 		this.viewButtons = Array.from( document.querySelectorAll( '.albert-view-toggle-btn' ) );
 		this.errorNode = document.getElementById( 'albert-abilities-error' );
+		this.selectAll = document.getElementById( 'albert-abilities-select-all' );
+		this.selectedCountNode = document.getElementById( 'albert-abilities-selected-count' );
+		this.bulkButtons = Array.from( document.querySelectorAll( '.albert-bulk-btn' ) );
+		this.undoButton = document.getElementById( 'albert-abilities-undo' );
+		this.shortcutsDialog = document.getElementById( 'albert-shortcuts-dialog' );
+		this.history = [];
+		this.activeRow = null;
+		this.activity = new Map();
 
 		this.total = parseInt( this.statsNode?.dataset.total || String( this.rows.length ), 10 );
 		this.enabled = parseInt( this.statsNode?.dataset.enabledCount || '0', 10 );
@@ -41,16 +332,38 @@ const AbilitiesListModule = {
 		// flicker or JS-driven re-layout. localStorage is intentionally NOT
 		// consulted — the preference lives in wp_options.
 		this.viewMode = AbilitiesListModule.normalizeViewMode( this.list.dataset.viewMode );
+		this.savedViewMode = this.viewMode;
 		this.rowsPerPage = parseInt( this.list.dataset.rowsPerPage, 10 );
 		this.currentPage = 1;
+		this.searchIndex = this.buildSearchIndex();
+
+		// Grouped view: which attribute sections the list, and which
+		// sections are collapsed. Both live in wp_options like the view mode.
+		this.groupBy = 'supplier' === this.list.dataset.groupBy ? 'supplier' : 'category';
+		this.collapsedGroups = new Set( AbilitiesListModule.parseJsonList( this.list.dataset.collapsedGroups ) );
+		this.groups = [];
+		this.rowGroups = new Map();
+		if ( 'grouped' === this.viewMode ) {
+			this.buildGroups();
+		}
 
 		this.bindSearch();
 		this.bindFilters();
 		this.bindViewToggle();
 		this.bindRowExpand();
 		this.bindRowToggle();
+		this.bindRowSelect();
+		this.bindBulkActions();
+		this.bindUndo();
 		this.bindPagination();
+		this.bindGroups();
 		this.bindChipDismiss();
+		this.bindUrlState();
+		this.bindKeyboard();
+		this.bindActivity();
+		this.bindImport();
+		this.bindSaveQueue();
+		Albert.relativeTime.start();
 
 		// Server already pre-rendered the correct view mode (toggle button
 		// state, pagination nav visibility, rows beyond page 1 hidden when
@@ -59,22 +372,59 @@ const AbilitiesListModule = {
 		// every row and causes the visible flash we're trying to avoid.
 		// We do still need an initial filter/stats pass to set things like
 		// the enabled count and the pagination pager numbers.
-		if ( 'paginated' === this.viewMode ) {
+		// A shared link (or a reload) carries filter state in the query
+		// string; restoring it re-renders, so it replaces the initial pass.
+		if ( this.restoreUrlState() ) {
+			return;
+		}
+		if ( 'list' !== this.viewMode ) {
 			this.renderPaginationWindow();
 		} else {
 			this.updateStats( this.rows.length );
+			this.updateBulkState();
+			this.refreshActiveRow( false );
 		}
 	},
 
+	/**
+	 * Query-string keys for each piece of shareable list state.
+	 *
+	 * `page` is taken by the admin screen slug, hence `paged` (the same
+	 * name core list tables use).
+	 */
+	URL_KEYS: {
+		search: 'search',
+		category: 'category',
+		supplier: 'supplier',
+		annotation: 'type',
+		page: 'paged',
+		view: 'view',
+	},
+
 	/**
 	 * Coerce an arbitrary string to a valid view mode.
 	 *
 	 * Mirrors the PHP `AbilitiesPage::normalize_view_mode()` so the two
 	 * sides apply identical validation. Anything that isn't `paginated`
-	 * collapses to `list`.
+	 * or `grouped` collapses to `list`.
 	 */
 	normalizeViewMode( mode ) {
-		return 'paginated' === mode ? 'paginated' : 'list';
+		return [ 'paginated', 'grouped' ].includes( mode ) ? mode : 'list';
+	},
+
+	/**
+	 * Parse a JSON array from a data attribute, tolerating bad input.
+	 *
+	 * @param {string} json Attribute value.
+	 * @return {Array<string>} The parsed strings, or an empty array.
+	 */
+	parseJsonList( json ) {
+		try {
+			const value = JSON.parse( json || '[]' );
+			return Array.isArray( value ) ? value.filter( ( item ) => 'string' === typeof item ) : [];
+		} catch ( e ) {
+			return [];
+		}
 	},
 
 	/**
@@ -125,6 +475,26 @@ const AbilitiesListModule = {
 		);
 	},
 
+	/**
+	 * Persist the rows-per-page preference via admin-ajax, like saveViewMode().
+	 *
+	 * @param {number} rowsPerPage One of the sizes offered in the selector.
+	 */
+	saveRowsPerPage( rowsPerPage ) {
+		const cfg = window.albertAdmin || {};
+		if ( ! cfg.ajaxUrl || ! cfg.rowsPerPageNonce ) {
+			return;
+		}
+		Albert.ajax.post( cfg.ajaxUrl, {
+			action: 'albert_save_rows_per_page',
+			nonce: cfg.rowsPerPageNonce,
+			rows_per_page: String( rowsPerPage ),
+		} ).catch( ( err ) => {
+			// eslint-disable-next-line no-console
+			console.warn( 'Albert: failed to persist rows per page', err );
+		} );
+	},
+
 	/**
 	 * Persist the view-mode preference to wp_options via admin-ajax.
 	 *
@@ -158,6 +528,7 @@ const AbilitiesListModule = {
 			searchDebounceTimer = setTimeout( () => {
 				this.currentPage = 1;
 				this.applyFilters();
+				this.syncUrlState( 'replace' );
 			}, 120 );
 		} );
 	},
@@ -170,6 +541,7 @@ const AbilitiesListModule = {
 			select.addEventListener( 'change', () => {
 				this.currentPage = 1;
 				this.applyFilters();
+				this.syncUrlState( 'push' );
 			} );
 		} );
 	},
@@ -178,10 +550,118 @@ const AbilitiesListModule = {
 		this.viewButtons.forEach( ( btn ) => {
 			btn.addEventListener( 'click', () => {
 				this.applyViewMode( AbilitiesListModule.normalizeViewMode( btn.dataset.view ) );
+				this.syncUrlState( 'push' );
 			} );
 		} );
 	},
 
+	/**
+	 * Back/Forward restore the list state that was current at that entry.
+	 */
+	bindUrlState() {
+		window.addEventListener( 'popstate', () => {
+			this.restoreUrlState( { force: true } );
+		} );
+	},
+
+	/**
+	 * Mirror search, filters, page, and view mode into the query string.
+	 *
+	 * Typing in the search box rewrites the current entry
+	 * (`history.replaceState`) so every keystroke doesn't become a Back
+	 * step; discrete changes — a filter, a page, the view — push a new
+	 * entry so Back/Forward walk through them. Default values are left
+	 * out to keep shared links short, and unrelated params (`page=…`)
+	 * are preserved.
+	 *
+	 * @param {'replace'|'push'} mode History method to use.
+	 */
+	syncUrlState( mode = 'replace' ) {
+		if ( ! window.history || ! window.URLSearchParams ) {
+			return;
+		}
+		const keys = AbilitiesListModule.URL_KEYS;
+		const url = new URL( window.location.href );
+		const values = {
+			[ keys.search ]: ( this.searchInput?.value || '' ).trim(),
+			[ keys.category ]: this.categoryFilter?.value || '',
+			[ keys.supplier ]: this.supplierFilter?.value || '',
+			[ keys.annotation ]: this.annotationFilter?.value || '',
+			[ keys.page ]: 'paginated' === this.viewMode && this.currentPage > 1 ? String( this.currentPage ) : '',
+			[ keys.view ]: this.viewMode !== this.savedViewMode ? this.viewMode : '',
+		};
+
+		Object.entries( values ).forEach( ( [ key, value ] ) => {
+			if ( value ) {
+				url.searchParams.set( key, value );
+			} else {
+				url.searchParams.delete( key );
+			}
+		} );
+
+		if ( url.href === window.location.href ) {
+			return;
+		}
+		if ( 'push' === mode ) {
+			window.history.pushState( null, '', url );
+		} else {
+			window.history.replaceState( window.history.state, '', url );
+		}
+	},
+
+	/**
+	 * Apply list state from the query string.
+	 *
+	 * Every value is validated before use: the view goes through
+	 * `normalizeViewMode`, and filter values must match an `<option>` that
+	 * was actually rendered — a link naming a supplier this site doesn't
+	 * have falls back to "All" instead of filtering everything out.
+	 *
+	 * @param {Object}  [options]
+	 * @param {boolean} [options.force] Re-render even when the URL carries no state (popstate back to a bare URL).
+	 * @return {boolean} Whether the list was re-rendered.
+	 */
+	restoreUrlState( options = {} ) {
+		const keys = AbilitiesListModule.URL_KEYS;
+		const params = new URLSearchParams( window.location.search );
+		const hasState = Object.values( keys ).some( ( key ) => params.has( key ) );
+		if ( ! hasState && ! options.force ) {
+			return false;
+		}
+
+		if ( this.searchInput ) {
+			this.searchInput.value = params.get( keys.search ) || '';
+		}
+		[
+			[ this.categoryFilter, keys.category ],
+			[ this.supplierFilter, keys.supplier ],
+			[ this.annotationFilter, keys.annotation ],
+		].forEach( ( [ select, key ] ) => {
+			if ( ! select ) {
+				return;
+			}
+			const value = params.get( key ) || '';
+			const exists = Array.from( select.options ).some( ( option ) => option.value === value );
+			select.value = exists ? value : '';
+		} );
+
+		const mode = params.has( keys.view )
+			? AbilitiesListModule.normalizeViewMode( params.get( keys.view ) )
+			: this.savedViewMode;
+		if ( mode !== this.viewMode ) {
+			// A shared link shows the sender's view without overwriting the
+			// recipient's saved preference.
+			this.applyViewMode( mode, { persist: false } );
+		}
+
+		const page = parseInt( params.get( keys.page ) || '1', 10 );
+		this.currentPage = Number.isFinite( page ) && page > 0 ? page : 1;
+
+		// applyFilters() clamps an out-of-range page to the last one.
+		this.applyFilters();
+		return true;
+	},
+
 	bindRowExpand() {
 		this.list.addEventListener( 'click', ( e ) => {
 			const button = e.target.closest( '.ability-row-expand' );
@@ -198,393 +678,4301 @@ const AbilitiesListModule = {
 			button.setAttribute( 'aria-expanded', String( ! isExpanded ) );
 			target.hidden = isExpanded;
 			row.classList.toggle( 'is-expanded', ! isExpanded );
+			if ( ! isExpanded ) {
+				this.loadActivity( row );
+			}
 		} );
 	},
 
 	/**
-	 * Per-row toggle handler with optimistic UI + AJAX save + revert.
+	 * Import flow: choose a preset file, review the diff (changed rows are
+	 * highlighted in the list), then apply everything in one request.
+	 */
+	bindImport() {
+		this.importPanel = document.getElementById( 'albert-abilities-import' );
+		this.importFile = document.getElementById( 'albert-abilities-import-file' );
+		const trigger = document.getElementById( 'albert-abilities-import-trigger' );
+		if ( ! this.importPanel || ! this.importFile || ! trigger ) {
+			return;
+		}
+		this.pendingImport = null;
+
+		trigger.addEventListener( 'click', () => this.importFile.click() );
+		this.importFile.addEventListener( 'change', () => {
+			const file = this.importFile.files[ 0 ];
+			this.importFile.value = '';
+			if ( file ) {
+				this.readPreset( file );
+			}
+		} );
+		document.getElementById( 'albert-abilities-import-apply' )?.addEventListener( 'click', () => this.applyImport() );
+		document.getElementById( 'albert-abilities-import-cancel' )?.addEventListener( 'click', () => {
+			this.cancelImport();
+			trigger.focus();
+		} );
+	},
+
+	readPreset( file ) {
+		const i18n = window.albertAdmin?.i18n || {};
+		if ( file.size > AbilitiesListModule.IMPORT_MAX_BYTES ) {
+			this.showError( i18n.importTooLarge || 'This file is too large to be a configuration preset.' );
+			return;
+		}
+		file.text()
+			.then( ( text ) => {
+				const preset = JSON.parse( text );
+				if ( ! AbilitiesListModule.isPreset( preset ) ) {
+					throw new Error( 'not a preset' );
+				}
+				this.previewImport( preset, text );
+			} )
+			.catch( () => {
+				this.showError( i18n.importInvalid || 'This file is not an Albert abilities configuration.' );
+			} );
+	},
+
+	/**
+	 * Shape check mirroring the server's; the server validates again.
 	 *
-	 * The flow on click is:
+	 * @param {*} preset Parsed JSON.
+	 * @return {boolean} Whether it looks like an exported preset.
+	 */
+	isPreset( preset ) {
+		return !! preset &&
+			'albert-ai-butler' === preset.plugin &&
+			Number.isInteger( preset.version ) &&
+			Array.isArray( preset.disabled_abilities );
+	},
+
+	/**
+	 * Work out what the preset would change and show it for review.
 	 *
-	 *   1. Confirm destructive abilities BEFORE optimistic update; if the
-	 *      user cancels, snap the checkbox back and stop.
-	 *   2. Apply the optimistic state immediately (data-enabled, the
-	 *      visible "Enabled / Disabled" word, the live enabled count) so
-	 *      sighted users see instant feedback.
-	 *   3. Disable the checkbox so a rapid double-click can't race the
-	 *      pending request, and POST to wp_ajax_albert_toggle_ability.
-	 *   4. On success, re-enable the checkbox.
-	 *      On failure, revert every optimistic mutation, re-enable the
-	 *      checkbox, and surface the error in the inline notice.
+	 * @param {Object} preset Parsed preset.
+	 * @param {string} raw    File contents, sent to the server unchanged.
 	 */
-	bindRowToggle() {
-		this.list.addEventListener( 'change', ( e ) => {
-			const checkbox = e.target.closest( '.ability-row-checkbox' );
-			if ( ! checkbox ) {
-				return;
-			}
-			const row = checkbox.closest( '.ability-row' );
-			if ( ! row ) {
-				return;
-			}
+	previewImport( preset, raw ) {
+		this.cancelImport();
 
-			const i18n = window.albertAdmin?.i18n || {};
-			const nextEnabled = checkbox.checked;
+		const i18n = window.albertAdmin?.i18n || {};
+		const disabled = new Set( preset.disabled_abilities.filter( ( id ) => 'string' === typeof id ) );
+		const known = new Set( this.rows.map( ( row ) => row.dataset.abilityId ) );
+		const { toEnable, toDisable } = this.importDiff( disabled );
 
-			// Destructive confirm before any optimistic update.
-			if ( nextEnabled && row.dataset.destructive === '1' ) {
-				const confirmText = i18n.destructiveConfirm || 'This ability can permanently delete data. Are you sure you want to enable it?';
-				// eslint-disable-next-line no-alert
-				if ( ! window.confirm( confirmText ) ) {
-					checkbox.checked = false;
-					return;
-				}
-			}
+		toEnable.forEach( ( row ) => {
+			row.classList.add( 'is-import-change' );
+			row.dataset.importChange = 'enable';
+		} );
+		toDisable.forEach( ( row ) => {
+			row.classList.add( 'is-import-change' );
+			row.dataset.importChange = 'disable';
+		} );
+		const unknown = Array.from( disabled ).filter( ( id ) => ! known.has( id ) );
+		const preferenceChanges = this.importPreferenceChanges( preset.preferences || {} );
 
-			this.applyToggleState( row, nextEnabled );
-			this.persistAbilityToggle( row, checkbox, nextEnabled );
+		const summary = this.importPanel.querySelector( '.albert-abilities-import-summary' );
+		summary.textContent = toEnable.length || toDisable.length
+			? ( i18n.importSummary || 'Applying this file will enable %1$s and disable %2$s abilities. Affected rows are highlighted below.' )
+				.replace( '%1$s', String( toEnable.length ) )
+				.replace( '%2$s', String( toDisable.length ) )
+			: i18n.importNoChanges || 'This file matches the current configuration. Nothing will change.';
+
+		const changes = this.importPanel.querySelector( '.albert-abilities-import-changes' );
+		changes.replaceChildren(
+			...[
+				[ i18n.importWillEnable || 'Will be enabled', toEnable.map( ( row ) => AbilitiesListModule.rowLabel( row ) ) ],
+				[ i18n.importWillDisable || 'Will be disabled', toDisable.map( ( row ) => AbilitiesListModule.rowLabel( row ) ) ],
+				[ i18n.importUnknown || 'Not installed on this site (kept disabled in case they are added later)', unknown ],
+				[ i18n.importPreferences || 'View preferences', preferenceChanges ],
+			]
+				.filter( ( [ , items ] ) => items.length )
+				.map( ( [ heading, items ] ) => AbilitiesListModule.importChangeList( heading, items ) )
+		);
+
+		this.pendingImport = { raw, unknown };
+		this.importPanel.hidden = false;
+		this.importPanel.querySelector( 'h2' ).focus();
+	},
+
+	/**
+	 * Rows whose state differs from a disabled-abilities list, in list order.
+	 *
+	 * @param {Set<string>} disabled Ability ids that end up disabled.
+	 * @return {{toEnable: Array<HTMLElement>, toDisable: Array<HTMLElement>}} Rows to flip each way.
+	 */
+	importDiff( disabled ) {
+		const toEnable = [];
+		const toDisable = [];
+
+		this.serverOrder.forEach( ( row ) => {
+			const isEnabled = row.dataset.enabled === '1';
+			const willEnable = ! disabled.has( row.dataset.abilityId );
+			if ( isEnabled !== willEnable ) {
+				( willEnable ? toEnable : toDisable ).push( row );
+			}
 		} );
+
+		return { toEnable, toDisable };
 	},
 
 	/**
-	 * Apply the visual state of an ability row to match its checkbox.
+	 * Human-readable "name: old → new" lines for preferences that differ.
 	 *
-	 * Updates `data-enabled` and the running enabled count. The visible
-	 * "Enabled / Disabled" text is handled entirely by CSS — both words
-	 * are rendered in the DOM and cross-fade based on
-	 * `.albert-toggle:has(input:checked)`, so there's no JS text swap.
+	 * @param {Object} prefs `preferences` from the preset.
+	 * @return {Array<string>} One line per changed preference.
 	 */
-	applyToggleState( row, enabled ) {
-		row.dataset.enabled = enabled ? '1' : '0';
-		this.enabled += enabled ? 1 : -1;
-		this.updateStats();
+	importPreferenceChanges( prefs ) {
+		const i18n = window.albertAdmin?.i18n || {};
+		const template = i18n.importPrefChange || '%1$s: %2$s → %3$s';
+		const viewLabel = ( mode ) => this.viewButtons.find( ( btn ) => btn.dataset.view === mode )?.textContent.trim() || mode;
+		const groupLabel = ( by ) => Array.from( this.groupBySelect?.options || [] ).find( ( o ) => o.value === by )?.textContent.trim() || by;
+		const lines = [];
+		const add = ( name, from, to ) => {
+			lines.push( template.replace( '%1$s', name ).replace( '%2$s', from ).replace( '%3$s', to ) );
+		};
+
+		if ( 'string' === typeof prefs.view_mode ) {
+			const mode = AbilitiesListModule.normalizeViewMode( prefs.view_mode );
+			if ( mode !== this.savedViewMode ) {
+				add( i18n.importViewMode || 'View mode', viewLabel( this.savedViewMode ), viewLabel( mode ) );
+			}
+		}
+		const rows = parseInt( prefs.rows_per_page, 10 );
+		if ( rows && rows !== this.rowsPerPage && this.rowsPerPageSelect?.querySelector( `option[value="${ rows }"]` ) ) {
+			add( i18n.importRowsPerPage || 'Rows per page', String( this.rowsPerPage ), String( rows ) );
+		}
+		const by = prefs.grouping && prefs.grouping.by;
+		if ( ( 'category' === by || 'supplier' === by ) && by !== this.groupBy ) {
+			add( i18n.importGroupBy || 'Group by', groupLabel( this.groupBy ), groupLabel( by ) );
+		}
+		return lines;
+	},
+
+	importChangeList( heading, items ) {
+		const section = document.createElement( 'div' );
+		section.className = 'albert-abilities-import-group';
+		const title = document.createElement( 'h3' );
+		title.textContent = `${ heading } (${ items.length })`;
+		const list = document.createElement( 'ul' );
+		items.forEach( ( item ) => {
+			const li = document.createElement( 'li' );
+			li.textContent = item;
+			list.appendChild( li );
+		} );
+		section.append( title, list );
+		return section;
+	},
+
+	cancelImport() {
+		this.rows.forEach( ( row ) => {
+			row.classList.remove( 'is-import-change' );
+			delete row.dataset.importChange;
+		} );
+		this.pendingImport = null;
+		if ( this.importPanel ) {
+			this.importPanel.hidden = true;
+		}
 	},
 
 	/**
-	 * POST the new state to wp_ajax_albert_toggle_ability.
+	 * Send the preset and, once saved, mirror the result in the list: row
+	 * states, then any changed view preferences (already stored server-side,
+	 * so they are applied without saving again).
 	 *
-	 * Disables the checkbox while in flight (to block double-clicks racing
-	 * each other), reverts on failure, and surfaces an error notice if the
-	 * request can't complete.
+	 * Row states follow the disabled list the server saved, diffed against
+	 * the rows as they are now, so toggles made while the preview was open
+	 * are accounted for. The import replaces the whole configuration, so
+	 * the undo history, whose entries predate it, is cleared.
 	 */
-	persistAbilityToggle( row, checkbox, enabled ) {
+	applyImport() {
 		const cfg = window.albertAdmin || {};
-		if ( ! cfg.ajaxUrl || ! cfg.toggleAbilityNonce ) {
-			this.revertToggle( row, checkbox, ! enabled );
-			this.showError( ( cfg.i18n && cfg.i18n.saveError ) || 'Could not save your change. Please try again.' );
+		const i18n = cfg.i18n || {};
+		const pending = this.pendingImport;
+		if ( ! pending || ! cfg.ajaxUrl || ! cfg.importNonce ) {
 			return;
 		}
+		const applyButton = document.getElementById( 'albert-abilities-import-apply' );
+		applyButton.disabled = true;
 
-		checkbox.disabled = true;
-
-		Albert.ajax.post( cfg.ajaxUrl, {
-			action: 'albert_toggle_ability',
-			nonce: cfg.toggleAbilityNonce,
-			ability_id: row.dataset.abilityId || '',
-			enabled: enabled ? '1' : '0',
+		Albert.ajax.json( cfg.ajaxUrl, {
+			action: 'albert_import_abilities',
+			nonce: cfg.importNonce,
+			preset: pending.raw,
+		}, {
+			failed: i18n.saveError || 'Could not save your change. Please try again.',
+			expired: i18n.sessionExpired,
 		} )
-			.then( ( response ) => {
-				if ( ! response.ok ) {
-					const msg = response.status === 403
-						? ( cfg.i18n && cfg.i18n.sessionExpired ) || 'Your session has expired. Reload the page and try again.'
-						: ( cfg.i18n && cfg.i18n.saveError ) || 'Could not save your change. Please try again.';
-					throw new Error( msg );
+			.then( ( data ) => {
+				// The preset replaced the whole disabled list server-side,
+				// so nothing still queued should be replayed over it.
+				Array.from( this.saveQueue.keys() ).forEach( ( abilityId ) => this.dequeue( abilityId ) );
+				this.renderPendingChanges();
+				const disabled = Array.isArray( data.disabled_abilities ) ? data.disabled_abilities : [];
+				const { toEnable, toDisable } = this.importDiff( new Set( disabled ) );
+				if ( toEnable.length ) {
+					this.applyBulkState( toEnable, true );
+				}
+				if ( toDisable.length ) {
+					this.applyBulkState( toDisable, false );
+				}
+				this.clearHistory();
+				this.applyImportedPreferences( data.preferences || {} );
+				this.cancelImport();
+
+				let message = ( i18n.importApplied || 'Configuration imported: %1$s enabled, %2$s disabled.' )
+					.replace( '%1$s', String( toEnable.length ) )
+					.replace( '%2$s', String( toDisable.length ) );
+				if ( data.unknown && data.unknown.length ) {
+					message += ' ' + ( i18n.importKeptUnknown || '%s ability IDs are not installed here and were kept as disabled.' )
+						.replace( '%s', String( data.unknown.length ) );
 				}
-				checkbox.disabled = false;
+				Albert.toast.show( message, { closeLabel: i18n.dismiss || 'Dismiss' } );
 			} )
 			.catch( ( err ) => {
-				checkbox.disabled = false;
-				this.revertToggle( row, checkbox, ! enabled );
-				this.showError( err.message || ( cfg.i18n && cfg.i18n.saveError ) || 'Could not save your change. Please try again.' );
+				this.showError( err.message );
+			} )
+			.finally( () => {
+				applyButton.disabled = false;
 			} );
 	},
 
-	/**
+	applyImportedPreferences( prefs ) {
+		const rows = parseInt( prefs.rows_per_page, 10 );
+		if ( rows && rows !== this.rowsPerPage ) {
+			this.rowsPerPage = rows;
+			if ( this.rowsPerPageSelect ) {
+				this.rowsPerPageSelect.value = String( rows );
+			}
+		}
+		if ( prefs.grouping ) {
+			this.groupBy = 'supplier' === prefs.grouping.by ? 'supplier' : 'category';
+			this.collapsedGroups = new Set( Array.isArray( prefs.grouping.collapsed ) ? prefs.grouping.collapsed : [] );
+			if ( this.groupBySelect ) {
+				this.groupBySelect.value = this.groupBy;
+			}
+		}
+		const mode = AbilitiesListModule.normalizeViewMode( prefs.view_mode );
+		this.savedViewMode = mode;
+		// applyViewMode() rebuilds groups and re-renders; skip its save, the
+		// server stored the preset's preferences already.
+		this.applyViewMode( mode, { persist: false } );
+		this.syncUrlState( 'replace' );
+	},
+
+	/**
+	 * Switch the usage sparkline between the 7- and 30-day range.
+	 */
+	bindActivity() {
+		this.list.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '.ability-usage-range button[data-days]' );
+			if ( ! button ) {
+				return;
+			}
+			const row = button.closest( '.ability-row' );
+			const state = this.activity.get( row );
+			if ( state && state.data ) {
+				state.range = parseInt( button.dataset.days, 10 );
+				this.renderUsage( row, state );
+			}
+		} );
+	},
+
+	/**
+	 * Fetch an ability's recent runs and daily usage for its details panel.
+	 *
+	 * Called whenever the panel opens; a fetch younger than ACTIVITY_TTL is
+	 * reused. The response replaces the server-rendered "Last run" line
+	 * (which was current only at page load) and fills in the usage
+	 * sparkline and recent callers.
+	 *
+	 * @param {HTMLElement} row Ability row whose panel just opened.
+	 */
+	loadActivity( row ) {
+		const cfg = window.albertAdmin || {};
+		if ( ! cfg.ajaxUrl || ! cfg.activityNonce ) {
+			return;
+		}
+		const state = this.activity.get( row ) || { range: 30 };
+		if ( state.pending || ( state.fetchedAt && Date.now() - state.fetchedAt < AbilitiesListModule.ACTIVITY_TTL ) ) {
+			return;
+		}
+		state.pending = true;
+		this.activity.set( row, state );
+
+		const details = row.querySelector( '.ability-row-details' );
+		details.setAttribute( 'aria-busy', 'true' );
+
+		Albert.ajax.post( cfg.ajaxUrl, {
+			action: 'albert_ability_activity',
+			nonce: cfg.activityNonce,
+			ability_id: row.dataset.abilityId || '',
+		} )
+			.then( ( response ) => ( response.ok ? response.json() : Promise.reject( new Error( String( response.status ) ) ) ) )
+			.then( ( json ) => {
+				if ( ! json || ! json.success ) {
+					throw new Error( 'albert_ability_activity failed' );
+				}
+				Albert.relativeTime.syncClock( json.data.now );
+				state.data = json.data;
+				state.fetchedAt = Date.now();
+				this.renderActivity( row, state );
+			} )
+			.catch( () => {
+				this.renderActivityError( row );
+			} )
+			.finally( () => {
+				state.pending = false;
+				details.removeAttribute( 'aria-busy' );
+			} );
+	},
+
+	renderActivity( row, state ) {
+		const i18n = window.albertAdmin?.i18n || {};
+		const { runs, retention } = state.data;
+
+		const lastRun = row.querySelector( '.ability-row-last-run' );
+		if ( lastRun ) {
+			const line = document.createElement( 'span' );
+			line.className = 'albert-ability__log-line';
+			if ( runs.length ) {
+				line.append( AbilitiesListModule.runFragment( runs[ 0 ], i18n.lastRunBy || '%1$s by %2$s' ) );
+			} else {
+				line.classList.add( 'albert-ability__log-line--empty' );
+				line.textContent = i18n.neverRun || 'Never run yet';
+			}
+			lastRun.replaceChildren( line );
+		}
+
+		const callers = row.querySelector( '.ability-row-callers' );
+		if ( callers ) {
+			if ( runs.length ) {
+				const listEl = document.createElement( 'ol' );
+				listEl.className = 'ability-row-callers-list';
+				runs.forEach( ( run ) => {
+					const item = document.createElement( 'li' );
+					item.append( AbilitiesListModule.runFragment( run, i18n.lastRunBy || '%1$s by %2$s' ) );
+					listEl.appendChild( item );
+				} );
+				callers.replaceChildren( listEl );
+				// The log prunes each ability to its last `retention` runs;
+				// say so rather than suggest nobody called it before.
+				if ( runs.length >= retention ) {
+					const note = document.createElement( 'span' );
+					note.className = 'ability-callers-note';
+					note.textContent = ( i18n.callersRetention || 'Only the last %s runs are kept.' )
+						.replace( '%s', String( retention ) );
+					callers.appendChild( note );
+				}
+			} else {
+				callers.textContent = i18n.noCallers || 'No recent runs.';
+			}
+			this.revealActivityField( callers );
+		}
+
+		this.renderUsage( row, state );
+	},
+
+	/**
+	 * "<time>5 minutes ago</time> by <strong>Name</strong>" from a
+	 * translated template, built from nodes so names are never parsed as HTML.
+	 *
+	 * @param {{user: string, timestamp: number}} run      One run from the activity endpoint.
+	 * @param {string}                            template `%1$s` = time, `%2$s` = user.
+	 * @return {DocumentFragment} The filled template.
+	 */
+	runFragment( run, template ) {
+		const name = document.createElement( 'strong' );
+		name.textContent = run.user;
+		const nodes = { '%1$s': Albert.relativeTime.create( run.timestamp ), '%2$s': name };
+
+		const fragment = document.createDocumentFragment();
+		template.split( /(%[12]\$s)/ ).forEach( ( part ) => {
+			if ( nodes[ part ] ) {
+				fragment.appendChild( nodes[ part ] );
+			} else if ( part ) {
+				fragment.appendChild( document.createTextNode( part ) );
+			}
+		} );
+		return fragment;
+	},
+
+	/**
+	 * Draw the usage sparkline for the selected range: one bar per day,
+	 * each with a <title> tooltip, plus a text summary that doubles as the
+	 * chart's accessible name. The counts come from the per-day totals,
+	 * not the pruned log, so they cover the whole range.
+	 */
+	renderUsage( row, state ) {
+		const usage = row.querySelector( '.ability-row-usage' );
+		if ( ! usage ) {
+			return;
+		}
+		const i18n = window.albertAdmin?.i18n || {};
+		const { days } = state.data;
+		const shown = days.slice( -state.range );
+		const total = shown.reduce( ( sum, day ) => sum + day.runs, 0 );
+		const max = Math.max( 1, ...shown.map( ( day ) => day.runs ) );
+		const summary = ( i18n.usageSummary || '%1$s runs in the last %2$s days' )
+			.replace( '%1$s', String( total ) )
+			.replace( '%2$s', String( state.range ) );
+
+		const range = document.createElement( 'div' );
+		range.className = 'ability-usage-range';
+		range.setAttribute( 'role', 'group' );
+		[ [ 7, i18n.usage7 || '7 days' ], [ 30, i18n.usage30 || '30 days' ] ].forEach( ( [ value, label ] ) => {
+			const button = document.createElement( 'button' );
+			button.type = 'button';
+			button.className = 'button button-small';
+			button.dataset.days = String( value );
+			button.setAttribute( 'aria-pressed', String( value === state.range ) );
+			button.textContent = label;
+			range.appendChild( button );
+		} );
+
+		const svgNs = 'http://www.w3.org/2000/svg';
+		const barWidth = 4;
+		const gap = 2;
+		const height = 24;
+		const svg = document.createElementNS( svgNs, 'svg' );
+		svg.setAttribute( 'class', 'ability-usage-sparkline' );
+		svg.setAttribute( 'viewBox', `0 0 ${ shown.length * ( barWidth + gap ) } ${ height }` );
+		svg.setAttribute( 'role', 'img' );
+		svg.setAttribute( 'aria-label', summary );
+		shown.forEach( ( day, i ) => {
+			const barHeight = day.runs ? Math.max( 2, Math.round( ( day.runs / max ) * height ) ) : 1;
+			const rect = document.createElementNS( svgNs, 'rect' );
+			rect.setAttribute( 'x', String( i * ( barWidth + gap ) ) );
+			rect.setAttribute( 'y', String( height - barHeight ) );
+			rect.setAttribute( 'width', String( barWidth ) );
+			rect.setAttribute( 'height', String( barHeight ) );
+			rect.setAttribute( 'class', day.runs ? 'is-active' : 'is-empty' );
+			const title = document.createElementNS( svgNs, 'title' );
+			const date = new Date( day.date + 'T00:00:00' ).toLocaleDateString( undefined, { month: 'short', day: 'numeric' } );
+			title.textContent = ( i18n.usageDay || '%1$s: %2$s runs' )
+				.replace( '%1$s', date )
+				.replace( '%2$s', String( day.runs ) );
+			rect.appendChild( title );
+			svg.appendChild( rect );
+		} );
+
+		const caption = document.createElement( 'span' );
+		caption.className = 'ability-usage-summary';
+		caption.setAttribute( 'aria-hidden', 'true' );
+		caption.textContent = summary;
+
+		const hadFocus = usage.contains( document.activeElement ) ? state.range : null;
+		usage.replaceChildren( range, svg, caption );
+		if ( row !== this.activeRow ) {
+			// Keep the new range buttons out of the Tab order like the rest
+			// of an inactive row (see bindKeyboard).
+			this.setRowTabbable( row, false );
+		}
+		if ( hadFocus ) {
+			usage.querySelector( `button[data-days="${ hadFocus }"]` )?.focus();
+		}
+		this.revealActivityField( usage );
+	},
+
+	renderActivityError( row ) {
+		const usage = row.querySelector( '.ability-row-usage' );
+		if ( ! usage ) {
+			return;
+		}
+		const i18n = window.albertAdmin?.i18n || {};
+		usage.textContent = i18n.activityError || 'Could not load recent activity.';
+		this.revealActivityField( usage );
+	},
+
+	/**
+	 * Un-hide a server-rendered activity <dd> and its preceding <dt>.
+	 *
+	 * @param {HTMLElement} dd The field to show.
+	 */
+	revealActivityField( dd ) {
+		dd.hidden = false;
+		const term = dd.previousElementSibling;
+		if ( term && term.matches( 'dt.ability-row-activity-term' ) ) {
+			term.hidden = false;
+		}
+	},
+
+	/**
+	 * Per-row toggle handler with optimistic UI + AJAX save + revert.
+	 *
+	 * The flow on click is:
+	 *
+	 *   1. Apply the optimistic state immediately (data-enabled, the
+	 *      visible "Enabled / Disabled" word, the live enabled count) so
+	 *      sighted users see instant feedback.
+	 *   2. Record the change in the undo history and show an "Undo" toast.
+	 *      Destructive abilities get a warning-toned toast with a longer
+	 *      window instead of a blocking confirm().
+	 *   3. Disable the checkbox so a rapid double-click can't race the
+	 *      pending request, and POST to wp_ajax_albert_toggle_ability.
+	 *   4. On success, re-enable the checkbox.
+	 *      On a network error or an expired nonce, keep the new state and
+	 *      hand the change to the save queue (see bindSaveQueue()).
+	 *      On any other failure, revert every optimistic mutation, drop
+	 *      the history entry, re-enable the checkbox, and surface the error.
+	 */
+	bindRowToggle() {
+		this.list.addEventListener( 'change', ( e ) => {
+			const checkbox = e.target.closest( '.ability-row-checkbox' );
+			if ( ! checkbox ) {
+				return;
+			}
+			const row = checkbox.closest( '.ability-row' );
+			if ( ! row ) {
+				return;
+			}
+
+			const nextEnabled = checkbox.checked;
+
+			this.applyToggleState( row, nextEnabled );
+			const entry = this.recordToggle( [ row ], nextEnabled );
+			this.persistAbilityToggle( row, checkbox, nextEnabled ).then( ( ok ) => {
+				if ( ! ok ) {
+					this.forgetToggle( entry );
+				}
+			} );
+		} );
+	},
+
+	/**
+	 * Apply the visual state of an ability row to match its checkbox.
+	 *
+	 * Updates `data-enabled` and the running enabled count. The visible
+	 * "Enabled / Disabled" text is handled entirely by CSS — both words
+	 * are rendered in the DOM and cross-fade based on
+	 * `.albert-toggle:has(input:checked)`, so there's no JS text swap.
+	 * Like `applyBulkState`, a row already in that state is left as is.
+	 */
+	applyToggleState( row, enabled ) {
+		const state = enabled ? '1' : '0';
+		if ( row.dataset.enabled !== state ) {
+			row.dataset.enabled = state;
+			this.enabled += enabled ? 1 : -1;
+		}
+		this.updateStats();
+	},
+
+	/**
+	 * POST the new state to wp_ajax_albert_toggle_ability.
+	 *
+	 * Disables the checkbox while in flight (to block double-clicks racing
+	 * each other). A change that fails for a recoverable reason — no
+	 * network, a 5xx, an expired nonce — goes to the save queue and keeps
+	 * its optimistic state; anything else (a rejected id, missing
+	 * capability) reverts and surfaces an error notice.
+	 *
+	 * Resolves false only when the change was reverted.
+	 */
+	persistAbilityToggle( row, checkbox, enabled ) {
+		const cfg = window.albertAdmin || {};
+		if ( ! cfg.ajaxUrl || ! cfg.toggleAbilityNonce ) {
+			this.revertToggle( row, checkbox, ! enabled );
+			this.showError( ( cfg.i18n && cfg.i18n.saveError ) || 'Could not save your change. Please try again.' );
+			return Promise.resolve( false );
+		}
+
+		const abilityId = row.dataset.abilityId || '';
+
+		// Once something is queued, later changes line up behind it so a
+		// replay can't overwrite a newer choice with an older one.
+		if ( this.saveQueue.size ) {
+			this.queueSave( abilityId, enabled );
+			this.flushQueue();
+			return Promise.resolve( true );
+		}
+
+		checkbox.disabled = true;
+
+		return this.postToggle( abilityId, enabled ).then( ( result ) => {
+			checkbox.disabled = false;
+			if ( 'saved' === result ) {
+				return true;
+			}
+			if ( 'failed' === result ) {
+				this.revertToggle( row, checkbox, ! enabled );
+				this.showError( ( cfg.i18n && cfg.i18n.saveError ) || 'Could not save your change. Please try again.' );
+				return false;
+			}
+			this.queueSave( abilityId, enabled );
+			this.handleQueueFailure( result );
+			return true;
+		} );
+	},
+
+	/**
+	 * Send one toggle and classify the outcome for the caller.
+	 *
+	 * @param {string}  abilityId Ability id.
+	 * @param {boolean} enabled   Target state.
+	 * @return {Promise<string>} 'saved', 'expired' (403 — nonce or session),
+	 *                           'retry' (network error or 5xx) or 'failed'.
+	 */
+	postToggle( abilityId, enabled ) {
+		const cfg = window.albertAdmin || {};
+		return this.saveResult( Albert.ajax.post( cfg.ajaxUrl, {
+			action: 'albert_toggle_ability',
+			nonce: cfg.toggleAbilityNonce,
+			ability_id: abilityId,
+			enabled: enabled ? '1' : '0',
+		} ) );
+	},
+
+	/**
+	 * Send a batch of toggles; outcomes as for postToggle().
+	 *
+	 * @param {Array<string>} abilityIds Ability ids.
+	 * @param {boolean}       enabled    Target state.
+	 * @return {Promise<string>} 'saved', 'expired', 'retry' or 'failed'.
+	 */
+	postBulkToggle( abilityIds, enabled ) {
+		const cfg = window.albertAdmin || {};
+		return this.saveResult( Albert.ajax.post( cfg.ajaxUrl, {
+			action: 'albert_toggle_abilities',
+			nonce: cfg.toggleAbilityNonce,
+			ability_ids: abilityIds.join( ',' ),
+			enabled: enabled ? '1' : '0',
+		} ) );
+	},
+
+	saveResult( request ) {
+		return request
+			.then( ( response ) => {
+				if ( response.ok ) {
+					return 'saved';
+				}
+				if ( 403 === response.status ) {
+					return 'expired';
+				}
+				return response.status >= 500 ? 'retry' : 'failed';
+			} )
+			.catch( () => 'retry' );
+	},
+
+	/**
+	 * Pending-changes queue for toggles that could not be saved yet.
+	 *
+	 * The queue maps ability id → wanted state (a later toggle of the same
+	 * ability replaces the earlier one) and is mirrored to localStorage, so
+	 * closing the tab while offline doesn't lose the user's choices: on the
+	 * next load, entries that still differ from the server-rendered state
+	 * are re-applied to the rows and replayed.
+	 *
+	 * Replays happen on a doubling backoff, immediately when the browser
+	 * reports it is back online, and on "Retry now". A 403 fetches fresh
+	 * nonces first (wp_ajax_albert_refresh_abilities_nonces) instead of
+	 * asking for a reload.
+	 */
+	bindSaveQueue() {
+		this.saveQueue = new Map();
+		this.queueState = 'retry';
+		this.queueAttempts = 0;
+		this.queueSaved = 0;
+		this.flushing = false;
+		this.pendingNode = document.getElementById( 'albert-abilities-pending' );
+		this.pendingText = this.pendingNode?.querySelector( '.albert-abilities-pending-text' ) || null;
+
+		document.getElementById( 'albert-abilities-pending-retry' )?.addEventListener( 'click', () => {
+			this.queueAttempts = 0;
+			this.flushQueue();
+		} );
+		window.addEventListener( 'online', () => {
+			this.queueAttempts = 0;
+			this.flushQueue();
+		} );
+		window.addEventListener( 'offline', () => {
+			if ( this.saveQueue.size && ! this.flushing ) {
+				this.queueState = 'offline';
+				this.renderPendingChanges();
+			}
+		} );
+
+		this.restoreQueue();
+	},
+
+	queueStorageKey() {
+		// admin-ajax URL differs per site, so sites of a subdirectory
+		// multisite (same origin) keep separate queues.
+		return 'albert-abilities-pending:' + ( window.albertAdmin?.ajaxUrl || '' );
+	},
+
+	storeQueue() {
+		try {
+			if ( this.saveQueue.size ) {
+				window.localStorage.setItem( this.queueStorageKey(), JSON.stringify( Object.fromEntries( this.saveQueue ) ) );
+			} else {
+				window.localStorage.removeItem( this.queueStorageKey() );
+			}
+		} catch ( e ) {
+			// Storage disabled or full: the in-memory queue still works.
+		}
+	},
+
+	restoreQueue() {
+		let stored = null;
+		try {
+			stored = JSON.parse( window.localStorage.getItem( this.queueStorageKey() ) || 'null' );
+		} catch ( e ) {
+			stored = null;
+		}
+		if ( ! stored || 'object' !== typeof stored ) {
+			return;
+		}
+
+		const byId = new Map( this.rows.map( ( row ) => [ row.dataset.abilityId, row ] ) );
+		Object.entries( stored ).forEach( ( [ abilityId, enabled ] ) => {
+			const row = byId.get( abilityId );
+			if ( ! row || 'boolean' !== typeof enabled || ( row.dataset.enabled === '1' ) === enabled ) {
+				return;
+			}
+			const checkbox = row.querySelector( '.ability-row-checkbox' );
+			if ( checkbox ) {
+				checkbox.checked = enabled;
+			}
+			this.applyToggleState( row, enabled );
+			this.saveQueue.set( abilityId, enabled );
+			row.classList.add( 'is-save-pending' );
+		} );
+
+		this.storeQueue();
+		if ( this.saveQueue.size ) {
+			this.flushQueue();
+		}
+	},
+
+	queueSave( abilityId, enabled ) {
+		this.saveQueue.set( abilityId, enabled );
+		this.rows.find( ( row ) => row.dataset.abilityId === abilityId )?.classList.add( 'is-save-pending' );
+		this.storeQueue();
+		this.renderPendingChanges();
+	},
+
+	/**
+	 * Replay queued toggles one at a time, oldest first.
+	 *
+	 * Stops at the first recoverable failure and hands it to
+	 * handleQueueFailure(); a 'failed' entry is dropped (and reverted) so
+	 * one bad id can't block the rest of the queue.
+	 */
+	flushQueue() {
+		if ( this.flushing || ! this.saveQueue.size ) {
+			return;
+		}
+		clearTimeout( this.retryTimer );
+		if ( false === navigator.onLine ) {
+			this.queueState = 'offline';
+			this.renderPendingChanges();
+			return;
+		}
+
+		this.flushing = true;
+		this.queueState = 'saving';
+		this.renderPendingChanges();
+
+		const next = () => {
+			const [ entry ] = this.saveQueue;
+			if ( ! entry ) {
+				return Promise.resolve( 'saved' );
+			}
+			const [ abilityId, enabled ] = entry;
+			return this.postToggle( abilityId, enabled ).then( ( result ) => {
+				if ( 'retry' === result || 'expired' === result ) {
+					return result;
+				}
+				// Only dequeue if the user didn't change it again meanwhile.
+				if ( this.saveQueue.get( abilityId ) === enabled ) {
+					this.dequeue( abilityId );
+				}
+				if ( 'failed' === result ) {
+					this.revertQueued( abilityId, enabled );
+				} else {
+					this.queueSaved++;
+				}
+				return next();
+			} );
+		};
+
+		next().then( ( result ) => {
+			this.flushing = false;
+			if ( 'saved' === result && ! this.saveQueue.size ) {
+				this.queueAttempts = 0;
+				this.renderPendingChanges();
+				this.announceQueueSaved();
+				return;
+			}
+			this.handleQueueFailure( 'saved' === result ? 'retry' : result );
+		} );
+	},
+
+	dequeue( abilityId ) {
+		this.saveQueue.delete( abilityId );
+		this.rows.find( ( row ) => row.dataset.abilityId === abilityId )?.classList.remove( 'is-save-pending' );
+		this.storeQueue();
+	},
+
+	revertQueued( abilityId, enabled ) {
+		const row = this.rows.find( ( r ) => r.dataset.abilityId === abilityId );
+		const checkbox = row?.querySelector( '.ability-row-checkbox' );
+		if ( row && checkbox && checkbox.checked === enabled ) {
+			this.revertToggle( row, checkbox, ! enabled );
+		}
+		const i18n = window.albertAdmin?.i18n || {};
+		this.showError( i18n.saveError || 'Could not save your change. Please try again.' );
+	},
+
+	/**
+	 * Decide how the queue recovers from a failed send.
+	 *
+	 * @param {string} result 'retry' or 'expired' from postToggle().
+	 */
+	handleQueueFailure( result ) {
+		if ( 'expired' === result ) {
+			this.refreshNonces().then( ( state ) => {
+				if ( 'ok' === state ) {
+					this.flushQueue();
+					return;
+				}
+				this.queueState = state;
+				this.scheduleRetry();
+			} );
+			return;
+		}
+		this.queueState = false === navigator.onLine ? 'offline' : 'retry';
+		this.scheduleRetry();
+	},
+
+	/**
+	 * Fetch fresh nonces into window.albertAdmin.
+	 *
+	 * @return {Promise<string>} 'ok', 'loggedOut' (admin-ajax answered
+	 *                           without our handler, or a 403) or 'retry'.
+	 */
+	refreshNonces() {
+		const cfg = window.albertAdmin || {};
+		return Albert.ajax.json( cfg.ajaxUrl, { action: 'albert_refresh_abilities_nonces' } )
+			.then( ( data ) => {
+				Object.assign( cfg, data );
+				return 'ok';
+			} )
+			.catch( ( err ) => ( ! err.status || err.status >= 500 ? 'retry' : 'loggedOut' ) );
+	},
+
+	scheduleRetry() {
+		this.renderPendingChanges();
+		// Offline waits for the 'online' event rather than polling.
+		if ( 'offline' === this.queueState ) {
+			return;
+		}
+		const delay = Math.min( AbilitiesListModule.RETRY_BASE * ( 2 ** this.queueAttempts ), AbilitiesListModule.RETRY_MAX );
+		this.queueAttempts++;
+		clearTimeout( this.retryTimer );
+		this.retryTimer = setTimeout( () => this.flushQueue(), delay );
+	},
+
+	renderPendingChanges() {
+		if ( ! this.pendingNode || ! this.pendingText ) {
+			return;
+		}
+		const count = this.saveQueue.size;
+		this.pendingNode.hidden = 0 === count;
+		if ( ! count ) {
+			return;
+		}
+
+		const i18n = window.albertAdmin?.i18n || {};
+		const label = 1 === count
+			? i18n.pendingOne || '1 unsaved change'
+			: ( i18n.pendingMany || '%s unsaved changes' ).replace( '%s', String( count ) );
+		const reasons = {
+			saving: i18n.pendingSaving || 'Saving…',
+			offline: i18n.pendingOffline || 'You are offline. They will be saved when the connection comes back.',
+			retry: i18n.pendingRetry || 'The server could not be reached. Retrying automatically.',
+			loggedOut: i18n.pendingLoggedOut || 'You have been logged out. Log in again in another tab and they will be saved automatically.',
+		};
+		this.pendingText.textContent = `${ label } — ${ reasons[ this.queueState ] || reasons.retry }`;
+		this.pendingNode.dataset.state = this.queueState;
+	},
+
+	announceQueueSaved() {
+		if ( ! this.queueSaved ) {
+			return;
+		}
+		const i18n = window.albertAdmin?.i18n || {};
+		Albert.liveRegion.announce( ( i18n.pendingSaved || '%s queued changes saved.' ).replace( '%s', String( this.queueSaved ) ) );
+		this.queueSaved = 0;
+	},
+
+	/**
 	 * Roll a row back to a previous state after a failed save.
 	 *
-	 * Resets the checkbox first so `applyToggleState` re-derives every
-	 * dependent piece of UI from a consistent source. The optimistic
-	 * `applyToggleState` + this revert form a +1/-1 pair on the enabled
-	 * counter, so the running total ends at its original value.
+	 * Resets the checkbox first so `applyToggleState` re-derives every
+	 * dependent piece of UI from a consistent source. The optimistic
+	 * `applyToggleState` + this revert form a +1/-1 pair on the enabled
+	 * counter, so the running total ends at its original value.
+	 */
+	revertToggle( row, checkbox, previousEnabled ) {
+		checkbox.checked = previousEnabled;
+		this.applyToggleState( row, previousEnabled );
+	},
+
+	/**
+	 * Track per-row selection and the "Select all visible" master checkbox.
+	 *
+	 * Selection lives on the `.ability-row-select` checkboxes themselves;
+	 * `selectedRows()` reads it back filtered through `bulkRows()`, so rows
+	 * hidden by a later search or a collapsed section drop out of the
+	 * selection naturally.
+	 */
+	bindRowSelect() {
+		this.list.addEventListener( 'change', ( e ) => {
+			if ( e.target.closest( '.ability-row-select' ) ) {
+				this.updateBulkState();
+			}
+		} );
+
+		if ( this.selectAll ) {
+			this.selectAll.addEventListener( 'change', () => {
+				const checked = this.selectAll.checked;
+				this.bulkRows().forEach( ( row ) => {
+					const select = row.querySelector( '.ability-row-select' );
+					if ( select ) {
+						select.checked = checked;
+					}
+				} );
+				this.updateBulkState();
+			} );
+		}
+	},
+
+	bindBulkActions() {
+		this.bulkButtons.forEach( ( btn ) => {
+			btn.addEventListener( 'click', () => {
+				this.applyBulkToggle( btn.dataset.bulk === 'enable' );
+			} );
+		} );
+	},
+
+	/**
+	 * Rows bulk actions can reach: those passing the filters, minus rows
+	 * in collapsed sections of the grouped view, which the user can't see.
+	 */
+	bulkRows() {
+		return this.filteredRows().filter( ( row ) => ! this.isRowCollapsed( row ) );
+	},
+
+	selectedRows() {
+		return this.bulkRows().filter( ( row ) => row.querySelector( '.ability-row-select' )?.checked );
+	},
+
+	/**
+	 * Rows a bulk action applies to: the ticked rows if there are any,
+	 * otherwise every row that passes the current filters and is not in
+	 * a collapsed section.
+	 */
+	bulkTargetRows() {
+		const selected = this.selectedRows();
+		return selected.length ? selected : this.bulkRows();
+	},
+
+	clearSelection() {
+		this.rows.forEach( ( row ) => {
+			const select = row.querySelector( '.ability-row-select' );
+			if ( select ) {
+				select.checked = false;
+			}
+		} );
+		this.updateBulkState();
+	},
+
+	/**
+	 * Sync the master checkbox, the "n selected" counter, and the bulk
+	 * button labels with the current selection.
+	 */
+	updateBulkState() {
+		const i18n = window.albertAdmin?.i18n || {};
+		const visible = this.bulkRows().length;
+		const selected = this.selectedRows().length;
+
+		if ( this.selectAll ) {
+			this.selectAll.checked = visible > 0 && selected === visible;
+			this.selectAll.indeterminate = selected > 0 && selected < visible;
+		}
+		if ( this.selectedCountNode ) {
+			this.selectedCountNode.textContent = selected
+				? ( i18n.selectedCount || '%s selected' ).replace( '%s', String( selected ) )
+				: '';
+		}
+		this.bulkButtons.forEach( ( btn ) => {
+			const enable = btn.dataset.bulk === 'enable';
+			if ( selected ) {
+				btn.textContent = enable ? ( i18n.enableSelected || 'Enable selected' ) : ( i18n.disableSelected || 'Disable selected' );
+			} else {
+				btn.textContent = enable ? ( i18n.enableVisible || 'Enable all visible' ) : ( i18n.disableVisible || 'Disable all visible' );
+			}
+			btn.disabled = visible === 0;
+		} );
+	},
+
+	/**
+	 * Enable or disable every bulk-target row in one batched request.
+	 *
+	 * Mirrors the single-row flow in `bindRowToggle`, but for a group:
+	 *
+	 *   1. Skip rows already in the requested state.
+	 *   2. When enabling, list every destructive row in ONE confirm
+	 *      dialog; cancelling changes nothing.
+	 *   3. Apply the optimistic state to all rows, updating stats once,
+	 *      and record the whole batch as a single undo-history entry.
+	 *   4. POST the ids to wp_ajax_albert_toggle_abilities. On failure the
+	 *      whole group is rolled back together.
+	 */
+	async applyBulkToggle( enabled, targetRows = null ) {
+		const i18n = window.albertAdmin?.i18n || {};
+		const rows = ( targetRows || this.bulkTargetRows() ).filter( ( row ) => ( row.dataset.enabled === '1' ) !== enabled );
+
+		if ( ! rows.length ) {
+			Albert.liveRegion.announce( i18n.bulkNothing || 'No visible abilities need changing.' );
+			return;
+		}
+
+		if ( enabled ) {
+			const destructive = rows.filter( ( row ) => row.dataset.destructive === '1' );
+			if ( destructive.length ) {
+				const names = destructive.map( ( row ) => '• ' + AbilitiesListModule.rowLabel( row ) ).join( '\n' );
+				const template = i18n.bulkDestructive || 'The following abilities can permanently delete data:\n\n%s\n\nAre you sure you want to enable them?';
+				const confirmed = await Albert.confirmDialog.open( {
+					title: i18n.bulkConfirmTitle || 'Enable abilities that can delete data?',
+					message: template.replace( '%s', names ),
+					confirmLabel: i18n.bulkConfirm || 'Enable them',
+					cancelLabel: i18n.tryCancel || 'Cancel',
+					closeLabel: i18n.dismiss || 'Dismiss',
+				} );
+				if ( ! confirmed ) {
+					// Section switches flipped themselves on click; put them back.
+					this.updateGroups();
+					return;
+				}
+			}
+		}
+
+		this.applyBulkState( rows, enabled );
+		const entry = this.recordToggle( rows, enabled );
+		this.persistBulkToggle( rows, enabled ).then( ( ok ) => {
+			if ( ok ) {
+				// A section switch acts on its own rows, not the selection.
+				if ( ! targetRows ) {
+					this.clearSelection();
+				}
+			} else {
+				this.forgetToggle( entry );
+			}
+		} );
+	},
+
+	/**
+	 * Flip a group of rows to one state and refresh the stats line once.
+	 *
+	 * The bulk counterpart of `applyToggleState` — calling that per row
+	 * would rewrite (and re-announce) the stats line for every ability.
+	 * Rows already in the target state leave the enabled count alone, so
+	 * a repeated or stale call cannot make it drift.
+	 */
+	applyBulkState( rows, enabled ) {
+		const state = enabled ? '1' : '0';
+		rows.forEach( ( row ) => {
+			const checkbox = row.querySelector( '.ability-row-checkbox' );
+			if ( checkbox ) {
+				checkbox.checked = enabled;
+			}
+			if ( row.dataset.enabled === state ) {
+				return;
+			}
+			row.dataset.enabled = state;
+			this.enabled += enabled ? 1 : -1;
+		} );
+		this.updateStats();
+	},
+
+	/**
+	 * POST a bulk change to wp_ajax_albert_toggle_abilities.
+	 *
+	 * Locks the affected checkboxes and the bulk buttons while in flight.
+	 * Like a single toggle, a batch that fails for a recoverable reason
+	 * keeps its optimistic state and goes to the save queue, one entry
+	 * per ability; a rejected batch rolls every row back as one group.
+	 *
+	 * Resolves false only when the change was reverted.
+	 */
+	persistBulkToggle( rows, enabled ) {
+		const cfg = window.albertAdmin || {};
+		const i18n = cfg.i18n || {};
+		const saveError = i18n.saveError || 'Could not save your change. Please try again.';
+		const checkboxes = rows.map( ( row ) => row.querySelector( '.ability-row-checkbox' ) ).filter( Boolean );
+
+		if ( ! cfg.ajaxUrl || ! cfg.toggleAbilityNonce ) {
+			this.applyBulkState( rows, ! enabled );
+			this.showError( saveError );
+			return Promise.resolve( false );
+		}
+
+		const abilityIds = rows.map( ( row ) => row.dataset.abilityId || '' );
+		const queueAll = () => abilityIds.forEach( ( abilityId ) => this.queueSave( abilityId, enabled ) );
+
+		// As for a single toggle, line up behind anything already queued
+		// so a replay can't overwrite this newer choice with an older one.
+		if ( this.saveQueue.size ) {
+			queueAll();
+			this.flushQueue();
+			return Promise.resolve( true );
+		}
+
+		const setBusy = ( busy ) => {
+			checkboxes.forEach( ( checkbox ) => {
+				checkbox.disabled = busy;
+			} );
+			this.bulkButtons.forEach( ( btn ) => {
+				btn.disabled = busy;
+			} );
+		};
+		setBusy( true );
+
+		return this.postBulkToggle( abilityIds, enabled ).then( ( result ) => {
+			setBusy( false );
+			this.updateBulkState();
+			if ( 'saved' === result ) {
+				return true;
+			}
+			if ( 'failed' === result ) {
+				this.applyBulkState( rows, ! enabled );
+				this.showError( saveError );
+				return false;
+			}
+			queueAll();
+			this.handleQueueFailure( result );
+			return true;
+		} );
+	},
+
+	/**
+	 * Undo wiring: the toolbar "Undo" button and Ctrl/Cmd+Z.
+	 *
+	 * The shortcut is ignored while typing in a text field so it never
+	 * steals the browser's own text undo.
+	 */
+	bindUndo() {
+		if ( this.undoButton ) {
+			this.undoButton.addEventListener( 'click', () => this.undoLast() );
+		}
+		this.updateUndoButton();
+
+		document.addEventListener( 'keydown', ( e ) => {
+			if ( ( e.key || '' ).toLowerCase() !== 'z' || ! ( e.ctrlKey || e.metaKey ) || e.shiftKey || e.altKey ) {
+				return;
+			}
+			if ( AbilitiesListModule.isTextEntry( e.target ) ) {
+				return;
+			}
+			if ( this.history.length ) {
+				e.preventDefault();
+				this.undoLast();
+			}
+		} );
+	},
+
+	/**
+	 * Push a toggle onto the undo history and show its toast.
+	 *
+	 * @return {Object} The history entry, so a failed save can forget it.
+	 */
+	recordToggle( rows, enabled ) {
+		const entry = { rows, enabled };
+		this.history.push( entry );
+		if ( this.history.length > AbilitiesListModule.HISTORY_LIMIT ) {
+			this.history.shift();
+		}
+		this.updateUndoButton();
+		this.showToggleToast( entry );
+		return entry;
+	},
+
+	/**
+	 * Drop every undo entry, and the toast offering to undo one of them.
+	 */
+	clearHistory() {
+		this.history = [];
+		if ( Albert.toast.current && Albert.toast.current.entry ) {
+			Albert.toast.dismiss();
+		}
+		this.updateUndoButton();
+	},
+
+	forgetToggle( entry ) {
+		const index = this.history.indexOf( entry );
+		if ( index !== -1 ) {
+			this.history.splice( index, 1 );
+		}
+		if ( Albert.toast.current && Albert.toast.current.entry === entry ) {
+			Albert.toast.dismiss();
+		}
+		this.updateUndoButton();
+	},
+
+	/**
+	 * "Disabled Delete Posts — Undo" (or "Enabled 12 abilities — Undo").
+	 *
+	 * Enabling a destructive ability from its own switch gets a
+	 * warning-toned toast with a longer undo window; that toast replaces
+	 * the old blocking confirm(). Bulk enables already named every
+	 * destructive row in applyBulkToggle's confirm dialog.
+	 */
+	showToggleToast( entry ) {
+		const i18n = window.albertAdmin?.i18n || {};
+		const { rows, enabled } = entry;
+		const destructive = enabled && rows.length === 1 && rows[ 0 ].dataset.destructive === '1';
+
+		let message;
+		if ( rows.length === 1 ) {
+			const template = enabled ? i18n.toggledOn || 'Enabled %s' : i18n.toggledOff || 'Disabled %s';
+			message = template.replace( '%s', AbilitiesListModule.rowLabel( rows[ 0 ] ) );
+		} else {
+			const template = enabled ? i18n.bulkEnabled || '%s abilities enabled.' : i18n.bulkDisabled || '%s abilities disabled.';
+			message = template.replace( '%s', String( rows.length ) );
+		}
+		if ( destructive ) {
+			message += ' ' + ( i18n.destructiveWarning || 'It can permanently delete data.' );
+		}
+
+		const handle = Albert.toast.show( message, {
+			actionLabel: i18n.undo || 'Undo',
+			onAction: () => this.undoEntry( entry ),
+			tone: destructive ? 'warning' : 'info',
+			duration: destructive ? 10000 : 6000,
+			closeLabel: i18n.dismiss || 'Dismiss',
+		} );
+		handle.entry = entry;
+	},
+
+	undoLast() {
+		const entry = this.history[ this.history.length - 1 ];
+		if ( entry ) {
+			this.undoEntry( entry );
+		} else {
+			Albert.liveRegion.announce( window.albertAdmin?.i18n?.undoEmpty || 'Nothing to undo.' );
+		}
+	},
+
+	/**
+	 * Revert one history entry through the normal save paths.
+	 *
+	 * Single rows reuse `revertToggle` + `persistAbilityToggle`; batches
+	 * reuse `applyBulkState` + `persistBulkToggle`. The undo itself is not
+	 * recorded, so repeated undos walk the history backwards.
+	 */
+	undoEntry( entry ) {
+		const i18n = window.albertAdmin?.i18n || {};
+		const previous = ! entry.enabled;
+
+		this.forgetToggle( entry );
+
+		const label = entry.rows.length === 1
+			? AbilitiesListModule.rowLabel( entry.rows[ 0 ] )
+			: ( previous ? i18n.bulkEnabled || '%s abilities enabled.' : i18n.bulkDisabled || '%s abilities disabled.' ).replace( '%s', String( entry.rows.length ) );
+
+		let saved;
+		if ( entry.rows.length === 1 ) {
+			const row = entry.rows[ 0 ];
+			const checkbox = row.querySelector( '.ability-row-checkbox' );
+			this.revertToggle( row, checkbox, previous );
+			saved = this.persistAbilityToggle( row, checkbox, previous );
+		} else {
+			this.applyBulkState( entry.rows, previous );
+			saved = this.persistBulkToggle( entry.rows, previous );
+		}
+
+		saved.then( ( ok ) => {
+			if ( ok ) {
+				Albert.liveRegion.announce( ( i18n.undone || 'Reverted: %s' ).replace( '%s', label ) );
+				return;
+			}
+			// The revert didn't stick, so the original change is still live
+			// and should stay undoable.
+			this.history.push( entry );
+			this.updateUndoButton();
+		} );
+	},
+
+	updateUndoButton() {
+		if ( this.undoButton ) {
+			this.undoButton.disabled = this.history.length === 0;
+		}
+	},
+
+	/**
+	 * Visible label of an ability row, for confirms and announcements.
+	 */
+	rowLabel( row ) {
+		return row.querySelector( '.ability-row-label' )?.textContent.trim() || row.dataset.abilityId || '';
+	},
+
+	/**
+	 * Show an error notice in the dedicated inline alert region.
+	 *
+	 * Auto-dismisses after a few seconds so a transient failure doesn't
+	 * leave a permanent banner; the role="alert" attribute on the element
+	 * means screen readers announce it as soon as it appears.
+	 */
+	showError( message ) {
+		if ( ! this.errorNode ) {
+			// eslint-disable-next-line no-console
+			console.error( 'Albert:', message );
+			return;
+		}
+		this.errorNode.textContent = message;
+		this.errorNode.hidden = false;
+
+		clearTimeout( this.errorDismissTimer );
+		this.errorDismissTimer = setTimeout( () => {
+			this.errorNode.hidden = true;
+		}, 6000 );
+	},
+
+	bindPagination() {
+		if ( ! this.pagination ) {
+			return;
+		}
+		this.pagination.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( 'button[data-direction], button[data-page]' );
+			if ( ! button ) {
+				return;
+			}
+			const targets = {
+				first: 1,
+				prev: this.currentPage - 1,
+				next: this.currentPage + 1,
+				last: this.totalPages(),
+			};
+			const page = button.dataset.direction
+				? targets[ button.dataset.direction ]
+				: parseInt( button.dataset.page, 10 );
+			this.goToPage( page );
+		} );
+
+		if ( this.gotoForm ) {
+			this.gotoForm.addEventListener( 'submit', ( e ) => {
+				e.preventDefault();
+				const input = this.gotoForm.querySelector( 'input' );
+				const page = parseInt( input.value, 10 );
+				if ( Number.isFinite( page ) ) {
+					this.goToPage( page );
+				}
+				input.value = '';
+			} );
+		}
+
+		if ( this.rowsPerPageSelect ) {
+			this.rowsPerPageSelect.addEventListener( 'change', () => {
+				const size = parseInt( this.rowsPerPageSelect.value, 10 );
+				if ( ! size || size === this.rowsPerPage ) {
+					return;
+				}
+				// Keep the first row currently on screen on the new page.
+				const firstIndex = ( this.currentPage - 1 ) * this.rowsPerPage;
+				this.rowsPerPage = size;
+				this.currentPage = Math.floor( firstIndex / size ) + 1;
+				this.renderPaginationWindow();
+				this.syncUrlState( 'replace' );
+				this.saveRowsPerPage( size );
+			} );
+		}
+	},
+
+	/**
+	 * Jump to a page (paginated view) and record it in the URL.
+	 *
+	 * @param {number} page 1-based page number; clamped to the valid range.
+	 * @return {boolean} Whether the page changed.
+	 */
+	goToPage( page ) {
+		const next = Math.min( this.totalPages(), Math.max( 1, page ) );
+		if ( next === this.currentPage ) {
+			return false;
+		}
+		this.currentPage = next;
+		this.renderPaginationWindow();
+		this.syncUrlState( 'push' );
+		return true;
+	},
+
+	/**
+	 * Selector for everything inside a row that would otherwise be a Tab
+	 * stop: the select checkbox, expand button, chips, toggle, and any
+	 * links or buttons in the details panel.
+	 */
+	ROW_FOCUSABLES: 'a[href], button, input, select, textarea, [tabindex]',
+
+	/**
+	 * Whether keystrokes on this element are text input, so single-key
+	 * shortcuts must leave them alone. Checkboxes and buttons don't count.
+	 *
+	 * @param {Element} el Event target.
+	 * @return {boolean} True for text fields, selects, and contenteditable.
+	 */
+	isTextEntry( el ) {
+		return !! el && ( el.isContentEditable || el.matches( 'textarea, select, input:not([type="checkbox"]):not([type="radio"]):not([type="button"])' ) );
+	},
+
+	/**
+	 * Roving-tabindex keyboard model for the list.
+	 *
+	 * Exactly one row is a Tab stop (tabindex=0) together with its own
+	 * controls; every other row and its controls are tabindex=-1, so Tab
+	 * walks into the active row and then out of the list instead of
+	 * through every chip and toggle on the page. Within the list:
+	 *
+	 *   j / ArrowDown, k / ArrowUp  next / previous row (crossing pages)
+	 *   Home / End                  first / last row on the page
+	 *   Enter                       expand / collapse (the expand button)
+	 *   Space                       enable / disable (the row checkbox)
+	 *
+	 * Page-wide, outside text fields: `/` focuses search, `[` and `]`
+	 * change page, `?` opens the shortcut help dialog.
+	 */
+	bindKeyboard() {
+		this.rows.forEach( ( row ) => this.setRowTabbable( row, false ) );
+
+		this.list.addEventListener( 'focusin', ( e ) => {
+			const row = e.target.closest( '.ability-row' );
+			if ( row && row !== this.activeRow ) {
+				this.setActiveRow( row );
+			}
+		} );
+		this.list.addEventListener( 'keydown', ( e ) => this.handleRowKey( e ) );
+		document.addEventListener( 'keydown', ( e ) => this.handleShortcutKey( e ) );
+
+		document.addEventListener( 'click', ( e ) => {
+			if ( e.target.closest( '.albert-shortcuts-trigger' ) ) {
+				this.openShortcutHelp();
+			}
+		} );
+		if ( this.shortcutsDialog ) {
+			this.shortcutsDialog.addEventListener( 'click', ( e ) => {
+				if ( e.target === this.shortcutsDialog || e.target.closest( '.albert-shortcuts-dialog-close' ) ) {
+					this.shortcutsDialog.close();
+				}
+			} );
+		}
+	},
+
+	handleRowKey( e ) {
+		if ( e.ctrlKey || e.metaKey || e.altKey || AbilitiesListModule.isTextEntry( e.target ) ) {
+			return;
+		}
+		const row = e.target.closest( '.ability-row' );
+		if ( ! row ) {
+			return;
+		}
+		// Keys on the row itself drive it; inside the details panel they
+		// keep their native meaning (scrolling, activating links).
+		const onRow = e.target === row;
+		if ( ! onRow && ! e.target.closest( '.ability-row-main' ) ) {
+			return;
+		}
+
+		switch ( e.key ) {
+			case 'j':
+			case 'ArrowDown':
+				this.moveFocus( row, 1 );
+				break;
+			case 'k':
+			case 'ArrowUp':
+				this.moveFocus( row, -1 );
+				break;
+			case 'Home':
+			case 'End': {
+				const rows = this.navigableRows();
+				const target = 'Home' === e.key ? rows[ 0 ] : rows[ rows.length - 1 ];
+				if ( target ) {
+					this.focusRow( target );
+				}
+				break;
+			}
+			case 'Enter':
+				if ( ! onRow ) {
+					return;
+				}
+				row.querySelector( '.ability-row-expand' )?.click();
+				break;
+			case ' ':
+				if ( ! onRow ) {
+					return;
+				}
+				// click() fires `change`, so this goes through bindRowToggle's
+				// optimistic save + undo path like a mouse click would.
+				row.querySelector( '.ability-row-checkbox' )?.click();
+				break;
+			default:
+				return;
+		}
+		e.preventDefault();
+	},
+
+	handleShortcutKey( e ) {
+		if ( e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || AbilitiesListModule.isTextEntry( e.target ) ) {
+			return;
+		}
+		if ( e.target.closest && e.target.closest( 'dialog[open]' ) ) {
+			return;
+		}
+
+		switch ( e.key ) {
+			case '/':
+				if ( ! this.searchInput ) {
+					return;
+				}
+				this.searchInput.focus();
+				this.searchInput.select();
+				break;
+			case '[':
+			case ']':
+				if ( 'paginated' !== this.viewMode ) {
+					return;
+				}
+				this.goToPage( this.currentPage + ( ']' === e.key ? 1 : -1 ) );
+				break;
+			case '?':
+				if ( ! this.shortcutsDialog ) {
+					return;
+				}
+				this.openShortcutHelp();
+				break;
+			default:
+				return;
+		}
+		e.preventDefault();
+	},
+
+	openShortcutHelp() {
+		if ( this.shortcutsDialog && ! this.shortcutsDialog.open ) {
+			// <dialog> returns focus to the opener on close by itself.
+			this.shortcutsDialog.showModal();
+		}
+	},
+
+	/**
+	 * Shown rows in on-screen order. In grouped view that is section by
+	 * section rather than `this.rows` order, so read it from the DOM.
+	 *
+	 * @return {Array<HTMLElement>} Rows without the `hidden` attribute.
+	 */
+	navigableRows() {
+		return this.displayedRows().filter( ( row ) => ! row.hidden );
+	},
+
+	displayedRows() {
+		return Array.from( this.list.querySelectorAll( '.ability-row' ) );
+	},
+
+	/**
+	 * Move focus `delta` rows from `row`. At the edge of a page in
+	 * paginated view this turns the page and lands on its first (or
+	 * last) row.
+	 *
+	 * @param {HTMLElement} row   Row that currently has focus.
+	 * @param {number}      delta +1 or -1.
+	 */
+	moveFocus( row, delta ) {
+		let rows = this.navigableRows();
+		let target = rows[ rows.indexOf( row ) + delta ];
+
+		if ( ! target && 'paginated' === this.viewMode && this.goToPage( this.currentPage + delta ) ) {
+			rows = this.navigableRows();
+			target = delta > 0 ? rows[ 0 ] : rows[ rows.length - 1 ];
+		}
+		if ( target ) {
+			this.focusRow( target );
+		}
+	},
+
+	focusRow( row ) {
+		this.setActiveRow( row );
+		row.focus();
+	},
+
+	setActiveRow( row ) {
+		if ( this.activeRow && this.activeRow !== row ) {
+			this.setRowTabbable( this.activeRow, false );
+		}
+		this.activeRow = row;
+		if ( row ) {
+			this.setRowTabbable( row, true );
+		}
+	},
+
+	setRowTabbable( row, tabbable ) {
+		const index = tabbable ? 0 : -1;
+		row.tabIndex = index;
+		row.querySelectorAll( AbilitiesListModule.ROW_FOCUSABLES ).forEach( ( el ) => {
+			el.tabIndex = index;
+		} );
+	},
+
+	/**
+	 * Keep the roving Tab stop on a row that is actually shown.
+	 *
+	 * Called after every render. When the active row was hidden (filtered
+	 * out, on another page, or in a collapsed section) the stop moves to the nearest shown row
+	 * after it in list order, falling back to the one before. If focus
+	 * was inside the hidden row it follows, so keyboard users aren't
+	 * dropped back to <body>; with nothing left to show, focus lands on
+	 * the "no matches" message.
+	 *
+	 * @param {boolean} hadFocus Whether focus was inside the active row before the render.
+	 */
+	refreshActiveRow( hadFocus ) {
+		const rows = this.navigableRows();
+		if ( this.activeRow && rows.includes( this.activeRow ) ) {
+			return;
+		}
+
+		let next = rows[ 0 ] || null;
+		if ( this.activeRow ) {
+			const order = this.displayedRows();
+			const from = order.indexOf( this.activeRow );
+			next = order.slice( from + 1 ).find( ( row ) => ! row.hidden ) ||
+				order.slice( 0, from ).reverse().find( ( row ) => ! row.hidden ) ||
+				null;
+		}
+		this.setActiveRow( next );
+
+		if ( ! hadFocus ) {
+			return;
+		}
+		if ( next ) {
+			next.focus();
+		} else if ( this.emptyState ) {
+			this.emptyState.tabIndex = -1;
+			this.emptyState.focus();
+		}
+	},
+
+	/**
+	 * Switch between list and paginated view.
+	 *
+	 * @param {string}  mode              Normalized view mode.
+	 * @param {Object}  [options]
+	 * @param {boolean} [options.persist] Save the choice to wp_options. Defaults to true;
+	 *                                    false when the mode comes from a shared URL.
+	 */
+	applyViewMode( mode, options = {} ) {
+		const { persist = true } = options;
+		this.viewMode = mode;
+		this.viewButtons.forEach( ( btn ) => {
+			const active = btn.dataset.view === mode;
+			btn.classList.toggle( 'is-active', active );
+			btn.setAttribute( 'aria-pressed', String( active ) );
+		} );
+		if ( this.pagination ) {
+			this.pagination.hidden = mode !== 'paginated';
+		}
+		if ( this.groupBySelect ) {
+			this.groupBySelect.closest( '.albert-toolbar-field' ).hidden = mode !== 'grouped';
+		}
+		if ( 'grouped' === mode ) {
+			this.buildGroups();
+		} else {
+			this.ungroup();
+		}
+		if ( persist ) {
+			this.saveViewMode( mode );
+			this.savedViewMode = mode;
+		}
+		this.currentPage = 1;
+		this.renderPaginationWindow();
+	},
+
+	/**
+	 * Section header interactions for the grouped view: collapse/expand,
+	 * the per-section enable switch, and the "Group by" select.
+	 */
+	bindGroups() {
+		this.list.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '.albert-ability-group-collapse' );
+			if ( ! button ) {
+				return;
+			}
+			const key = button.closest( '.albert-ability-group' ).dataset.groupKey;
+			if ( this.collapsedGroups.has( key ) ) {
+				this.collapsedGroups.delete( key );
+			} else {
+				this.collapsedGroups.add( key );
+			}
+			this.renderPaginationWindow();
+			this.saveGrouping();
+		} );
+
+		this.list.addEventListener( 'change', ( e ) => {
+			if ( ! e.target.classList.contains( 'albert-ability-group-checkbox' ) ) {
+				return;
+			}
+			const key = e.target.closest( '.albert-ability-group' ).dataset.groupKey;
+			const group = this.groups.find( ( item ) => item.key === key );
+			if ( group ) {
+				this.applyBulkToggle( e.target.checked, this.groupMatchingRows( group ) );
+			}
+		} );
+
+		if ( this.groupBySelect ) {
+			this.groupBySelect.addEventListener( 'change', () => {
+				this.groupBy = 'supplier' === this.groupBySelect.value ? 'supplier' : 'category';
+				this.buildGroups();
+				this.renderPaginationWindow();
+				this.saveGrouping();
+			} );
+		}
+	},
+
+	/**
+	 * Persist the grouped view's settings via admin-ajax. Sends the whole
+	 * collapsed set every time so the option always mirrors the UI.
+	 */
+	saveGrouping() {
+		const cfg = window.albertAdmin || {};
+		if ( ! cfg.ajaxUrl || ! cfg.groupingNonce ) {
+			return;
+		}
+		Albert.ajax.post( cfg.ajaxUrl, {
+			action: 'albert_save_grouping',
+			nonce: cfg.groupingNonce,
+			group_by: this.groupBy,
+			collapsed: Array.from( this.collapsedGroups ).join( ',' ),
+		} ).catch( ( err ) => {
+			// eslint-disable-next-line no-console
+			console.warn( 'Albert: failed to persist grouping', err );
+		} );
+	},
+
+	groupKey( row ) {
+		return this.groupBy + ':' + ( row.dataset[ this.groupBy ] || '' );
+	},
+
+	isRowCollapsed( row ) {
+		return 'grouped' === this.viewMode && this.collapsedGroups.has( this.groupKey( row ) );
+	},
+
+	groupMatchingRows( group ) {
+		return group.rows.filter( ( row ) => ! row.classList.contains( 'is-filtered-out' ) );
+	},
+
+	/**
+	 * Move rows into one section per category (or supplier).
+	 *
+	 * Sections follow the order of the matching filter <select>, which the
+	 * server already sorts by label; rows without a value go in a trailing
+	 * "Other" section. Rows keep their current relative order, so search
+	 * ranking still applies within each section. The outer list drops its
+	 * `list` role while grouped — each section's row container is the list.
+	 */
+	buildGroups() {
+		this.ungroup();
+
+		const i18n = window.albertAdmin?.i18n || {};
+		const select = 'supplier' === this.groupBy ? this.supplierFilter : this.categoryFilter;
+		const labels = new Map();
+		if ( select ) {
+			Array.from( select.options ).forEach( ( option ) => {
+				if ( option.value ) {
+					labels.set( option.value, option.textContent.trim() );
+				}
+			} );
+		}
+
+		const bySlug = new Map();
+		labels.forEach( ( label, slug ) => bySlug.set( slug, null ) );
+		this.rows.forEach( ( row ) => {
+			const slug = row.dataset[ this.groupBy ] || '';
+			if ( ! bySlug.get( slug ) ) {
+				bySlug.set( slug, this.createGroup( this.groupBy + ':' + slug, labels.get( slug ) || i18n.groupOther || 'Other' ) );
+			}
+			const group = bySlug.get( slug );
+			group.rows.push( row );
+			group.rowsEl.appendChild( row );
+			this.rowGroups.set( row, group );
+		} );
+
+		bySlug.forEach( ( group ) => {
+			if ( group ) {
+				this.groups.push( group );
+				this.list.insertBefore( group.el, this.emptyState );
+			}
+		} );
+		this.list.removeAttribute( 'role' );
+		this.list.classList.add( 'is-grouped' );
+	},
+
+	/**
+	 * Undo buildGroups(): rows back into the flat list in current order.
+	 */
+	ungroup() {
+		if ( ! this.groups.length ) {
+			return;
+		}
+		this.rows.forEach( ( row ) => this.list.insertBefore( row, this.emptyState ) );
+		this.groups.forEach( ( group ) => group.el.remove() );
+		this.groups = [];
+		this.rowGroups.clear();
+		this.list.setAttribute( 'role', 'list' );
+		this.list.classList.remove( 'is-grouped' );
+	},
+
+	createGroup( key, label ) {
+		this.groupSequence = ( this.groupSequence || 0 ) + 1;
+		const id = 'albert-ability-group-' + this.groupSequence;
+
+		const el = document.createElement( 'section' );
+		el.className = 'albert-ability-group';
+		el.dataset.groupKey = key;
+		el.setAttribute( 'aria-labelledby', id + '-title' );
+
+		const header = document.createElement( 'div' );
+		header.className = 'albert-ability-group-header';
+
+		const collapseBtn = document.createElement( 'button' );
+		collapseBtn.type = 'button';
+		collapseBtn.className = 'albert-ability-group-collapse';
+		collapseBtn.setAttribute( 'aria-controls', id );
+		const icon = document.createElement( 'span' );
+		icon.className = 'dashicons dashicons-arrow-right-alt2';
+		icon.setAttribute( 'aria-hidden', 'true' );
+		const title = document.createElement( 'span' );
+		title.className = 'albert-ability-group-title';
+		title.id = id + '-title';
+		title.textContent = label;
+		collapseBtn.append( icon, title );
+
+		const countEl = document.createElement( 'span' );
+		countEl.className = 'albert-ability-group-count';
+
+		// Same markup as the per-row switch so the .albert-toggle styles apply.
+		const toggle = document.createElement( 'label' );
+		toggle.className = 'albert-toggle albert-ability-group-toggle';
+		const checkbox = document.createElement( 'input' );
+		checkbox.type = 'checkbox';
+		checkbox.className = 'albert-ability-group-checkbox';
+		const state = document.createElement( 'span' );
+		state.className = 'albert-toggle-state';
+		state.setAttribute( 'aria-hidden', 'true' );
+		const slider = document.createElement( 'span' );
+		slider.className = 'albert-toggle-slider';
+		slider.setAttribute( 'aria-hidden', 'true' );
+		// Named by updateGroups(), which knows which way the switch goes.
+		const srText = document.createElement( 'span' );
+		srText.className = 'screen-reader-text';
+		toggle.append( checkbox, state, slider, srText );
+
+		header.append( collapseBtn, countEl, toggle );
+
+		const rowsEl = document.createElement( 'div' );
+		rowsEl.className = 'albert-ability-group-rows';
+		rowsEl.id = id;
+		rowsEl.setAttribute( 'role', 'list' );
+		rowsEl.setAttribute( 'aria-labelledby', id + '-title' );
+
+		el.append( header, rowsEl );
+
+		return { key, label, el, rowsEl, collapseBtn, countEl, checkbox, srText, rows: [] };
+	},
+
+	/**
+	 * Refresh every section header: "x of y enabled" over the rows that
+	 * match the current filters, the switch state (indeterminate when
+	 * mixed) and its label, which says whether it enables or disables,
+	 * the collapsed state, and hide sections with no matches.
+	 */
+	updateGroups() {
+		if ( ! this.groups.length ) {
+			return;
+		}
+		const i18n = window.albertAdmin?.i18n || {};
+		const template = i18n.groupCount || '%1$s of %2$s enabled';
+
+		this.groups.forEach( ( group ) => {
+			const rows = this.groupMatchingRows( group );
+			const enabled = rows.filter( ( row ) => row.dataset.enabled === '1' ).length;
+			const collapsed = this.collapsedGroups.has( group.key );
+
+			group.el.hidden = 0 === rows.length;
+			group.el.classList.toggle( 'is-collapsed', collapsed );
+			group.collapseBtn.setAttribute( 'aria-expanded', String( ! collapsed ) );
+			group.rowsEl.hidden = collapsed;
+			group.countEl.textContent = template
+				.replace( '%1$s', String( enabled ) )
+				.replace( '%2$s', String( rows.length ) );
+			group.checkbox.checked = rows.length > 0 && enabled === rows.length;
+			group.checkbox.indeterminate = enabled > 0 && enabled < rows.length;
+			group.srText.textContent = ( group.checkbox.checked
+				? i18n.groupToggleOff || 'Disable all in %s'
+				: i18n.groupToggle || 'Enable all in %s' ).replace( '%s', group.label );
+		} );
+	},
+
+	/**
+	 * Index rows for AbilitySearch, labelling slugs from the filter <select>s.
+	 *
+	 * @return {Map<HTMLElement, Object>} Row => index entry.
+	 */
+	buildSearchIndex() {
+		const filters = {
+			category: this.categoryFilter,
+			supplier: this.supplierFilter,
+			annotation: this.annotationFilter,
+		};
+		return AbilitySearch.buildIndex( this.rows, ( key ) => filters[ key ] );
+	},
+
+	applyFilters() {
+		const terms = AbilitySearch.parse( ( this.searchInput?.value || '' ).trim() );
+		const categoryFilter = this.categoryFilter?.value || '';
+		const supplierFilter = this.supplierFilter?.value || '';
+		const annotationFilter = this.annotationFilter?.value || '';
+		const scores = new Map();
+
+		this.serverOrder.forEach( ( row ) => {
+			const entry = this.searchIndex.get( row );
+			const result = terms.length ? AbilitySearch.score( entry, terms ) : null;
+			const matchesSearch = 0 === terms.length || null !== result;
+			const matchesCategory = '' === categoryFilter || row.dataset.category === categoryFilter;
+			const matchesSupplier = '' === supplierFilter || row.dataset.supplier === supplierFilter;
+			const matchesAnnotation = '' === annotationFilter || row.dataset.annotation === annotationFilter;
+
+			const visible = matchesSearch && matchesCategory && matchesSupplier && matchesAnnotation;
+			row.classList.toggle( 'is-filtered-out', ! visible );
+			this.highlightRow( entry, visible ? result : null );
+			if ( visible && result ) {
+				scores.set( row, result.score );
+			}
+		} );
+
+		this.sortRows( scores );
+		this.renderPaginationWindow();
+	},
+
+	/**
+	 * Order rows by search relevance, or restore server order when
+	 * there's no query. Array.prototype.sort is stable, so ties keep
+	 * server order. Rows are moved in the DOM only when the order
+	 * actually changed.
+	 *
+	 * @param {Map<HTMLElement, number>} scores Relevance of each matching row.
+	 */
+	sortRows( scores ) {
+		const next = this.serverOrder.slice();
+		if ( scores.size ) {
+			next.sort( ( a, b ) => ( scores.get( b ) || 0 ) - ( scores.get( a ) || 0 ) );
+		}
+		if ( next.every( ( row, i ) => row === this.rows[ i ] ) ) {
+			return;
+		}
+		this.rows = next;
+		next.forEach( ( row ) => {
+			const group = this.rowGroups.get( row );
+			if ( group ) {
+				group.rowsEl.appendChild( row );
+			} else {
+				this.list.insertBefore( row, this.emptyState );
+			}
+		} );
+	},
+
+	/**
+	 * Mark the matched fragments in a row's label and description, or
+	 * restore the plain text when the row no longer matches a query.
+	 *
+	 * @param {Object}  entry  Search index entry.
+	 * @param {?Object} result AbilitySearch.score() result, or null to clear.
+	 */
+	highlightRow( entry, result ) {
+		const parts = [
+			[ entry.labelEl, entry.labelText, result ? result.ranges.label : [] ],
+			[ entry.descriptionEl, entry.descriptionText, result ? result.ranges.description : [] ],
+		];
+		const hasRanges = parts.some( ( [ el, , ranges ] ) => el && ranges.length );
+		if ( ! hasRanges && ! entry.highlighted ) {
+			return;
+		}
+		parts.forEach( ( [ el, text, ranges ] ) => {
+			if ( el ) {
+				AbilitySearch.highlight( el, text, ranges );
+			}
+		} );
+		entry.highlighted = hasRanges;
+	},
+
+	filteredRows() {
+		return this.rows.filter( ( row ) => ! row.classList.contains( 'is-filtered-out' ) );
+	},
+
+	totalPages() {
+		const visible = this.filteredRows().length;
+		return Math.max( 1, Math.ceil( visible / this.rowsPerPage ) );
+	},
+
+	renderPaginationWindow() {
+		const visible = this.filteredRows();
+		// Hiding the focused element blurs it, so check before touching rows.
+		const hadFocus = !! this.activeRow && this.activeRow.contains( document.activeElement );
+
+		// In list and grouped mode, show every filtered row and hide the
+		// rest; grouped mode also hides rows in collapsed sections.
+		if ( this.viewMode !== 'paginated' ) {
+			this.rows.forEach( ( row ) => {
+				const isFilteredOut = row.classList.contains( 'is-filtered-out' );
+				row.hidden = isFilteredOut || this.isRowCollapsed( row );
+			} );
+			this.toggleEmptyState( visible.length === 0 );
+			this.updateStats( visible.length );
+			this.updateBulkState();
+			this.refreshActiveRow( hadFocus );
+			return;
+		}
+
+		const pages = this.totalPages();
+		if ( this.currentPage > pages ) {
+			this.currentPage = pages;
+		}
+		const start = ( this.currentPage - 1 ) * this.rowsPerPage;
+		const end = start + this.rowsPerPage;
+
+		// Hide everything first, then reveal the current slice.
+		this.rows.forEach( ( row ) => {
+			row.hidden = true;
+		} );
+		visible.slice( start, end ).forEach( ( row ) => {
+			row.hidden = false;
+		} );
+
+		this.toggleEmptyState( visible.length === 0 );
+		this.updateStats( visible.length );
+		this.updateBulkState();
+		this.renderPager( pages );
+		this.refreshActiveRow( hadFocus );
+	},
+
+	/**
+	 * Page numbers to show in the pager: always the first and last page,
+	 * plus `siblings` pages either side of the current one, with `null`
+	 * standing in for each elided run. A gap of a single page shows that
+	 * page instead of an ellipsis, so the bar width stays constant.
+	 *
+	 * pagerWindow( 5, 20 ) → [ 1, null, 4, 5, 6, null, 20 ]
+	 *
+	 * @param {number} current  Current page (1-based).
+	 * @param {number} total    Total page count.
+	 * @param {number} siblings Pages shown either side of current.
+	 * @return {Array<?number>} Page numbers and ellipsis markers.
+	 */
+	pagerWindow( current, total, siblings = 1 ) {
+		// first + last + current + siblings + two ellipsis slots.
+		const slots = ( siblings * 2 ) + 5;
+		if ( total <= slots ) {
+			return Array.from( { length: total }, ( _, i ) => i + 1 );
+		}
+
+		let start = Math.max( 2, current - siblings );
+		let end = Math.min( total - 1, current + siblings );
+		// Near either end, widen the window instead of showing "1 … 2".
+		if ( start <= 3 ) {
+			start = 2;
+			end = slots - 2;
+		} else if ( end >= total - 2 ) {
+			end = total - 1;
+			start = total - ( slots - 3 );
+		}
+
+		const pages = [ 1 ];
+		if ( start > 2 ) {
+			pages.push( null );
+		}
+		for ( let i = start; i <= end; i++ ) {
+			pages.push( i );
+		}
+		if ( end < total - 1 ) {
+			pages.push( null );
+		}
+		pages.push( total );
+		return pages;
+	},
+
+	renderPager( pages ) {
+		if ( ! this.pagesNode ) {
+			return;
+		}
+		const i18n = window.albertAdmin?.i18n || {};
+		const focusedPage = this.pagesNode.contains( document.activeElement ) ? this.currentPage : null;
+		this.pagesNode.innerHTML = '';
+
+		AbilitiesListModule.pagerWindow( this.currentPage, pages ).forEach( ( page ) => {
+			if ( null === page ) {
+				const gap = document.createElement( 'span' );
+				gap.className = 'albert-pagination-ellipsis';
+				gap.setAttribute( 'aria-hidden', 'true' );
+				gap.textContent = '…';
+				this.pagesNode.appendChild( gap );
+				return;
+			}
+			const btn = document.createElement( 'button' );
+			btn.type = 'button';
+			btn.className = 'button albert-pagination-page';
+			btn.textContent = String( page );
+			btn.dataset.page = String( page );
+			btn.setAttribute( 'aria-label', ( i18n.pageLabel || 'Page %s' ).replace( '%s', String( page ) ) );
+			if ( page === this.currentPage ) {
+				btn.classList.add( 'is-current' );
+				btn.setAttribute( 'aria-current', 'page' );
+			}
+			this.pagesNode.appendChild( btn );
+		} );
+
+		// The clicked number button was just replaced; keep focus on the
+		// pager so keyboard users can carry on paging.
+		if ( focusedPage ) {
+			this.pagesNode.querySelector( '[aria-current="page"]' )?.focus();
+		}
+
+		const atStart = this.currentPage <= 1;
+		const atEnd = this.currentPage >= pages;
+		this.pagination.querySelectorAll( '[data-direction="first"], [data-direction="prev"]' ).forEach( ( btn ) => {
+			btn.disabled = atStart;
+		} );
+		this.pagination.querySelectorAll( '[data-direction="next"], [data-direction="last"]' ).forEach( ( btn ) => {
+			btn.disabled = atEnd;
+		} );
+
+		const gotoInput = this.gotoForm?.querySelector( 'input' );
+		if ( gotoInput ) {
+			gotoInput.max = String( pages );
+			gotoInput.placeholder = String( this.currentPage );
+		}
+		if ( this.pageStatusNode ) {
+			this.pageStatusNode.textContent = ( i18n.pageTemplate || 'Page %1$s of %2$s' )
+				.replace( '%1$s', String( this.currentPage ) )
+				.replace( '%2$s', String( pages ) );
+		}
+	},
+
+	toggleEmptyState( isEmpty ) {
+		if ( this.emptyState ) {
+			this.emptyState.hidden = ! isEmpty;
+		}
+	},
+
+	/**
+	 * Update the stats line.
+	 *
+	 * The stats node is `aria-live="polite"`, so every textContent change
+	 * would queue a screen-reader announcement — spammy while the user is
+	 * typing in the search box. We split the write into two steps:
+	 *   - The visible text is updated immediately (sighted users need to
+	 *     see the filter results live).
+	 *   - The announcement is debounced (~400ms): we temporarily remove
+	 *     aria-live while updating, then restore it after a short delay so
+	 *     only the settled value is announced.
+	 */
+	updateStats( visibleCount ) {
+		// Section headers carry their own counts; keep them in step with
+		// every toggle, bulk change, and filter pass.
+		this.updateGroups();
+		if ( ! this.statsNode ) {
+			return;
+		}
+		const visible = typeof visibleCount === 'number' ? visibleCount : this.filteredRows().length;
+		const text = this.statsTemplate
+			.replace( '%1$s', String( visible ) )
+			.replace( '%2$s', String( this.total ) )
+			.replace( '%3$s', String( this.enabled ) );
+
+		// Suppress the live announcement while the value is changing.
+		this.statsNode.setAttribute( 'aria-live', 'off' );
+		this.statsNode.textContent = text;
+
+		clearTimeout( this.statsAnnounceTimer );
+		this.statsAnnounceTimer = setTimeout( () => {
+			this.statsNode.setAttribute( 'aria-live', 'polite' );
+		}, 400 );
+	},
+};
+
+/**
+ * "Try it" playground in each ability's details panel.
+ *
+ * Opening it fetches the ability's input schema and builds a form from
+ * it: objects become fieldsets, enums selects, arrays repeatable items
+ * (or a checkbox group for arrays of enum values), and anything the form
+ * can't model — `oneOf`, free-form objects — a JSON text field. Running
+ * posts the input to wp_ajax_albert_run_ability, which executes the
+ * ability as the current user through the Abilities API, and shows the
+ * output or error with the server and round-trip timings.
+ *
+ * Destructive abilities start in dry-run mode. A dry run sets the
+ * ability's own `dry_run` input when its schema has one; otherwise the
+ * server only validates the input and checks permissions. Running one
+ * for real goes through Albert.confirmDialog first.
+ */
+const AbilityPlayground = {
+	init() {
+		this.list = document.getElementById( 'albert-abilities-list' );
+		if ( ! this.list ) {
+			return;
+		}
+		this.i18n = window.albertAdmin?.i18n || {};
+		this.uid = 0;
+
+		this.list.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '.ability-playground-open' );
+			if ( button ) {
+				this.toggle( button );
+			}
+		} );
+	},
+
+	toggle( button ) {
+		const panel = document.getElementById( button.getAttribute( 'aria-controls' ) );
+		if ( ! panel ) {
+			return;
+		}
+		const open = button.getAttribute( 'aria-expanded' ) !== 'true';
+		button.setAttribute( 'aria-expanded', String( open ) );
+		panel.hidden = ! open;
+		if ( open && ! panel.dataset.state ) {
+			this.load( button.closest( '.ability-row' ), panel );
+		}
+	},
+
+	request( params ) {
+		const cfg = window.albertAdmin || {};
+		return Albert.ajax.json( cfg.ajaxUrl, { nonce: cfg.playgroundNonce, ...params }, {
+			failed: this.i18n.tryFailed || 'Could not reach the server. Please try again.',
+			expired: this.i18n.sessionExpired,
+		} );
+	},
+
+	/**
+	 * Fetch an ability's schemas once; SchemaViewer shares the response.
+	 *
+	 * @param {string} abilityId Ability id.
+	 * @return {Promise<Object>} The wp_ajax_albert_ability_schema data.
+	 */
+	schema( abilityId ) {
+		this.schemas = this.schemas || new Map();
+		if ( ! this.schemas.has( abilityId ) ) {
+			this.schemas.set(
+				abilityId,
+				this.request( { action: 'albert_ability_schema', ability_id: abilityId } ).catch( ( err ) => {
+					this.schemas.delete( abilityId );
+					throw err;
+				} )
+			);
+		}
+		return this.schemas.get( abilityId );
+	},
+
+	load( row, panel ) {
+		panel.dataset.state = 'loading';
+		panel.setAttribute( 'aria-busy', 'true' );
+		panel.textContent = this.i18n.tryLoading || 'Loading the input form…';
+
+		this.schema( row.dataset.abilityId || '' )
+			.then( ( data ) => {
+				panel.dataset.state = 'ready';
+				this.render( row, panel, data );
+			} )
+			.catch( ( err ) => {
+				delete panel.dataset.state;
+				panel.textContent = err.message;
+			} )
+			.finally( () => panel.removeAttribute( 'aria-busy' ) );
+	},
+
+	render( row, panel, data ) {
+		const i18n = this.i18n;
+		const schema = this.isObject( data.input_schema ) ? data.input_schema : {};
+		const form = document.createElement( 'form' );
+		form.className = 'ability-playground-form';
+
+		// The ability's own dry_run input is driven by the checkbox below.
+		const root = this.buildField( schema, { label: '', required: true, root: true, skip: data.dry_run_field } );
+		if ( root.empty ) {
+			const none = document.createElement( 'p' );
+			none.className = 'ability-playground-hint';
+			none.textContent = i18n.tryNoInput || 'This ability takes no input.';
+			form.appendChild( none );
+		} else {
+			form.appendChild( root.el );
+		}
+
+		const preview = document.createElement( 'details' );
+		preview.className = 'ability-playground-preview';
+		const summary = document.createElement( 'summary' );
+		summary.textContent = i18n.tryRequest || 'Input JSON';
+		const previewCode = document.createElement( 'pre' );
+		preview.append( summary, previewCode );
+
+		const actions = document.createElement( 'div' );
+		actions.className = 'ability-playground-actions';
+		const dryLabel = document.createElement( 'label' );
+		const dryRun = document.createElement( 'input' );
+		dryRun.type = 'checkbox';
+		dryRun.className = 'ability-playground-dry-run';
+		dryRun.checked = !! data.destructive;
+		dryLabel.append(
+			dryRun,
+			' ',
+			data.dry_run_field
+				? i18n.tryDryRunNative || 'Dry run (the ability rehearses without changing anything)'
+				: i18n.tryDryRun || 'Dry run (check input and permissions only)'
+		);
+		const run = document.createElement( 'button' );
+		run.type = 'submit';
+		run.className = 'button button-primary';
+		run.textContent = i18n.tryRun || 'Run';
+		actions.append( dryLabel, run );
+
+		const status = document.createElement( 'p' );
+		status.className = 'ability-playground-status';
+		status.setAttribute( 'role', 'status' );
+
+		const result = document.createElement( 'div' );
+		result.className = 'ability-playground-result';
+		result.hidden = true;
+
+		form.append( preview, actions, status, result );
+		panel.replaceChildren( form );
+
+		const readInput = () => {
+			let input = root.read();
+			if ( data.dry_run_field && dryRun.checked ) {
+				input = { ...( input || {} ), [ data.dry_run_field ]: true };
+			}
+			return input;
+		};
+		const updatePreview = () => {
+			try {
+				const input = readInput();
+				previewCode.textContent = undefined === input ? '' : JSON.stringify( input, null, 2 );
+			} catch ( err ) {
+				previewCode.textContent = err.message;
+			}
+		};
+		form.addEventListener( 'input', updatePreview );
+		form.addEventListener( 'change', updatePreview );
+		form.addEventListener( 'click', ( e ) => {
+			if ( e.target.closest( '.ability-playground-array-add, .ability-playground-array-remove' ) ) {
+				updatePreview();
+			}
+		} );
+		updatePreview();
+
+		form.addEventListener( 'submit', ( e ) => {
+			e.preventDefault();
+			this.run( row, { form, run, dryRun, status, result, readInput, data } );
+		} );
+
+		if ( row !== AbilitiesListModule.activeRow ) {
+			AbilitiesListModule.setRowTabbable( row, false );
+		}
+	},
+
+	async run( row, ui ) {
+		const i18n = this.i18n;
+		const { form, run, dryRun, status, result, data } = ui;
+		if ( form.dataset.running || ! form.reportValidity() ) {
+			return;
+		}
+
+		let input;
+		try {
+			input = ui.readInput();
+		} catch ( err ) {
+			status.textContent = err.message;
+			return;
+		}
+
+		if ( data.destructive && ! dryRun.checked ) {
+			const confirmed = await Albert.confirmDialog.open( {
+				title: ( i18n.tryConfirmTitle || 'Run %s for real?' ).replace( '%s', AbilitiesListModule.rowLabel( row ) ),
+				message: i18n.tryConfirmMessage || 'This ability can permanently delete data. It will run as you, on this site, right now.',
+				confirmLabel: i18n.tryConfirm || 'Run it',
+				cancelLabel: i18n.tryCancel || 'Cancel',
+				closeLabel: i18n.dismiss || 'Dismiss',
+			} );
+			if ( ! confirmed ) {
+				return;
+			}
+		}
+
+		form.dataset.running = '1';
+		run.disabled = true;
+		status.textContent = i18n.tryRunning || 'Running…';
+		const started = performance.now();
+
+		this.request( {
+			action: 'albert_run_ability',
+			ability_id: row.dataset.abilityId || '',
+			input: undefined === input ? '' : JSON.stringify( input ),
+			// A native dry_run input makes it a real (rehearsed) execution.
+			dry_run: dryRun.checked && ! data.dry_run_field ? '1' : '0',
+		} )
+			.then( ( response ) => {
+				const timing = ( i18n.tryTiming || '%1$s ms on the server, %2$s ms round trip.' )
+					.replace( '%1$s', String( response.duration_ms ) )
+					.replace( '%2$s', String( Math.round( performance.now() - started ) ) );
+
+				if ( ! response.ok ) {
+					status.textContent = ( i18n.tryErrored || 'The ability returned an error.' ) + ' ' + timing;
+					this.showResult( result, i18n.tryError || 'Error', response.error, true );
+				} else if ( response.dry_run && false === response.validated ) {
+					status.textContent = ( i18n.tryNotValidated || 'Dry run: you may run this ability, but the input was not validated on this version of WordPress. Nothing was changed.' ) + ' ' + timing;
+					result.hidden = true;
+				} else if ( response.dry_run ) {
+					status.textContent = ( i18n.tryDryRunPassed || 'Dry run passed: the input is valid and you may run this ability. Nothing was changed.' ) + ' ' + timing;
+					result.hidden = true;
+				} else {
+					status.textContent = ( i18n.tryDone || 'Finished.' ) + ' ' + timing;
+					this.showResult( result, i18n.tryOutput || 'Output', response.output, false );
+				}
+			} )
+			.catch( ( err ) => {
+				status.textContent = err.message;
+				result.hidden = true;
+			} )
+			.finally( () => {
+				delete form.dataset.running;
+				run.disabled = false;
+			} );
+	},
+
+	showResult( result, heading, value, isError ) {
+		const title = document.createElement( 'h4' );
+		title.textContent = heading;
+		const pre = document.createElement( 'pre' );
+		pre.className = 'ability-playground-output';
+		pre.tabIndex = 0;
+		pre.textContent = JSON.stringify( value, null, 2 ) ?? 'null';
+		result.classList.toggle( 'is-error', isError );
+		result.replaceChildren( title, pre );
+		result.hidden = false;
+	},
+
+	isObject( value ) {
+		return !! value && 'object' === typeof value && ! Array.isArray( value );
+	},
+
+	schemaType( schema ) {
+		const type = Array.isArray( schema.type ) ? schema.type.find( ( t ) => 'null' !== t ) : schema.type;
+		if ( Array.isArray( schema.enum ) && schema.enum.length ) {
+			return 'enum';
+		}
+		if ( ! type && this.isObject( schema.properties ) ) {
+			return 'object';
+		}
+		return type || 'json';
+	},
+
+	/**
+	 * Build the control for one schema node.
+	 *
+	 * @param {Object}  schema           JSON schema for this value.
+	 * @param {Object}  opts
+	 * @param {string}  opts.label       Visible label.
+	 * @param {boolean} opts.required    Whether the parent lists it as required.
+	 * @param {boolean} [opts.root]      Top-level object: no fieldset chrome.
+	 * @param {string}  [opts.skip]      Property to leave out (root only).
+	 * @return {{el: HTMLElement, read: Function, empty?: boolean}} `read()` returns
+	 *         undefined for a value the user left unset.
+	 */
+	buildField( schema, opts ) {
+		schema = this.isObject( schema ) ? schema : {};
+		const type = this.schemaType( schema );
+		const hasProperties = this.isObject( schema.properties ) && Object.keys( schema.properties ).length;
+
+		if ( 'object' === type && hasProperties ) {
+			return this.buildObject( schema, opts );
+		}
+		if ( 'object' === type && opts.root ) {
+			return { el: document.createElement( 'div' ), read: () => undefined, empty: true };
+		}
+		if ( 'array' === type ) {
+			return this.buildArray( schema, opts );
+		}
+
+		const id = 'albert-playground-' + ( ++this.uid );
+		const wrap = document.createElement( 'div' );
+		wrap.className = 'ability-playground-field';
+		const label = document.createElement( 'label' );
+		label.htmlFor = id;
+		label.textContent = opts.label;
+		if ( opts.required ) {
+			const star = document.createElement( 'span' );
+			star.className = 'ability-playground-required';
+			star.textContent = ' ' + ( this.i18n.tryRequired || '(required)' );
+			label.appendChild( star );
+		}
+
+		let control;
+		let read;
+		switch ( type ) {
+			case 'enum':
+			case 'boolean': {
+				const values = 'enum' === type ? schema.enum : [ true, false ];
+				control = document.createElement( 'select' );
+				if ( ! opts.required || undefined === schema.default ) {
+					control.appendChild( new Option( this.i18n.tryNotSet || '— Not set —', '' ) );
+				}
+				values.forEach( ( value, i ) => {
+					control.appendChild( new Option( 'string' === typeof value ? value : JSON.stringify( value ), String( i ) ) );
+				} );
+				const defaultIndex = values.findIndex( ( value ) => value === schema.default );
+				control.value = defaultIndex >= 0 ? String( defaultIndex ) : '';
+				read = () => ( '' === control.value ? undefined : values[ parseInt( control.value, 10 ) ] );
+				break;
+			}
+			case 'integer':
+			case 'number':
+				control = document.createElement( 'input' );
+				control.type = 'number';
+				control.step = 'integer' === type ? '1' : 'any';
+				[ 'minimum', 'maximum' ].forEach( ( key ) => {
+					if ( 'number' === typeof schema[ key ] ) {
+						control[ 'minimum' === key ? 'min' : 'max' ] = String( schema[ key ] );
+					}
+				} );
+				control.value = 'number' === typeof schema.default ? String( schema.default ) : '';
+				read = () => ( '' === control.value ? undefined : Number( control.value ) );
+				break;
+			case 'string': {
+				const long = [ 'content', 'excerpt', 'description' ].includes( opts.key ) || schema.maxLength > 255;
+				control = document.createElement( long ? 'textarea' : 'input' );
+				if ( long ) {
+					control.rows = 4;
+				} else {
+					control.type = { email: 'email', uri: 'url' }[ schema.format ] || 'text';
+				}
+				if ( schema.maxLength ) {
+					control.maxLength = schema.maxLength;
+				}
+				if ( schema.pattern ) {
+					control.pattern = schema.pattern;
+				}
+				control.value = 'string' === typeof schema.default ? schema.default : '';
+				read = () => ( '' === control.value && ! opts.required ? undefined : control.value );
+				break;
+			}
+			default:
+				// Free-form objects, `oneOf` and the like: take raw JSON.
+				control = document.createElement( 'textarea' );
+				control.rows = 3;
+				control.className = 'ability-playground-json';
+				control.placeholder = this.i18n.tryJsonHint || 'Enter a JSON value.';
+				control.value = undefined === schema.default ? '' : JSON.stringify( schema.default, null, 2 );
+				read = () => {
+					if ( '' === control.value.trim() ) {
+						return undefined;
+					}
+					try {
+						return JSON.parse( control.value );
+					} catch ( e ) {
+						throw new Error( ( this.i18n.tryInvalidJson || '%s is not valid JSON.' ).replace( '%s', opts.label ) );
+					}
+				};
+		}
+
+		control.id = id;
+		control.required = !! opts.required;
+		wrap.append( label, control );
+		this.describe( wrap, control, schema );
+		return { el: wrap, read };
+	},
+
+	buildObject( schema, opts ) {
+		const required = Array.isArray( schema.required ) ? schema.required : [];
+		const el = document.createElement( opts.root ? 'div' : 'fieldset' );
+		el.className = opts.root ? 'ability-playground-fields' : 'ability-playground-object';
+		if ( ! opts.root ) {
+			const legend = document.createElement( 'legend' );
+			legend.textContent = opts.label;
+			el.appendChild( legend );
+			this.describe( el, el, schema );
+		}
+
+		const children = Object.entries( schema.properties )
+			.filter( ( [ key ] ) => key !== opts.skip )
+			.map( ( [ key, child ] ) => {
+				const field = this.buildField( child, {
+					key,
+					label: ( this.isObject( child ) && child.title ) || key,
+					required: required.includes( key ),
+				} );
+				el.appendChild( field.el );
+				return [ key, field ];
+			} );
+
+		return {
+			el,
+			empty: ! children.length,
+			read: () => {
+				const value = {};
+				children.forEach( ( [ key, field ] ) => {
+					const item = field.read();
+					if ( undefined !== item ) {
+						value[ key ] = item;
+					}
+				} );
+				return Object.keys( value ).length || opts.required ? value : undefined;
+			},
+		};
+	},
+
+	buildArray( schema, opts ) {
+		const items = this.isObject( schema.items ) ? schema.items : {};
+		const el = document.createElement( 'fieldset' );
+		el.className = 'ability-playground-array';
+		const legend = document.createElement( 'legend' );
+		legend.textContent = opts.label;
+		el.appendChild( legend );
+		this.describe( el, el, schema );
+
+		// Arrays of enum values: one checkbox per allowed value.
+		if ( Array.isArray( items.enum ) && items.enum.length ) {
+			const boxes = items.enum.map( ( value ) => {
+				const label = document.createElement( 'label' );
+				const box = document.createElement( 'input' );
+				box.type = 'checkbox';
+				box.checked = Array.isArray( schema.default ) && schema.default.includes( value );
+				label.append( box, ' ', 'string' === typeof value ? value : JSON.stringify( value ) );
+				el.appendChild( label );
+				return [ value, box ];
+			} );
+			return {
+				el,
+				read: () => {
+					const value = boxes.filter( ( [ , box ] ) => box.checked ).map( ( [ item ] ) => item );
+					return value.length || opts.required ? value : undefined;
+				},
+			};
+		}
+
+		const list = document.createElement( 'ol' );
+		list.className = 'ability-playground-array-items';
+		const add = document.createElement( 'button' );
+		add.type = 'button';
+		add.className = 'button button-small ability-playground-array-add';
+		add.textContent = this.i18n.tryAddItem || 'Add item';
+		el.append( list, add );
+
+		const fields = [];
+		const renumber = () => {
+			fields.forEach( ( field, i ) => {
+				const text = ( this.i18n.tryItem || '%1$s, item %2$s' )
+					.replace( '%1$s', opts.label )
+					.replace( '%2$s', String( i + 1 ) );
+				const label = field.el.querySelector( 'legend, label' );
+				if ( label ) {
+					label.firstChild.textContent = text;
+				}
+				field.remove.setAttribute( 'aria-label', ( this.i18n.tryRemoveItem || 'Remove %s' ).replace( '%s', text ) );
+			} );
+		};
+		const addItem = () => {
+			const field = this.buildField( items, { label: opts.label, required: true } );
+			const li = document.createElement( 'li' );
+			const remove = document.createElement( 'button' );
+			remove.type = 'button';
+			remove.className = 'button-link ability-playground-array-remove';
+			remove.textContent = this.i18n.tryRemove || 'Remove';
+			remove.addEventListener( 'click', () => {
+				const index = fields.indexOf( entry );
+				fields.splice( index, 1 );
+				li.remove();
+				renumber();
+				const next = ( fields[ index ] || fields[ index - 1 ] )?.li.querySelector( 'input, select, textarea' );
+				( next || add ).focus();
+			} );
+			li.append( field.el, remove );
+			list.appendChild( li );
+			const entry = { ...field, li, remove };
+			fields.push( entry );
+			renumber();
+			return entry;
+		};
+		add.addEventListener( 'click', () => {
+			addItem().li.querySelector( 'input, select, textarea' )?.focus();
+		} );
+		( Array.isArray( schema.default ) ? schema.default : [] ).forEach( () => addItem() );
+
+		return {
+			el,
+			read: () => {
+				const value = fields.map( ( field ) => field.read() ).filter( ( item ) => undefined !== item );
+				return value.length || opts.required ? value : undefined;
+			},
+		};
+	},
+
+	/**
+	 * Show the schema description under a control and link it up.
+	 *
+	 * @param {HTMLElement} wrap    Container the description is appended to.
+	 * @param {HTMLElement} control Element that gets aria-describedby.
+	 * @param {Object}      schema  Schema node.
+	 */
+	describe( wrap, control, schema ) {
+		if ( ! schema.description ) {
+			return;
+		}
+		const help = document.createElement( 'p' );
+		help.className = 'ability-playground-help';
+		help.id = 'albert-playground-help-' + ( ++this.uid );
+		help.textContent = schema.description;
+		wrap.appendChild( help );
+		control.setAttribute( 'aria-describedby', help.id );
+	},
+};
+
+/**
+ * Schema and MCP viewer in each ability's details panel.
+ *
+ * Tabs show the input schema, the output schema, the annotations, the
+ * execute-ability call MCP clients run the ability with, and the MCP
+ * adapter's own get-ability-info answer, each as a syntax-highlighted
+ * JSON tree whose objects and arrays collapse. The data is the same
+ * wp_ajax_albert_ability_schema response the playground loads, fetched
+ * once per ability. Copy puts the tab's JSON on the clipboard.
+ */
+const SchemaViewer = {
+	TABS: [
+		{ key: 'input', field: 'input_schema', label: 'schemaTabInput', empty: 'schemaNoInput' },
+		{ key: 'output', field: 'output_schema', label: 'schemaTabOutput', empty: 'schemaNoOutput' },
+		{ key: 'hints', field: 'annotations', label: 'schemaTabHints', empty: 'schemaNoHints' },
+		{ key: 'call', field: 'execute_call', label: 'schemaTabCall', empty: '', note: 'schemaCallNote' },
+		{ key: 'info', field: 'ability_info', label: 'schemaTabInfo', empty: 'schemaNoInfo', note: 'schemaInfoNote' },
+	],
+
+	init() {
+		this.list = document.getElementById( 'albert-abilities-list' );
+		if ( ! this.list ) {
+			return;
+		}
+		this.i18n = window.albertAdmin?.i18n || {};
+		this.uid = 0;
+		this.values = new WeakMap();
+
+		this.list.addEventListener( 'click', ( e ) => {
+			const target = e.target.closest( '.ability-schema-open, .ability-schema-tab, [data-schema-action]' );
+			if ( ! target ) {
+				return;
+			}
+			if ( target.classList.contains( 'ability-schema-open' ) ) {
+				this.toggle( target );
+			} else if ( target.classList.contains( 'ability-schema-tab' ) ) {
+				this.select( target );
+			} else {
+				this.action( target );
+			}
+		} );
+
+		this.list.addEventListener( 'keydown', ( e ) => {
+			if ( e.target.classList?.contains( 'ability-schema-tab' ) ) {
+				this.handleTabKey( e );
+			}
+		} );
+	},
+
+	toggle( button ) {
+		const panel = document.getElementById( button.getAttribute( 'aria-controls' ) );
+		if ( ! panel ) {
+			return;
+		}
+		const open = button.getAttribute( 'aria-expanded' ) !== 'true';
+		button.setAttribute( 'aria-expanded', String( open ) );
+		panel.hidden = ! open;
+		if ( open && ! panel.dataset.state ) {
+			this.load( button.closest( '.ability-row' ), panel );
+		}
+	},
+
+	load( row, panel ) {
+		panel.dataset.state = 'loading';
+		panel.setAttribute( 'aria-busy', 'true' );
+		panel.textContent = this.i18n.schemaLoading || 'Loading the schemas…';
+
+		AbilityPlayground.schema( row.dataset.abilityId || '' )
+			.then( ( data ) => {
+				panel.dataset.state = 'ready';
+				this.render( row, panel, data );
+			} )
+			.catch( ( err ) => {
+				delete panel.dataset.state;
+				panel.textContent = err.message;
+			} )
+			.finally( () => panel.removeAttribute( 'aria-busy' ) );
+	},
+
+	render( row, panel, data ) {
+		const i18n = this.i18n;
+		const tablist = document.createElement( 'div' );
+		tablist.className = 'ability-schema-tabs';
+		tablist.setAttribute( 'role', 'tablist' );
+		tablist.setAttribute(
+			'aria-label',
+			( i18n.schemaViews || 'Schema views for %s' ).replace( '%s', AbilitiesListModule.rowLabel( row ) )
+		);
+
+		const panels = this.TABS.map( ( tab, index ) => {
+			const id = panel.id + '-' + tab.key;
+			const button = document.createElement( 'button' );
+			button.type = 'button';
+			button.className = 'ability-schema-tab';
+			button.id = id + '-tab';
+			button.setAttribute( 'role', 'tab' );
+			button.setAttribute( 'aria-controls', id );
+			button.setAttribute( 'aria-selected', String( 0 === index ) );
+			button.tabIndex = 0 === index ? 0 : -1;
+			button.textContent = i18n[ tab.label ] || tab.key;
+			tablist.appendChild( button );
+
+			const view = document.createElement( 'div' );
+			view.className = 'ability-schema-view';
+			view.id = id;
+			view.setAttribute( 'role', 'tabpanel' );
+			view.setAttribute( 'aria-labelledby', button.id );
+			view.tabIndex = 0;
+			view.hidden = 0 !== index;
+			this.fill( view, tab, data[ tab.field ] ?? {} );
+			return view;
+		} );
+
+		panel.replaceChildren( tablist, ...panels );
+	},
+
+	fill( view, tab, value ) {
+		const i18n = this.i18n;
+		const empty = this.isEmpty( value );
+		[ empty ? tab.empty : tab.note ].filter( Boolean ).forEach( ( key ) => {
+			const note = document.createElement( 'p' );
+			note.className = 'ability-schema-note';
+			note.textContent = i18n[ key ] || '';
+			view.appendChild( note );
+		} );
+
+		if ( empty ) {
+			return;
+		}
+
+		const toolbar = document.createElement( 'div' );
+		toolbar.className = 'ability-schema-toolbar';
+		[
+			[ 'copy', i18n.schemaCopy || 'Copy JSON' ],
+			[ 'expand', i18n.schemaExpandAll || 'Expand all' ],
+			[ 'collapse', i18n.schemaCollapseAll || 'Collapse all' ],
+		].forEach( ( [ action, label ] ) => {
+			const button = document.createElement( 'button' );
+			button.type = 'button';
+			button.className = 'button button-small';
+			button.dataset.schemaAction = action;
+			button.textContent = label;
+			toolbar.appendChild( button );
+		} );
+
+		const tree = document.createElement( 'div' );
+		tree.className = 'ability-schema-tree';
+		tree.appendChild( this.node( value, null, true ) );
+
+		this.values.set( view, value );
+		view.append( toolbar, tree );
+	},
+
+	isEmpty( value ) {
+		return null === value || undefined === value || ( 'object' === typeof value && ! Object.keys( value ).length );
+	},
+
+	select( tab ) {
+		const tablist = tab.closest( '[role="tablist"]' );
+		tablist.querySelectorAll( '[role="tab"]' ).forEach( ( other ) => {
+			const selected = other === tab;
+			other.setAttribute( 'aria-selected', String( selected ) );
+			other.tabIndex = selected ? 0 : -1;
+			const view = document.getElementById( other.getAttribute( 'aria-controls' ) );
+			if ( view ) {
+				view.hidden = ! selected;
+			}
+		} );
+	},
+
+	handleTabKey( e ) {
+		const tabs = Array.from( e.target.closest( '[role="tablist"]' ).querySelectorAll( '[role="tab"]' ) );
+		const index = tabs.indexOf( e.target );
+		let next;
+		switch ( e.key ) {
+			case 'ArrowRight':
+				next = tabs[ ( index + 1 ) % tabs.length ];
+				break;
+			case 'ArrowLeft':
+				next = tabs[ ( index - 1 + tabs.length ) % tabs.length ];
+				break;
+			case 'Home':
+				next = tabs[ 0 ];
+				break;
+			case 'End':
+				next = tabs[ tabs.length - 1 ];
+				break;
+			default:
+				return;
+		}
+		e.preventDefault();
+		this.select( next );
+		next.focus();
+	},
+
+	async action( button ) {
+		const view = button.closest( '.ability-schema-view' );
+		if ( ! view ) {
+			return;
+		}
+		if ( 'copy' === button.dataset.schemaAction ) {
+			const ok = await Albert.clipboard.copy( JSON.stringify( this.values.get( view ), null, 2 ) );
+			if ( ok ) {
+				Albert.clipboard.flashButton( button, { label: ClipboardModule.label(), swap: true } );
+			} else {
+				Albert.liveRegion.announce( this.i18n.copyFailed || 'Copy failed' );
+			}
+			return;
+		}
+
+		// Collapsing keeps the outermost node open so the top-level keys stay visible.
+		const expand = 'expand' === button.dataset.schemaAction;
+		view.querySelectorAll( '.ability-schema-node' ).forEach( ( node, i ) => {
+			node.open = expand || 0 === i;
+		} );
+	},
+
+	/**
+	 * Render one JSON value as a tree node.
+	 *
+	 * Non-empty objects and arrays are `<details>` elements, so each can be
+	 * collapsed with the mouse or keyboard; a collapsed node's summary
+	 * shows how many entries it hides.
+	 *
+	 * @param {*}       value The value.
+	 * @param {?string} key   Property name, or null inside arrays and at the root.
+	 * @param {boolean} last  Whether this is the last entry of its parent.
+	 * @return {Element} The node.
+	 */
+	node( value, key, last ) {
+		const comma = last ? '' : ',';
+
+		if ( ! value || 'object' !== typeof value ) {
+			return this.line( key, [ this.token( this.typeOf( value ), JSON.stringify( value ) ), this.token( 'punct', comma ) ] );
+		}
+
+		const isArray = Array.isArray( value );
+		const entries = isArray ? value.map( ( item ) => [ null, item ] ) : Object.entries( value );
+		const open = isArray ? '[' : '{';
+		const close = isArray ? ']' : '}';
+
+		if ( ! entries.length ) {
+			return this.line( key, [ this.token( 'punct', open + close + comma ) ] );
+		}
+
+		const details = document.createElement( 'details' );
+		details.className = 'ability-schema-node';
+		details.open = true;
+
+		const summary = document.createElement( 'summary' );
+		if ( null !== key ) {
+			summary.append( this.token( 'key', JSON.stringify( key ) ), this.token( 'punct', ': ' ) );
+		}
+		const count = 1 === entries.length
+			? this.i18n.schemaItem || '1 item'
+			: ( this.i18n.schemaItems || '%s items' ).replace( '%s', String( entries.length ) );
+		summary.append(
+			this.token( 'punct', open ),
+			this.token( 'hint', ' … ' + count + ' ' + close + comma )
+		);
+
+		const children = document.createElement( 'div' );
+		children.className = 'ability-schema-children';
+		entries.forEach( ( [ childKey, child ], i ) => {
+			children.appendChild( this.node( child, childKey, i === entries.length - 1 ) );
+		} );
+
+		const end = this.line( null, [ this.token( 'punct', close + comma ) ] );
+		details.append( summary, children, end );
+		return details;
+	},
+
+	line( key, parts ) {
+		const line = document.createElement( 'div' );
+		line.className = 'ability-schema-line';
+		if ( null !== key ) {
+			line.append( this.token( 'key', JSON.stringify( key ) ), this.token( 'punct', ': ' ) );
+		}
+		line.append( ...parts );
+		return line;
+	},
+
+	token( type, text ) {
+		const span = document.createElement( 'span' );
+		span.className = 'ability-schema-' + type;
+		span.textContent = text;
+		return span;
+	},
+
+	typeOf( value ) {
+		return null === value ? 'null' : typeof value;
+	},
+};
+
+/**
+ * Albert → Permissions matrix.
+ *
+ * Abilities are rows and allowed users columns; a ticked cell allows the
+ * ability to that user. Rows filter with AbilitySearch and the same
+ * category, supplier and type filters as the Abilities list. The row and
+ * column header checkboxes toggle every shown cell in their line and are
+ * mixed when those cells disagree. Changes are tracked against the saved
+ * state (each cell's `defaultChecked`) and sent in one batch to
+ * wp_ajax_albert_save_permissions as every user's denied abilities.
+ */
+const PermissionMatrix = {
+	init() {
+		this.table = document.getElementById( 'albert-permissions-matrix' );
+		if ( ! this.table ) {
+			return;
+		}
+		this.i18n = window.albertAdmin?.i18n || {};
+		this.rows = Array.from( this.table.querySelectorAll( '.albert-permissions-row' ) );
+		this.cells = Array.from( this.table.querySelectorAll( '.albert-permissions-cell-toggle' ) );
+		this.colToggles = Array.from( this.table.querySelectorAll( '.albert-permissions-col-toggle' ) );
+		this.searchInput = document.getElementById( 'albert-permissions-search' );
+		this.filters = [ 'category', 'supplier', 'annotation' ]
+			.map( ( key ) => [ key, document.getElementById( 'albert-permissions-filter-' + key ) ] )
+			.filter( ( [ , select ] ) => select );
+		this.statsNode = document.getElementById( 'albert-permissions-stats' );
+		this.emptyState = this.table.parentElement.querySelector( '.albert-abilities-empty' );
+		this.pendingNode = document.getElementById( 'albert-permissions-pending' );
+		this.saveButton = document.getElementById( 'albert-permissions-save' );
+		this.discardButton = document.getElementById( 'albert-permissions-discard' );
+		this.errorNode = document.getElementById( 'albert-permissions-error' );
+		this.searchIndex = this.buildSearchIndex();
+		this.saving = false;
+
+		this.searchInput?.addEventListener( 'input', () => this.applyFilters() );
+		this.filters.forEach( ( [ , select ] ) => select.addEventListener( 'change', () => this.applyFilters() ) );
+		this.table.addEventListener( 'change', ( e ) => this.handleChange( e.target ) );
+		this.saveButton.addEventListener( 'click', () => this.save() );
+		this.discardButton.addEventListener( 'click', () => this.discard() );
+		window.addEventListener( 'beforeunload', ( e ) => {
+			if ( this.changedCells().length ) {
+				e.preventDefault();
+				e.returnValue = this.i18n.permLeave || '';
+			}
+		} );
+
+		this.applyFilters();
+	},
+
+	/**
+	 * Index rows for AbilitySearch, labelling slugs from the matrix filters.
+	 *
+	 * @return {Map<HTMLElement, Object>} Row => index entry.
 	 */
-	revertToggle( row, checkbox, previousEnabled ) {
-		checkbox.checked = previousEnabled;
-		this.applyToggleState( row, previousEnabled );
+	buildSearchIndex() {
+		return AbilitySearch.buildIndex(
+			this.rows,
+			( key ) => this.filters.find( ( [ filterKey ] ) => filterKey === key )?.[ 1 ]
+		);
+	},
+
+	applyFilters() {
+		const terms = AbilitySearch.parse( ( this.searchInput?.value || '' ).trim() );
+		let visible = 0;
+
+		this.rows.forEach( ( row ) => {
+			const entry = this.searchIndex.get( row );
+			const result = terms.length ? AbilitySearch.score( entry, terms ) : null;
+			const shown = ( 0 === terms.length || null !== result )
+				&& this.filters.every( ( [ key, select ] ) => '' === select.value || row.dataset[ key ] === select.value );
+
+			row.hidden = ! shown;
+			AbilitiesListModule.highlightRow( entry, shown ? result : null );
+			visible += shown ? 1 : 0;
+		} );
+
+		if ( this.emptyState ) {
+			this.emptyState.hidden = visible > 0;
+		}
+		if ( this.statsNode ) {
+			this.statsNode.textContent = ( this.i18n.permStats || 'Showing %1$s of %2$s abilities' )
+				.replace( '%1$s', String( visible ) )
+				.replace( '%2$s', String( this.rows.length ) );
+		}
+		this.refresh();
+	},
+
+	rowCells( row ) {
+		return Array.from( row.querySelectorAll( '.albert-permissions-cell-toggle' ) );
 	},
 
 	/**
-	 * Show an error notice in the dedicated inline alert region.
+	 * A user's cells in the rows the filters currently show.
 	 *
-	 * Auto-dismisses after a few seconds so a transient failure doesn't
-	 * leave a permanent banner; the role="alert" attribute on the element
-	 * means screen readers announce it as soon as it appears.
+	 * @param {string} userId User ID.
+	 * @return {Array<HTMLInputElement>} Cell checkboxes.
 	 */
-	showError( message ) {
-		if ( ! this.errorNode ) {
-			// eslint-disable-next-line no-console
-			console.error( 'Albert:', message );
+	columnCells( userId ) {
+		return this.cells.filter( ( cell ) => cell.dataset.userId === userId && ! cell.closest( 'tr' ).hidden );
+	},
+
+	handleChange( target ) {
+		if ( target.classList.contains( 'albert-permissions-row-toggle' ) ) {
+			this.rowCells( target.closest( 'tr' ) ).forEach( ( cell ) => {
+				cell.checked = target.checked;
+			} );
+		} else if ( target.classList.contains( 'albert-permissions-col-toggle' ) ) {
+			this.columnCells( target.dataset.userId ).forEach( ( cell ) => {
+				cell.checked = target.checked;
+			} );
+		} else if ( ! target.classList.contains( 'albert-permissions-cell-toggle' ) ) {
 			return;
 		}
-		this.errorNode.textContent = message;
-		this.errorNode.hidden = false;
+		this.refresh();
+	},
 
-		clearTimeout( this.errorDismissTimer );
-		this.errorDismissTimer = setTimeout( () => {
-			this.errorNode.hidden = true;
-		}, 6000 );
+	changedCells() {
+		return this.cells.filter( ( cell ) => cell.checked !== cell.defaultChecked );
 	},
 
-	bindPagination() {
-		if ( ! this.pagination ) {
+	/**
+	 * Sync the bulk toggles, cell markers, pending count and buttons
+	 * with the cells.
+	 */
+	refresh() {
+		const setToggle = ( toggle, cells ) => {
+			const checked = cells.filter( ( cell ) => cell.checked ).length;
+			toggle.checked = cells.length > 0 && checked === cells.length;
+			toggle.indeterminate = checked > 0 && checked < cells.length;
+			toggle.disabled = 0 === cells.length;
+		};
+
+		this.rows.forEach( ( row ) => setToggle( row.querySelector( '.albert-permissions-row-toggle' ), this.rowCells( row ) ) );
+		this.colToggles.forEach( ( toggle ) => setToggle( toggle, this.columnCells( toggle.dataset.userId ) ) );
+
+		this.cells.forEach( ( cell ) => {
+			const td = cell.closest( 'td' );
+			td.classList.toggle( 'is-denied', ! cell.checked );
+			td.classList.toggle( 'is-changed', cell.checked !== cell.defaultChecked );
+		} );
+
+		const changed = this.changedCells().length;
+		if ( ! this.saving ) {
+			this.pendingNode.textContent = this.pendingText( changed );
+		}
+		this.saveButton.disabled = this.saving || 0 === changed;
+		this.discardButton.disabled = this.saving || 0 === changed;
+	},
+
+	pendingText( changed ) {
+		if ( 0 === changed ) {
+			return this.i18n.permNoChanges || 'No unsaved changes.';
+		}
+		if ( 1 === changed ) {
+			return this.i18n.permOneChange || '1 unsaved change.';
+		}
+		return ( this.i18n.permChanges || '%s unsaved changes.' ).replace( '%s', String( changed ) );
+	},
+
+	save() {
+		if ( this.saving ) {
+			return;
+		}
+		const cfg = window.albertAdmin || {};
+		const failed = this.i18n.permFailed || 'Could not save the permissions. Please try again.';
+		const denials = {};
+		this.colToggles.forEach( ( toggle ) => {
+			denials[ toggle.dataset.userId ] = [];
+		} );
+		this.cells.forEach( ( cell ) => {
+			if ( ! cell.checked ) {
+				denials[ cell.dataset.userId ].push( cell.closest( 'tr' ).dataset.abilityId );
+			}
+		} );
+
+		this.saving = true;
+		this.pendingNode.textContent = this.i18n.permSaving || 'Saving…';
+		this.refresh();
+
+		Albert.ajax.json( cfg.ajaxUrl, {
+			action: 'albert_save_permissions',
+			nonce: cfg.permissionNonce,
+			denials: JSON.stringify( denials ),
+		}, { failed, expired: this.i18n.sessionExpired } )
+			.then( ( data ) => {
+				this.cells.forEach( ( cell ) => {
+					cell.defaultChecked = cell.checked;
+				} );
+				this.errorNode.hidden = true;
+				Albert.toast.show( data.message, { closeLabel: this.i18n.dismiss || 'Dismiss' } );
+			} )
+			.catch( ( err ) => {
+				this.errorNode.textContent = err.message;
+				this.errorNode.hidden = false;
+			} )
+			.finally( () => {
+				this.saving = false;
+				this.refresh();
+			} );
+	},
+
+	discard() {
+		this.cells.forEach( ( cell ) => {
+			cell.checked = cell.defaultChecked;
+		} );
+		this.refresh();
+		Albert.liveRegion.announce( this.i18n.permDiscarded || 'Changes discarded.' );
+	},
+};
+
+/**
+ * Clipboard bindings for inline copy-text spans and explicit copy buttons.
+ *
+ * Both flows share `Albert.clipboard` (copy + flashButton). Inline text
+ * uses a `data-copied` attribute (CSS renders a tooltip); buttons swap
+ * their label for the duration of the feedback.
+ */
+const ClipboardModule = {
+	init() {
+		document.addEventListener( 'click', async ( e ) => {
+			const copyText = e.target.closest( '.albert-copy-text' );
+			if ( copyText ) {
+				const ok = await Albert.clipboard.copy( copyText.textContent.trim() );
+				if ( ok ) {
+					Albert.clipboard.flashButton( copyText, { label: ClipboardModule.label() } );
+				}
+				return;
+			}
+
+			const button = e.target.closest( '.albert-copy-button' );
+			if ( ! button ) {
+				return;
+			}
+
+			const target = document.getElementById( button.dataset.copyTarget );
+			if ( ! target ) {
+				return;
+			}
+
+			const text = target.value !== undefined && null !== target.value
+				? target.value
+				: target.textContent.trim();
+
+			const ok = await Albert.clipboard.copy( text );
+			if ( ok ) {
+				Albert.clipboard.flashButton( button, { label: ClipboardModule.label(), swap: true } );
+			}
+		} );
+	},
+
+	label() {
+		return window.albertAdmin?.i18n?.copied || 'Copied!';
+	},
+};
+
+/**
+ * Put focus back on the element that opened a dialog, unless the user
+ * has already moved it somewhere else.
+ *
+ * @param {?Element} opener Element that had focus before the dialog opened.
+ */
+function restoreFocus( opener ) {
+	const active = document.activeElement;
+	if ( opener && opener.isConnected && ( ! active || active === document.body ) ) {
+		opener.focus();
+	}
+}
+
+/**
+ * Connections page actions, without page reloads.
+ *
+ * "Disconnect" opens the disconnect dialog (disconnect the token or end
+ * the session); other `.albert-connection-action` links — remove user,
+ * disconnect all, and the per-user session revokes — confirm through
+ * Albert.confirmDialog. Each action posts to its wp_ajax_albert_* handler, which
+ * answers with the state the page should show: rows that no longer exist
+ * fade out, and the counts, empty states and session links update in
+ * place. Focus moves to the neighbouring row when the focused row goes,
+ * or to the card heading when the list empties. The links keep their
+ * nonce URLs, so without JavaScript they still work via admin_init.
+ */
+const ConnectionsModule = {
+	ACTIONS: {
+		remove_user: ( link ) => ( {
+			action: 'albert_remove_allowed_user',
+			user_id: link.dataset.userId,
+		} ),
+		revoke_all: () => ( {
+			action: 'albert_revoke_all_connections',
+		} ),
+		revoke_user_session: ( link ) => ( {
+			action: 'albert_revoke_connection',
+			token_id: link.dataset.tokenId,
+			mode: 'token',
+			view_user: link.dataset.userId,
+		} ),
+		revoke_all_user_sessions: ( link ) => ( {
+			action: 'albert_revoke_all_connections',
+			user_id: link.dataset.userId,
+		} ),
+	},
+
+	init() {
+		this.cfg = window.albertAdmin || {};
+		this.i18n = this.cfg.i18n || {};
+		if ( ! this.cfg.connectionsNonce ) {
+			return;
+		}
+
+		this.bindDisconnectDialog();
+		ConnectionsTable.init();
+
+		document.addEventListener( 'click', ( e ) => {
+			const trigger = e.target.closest( '.albert-disconnect-trigger' );
+			if ( trigger && this.dialog ) {
+				e.preventDefault();
+				this.openDisconnect( trigger );
+				return;
+			}
+
+			const link = e.target.closest( '.albert-connection-action' );
+			if ( link && this.ACTIONS[ link.dataset.connectionAction ] ) {
+				e.preventDefault();
+				this.confirmAction( link );
+			}
+		} );
+	},
+
+	bindDisconnectDialog() {
+		this.dialog = document.getElementById( 'albert-disconnect-dialog' );
+		if ( ! this.dialog ) {
+			return;
+		}
+		this.title = document.getElementById( 'albert-disconnect-dialog-title' );
+
+		this.dialog.addEventListener( 'click', ( e ) => {
+			const option = e.target.closest( '.albert-disconnect-option' );
+			if ( option ) {
+				this.dialog.close( option.dataset.mode );
+			} else if ( e.target === this.dialog || e.target.closest( '.albert-disconnect-dialog-close, .albert-disconnect-cancel' ) ) {
+				this.dialog.close( '' );
+			}
+		} );
+
+		this.dialog.addEventListener( 'close', () => {
+			const pending = this.pending;
+			const mode = this.dialog.returnValue;
+			this.pending = null;
+			if ( ! pending ) {
+				return;
+			}
+			restoreFocus( pending.trigger );
+			if ( 'token' === mode || 'session' === mode ) {
+				this.run( pending.trigger, {
+					action: 'albert_revoke_connection',
+					token_ids: pending.tokenIds.join( ',' ),
+					mode,
+				}, pending.rows );
+			}
+		} );
+	},
+
+	/**
+	 * Ask how to disconnect: revoke the token or end the session.
+	 *
+	 * @param {Element}   trigger    Row link or the "Disconnect selected" button.
+	 * @param {string[]}  [tokenIds] Tokens to act on; defaults to the trigger's.
+	 * @param {string}    [title]    Dialog heading; defaults to "Disconnect <client>?".
+	 * @param {Element[]} [rows]     Rows to mark busy while the request runs.
+	 */
+	openDisconnect( trigger, tokenIds, title, rows ) {
+		if ( 'true' === trigger.getAttribute( 'aria-disabled' ) ) {
+			return;
+		}
+		this.pending = {
+			trigger,
+			tokenIds: tokenIds || [ trigger.dataset.tokenId ],
+			rows,
+		};
+		this.title.textContent = title || ( this.i18n.disconnectTitle || 'Disconnect %s?' ).replace( '%s', trigger.dataset.clientName || '' );
+		this.dialog.returnValue = '';
+		this.dialog.showModal();
+	},
+
+	async confirmAction( link ) {
+		if ( 'true' === link.getAttribute( 'aria-disabled' ) ) {
+			return;
+		}
+		const confirmed = await Albert.confirmDialog.open( {
+			title: link.dataset.confirmTitle,
+			message: link.dataset.confirm,
+			confirmLabel: link.dataset.confirmLabel || this.i18n.confirm,
+		} );
+		if ( confirmed ) {
+			this.run( link, this.ACTIONS[ link.dataset.connectionAction ]( link ) );
+		}
+	},
+
+	run( trigger, data, rows ) {
+		const busyRows = rows || [ trigger.closest( 'tr, .albert-user-row' ) ].filter( Boolean );
+		const setBusy = ( busy ) => {
+			if ( busy ) {
+				trigger.setAttribute( 'aria-disabled', 'true' );
+			} else {
+				trigger.removeAttribute( 'aria-disabled' );
+			}
+			busyRows.forEach( ( row ) => {
+				row.classList.toggle( 'is-busy', busy );
+				row.setAttribute( 'aria-busy', busy ? 'true' : 'false' );
+			} );
+		};
+		setBusy( true );
+
+		Albert.ajax.json( this.cfg.ajaxUrl, { ...data, nonce: this.cfg.connectionsNonce }, {
+			failed: this.i18n.actionFailed,
+			expired: this.i18n.actionExpired,
+		} )
+			.then( ( state ) => {
+				setBusy( false );
+				this.applyState( state, trigger );
+				Albert.toast.show( state.message, { closeLabel: this.i18n.dismiss || 'Dismiss' } );
+			} )
+			.catch( ( err ) => {
+				setBusy( false );
+				Albert.toast.show( err.message, { tone: 'error', closeLabel: this.i18n.dismiss || 'Dismiss' } );
+			} );
+	},
+
+	/**
+	 * Bring the page in line with the state returned by the server.
+	 *
+	 * @param {Object}  state   Response from Connections::get_ajax_state().
+	 * @param {Element} trigger Link or button that started the action.
+	 */
+	applyState( state, trigger ) {
+		const removed = [];
+
+		const active = new Set( state.active || [] );
+		document.querySelectorAll( '#albert-connections-table tbody tr[data-token-id]' ).forEach( ( row ) => {
+			if ( ! active.has( parseInt( row.dataset.tokenId, 10 ) ) ) {
+				removed.push( row );
+			}
+		} );
+
+		const sessions = state.sessions || {};
+		document.querySelectorAll( '#albert-allowed-users-list .albert-user-row' ).forEach( ( row ) => {
+			const count = sessions[ row.dataset.userId ];
+			if ( undefined === count ) {
+				removed.push( row );
+			} else {
+				this.renderSessionCount( row.querySelector( '.albert-user-sessions' ), count );
+			}
+		} );
+
+		// The per-user view shows one row per client. Revoking its newest
+		// token can leave an older one, in which case the row stays and
+		// now stands for that token.
+		const userTable = document.getElementById( 'albert-user-sessions-table' );
+		if ( userTable ) {
+			const remaining = new Map( ( state.user_sessions || [] ).map( ( session ) => [ session.client_id, session ] ) );
+			userTable.querySelectorAll( 'tbody tr[data-client-id]' ).forEach( ( row ) => {
+				const session = remaining.get( row.dataset.clientId );
+				if ( ! session ) {
+					removed.push( row );
+					return;
+				}
+				row.dataset.tokenId = String( session.id );
+				row.querySelectorAll( '[data-token-id]' ).forEach( ( el ) => {
+					el.dataset.tokenId = String( session.id );
+				} );
+				const code = row.querySelector( 'code' );
+				if ( code ) {
+					code.textContent = session.session;
+				}
+			} );
+		}
+
+		this.removeRows( removed, trigger );
+	},
+
+	/**
+	 * Fade rows out, then update counts and empty states and settle focus.
+	 *
+	 * @param {Element[]} rows    Rows to remove.
+	 * @param {Element}   trigger Link or button that started the action.
+	 */
+	removeRows( rows, trigger ) {
+		const focused = document.activeElement;
+		const row = trigger.closest( 'tr, .albert-user-row' );
+		const heading = trigger.closest( '.albert-settings-card, .albert-settings-section' )?.querySelector( '[tabindex="-1"]' );
+		const neighbours = [];
+		if ( row ) {
+			for ( let next = row.nextElementSibling; next; next = next.nextElementSibling ) {
+				neighbours.push( next );
+			}
+			for ( let prev = row.previousElementSibling; prev; prev = prev.previousElementSibling ) {
+				neighbours.push( prev );
+			}
+		}
+
+		const instant = window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches;
+		const fades = rows.map( ( el ) => new Promise( ( resolve ) => {
+			const done = () => {
+				el.remove();
+				resolve();
+			};
+			if ( instant ) {
+				done();
+				return;
+			}
+			el.classList.add( 'is-removing' );
+			el.addEventListener( 'transitionend', done, { once: true } );
+			setTimeout( done, 400 );
+		} ) );
+
+		Promise.all( fades ).then( () => {
+			this.updateCounts();
+			ConnectionsTable.render();
+
+			const lostFocus = ! focused || focused === document.body || ! focused.isConnected || focused.disabled || null !== focused.closest( '[hidden]' );
+			if ( ! lostFocus ) {
+				return;
+			}
+			const next = neighbours.find( ( el ) => el.isConnected && ! el.hidden );
+			const target = next
+				? next.querySelector( '.albert-disconnect-trigger, .albert-connection-action' )
+				: heading;
+			target?.focus();
+		} );
+	},
+
+	updateCounts() {
+		const connections = document.querySelectorAll( '#albert-connections-table tbody tr' ).length;
+		this.setCount( 'albert-connections', connections );
+		const actions = document.getElementById( 'albert-connections-actions' );
+		if ( actions ) {
+			actions.hidden = connections < 2;
+		}
+
+		this.setCount( 'albert-allowed-users', document.querySelectorAll( '#albert-allowed-users-list .albert-user-row' ).length );
+
+		const userTable = document.getElementById( 'albert-user-sessions-table' );
+		if ( userTable ) {
+			const remaining = userTable.querySelectorAll( 'tbody tr' ).length;
+			userTable.hidden = ! remaining;
+			const userActions = document.getElementById( 'albert-user-sessions-actions' );
+			if ( userActions ) {
+				userActions.hidden = ! remaining;
+			}
+			const empty = document.getElementById( 'albert-user-sessions-empty' );
+			if ( empty ) {
+				empty.hidden = remaining > 0;
+			}
+		}
+	},
+
+	/**
+	 * Update a card's count badge and swap its list for the empty state
+	 * when nothing is left.
+	 *
+	 * @param {string} prefix ID prefix shared by the card's elements.
+	 * @param {number} count  Rows left.
+	 */
+	setCount( prefix, count ) {
+		const badge = document.getElementById( prefix + '-count' );
+		if ( badge ) {
+			badge.textContent = count.toLocaleString();
+		}
+		const list = document.getElementById( prefix + '-list' );
+		if ( list ) {
+			list.hidden = ! count;
+		}
+		const empty = document.getElementById( prefix + '-empty' );
+		if ( empty ) {
+			empty.hidden = count > 0;
+		}
+	},
+
+	renderSessionCount( cell, count ) {
+		if ( ! cell || cell.dataset.count === String( count ) ) {
+			return;
+		}
+		cell.dataset.count = String( count );
+
+		let node;
+		if ( count > 0 ) {
+			node = document.createElement( 'a' );
+			node.href = cell.dataset.sessionsUrl;
+			node.className = 'albert-sessions-link';
+			node.textContent = ( 1 === count ? this.i18n.sessionOne || '%d session' : this.i18n.sessionMany || '%d sessions' )
+				.replace( '%d', String( count ) );
+		} else {
+			node = document.createElement( 'span' );
+			node.className = 'albert-no-sessions';
+			node.textContent = this.i18n.noSessions || 'No sessions';
+		}
+		cell.replaceChildren( node );
+	},
+};
+
+/**
+ * Active Connections table: filter by client or user, sort by column,
+ * page through long lists, and tick rows for a bulk disconnect.
+ *
+ * Works on the server-rendered rows (their data-client, data-user and
+ * data-connected attributes); ConnectionsModule calls render() after it
+ * removes rows. Only rows on screen can be selected — rows that are
+ * filtered out or paged away are unticked — so a bulk disconnect never
+ * reaches a connection the user can't see.
+ */
+const ConnectionsTable = {
+	init() {
+		this.table = document.getElementById( 'albert-connections-table' );
+		if ( ! this.table ) {
 			return;
 		}
-		this.pagination.addEventListener( 'click', ( e ) => {
+		this.i18n = window.albertAdmin?.i18n || {};
+		this.body = this.table.tBodies[ 0 ];
+		this.search = document.getElementById( 'albert-connections-search' );
+		this.selectAll = document.getElementById( 'albert-connections-select-all' );
+		this.bulkButton = document.getElementById( 'albert-connections-bulk-disconnect' );
+		this.selectedCount = document.getElementById( 'albert-connections-selected-count' );
+		this.noMatch = document.getElementById( 'albert-connections-no-match' );
+		this.status = document.getElementById( 'albert-connections-status' );
+		this.pagination = document.getElementById( 'albert-connections-pagination' );
+		this.pagesNode = this.pagination?.querySelector( '.albert-pagination-pages' ) || null;
+		this.perPageSelect = document.getElementById( 'albert-connections-per-page' );
+		this.collator = new Intl.Collator( undefined, { sensitivity: 'base', numeric: true } );
+
+		this.query = '';
+		this.sortKey = 'connected';
+		this.sortDir = 'desc';
+		this.page = 1;
+		this.perPage = parseInt( this.perPageSelect?.value, 10 ) || 25;
+		this.minPerPage = this.perPageSelect
+			? Math.min( ...Array.from( this.perPageSelect.options, ( option ) => parseInt( option.value, 10 ) ) )
+			: this.perPage;
+
+		this.search?.addEventListener( 'input', () => {
+			this.query = this.search.value.trim().toLowerCase();
+			this.page = 1;
+			this.render();
+
+			// Announce the settled result rather than every keystroke.
+			clearTimeout( this.announceTimer );
+			this.announceTimer = setTimeout( () => {
+				Albert.liveRegion.announce( this.noMatch && ! this.noMatch.hidden ? this.noMatch.textContent.trim() : this.status.textContent );
+			}, 400 );
+		} );
+
+		this.table.tHead.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '.albert-sort-button' );
+			if ( button ) {
+				this.sortBy( button.dataset.sort );
+			}
+		} );
+
+		this.selectAll?.addEventListener( 'change', () => {
+			this.visibleRows().forEach( ( row ) => {
+				this.checkbox( row ).checked = this.selectAll.checked;
+			} );
+			this.updateSelection();
+		} );
+		this.body.addEventListener( 'change', ( e ) => {
+			if ( e.target.matches( '.albert-connection-select' ) ) {
+				this.updateSelection();
+			}
+		} );
+
+		this.bulkButton?.addEventListener( 'click', () => {
+			const rows = this.selectedRows();
+			if ( ! rows.length ) {
+				return;
+			}
+			const title = 1 === rows.length
+				? ( this.i18n.disconnectTitle || 'Disconnect %s?' ).replace( '%s', rows[ 0 ].dataset.client )
+				: ( this.i18n.bulkDisconnectTitle || 'Disconnect %s connections?' ).replace( '%s', String( rows.length ) );
+			ConnectionsModule.openDisconnect( this.bulkButton, rows.map( ( row ) => row.dataset.tokenId ), title, rows );
+		} );
+
+		this.pagination?.addEventListener( 'click', ( e ) => {
 			const button = e.target.closest( 'button[data-direction], button[data-page]' );
 			if ( ! button ) {
 				return;
 			}
-			if ( button.dataset.direction === 'prev' ) {
-				this.currentPage = Math.max( 1, this.currentPage - 1 );
-			} else if ( button.dataset.direction === 'next' ) {
-				this.currentPage = Math.min( this.totalPages(), this.currentPage + 1 );
-			} else if ( button.dataset.page ) {
-				this.currentPage = parseInt( button.dataset.page, 10 );
-			}
-			this.renderPaginationWindow();
+			const targets = {
+				first: 1,
+				prev: this.page - 1,
+				next: this.page + 1,
+				last: this.totalPages(),
+			};
+			this.page = button.dataset.direction
+				? targets[ button.dataset.direction ]
+				: parseInt( button.dataset.page, 10 );
+			this.page = Math.min( this.totalPages(), Math.max( 1, this.page ) );
+			this.render();
 		} );
-	},
 
-	applyViewMode( mode ) {
-		this.viewMode = mode;
-		this.viewButtons.forEach( ( btn ) => {
-			const active = btn.dataset.view === mode;
-			btn.classList.toggle( 'is-active', active );
-			btn.setAttribute( 'aria-pressed', String( active ) );
+		this.perPageSelect?.addEventListener( 'change', () => {
+			// Keep the first row currently on screen on the new page.
+			const firstIndex = ( this.page - 1 ) * this.perPage;
+			this.perPage = parseInt( this.perPageSelect.value, 10 ) || 25;
+			this.page = Math.floor( firstIndex / this.perPage ) + 1;
+			this.render();
 		} );
-		if ( this.pagination ) {
-			this.pagination.hidden = mode !== 'paginated';
-		}
-		this.saveViewMode( mode );
-		this.currentPage = 1;
-		this.renderPaginationWindow();
+
+		this.render();
 	},
 
-	applyFilters() {
-		const query = ( this.searchInput?.value || '' ).trim().toLowerCase();
-		const categoryFilter = this.categoryFilter?.value || '';
-		const supplierFilter = this.supplierFilter?.value || '';
-		const annotationFilter = this.annotationFilter?.value || '';
+	rows() {
+		return Array.from( this.body.rows );
+	},
 
-		this.rows.forEach( ( row ) => {
-			const haystack = row.dataset.search || '';
-			const matchesSearch = '' === query || haystack.includes( query );
-			const matchesCategory = '' === categoryFilter || row.dataset.category === categoryFilter;
-			const matchesSupplier = '' === supplierFilter || row.dataset.supplier === supplierFilter;
-			const matchesAnnotation = '' === annotationFilter || row.dataset.annotation === annotationFilter;
+	matchingRows() {
+		if ( ! this.query ) {
+			return this.rows();
+		}
+		return this.rows().filter( ( row ) => row.dataset.client.toLowerCase().includes( this.query ) ||
+			row.dataset.user.toLowerCase().includes( this.query ) );
+	},
 
-			const visible = matchesSearch && matchesCategory && matchesSupplier && matchesAnnotation;
-			row.classList.toggle( 'is-filtered-out', ! visible );
-		} );
+	visibleRows() {
+		return this.rows().filter( ( row ) => ! row.hidden );
+	},
 
-		this.renderPaginationWindow();
+	selectedRows() {
+		return this.visibleRows().filter( ( row ) => this.checkbox( row )?.checked );
 	},
 
-	filteredRows() {
-		return this.rows.filter( ( row ) => ! row.classList.contains( 'is-filtered-out' ) );
+	checkbox( row ) {
+		return row.querySelector( '.albert-connection-select' );
 	},
 
 	totalPages() {
-		const visible = this.filteredRows().length;
-		return Math.max( 1, Math.ceil( visible / this.rowsPerPage ) );
+		return Math.max( 1, Math.ceil( this.matchingRows().length / this.perPage ) );
 	},
 
-	renderPaginationWindow() {
-		const visible = this.filteredRows();
+	/**
+	 * Sort by a column. Picking the current column flips the direction;
+	 * a new column starts A→Z, or newest first for "Connected". Ties keep
+	 * the newest connection on top.
+	 *
+	 * @param {string} key `client`, `user` or `connected`.
+	 */
+	sortBy( key ) {
+		if ( key === this.sortKey ) {
+			this.sortDir = 'asc' === this.sortDir ? 'desc' : 'asc';
+		} else {
+			this.sortKey = key;
+			this.sortDir = 'connected' === key ? 'desc' : 'asc';
+		}
 
-		// In list mode, show every filtered row and hide the rest.
-		if ( this.viewMode !== 'paginated' ) {
-			this.rows.forEach( ( row ) => {
-				const isFilteredOut = row.classList.contains( 'is-filtered-out' );
-				row.hidden = isFilteredOut;
-			} );
-			this.toggleEmptyState( visible.length === 0 );
-			this.updateStats( visible.length );
+		const dir = 'asc' === this.sortDir ? 1 : -1;
+		const sorted = this.rows().sort( ( a, b ) => {
+			const diff = 'connected' === key
+				? a.dataset.connected - b.dataset.connected
+				: this.collator.compare( a.dataset[ key ], b.dataset[ key ] );
+			return diff ? diff * dir : b.dataset.connected - a.dataset.connected;
+		} );
+		this.body.append( ...sorted );
+
+		let label = '';
+		this.table.tHead.querySelectorAll( 'th[data-sort]' ).forEach( ( th ) => {
+			if ( th.dataset.sort === key ) {
+				th.setAttribute( 'aria-sort', 'asc' === this.sortDir ? 'ascending' : 'descending' );
+				label = th.textContent.trim();
+			} else {
+				th.removeAttribute( 'aria-sort' );
+			}
+		} );
+
+		this.page = 1;
+		this.render();
+		Albert.liveRegion.announce(
+			( 'asc' === this.sortDir ? this.i18n.sortedAscending || 'Sorted by %s, ascending.' : this.i18n.sortedDescending || 'Sorted by %s, descending.' )
+				.replace( '%s', label )
+		);
+	},
+
+	render() {
+		if ( ! this.table ) {
 			return;
 		}
+		const rows = this.rows();
+		const matching = this.matchingRows();
+		const pages = Math.max( 1, Math.ceil( matching.length / this.perPage ) );
+		this.page = Math.min( this.page, pages );
+		const start = ( this.page - 1 ) * this.perPage;
+		const onPage = new Set( matching.slice( start, start + this.perPage ) );
 
-		const pages = this.totalPages();
-		if ( this.currentPage > pages ) {
-			this.currentPage = pages;
+		rows.forEach( ( row ) => {
+			row.hidden = ! onPage.has( row );
+			if ( row.hidden && this.checkbox( row ) ) {
+				this.checkbox( row ).checked = false;
+			}
+		} );
+
+		if ( this.noMatch ) {
+			this.noMatch.hidden = matching.length > 0 || ! rows.length;
 		}
-		const start = ( this.currentPage - 1 ) * this.rowsPerPage;
-		const end = start + this.rowsPerPage;
+		this.table.hidden = ! matching.length;
 
-		// Hide everything first, then reveal the current slice.
-		this.rows.forEach( ( row ) => {
-			row.hidden = true;
-		} );
-		visible.slice( start, end ).forEach( ( row ) => {
-			row.hidden = false;
-		} );
+		if ( this.status ) {
+			this.status.textContent = matching.length
+				? ( this.i18n.connectionsShowing || 'Showing %1$s–%2$s of %3$s connections' )
+					.replace( '%1$s', String( start + 1 ) )
+					.replace( '%2$s', String( start + onPage.size ) )
+					.replace( '%3$s', String( matching.length ) )
+				: '';
+		}
 
-		this.toggleEmptyState( visible.length === 0 );
-		this.updateStats( visible.length );
-		this.renderPager( pages );
+		if ( this.pagination ) {
+			this.pagination.hidden = matching.length <= this.minPerPage;
+			this.renderPager( pages );
+		}
+		this.updateSelection();
 	},
 
 	renderPager( pages ) {
 		if ( ! this.pagesNode ) {
 			return;
 		}
-		this.pagesNode.innerHTML = '';
+		const focusedPage = this.pagesNode.contains( document.activeElement );
+		this.pagesNode.replaceChildren();
 
-		for ( let i = 1; i <= pages; i++ ) {
+		AbilitiesListModule.pagerWindow( this.page, pages ).forEach( ( page ) => {
+			if ( null === page ) {
+				const gap = document.createElement( 'span' );
+				gap.className = 'albert-pagination-ellipsis';
+				gap.setAttribute( 'aria-hidden', 'true' );
+				gap.textContent = '…';
+				this.pagesNode.appendChild( gap );
+				return;
+			}
 			const btn = document.createElement( 'button' );
 			btn.type = 'button';
 			btn.className = 'button albert-pagination-page';
-			btn.textContent = String( i );
-			btn.dataset.page = String( i );
-			if ( i === this.currentPage ) {
+			btn.textContent = String( page );
+			btn.dataset.page = String( page );
+			btn.setAttribute( 'aria-label', ( this.i18n.pageLabel || 'Page %s' ).replace( '%s', String( page ) ) );
+			if ( page === this.page ) {
 				btn.classList.add( 'is-current' );
 				btn.setAttribute( 'aria-current', 'page' );
 			}
 			this.pagesNode.appendChild( btn );
-		}
+		} );
 
-		const prev = this.pagination.querySelector( '.albert-pagination-prev' );
-		const next = this.pagination.querySelector( '.albert-pagination-next' );
-		if ( prev ) {
-			prev.disabled = this.currentPage <= 1;
-		}
-		if ( next ) {
-			next.disabled = this.currentPage >= pages;
+		if ( focusedPage ) {
+			this.pagesNode.querySelector( '[aria-current="page"]' )?.focus();
 		}
-	},
 
-	toggleEmptyState( isEmpty ) {
-		if ( this.emptyState ) {
-			this.emptyState.hidden = ! isEmpty;
-		}
+		this.pagination.querySelectorAll( '[data-direction="first"], [data-direction="prev"]' ).forEach( ( btn ) => {
+			btn.disabled = this.page <= 1;
+		} );
+		this.pagination.querySelectorAll( '[data-direction="next"], [data-direction="last"]' ).forEach( ( btn ) => {
+			btn.disabled = this.page >= pages;
+		} );
 	},
 
-	/**
-	 * Update the stats line.
-	 *
-	 * The stats node is `aria-live="polite"`, so every textContent change
-	 * would queue a screen-reader announcement — spammy while the user is
-	 * typing in the search box. We split the write into two steps:
-	 *   - The visible text is updated immediately (sighted users need to
-	 *     see the filter results live).
-	 *   - The announcement is debounced (~400ms): we temporarily remove
-	 *     aria-live while updating, then restore it after a short delay so
-	 *     only the settled value is announced.
-	 */
-	updateStats( visibleCount ) {
-		if ( ! this.statsNode ) {
-			return;
+	updateSelection() {
+		const visible = this.visibleRows();
+		const selected = this.selectedRows().length;
+		if ( this.selectAll ) {
+			this.selectAll.checked = visible.length > 0 && selected === visible.length;
+			this.selectAll.indeterminate = selected > 0 && selected < visible.length;
+			this.selectAll.disabled = ! visible.length;
+		}
+		if ( this.bulkButton ) {
+			this.bulkButton.disabled = ! selected;
+		}
+		if ( this.selectedCount ) {
+			this.selectedCount.textContent = selected
+				? ( this.i18n.connectionsSelected || '%s selected' ).replace( '%s', String( selected ) )
+				: '';
 		}
-		const visible = typeof visibleCount === 'number' ? visibleCount : this.filteredRows().length;
-		const text = this.statsTemplate
-			.replace( '%1$s', String( visible ) )
-			.replace( '%2$s', String( this.total ) )
-			.replace( '%3$s', String( this.enabled ) );
-
-		// Suppress the live announcement while the value is changing.
-		this.statsNode.setAttribute( 'aria-live', 'off' );
-		this.statsNode.textContent = text;
-
-		clearTimeout( this.statsAnnounceTimer );
-		this.statsAnnounceTimer = setTimeout( () => {
-			this.statsNode.setAttribute( 'aria-live', 'polite' );
-		}, 400 );
 	},
 };
 
 /**
- * Clipboard bindings for inline copy-text spans and explicit copy buttons.
+ * "Add Users" picker on the Connections page: an ARIA combobox whose
+ * listbox is filled from the REST users endpoint as the admin types.
  *
- * Both flows share `Albert.clipboard` (copy + flashButton). Inline text
- * uses a `data-copied` attribute (CSS renders a tooltip); buttons swap
- * their label for the duration of the feedback.
+ * Searches are debounced and a newer one aborts the request before it.
+ * Users already allowed or already picked are excluded. Arrow keys move
+ * through the matches (aria-activedescendant keeps focus in the field),
+ * Enter or a click picks one as a chip, Escape closes the list and
+ * Backspace in an empty field drops the last chip. "Add Users" sends all
+ * chips in one request and inserts the rows the server renders.
  */
-const ClipboardModule = {
+const UserPicker = {
+	DEBOUNCE: 250,
+	PER_PAGE: 10,
+
 	init() {
-		document.addEventListener( 'click', async ( e ) => {
-			const copyText = e.target.closest( '.albert-copy-text' );
-			if ( copyText ) {
-				const ok = await Albert.clipboard.copy( copyText.textContent.trim() );
-				if ( ok ) {
-					Albert.clipboard.flashButton( copyText, { label: ClipboardModule.label() } );
-				}
-				return;
+		this.cfg = window.albertAdmin || {};
+		this.form = document.getElementById( 'albert-user-picker' );
+		if ( ! this.form || ! this.cfg.usersEndpoint ) {
+			return;
+		}
+		this.i18n = this.cfg.i18n || {};
+		this.field = this.form.querySelector( '.albert-user-picker-field' );
+		this.input = document.getElementById( 'albert-user-picker-input' );
+		this.listbox = document.getElementById( 'albert-user-picker-listbox' );
+		this.chips = document.getElementById( 'albert-user-picker-chips' );
+		this.submit = document.getElementById( 'albert-user-picker-submit' );
+		this.picked = new Map();
+		this.options = [];
+		this.activeIndex = -1;
+		this.controller = null;
+		this.searchTimer = null;
+		this.busy = false;
+
+		// Chips carry the ids now; a typed name is only a search term.
+		this.input.removeAttribute( 'name' );
+		this.updateSubmit();
+
+		this.input.addEventListener( 'input', () => this.scheduleSearch() );
+		this.input.addEventListener( 'keydown', ( e ) => this.onKeydown( e ) );
+		this.input.addEventListener( 'blur', () => this.close() );
+		this.field.addEventListener( 'click', ( e ) => {
+			if ( e.target === this.field || e.target === this.chips ) {
+				this.input.focus();
 			}
+		} );
 
-			const button = e.target.closest( '.albert-copy-button' );
-			if ( ! button ) {
-				return;
+		// Keep focus in the field while an option is clicked.
+		this.listbox.addEventListener( 'mousedown', ( e ) => e.preventDefault() );
+		this.listbox.addEventListener( 'click', ( e ) => {
+			const option = e.target.closest( '[role="option"][data-index]' );
+			if ( option ) {
+				this.pick( this.options[ parseInt( option.dataset.index, 10 ) ] );
 			}
+		} );
 
-			const target = document.getElementById( button.dataset.copyTarget );
-			if ( ! target ) {
-				return;
+		this.chips.addEventListener( 'click', ( e ) => {
+			const remove = e.target.closest( '.albert-user-picker-chip-remove' );
+			if ( remove ) {
+				this.unpick( parseInt( remove.dataset.userId, 10 ) );
+				this.input.focus();
 			}
+		} );
 
-			const text = target.value !== undefined && null !== target.value
-				? target.value
-				: target.textContent.trim();
+		this.form.addEventListener( 'submit', ( e ) => {
+			e.preventDefault();
+			this.addUsers();
+		} );
+	},
 
-			const ok = await Albert.clipboard.copy( text );
-			if ( ok ) {
-				Albert.clipboard.flashButton( button, { label: ClipboardModule.label(), swap: true } );
-			}
+	scheduleSearch() {
+		clearTimeout( this.searchTimer );
+		const query = this.input.value.trim();
+		if ( ! query ) {
+			this.close();
+			return;
+		}
+		this.searchTimer = setTimeout( () => this.search( query ), this.DEBOUNCE );
+	},
+
+	excludedIds() {
+		const ids = new Set( this.picked.keys() );
+		document.querySelectorAll( '#albert-allowed-users-list .albert-user-row[data-user-id]' ).forEach( ( row ) => {
+			ids.add( parseInt( row.dataset.userId, 10 ) );
 		} );
+		return Array.from( ids );
 	},
 
-	label() {
-		return window.albertAdmin?.i18n?.copied || 'Copied!';
+	search( query ) {
+		this.controller?.abort();
+		this.controller = new AbortController();
+
+		const url = new URL( this.cfg.usersEndpoint, window.location.href );
+		url.searchParams.set( 'search', query );
+		url.searchParams.set( 'context', 'edit' );
+		url.searchParams.set( 'per_page', String( this.PER_PAGE ) );
+		url.searchParams.set( '_fields', 'id,name,email,roles,avatar_urls' );
+		const exclude = this.excludedIds();
+		if ( exclude.length ) {
+			url.searchParams.set( 'exclude', exclude.join( ',' ) );
+		}
+
+		this.field.classList.add( 'is-loading' );
+		fetch( url, {
+			credentials: 'same-origin',
+			headers: { 'X-WP-Nonce': this.cfg.restNonce },
+			signal: this.controller.signal,
+		} )
+			.then( ( response ) => {
+				if ( ! response.ok ) {
+					throw new Error( String( response.status ) );
+				}
+				return response.json();
+			} )
+			.then( ( users ) => {
+				this.field.classList.remove( 'is-loading' );
+				if ( document.activeElement === this.input ) {
+					this.renderOptions( users );
+				}
+			} )
+			.catch( ( err ) => {
+				if ( 'AbortError' === err.name ) {
+					return;
+				}
+				this.field.classList.remove( 'is-loading' );
+				this.renderMessage( this.i18n.userSearchFailed || 'Could not search users. Please try again.' );
+			} );
 	},
-};
 
-/**
- * Disconnect dialog — populates and shows a native dialog for disconnect actions.
- */
-const DisconnectModule = {
-	init() {
-		this.dialog = document.getElementById( 'albert-disconnect-dialog' );
-		if ( ! this.dialog ) {
+	renderOptions( users ) {
+		const roles = this.cfg.roles || {};
+		this.options = users.map( ( user ) => ( {
+			id: user.id,
+			name: user.name,
+			email: user.email || '',
+			role: ( user.roles || [] ).map( ( role ) => roles[ role ] || role ).join( ', ' ),
+			avatar: user.avatar_urls?.[ '48' ] || '',
+		} ) );
+
+		if ( ! this.options.length ) {
+			this.renderMessage( this.i18n.usersNone || 'No users found.' );
 			return;
 		}
 
-		this.title = document.getElementById( 'albert-disconnect-dialog-title' );
-		this.connLink = document.getElementById( 'albert-disconnect-connection' );
-		this.sessLink = document.getElementById( 'albert-disconnect-session' );
+		this.listbox.replaceChildren( ...this.options.map( ( user, index ) => {
+			const option = document.createElement( 'li' );
+			option.id = 'albert-user-picker-option-' + user.id;
+			option.className = 'albert-user-picker-option';
+			option.setAttribute( 'role', 'option' );
+			option.setAttribute( 'aria-selected', 'false' );
+			option.dataset.index = String( index );
+			option.appendChild( this.createAvatar( user, 32 ) );
 
-		document.addEventListener( 'click', ( e ) => {
-			const trigger = e.target.closest( '.albert-disconnect-trigger' );
-			if ( ! trigger ) {
-				return;
-			}
+			const text = document.createElement( 'span' );
+			text.className = 'albert-user-picker-option-text';
+			const name = document.createElement( 'strong' );
+			name.textContent = user.name;
+			const meta = document.createElement( 'span' );
+			meta.className = 'albert-user-picker-option-meta';
+			meta.textContent = [ user.email, user.role ].filter( Boolean ).join( ' · ' );
+			text.append( name, meta );
+			option.appendChild( text );
+			return option;
+		} ) );
+		this.setActive( -1 );
+		this.open();
 
-			e.preventDefault();
+		const count = this.options.length;
+		Albert.liveRegion.announce(
+			( 1 === count ? this.i18n.usersOne || '1 user found.' : this.i18n.usersFound || '%s users found.' )
+				.replace( '%s', String( count ) )
+		);
+	},
 
-			this.title.textContent = 'Disconnect ' + ( trigger.dataset.clientName || '' ) + '?';
-			this.connLink.href = trigger.dataset.revokeUrl;
-			this.sessLink.href = trigger.dataset.revokeFullUrl;
+	renderMessage( message ) {
+		this.options = [];
+		const item = document.createElement( 'li' );
+		item.className = 'albert-user-picker-message';
+		item.setAttribute( 'role', 'option' );
+		item.setAttribute( 'aria-disabled', 'true' );
+		item.textContent = message;
+		this.listbox.replaceChildren( item );
+		this.setActive( -1 );
+		this.open();
+		Albert.liveRegion.announce( message );
+	},
 
-			this.dialog.showModal();
-		} );
+	createAvatar( user, size ) {
+		const img = document.createElement( 'img' );
+		img.className = 'albert-user-picker-avatar';
+		img.src = user.avatar;
+		img.alt = '';
+		img.width = size;
+		img.height = size;
+		img.hidden = ! user.avatar;
+		return img;
+	},
 
-		this.dialog.addEventListener( 'click', ( e ) => {
-			if ( e.target.closest( '.albert-disconnect-dialog-close' ) || e.target.closest( '.albert-disconnect-cancel' ) ) {
-				this.dialog.close();
+	open() {
+		this.listbox.hidden = false;
+		this.input.setAttribute( 'aria-expanded', 'true' );
+	},
+
+	close() {
+		clearTimeout( this.searchTimer );
+		this.controller?.abort();
+		this.field.classList.remove( 'is-loading' );
+		this.listbox.hidden = true;
+		this.input.setAttribute( 'aria-expanded', 'false' );
+		this.setActive( -1 );
+	},
+
+	setActive( index ) {
+		this.activeIndex = index;
+		this.listbox.querySelectorAll( '[role="option"][data-index]' ).forEach( ( option ) => {
+			const active = parseInt( option.dataset.index, 10 ) === index;
+			option.setAttribute( 'aria-selected', active ? 'true' : 'false' );
+			option.classList.toggle( 'is-active', active );
+			if ( active ) {
+				this.input.setAttribute( 'aria-activedescendant', option.id );
+				option.scrollIntoView( { block: 'nearest' } );
 			}
 		} );
+		if ( index < 0 ) {
+			this.input.removeAttribute( 'aria-activedescendant' );
+		}
+	},
 
-		this.dialog.addEventListener( 'click', ( e ) => {
-			if ( e.target === this.dialog ) {
-				this.dialog.close();
+	onKeydown( e ) {
+		const count = this.options.length;
+		switch ( e.key ) {
+			case 'ArrowDown':
+			case 'ArrowUp': {
+				e.preventDefault();
+				if ( this.listbox.hidden ) {
+					if ( this.input.value.trim() ) {
+						this.search( this.input.value.trim() );
+					}
+					return;
+				}
+				if ( ! count ) {
+					return;
+				}
+				const step = 'ArrowDown' === e.key ? 1 : -1;
+				const from = this.activeIndex < 0 && step < 0 ? count : this.activeIndex;
+				this.setActive( ( from + step + count ) % count );
+				break;
 			}
-		} );
+			case 'Enter':
+				if ( ! this.listbox.hidden && this.activeIndex >= 0 ) {
+					e.preventDefault();
+					this.pick( this.options[ this.activeIndex ] );
+				}
+				break;
+			case 'Escape':
+				if ( ! this.listbox.hidden ) {
+					e.preventDefault();
+					this.close();
+				} else if ( this.input.value ) {
+					e.preventDefault();
+					this.input.value = '';
+				}
+				break;
+			case 'Backspace':
+				if ( ! this.input.value && this.picked.size ) {
+					e.preventDefault();
+					this.unpick( Array.from( this.picked.keys() ).pop() );
+				}
+				break;
+		}
+	},
+
+	pick( user ) {
+		if ( ! user || this.picked.has( user.id ) ) {
+			return;
+		}
+		this.picked.set( user.id, user );
+
+		const chip = document.createElement( 'li' );
+		chip.className = 'albert-user-picker-chip';
+		chip.dataset.userId = String( user.id );
+		const name = document.createElement( 'span' );
+		name.textContent = user.name;
+		const field = document.createElement( 'input' );
+		field.type = 'hidden';
+		field.name = 'albert_user_ids[]';
+		field.value = String( user.id );
+		const remove = document.createElement( 'button' );
+		remove.type = 'button';
+		remove.className = 'albert-user-picker-chip-remove';
+		remove.dataset.userId = String( user.id );
+		remove.setAttribute( 'aria-label', ( this.i18n.removeUser || 'Remove %s' ).replace( '%s', user.name ) );
+		remove.innerHTML = '<span class="dashicons dashicons-no-alt" aria-hidden="true"></span>';
+		chip.append( this.createAvatar( user, 20 ), name, field, remove );
+		this.chips.appendChild( chip );
+
+		this.input.value = '';
+		this.close();
+		this.updateSubmit();
+		Albert.liveRegion.announce( ( this.i18n.userPicked || '%s will be added.' ).replace( '%s', user.name ) );
+	},
+
+	unpick( userId, silent ) {
+		const user = this.picked.get( userId );
+		if ( ! user ) {
+			return;
+		}
+		this.picked.delete( userId );
+		this.chips.querySelector( `.albert-user-picker-chip[data-user-id="${ userId }"]` )?.remove();
+		this.updateSubmit();
+		if ( ! silent ) {
+			Albert.liveRegion.announce( ( this.i18n.userUnpicked || '%s removed.' ).replace( '%s', user.name ) );
+		}
+	},
+
+	updateSubmit() {
+		this.submit.disabled = ! this.picked.size;
+	},
+
+	addUsers() {
+		if ( ! this.picked.size || this.busy ) {
+			return;
+		}
+		this.busy = true;
+		this.submit.setAttribute( 'aria-disabled', 'true' );
+		const done = () => {
+			this.busy = false;
+			this.submit.removeAttribute( 'aria-disabled' );
+		};
+
+		Albert.ajax.json( this.cfg.ajaxUrl, {
+			action: 'albert_add_allowed_users',
+			nonce: this.cfg.connectionsNonce,
+			user_ids: Array.from( this.picked.keys() ).join( ',' ),
+		}, {
+			failed: this.i18n.actionFailed,
+			expired: this.i18n.actionExpired,
+		} )
+			.then( ( state ) => {
+				done();
+				const list = document.getElementById( 'albert-allowed-users-list' );
+				( state.rows || [] ).forEach( ( row ) => {
+					const template = document.createElement( 'template' );
+					template.innerHTML = row.html.trim();
+					const el = template.content.firstElementChild;
+					if ( el && list ) {
+						el.classList.add( 'is-new' );
+						el.addEventListener( 'animationend', () => el.classList.remove( 'is-new' ), { once: true } );
+						list.appendChild( el );
+					}
+					this.unpick( row.id, true );
+				} );
+
+				// Focus stays in the field so applyState doesn't move it.
+				this.input.focus();
+				ConnectionsModule.applyState( state, this.input );
+				Albert.toast.show( state.message, { closeLabel: this.i18n.dismiss || 'Dismiss' } );
+			} )
+			.catch( ( err ) => {
+				done();
+				Albert.toast.show( err.message, { tone: 'error', closeLabel: this.i18n.dismiss || 'Dismiss' } );
+			} );
 	},
 };
 
@@ -594,8 +4982,12 @@ const DisconnectModule = {
 function init() {
 	Albert.liveRegion.ensure();
 	AbilitiesListModule.init();
+	AbilityPlayground.init();
+	SchemaViewer.init();
+	PermissionMatrix.init();
 	ClipboardModule.init();
-	DisconnectModule.init();
+	ConnectionsModule.init();
+	UserPicker.init();
 }
 
 if ( document.readyState === 'loading' ) {
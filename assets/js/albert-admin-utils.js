@@ -8,7 +8,10 @@
  * Modules:
  *   - Albert.liveRegion  — single shared aria-live announcer
  *   - Albert.clipboard   — copy-to-clipboard with fallback + button flash
- *   - Albert.ajax        — admin-ajax.php POST helper
+ *   - Albert.ajax        — admin-ajax.php POST helpers
+ *   - Albert.toast       — non-blocking notification with an optional action
+ *   - Albert.confirmDialog — accessible, promise-based replacement for confirm()
+ *   - Albert.relativeTime — self-refreshing "5 minutes ago" timestamps
  *
  * @package Albert
  * @since   1.1.0
@@ -141,16 +144,19 @@
 	};
 
 	/**
-	 * Minimal POST wrapper for admin-ajax.php endpoints.
-	 *
-	 * Returns the native Response so each caller decides whether to read
-	 * `.json()` or inspect `.ok` / `.status` directly.
-	 *
-	 * @param {string}                url  Endpoint URL.
-	 * @param {Object<string,string>} data Form fields. Values are coerced to strings; null/undefined become "".
-	 * @return {Promise<Response>}
+	 * POST helpers for admin-ajax.php endpoints.
 	 */
 	Albert.ajax = {
+		/**
+		 * Minimal POST wrapper.
+		 *
+		 * Returns the native Response so each caller decides whether to read
+		 * `.json()` or inspect `.ok` / `.status` directly.
+		 *
+		 * @param {string}                url  Endpoint URL.
+		 * @param {Object<string,string>} data Form fields. Values are coerced to strings; null/undefined become "".
+		 * @return {Promise<Response>}
+		 */
 		post( url, data ) {
 			const body = new URLSearchParams();
 			Object.entries( data ).forEach( ( [ key, value ] ) => {
@@ -164,5 +170,354 @@
 				body,
 			} );
 		},
+
+		/**
+		 * POST and unwrap a `wp_send_json_success()` / `_error()` response.
+		 *
+		 * Rejects with an Error carrying the server's `data.message` when it
+		 * sent one, else `expired` for a 403 and `failed` for anything else,
+		 * including no answer at all. The error's `status` is the HTTP
+		 * status, or 0 when the request never got a response.
+		 *
+		 * @param {string}                url                Endpoint URL.
+		 * @param {Object<string,string>} data               Form fields, as for post().
+		 * @param {Object}                [messages]
+		 * @param {string}                [messages.failed]  Fallback error message. Defaults to "That did not work. Please try again.".
+		 * @param {string}                [messages.expired] Message for a 403 (expired nonce or session). Defaults to `failed`.
+		 * @return {Promise<*>} The response's `data`.
+		 */
+		json( url, data, messages = {} ) {
+			const { failed = 'That did not work. Please try again.', expired = failed } = messages;
+			const error = ( message, status ) => Object.assign( new Error( message ), { status } );
+
+			return this.post( url, data ).then(
+				( response ) => response.json().catch( () => null ).then( ( json ) => {
+					if ( ! response.ok || ! json || ! json.success ) {
+						throw error( json?.data?.message || ( 403 === response.status ? expired : failed ), response.status );
+					}
+					return json.data;
+				} ),
+				() => {
+					throw error( failed, 0 );
+				}
+			);
+		},
+	};
+
+	/**
+	 * Non-blocking toast notification.
+	 *
+	 * One toast is visible at a time — showing a new one replaces the old.
+	 * The message is announced through `Albert.liveRegion` rather than by
+	 * making the toast itself a live region, so assistive tech hears it
+	 * exactly once. The auto-dismiss timer pauses while the pointer or
+	 * keyboard focus is inside the toast (WCAG 2.2.1), and Escape closes it.
+	 *
+	 * @param {string}   message                Text shown (and announced).
+	 * @param {Object}   [options]
+	 * @param {string}   [options.actionLabel]  Label of the optional action button (e.g. "Undo").
+	 * @param {Function} [options.onAction]     Called when the action button is pressed; the toast closes first.
+	 * @param {string}   [options.tone]         `info` (default), `warning`, or `error`.
+	 * @param {number}   [options.duration]     Milliseconds before auto-dismiss. Defaults to 6000.
+	 * @param {string}   [options.closeLabel]   Accessible label of the close button. Defaults to "Dismiss".
+	 * @return {{dismiss: Function}} Handle to close the toast early.
+	 */
+	Albert.toast = {
+		current: null,
+
+		show( message, options = {} ) {
+			const {
+				actionLabel = '',
+				onAction = null,
+				tone = 'info',
+				duration = 6000,
+				closeLabel = 'Dismiss',
+			} = options;
+
+			this.dismiss();
+
+			const region = this.ensureRegion();
+			const el = document.createElement( 'div' );
+			el.className = 'albert-toast albert-toast--' + tone;
+
+			const text = document.createElement( 'span' );
+			text.className = 'albert-toast-message';
+			text.textContent = message;
+			el.appendChild( text );
+
+			if ( actionLabel && typeof onAction === 'function' ) {
+				const action = document.createElement( 'button' );
+				action.type = 'button';
+				action.className = 'albert-toast-action';
+				action.textContent = actionLabel;
+				action.addEventListener( 'click', () => {
+					handle.dismiss();
+					onAction();
+				} );
+				el.appendChild( action );
+			}
+
+			const close = document.createElement( 'button' );
+			close.type = 'button';
+			close.className = 'albert-toast-close';
+			close.setAttribute( 'aria-label', closeLabel );
+			close.innerHTML = '<span class="dashicons dashicons-no-alt" aria-hidden="true"></span>';
+			close.addEventListener( 'click', () => handle.dismiss() );
+			el.appendChild( close );
+
+			let timer = null;
+			const start = () => {
+				clearTimeout( timer );
+				timer = setTimeout( () => handle.dismiss(), duration );
+			};
+			const pause = () => clearTimeout( timer );
+
+			const handle = {
+				el,
+				dismiss: () => {
+					clearTimeout( timer );
+					if ( el.parentNode ) {
+						el.parentNode.removeChild( el );
+					}
+					if ( Albert.toast.current === handle ) {
+						Albert.toast.current = null;
+					}
+				},
+			};
+
+			el.addEventListener( 'mouseenter', pause );
+			el.addEventListener( 'mouseleave', start );
+			el.addEventListener( 'focusin', pause );
+			el.addEventListener( 'focusout', ( e ) => {
+				if ( ! el.contains( e.relatedTarget ) ) {
+					start();
+				}
+			} );
+			el.addEventListener( 'keydown', ( e ) => {
+				if ( e.key === 'Escape' ) {
+					handle.dismiss();
+				}
+			} );
+
+			region.appendChild( el );
+			Albert.liveRegion.announce( actionLabel ? message + ' ' + actionLabel : message );
+			start();
+
+			this.current = handle;
+			return handle;
+		},
+
+		dismiss() {
+			if ( this.current ) {
+				this.current.dismiss();
+			}
+		},
+
+		ensureRegion() {
+			let region = document.getElementById( 'albert-toast-region' );
+			if ( ! region ) {
+				region = document.createElement( 'div' );
+				region.id = 'albert-toast-region';
+				region.className = 'albert-toast-region';
+				document.body.appendChild( region );
+			}
+			return region;
+		},
+	};
+
+	/**
+	 * Promise-based replacement for `confirm()` on a native <dialog>.
+	 *
+	 * Uses the page's `#albert-confirm-dialog` when the server rendered one
+	 * (Connections::render_confirm_dialog()) and otherwise builds the same
+	 * markup on first use. Resolves true only when the confirm button was
+	 * pressed; Escape, Cancel, the close button and a backdrop click all
+	 * resolve false. Focus starts on Cancel and goes back to whatever
+	 * opened the dialog.
+	 *
+	 * @param {Object} options
+	 * @param {string} options.title          Dialog heading.
+	 * @param {string} [options.message]      Explanation shown under the heading.
+	 * @param {string} [options.confirmLabel] Label of the confirm button. Defaults to "Confirm".
+	 * @param {string} [options.cancelLabel]  Label of the cancel button (built dialog only). Defaults to "Cancel".
+	 * @param {string} [options.closeLabel]   Accessible label of the close button (built dialog only). Defaults to "Close".
+	 * @return {Promise<boolean>} Whether the user confirmed.
+	 */
+	Albert.confirmDialog = {
+		dialog: null,
+		resolve: null,
+		opener: null,
+
+		open( options = {} ) {
+			const { title = '', message = '', confirmLabel = 'Confirm' } = options;
+			const dialog = this.ensure( options );
+
+			if ( ! dialog ) {
+				// eslint-disable-next-line no-alert
+				return Promise.resolve( window.confirm( message || title ) );
+			}
+
+			this.opener = document.activeElement;
+			this.title.textContent = title || message;
+			this.message.textContent = title ? message : '';
+			this.message.hidden = ! title || ! message;
+			this.confirmButton.textContent = confirmLabel;
+			dialog.returnValue = '';
+			dialog.showModal();
+			this.cancelButton.focus();
+
+			return new Promise( ( resolve ) => {
+				this.resolve = resolve;
+			} );
+		},
+
+		ensure( { cancelLabel = 'Cancel', closeLabel = 'Close' } ) {
+			if ( this.dialog ) {
+				return this.dialog;
+			}
+			if ( typeof HTMLDialogElement !== 'function' ) {
+				return null;
+			}
+
+			let dialog = document.getElementById( 'albert-confirm-dialog' );
+			if ( ! dialog ) {
+				dialog = document.createElement( 'dialog' );
+				dialog.id = 'albert-confirm-dialog';
+				dialog.setAttribute( 'aria-labelledby', 'albert-confirm-dialog-title' );
+				dialog.setAttribute( 'aria-describedby', 'albert-confirm-dialog-message' );
+				dialog.innerHTML = `
+					<div class="albert-disconnect-dialog-header">
+						<h2 id="albert-confirm-dialog-title"></h2>
+						<button type="button" class="albert-disconnect-dialog-close">
+							<span class="dashicons dashicons-no-alt"></span>
+						</button>
+					</div>
+					<p id="albert-confirm-dialog-message" class="albert-confirm-dialog-message"></p>
+					<div class="albert-confirm-dialog-actions">
+						<button type="button" class="button albert-disconnect-cancel"></button>
+						<button type="button" class="button albert-confirm-dialog-confirm"></button>
+					</div>`;
+				dialog.querySelector( '.albert-disconnect-dialog-close' ).setAttribute( 'aria-label', closeLabel );
+				dialog.querySelector( '.albert-disconnect-cancel' ).textContent = cancelLabel;
+				document.body.appendChild( dialog );
+			}
+
+			this.dialog = dialog;
+			this.title = document.getElementById( 'albert-confirm-dialog-title' );
+			this.message = document.getElementById( 'albert-confirm-dialog-message' );
+			this.confirmButton = dialog.querySelector( '.albert-confirm-dialog-confirm' );
+			this.cancelButton = dialog.querySelector( '.albert-disconnect-cancel' );
+
+			dialog.addEventListener( 'click', ( e ) => {
+				if ( e.target === dialog || e.target.closest( '.albert-disconnect-dialog-close, .albert-disconnect-cancel' ) ) {
+					dialog.close( 'cancel' );
+				} else if ( e.target.closest( '.albert-confirm-dialog-confirm' ) ) {
+					dialog.close( 'confirm' );
+				}
+			} );
+
+			dialog.addEventListener( 'close', () => {
+				// Put focus back unless the user already moved it elsewhere.
+				const active = document.activeElement;
+				if ( this.opener && this.opener.isConnected && ( ! active || active === document.body ) ) {
+					this.opener.focus();
+				}
+				if ( this.resolve ) {
+					this.resolve( 'confirm' === dialog.returnValue );
+					this.resolve = null;
+				}
+			} );
+
+			return dialog;
+		},
+	};
+
+	/**
+	 * Relative timestamps that stay current while the page is open.
+	 *
+	 * Any `<time class="albert-relative-time" data-timestamp="…">` (Unix
+	 * seconds) is rewritten by `refresh()`; `start()` runs that on an
+	 * interval, skipping ticks while the tab is hidden and catching up when
+	 * it becomes visible again. `syncClock()` takes the server's `time()`
+	 * so a skewed client clock doesn't produce "in 3 minutes".
+	 */
+	Albert.relativeTime = {
+		interval: 30000,
+		timer: null,
+		offset: 0,
+
+		units: [
+			[ 'year', 31536000 ],
+			[ 'month', 2592000 ],
+			[ 'week', 604800 ],
+			[ 'day', 86400 ],
+			[ 'hour', 3600 ],
+			[ 'minute', 60 ],
+		],
+
+		syncClock( serverNow ) {
+			if ( Number.isFinite( serverNow ) ) {
+				this.offset = serverNow - ( Date.now() / 1000 );
+			}
+		},
+
+		format( timestamp ) {
+			const diff = timestamp - ( ( Date.now() / 1000 ) + this.offset );
+			let formatter;
+			try {
+				formatter = new Intl.RelativeTimeFormat( document.documentElement.lang || undefined, { numeric: 'auto' } );
+			} catch ( e ) {
+				formatter = new Intl.RelativeTimeFormat( undefined, { numeric: 'auto' } );
+			}
+			for ( const [ unit, seconds ] of this.units ) {
+				if ( Math.abs( diff ) >= seconds ) {
+					return formatter.format( Math.round( diff / seconds ), unit );
+				}
+			}
+			return formatter.format( 0, 'second' );
+		},
+
+		/**
+		 * Build a `<time>` element for a Unix timestamp.
+		 *
+		 * @param {number} timestamp Unix seconds.
+		 * @return {HTMLTimeElement} Element picked up by refresh().
+		 */
+		create( timestamp ) {
+			const date = new Date( timestamp * 1000 );
+			const el = document.createElement( 'time' );
+			el.className = 'albert-relative-time';
+			el.dateTime = date.toISOString();
+			el.dataset.timestamp = String( timestamp );
+			el.title = date.toLocaleString();
+			el.textContent = this.format( timestamp );
+			return el;
+		},
+
+		refresh( root = document ) {
+			root.querySelectorAll( 'time.albert-relative-time[data-timestamp]' ).forEach( ( el ) => {
+				const timestamp = parseInt( el.dataset.timestamp, 10 );
+				if ( Number.isFinite( timestamp ) ) {
+					el.textContent = this.format( timestamp );
+				}
+			} );
+		},
+
+		start() {
+			if ( this.timer ) {
+				return;
+			}
+			this.refresh();
+			this.timer = setInterval( () => {
+				if ( ! document.hidden ) {
+					this.refresh();
+				}
+			}, this.interval );
+			document.addEventListener( 'visibilitychange', () => {
+				if ( ! document.hidden ) {
+					this.refresh();
+				}
+			} );
+		},
 	};
 } )();
@@ -0,0 +1,261 @@
+/**
+ * Albert License Notices
+ *
+ * Shows a banner on every Albert admin page for each add-on license that
+ * has expired or is about to. The initial list is localized by
+ * `LicenseNotices`; it is refreshed in the background through the
+ * `albert_refresh_licenses_table` endpoint (hourly while the tab is
+ * visible) and whenever the Licenses screen reloads its table. Banners can
+ * be snoozed or dismissed per user.
+ *
+ * @package Albert
+ * @since 1.2.0
+ */
+
+( function () {
+	'use strict';
+
+	const LicenseNotices = {
+		init() {
+			this.cfg = window.albertLicenseNotices || {};
+			this.container = document.getElementById( 'albert-license-notices' );
+			if ( ! this.container || ! this.cfg.ajaxUrl ) {
+				return;
+			}
+			this.i18n = this.cfg.i18n || {};
+			this.timer = null;
+			this.lastRefresh = Date.now();
+
+			this.render( this.cfg.notices || [], false );
+
+			this.container.addEventListener( 'click', ( e ) => {
+				const button = e.target.closest( '[data-notice-action]' );
+				if ( button ) {
+					this.hide( button.closest( '.albert-license-banner' ), button.dataset.noticeAction );
+				}
+			} );
+
+			// albert-licenses.js refreshes the table after every (de)activation.
+			document.addEventListener( 'albert:licenses-refreshed', ( e ) => {
+				if ( Array.isArray( e.detail?.notices ) ) {
+					this.lastRefresh = Date.now();
+					this.render( e.detail.notices, true );
+				}
+			} );
+
+			document.addEventListener( 'visibilitychange', () => {
+				clearTimeout( this.timer );
+				if ( document.hidden ) {
+					return;
+				}
+				if ( Date.now() - this.lastRefresh >= this.interval() ) {
+					this.refresh();
+				} else {
+					this.schedule();
+				}
+			} );
+
+			this.schedule();
+		},
+
+		interval() {
+			return this.cfg.refreshInterval || 3600000;
+		},
+
+		schedule() {
+			clearTimeout( this.timer );
+			if ( document.hidden ) {
+				return;
+			}
+			const wait = Math.max( 0, this.interval() - ( Date.now() - this.lastRefresh ) );
+			this.timer = setTimeout( () => this.refresh(), wait );
+		},
+
+		refresh() {
+			Albert.ajax.post( this.cfg.ajaxUrl, {
+				action: 'albert_refresh_licenses_table',
+				nonce: this.cfg.licenseNonce,
+			} )
+				.then( ( response ) => response.json() )
+				.then( ( json ) => {
+					if ( json && json.success && Array.isArray( json.data.notices ) ) {
+						this.lastRefresh = Date.now();
+						this.render( json.data.notices, true );
+					}
+				} )
+				.catch( () => {} )
+				.finally( () => this.schedule() );
+		},
+
+		/**
+		 * Sync the banners with a fresh list: drop the ones that no longer
+		 * apply, rewrite the ones whose license changed and add new ones.
+		 *
+		 * @param {Object[]} notices  Notices from LicenseNotices::get_notices().
+		 * @param {boolean}  announce Read new banners out (not on page load).
+		 */
+		render( notices, announce ) {
+			const existing = new Map();
+			this.container.querySelectorAll( '.albert-license-banner' ).forEach( ( banner ) => {
+				existing.set( banner.dataset.slug, banner );
+			} );
+
+			notices.forEach( ( notice ) => {
+				const current = existing.get( notice.slug );
+				existing.delete( notice.slug );
+				if ( current && current.dataset.signature === notice.signature ) {
+					this.container.appendChild( current );
+					return;
+				}
+				current?.remove();
+				this.container.appendChild( this.createBanner( notice ) );
+				if ( announce ) {
+					Albert.liveRegion.announce(
+						( this.i18n.newNotice || 'License notice: %s' ).replace( '%s', this.message( notice ) )
+					);
+				}
+			} );
+
+			existing.forEach( ( banner ) => {
+				if ( banner.contains( document.activeElement ) ) {
+					this.focusAfter( banner );
+				}
+				banner.remove();
+			} );
+		},
+
+		message( notice ) {
+			let template;
+			if ( 'expired' === notice.state ) {
+				template = this.i18n.expired || 'Your %1$s license expired on %2$s. Renew it to keep receiving updates and support.';
+			} else if ( 0 === notice.daysLeft ) {
+				template = this.i18n.expiresToday || 'Your %1$s license expires today (%2$s). Renew it to keep receiving updates and support.';
+			} else if ( 1 === notice.daysLeft ) {
+				template = this.i18n.expiresOne || 'Your %1$s license expires tomorrow (%2$s). Renew it to keep receiving updates and support.';
+			} else {
+				template = this.i18n.expiresIn || 'Your %1$s license expires in %3$s days (%2$s). Renew it to keep receiving updates and support.';
+			}
+			const args = [ notice.name, notice.expires, String( notice.daysLeft ) ];
+			return template.replace( /%(\d)\$s/g, ( match, index ) => args[ index - 1 ] ?? match );
+		},
+
+		createBanner( notice ) {
+			const banner = document.createElement( 'div' );
+			banner.className = 'notice is-dismissible albert-license-banner '
+				+ ( 'expired' === notice.state ? 'notice-error' : 'notice-warning' );
+			banner.dataset.slug = notice.slug;
+			banner.dataset.signature = notice.signature;
+			banner.tabIndex = -1;
+
+			const message = document.createElement( 'p' );
+			message.className = 'albert-license-banner-message';
+			message.textContent = this.message( notice );
+
+			const actions = document.createElement( 'p' );
+			actions.className = 'albert-license-banner-actions';
+
+			const renew = document.createElement( 'a' );
+			renew.className = 'button button-primary';
+			renew.href = notice.renewUrl;
+			renew.target = '_blank';
+			renew.rel = 'noopener noreferrer';
+			renew.textContent = this.i18n.renew || 'Renew license';
+			const newTab = document.createElement( 'span' );
+			newTab.className = 'screen-reader-text';
+			newTab.textContent = ' ' + ( this.i18n.opensNewTab || '(opens in a new tab)' );
+			renew.appendChild( newTab );
+
+			const snooze = document.createElement( 'button' );
+			snooze.type = 'button';
+			snooze.className = 'button-link';
+			snooze.dataset.noticeAction = 'snooze';
+			snooze.textContent = this.i18n.snooze || 'Remind me in 7 days';
+
+			actions.append( renew, snooze );
+
+			const dismiss = document.createElement( 'button' );
+			dismiss.type = 'button';
+			dismiss.className = 'notice-dismiss';
+			dismiss.dataset.noticeAction = 'dismiss';
+			const label = document.createElement( 'span' );
+			label.className = 'screen-reader-text';
+			label.textContent = this.i18n.dismiss || 'Dismiss this notice.';
+			dismiss.appendChild( label );
+
+			banner.append( message, actions, dismiss );
+			return banner;
+		},
+
+		/**
+		 * Snooze or dismiss a banner. It disappears at once and comes back
+		 * if the server doesn't store the choice.
+		 *
+		 * @param {HTMLElement} banner Banner element.
+		 * @param {string}      mode   'snooze' or 'dismiss'.
+		 */
+		hide( banner, mode ) {
+			if ( ! banner || banner.hidden ) {
+				return;
+			}
+			banner.hidden = true;
+			this.focusAfter( banner );
+
+			Albert.ajax.json( this.cfg.ajaxUrl, {
+				action: 'albert_license_notice_hide',
+				nonce: this.cfg.nonce,
+				slug: banner.dataset.slug,
+				signature: banner.dataset.signature,
+				mode,
+			}, {
+				failed: this.i18n.actionFailed,
+				expired: this.i18n.actionExpired,
+			} )
+				.then( ( data ) => {
+					banner.remove();
+					Albert.liveRegion.announce( data.message );
+				} )
+				.catch( ( err ) => {
+					banner.hidden = false;
+					Albert.toast.show( err.message, { tone: 'error' } );
+				} );
+		},
+
+		/**
+		 * Move focus off a banner that is going away: to the next banner,
+		 * else the previous one, else the page heading.
+		 *
+		 * @param {HTMLElement} banner Banner being hidden or removed.
+		 */
+		focusAfter( banner ) {
+			const visible = ( el ) => el && el.classList.contains( 'albert-license-banner' ) && ! el.hidden;
+			let target = banner.nextElementSibling;
+			while ( target && ! visible( target ) ) {
+				target = target.nextElementSibling;
+			}
+			if ( ! target ) {
+				target = banner.previousElementSibling;
+				while ( target && ! visible( target ) ) {
+					target = target.previousElementSibling;
+				}
+			}
+			if ( ! target ) {
+				target = document.querySelector( '.wrap h1' );
+				if ( target && ! target.hasAttribute( 'tabindex' ) ) {
+					target.tabIndex = -1;
+				}
+			}
+			target?.focus();
+		},
+	};
+
+	function init() {
+		Albert.liveRegion.ensure();
+		LicenseNotices.init();
+	}
+
+	if ( document.readyState === 'loading' ) {
+		document.addEventListener( 'DOMContentLoaded', init );
+	} else {
+		init();
+	}
+} )();
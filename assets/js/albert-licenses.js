@@ -2,18 +2,31 @@
  * Albert Licenses Page Scripts
  *
  * Calls the EDD SL SDK's AJAX handlers for license activation and
- * deactivation, then refreshes the table via Albert's own endpoint.
+ * deactivation, then refreshes the table from the license data Albert's
+ * own endpoint returns.
+ * Activation takes one or more keys (one per line) and lists the outcome
+ * for every addon.
  *
  * @package Albert
  * @since   1.1.0
  */
 
 const AlbertLicenses = {
+	// Automatic retries for a request that never got a JSON answer
+	// (offline, timeout, 5xx): 1 s, then 2 s, before offering "Retry".
+	RETRY_BASE: 1000,
+	RETRY_LIMIT: 2,
+
 	init() {
 		this.keyInput = document.getElementById( 'albert-license-key' );
 		this.activateBtn = document.getElementById( 'albert-activate-btn' );
 		this.noticeEl = document.getElementById( 'albert-license-notice' );
 		this.tableWrap = document.getElementById( 'albert-addons-table-wrap' );
+		this.resultsEl = document.getElementById( 'albert-license-results' );
+		this.resultsList = document.getElementById( 'albert-license-results-list' );
+		this.results = new Map();
+		this.running = false;
+		this.focusSlug = '';
 
 		if ( ! this.activateBtn ) {
 			return;
@@ -21,13 +34,22 @@ const AlbertLicenses = {
 
 		this.activateBtn.addEventListener( 'click', () => this.handleActivate() );
 
+		// Enter activates; Shift+Enter starts another line for the next key.
 		this.keyInput.addEventListener( 'keydown', ( e ) => {
-			if ( e.key === 'Enter' ) {
+			if ( e.key === 'Enter' && ! e.shiftKey ) {
 				e.preventDefault();
 				this.handleActivate();
 			}
 		} );
 
+		this.resultsList?.addEventListener( 'click', ( e ) => {
+			const btn = e.target.closest( '.albert-license-retry' );
+			const result = btn && this.results.get( btn.dataset.optionSlug );
+			if ( result && ! this.running ) {
+				this.run( [ result ] );
+			}
+		} );
+
 		// Event delegation for deactivate buttons.
 		if ( this.tableWrap ) {
 			this.tableWrap.addEventListener( 'click', ( e ) => {
@@ -39,66 +61,292 @@ const AlbertLicenses = {
 		}
 	},
 
+	/**
+	 * Split the field into unique keys. Keys never contain whitespace, so
+	 * any run of it (newlines from a pasted list included) separates them.
+	 *
+	 * @param {string} value Field value.
+	 * @return {string[]} Keys in the order given.
+	 */
+	parseKeys( value ) {
+		return Array.from( new Set( value.split( /\s+/ ).filter( Boolean ) ) );
+	},
+
 	handleActivate() {
-		const key = this.keyInput.value.trim();
 		const cfg = window.albertLicenses || {};
 		const i18n = cfg.i18n || {};
+		const keys = this.parseKeys( this.keyInput.value );
 
-		if ( ! key ) {
+		if ( this.running ) {
+			return;
+		}
+
+		if ( ! keys.length ) {
 			this.showNotice( i18n.emptyKey || 'Please enter a license key.', 'error' );
 			this.keyInput.focus();
 			return;
 		}
 
+		// Every addon tries the keys in turn until one activates it, so a
+		// list of keys sorts itself out and a bundle key can cover several.
+		this.results = new Map();
+		( cfg.addons || [] ).forEach( ( addon ) => {
+			this.results.set( addon.option_slug, { addon, keys, attempts: new Map(), status: 'pending', key: '' } );
+		} );
+		this.resultsList.replaceChildren();
+		this.results.forEach( ( result ) => this.resultsList.appendChild( this.createResultItem( result ) ) );
+		this.resultsEl.hidden = false;
+
+		this.run( Array.from( this.results.values() ) );
+	},
+
+	/**
+	 * Activate the given addons in parallel and report when all settle.
+	 *
+	 * On a retry only the keys that hit a network error are tried again;
+	 * keys the license server already turned down stay turned down.
+	 *
+	 * @param {Object[]} results Entries of `this.results` to (re)run.
+	 */
+	run( results ) {
+		const cfg = window.albertLicenses || {};
+		const i18n = cfg.i18n || {};
+
+		this.running = true;
 		this.setButtonLoading( this.activateBtn, true, i18n.activating || 'Activating...' );
 		this.hideNotice();
 
-		const promises = ( cfg.addons || [] ).map( ( addon ) => {
-			return Albert.ajax.post( cfg.ajaxUrl || window.ajaxurl, {
-				action: 'edd_sl_sdk_activate_' + addon.option_slug,
-				license: key,
-				token: cfg.token || '',
-				timestamp: cfg.timestamp || '',
-				nonce: cfg.eddNonce || '',
-			} )
-				.then( ( r ) => r.json() )
-				.then( ( r ) => ( { addon: addon.name, success: r.success, data: r.data } ) )
-				.catch( () => ( { addon: addon.name, success: false, data: null } ) );
+		const jobs = results.map( ( result ) => {
+			const keys = 'network' === result.status
+				? result.keys.filter( ( key ) => result.attempts.get( key )?.network )
+				: result.keys;
+			return this.activateAddon( result, keys );
 		} );
 
-		Promise.allSettled( promises ).then( ( results ) => {
-			const activated = results
-				.filter( ( r ) => r.status === 'fulfilled' && r.value.success )
-				.map( ( r ) => r.value.addon );
-
-			if ( activated.length ) {
-				this.showNotice( 'License activated for: ' + activated.join( ', ' ), 'success' );
-				this.keyInput.value = '';
-				this.refreshTable();
-			} else {
-				this.showNotice( 'This license key is not valid for any installed addon.', 'error' );
-			}
-
+		Promise.all( jobs ).then( () => {
+			this.running = false;
 			this.setButtonLoading( this.activateBtn, false, i18n.activate || 'Activate' );
+			this.finish();
 		} );
 	},
 
-	handleDeactivate( btn ) {
+	async activateAddon( result, keys ) {
+		this.setStatus( result, 'pending' );
+
+		for ( const key of keys ) {
+			const outcome = await this.activateKey( result, key, 0 );
+			result.attempts.set( key, outcome );
+			if ( outcome.success ) {
+				result.key = key;
+				break;
+			}
+		}
+
+		let status = 'failed';
+		if ( result.key ) {
+			status = 'success';
+		} else if ( Array.from( result.attempts.values() ).some( ( outcome ) => outcome.network ) ) {
+			status = 'network';
+		}
+		this.setStatus( result, status );
+		Albert.liveRegion.announce( `${ result.addon.name }: ${ this.describe( result ) }` );
+	},
+
+	/**
+	 * Send one key to one addon's EDD SL SDK handler, retrying network
+	 * failures with a growing delay.
+	 *
+	 * @param {Object} result  Entry of `this.results`.
+	 * @param {string} key     License key.
+	 * @param {number} attempt Retries made so far.
+	 * @return {Promise<{success: boolean, data: *, network: boolean}>}
+	 */
+	activateKey( result, key, attempt ) {
+		const cfg = window.albertLicenses || {};
+
+		return Albert.ajax.post( cfg.ajaxUrl || window.ajaxurl, {
+			action: 'edd_sl_sdk_activate_' + result.addon.option_slug,
+			license: key,
+			token: cfg.token || '',
+			timestamp: cfg.timestamp || '',
+			nonce: cfg.eddNonce || '',
+		} )
+			.then( ( r ) => {
+				if ( r.status >= 500 ) {
+					throw new Error( String( r.status ) );
+				}
+				return r.json();
+			} )
+			.then( ( r ) => ( { success: true === r?.success, data: r?.data ?? null, network: false } ) )
+			.catch( () => {
+				if ( attempt >= this.RETRY_LIMIT ) {
+					return { success: false, data: null, network: true };
+				}
+				this.setStatus( result, 'retrying' );
+				return new Promise( ( resolve ) => setTimeout( resolve, this.RETRY_BASE * ( 2 ** attempt ) ) )
+					.then( () => this.activateKey( result, key, attempt + 1 ) );
+			} );
+	},
+
+	/**
+	 * Turn a failed activation into a short reason.
+	 *
+	 * Uses the license server's error code when the SDK passes it on, and
+	 * otherwise its message (stripped of markup).
+	 *
+	 * @param {Object} outcome Result of activateKey().
+	 * @return {string}
+	 */
+	failureReason( outcome ) {
+		const i18n = window.albertLicenses?.i18n || {};
+		if ( outcome.network ) {
+			return i18n.reasonNetwork || 'Could not reach the license server.';
+		}
+
+		const reasons = {
+			expired: i18n.reasonExpired || 'This license key has expired.',
+			no_activations_left: i18n.reasonSiteLimit || 'This license has reached its site limit.',
+			item_name_mismatch: i18n.reasonWrongProduct || 'This license key is for a different product.',
+			invalid_item_id: i18n.reasonWrongProduct || 'This license key is for a different product.',
+			disabled: i18n.reasonDisabled || 'This license key has been disabled.',
+			revoked: i18n.reasonDisabled || 'This license key has been disabled.',
+			missing: i18n.reasonInvalid || 'This license key is not valid.',
+			invalid: i18n.reasonInvalid || 'This license key is not valid.',
+		};
+		const data = outcome.data || {};
+		if ( reasons[ data.error ] ) {
+			return reasons[ data.error ];
+		}
+		if ( 'string' === typeof data.message && data.message ) {
+			return new DOMParser().parseFromString( data.message, 'text/html' ).body.textContent.trim();
+		}
+		return i18n.reasonUnknown || 'Activation failed.';
+	},
+
+	maskKey( key ) {
+		return '…' + key.slice( -4 );
+	},
+
+	describe( result ) {
+		const i18n = window.albertLicenses?.i18n || {};
+		switch ( result.status ) {
+			case 'success':
+				return ( i18n.activatedWith || 'Activated with key %s.' ).replace( '%s', this.maskKey( result.key ) );
+			case 'retrying':
+				return i18n.retrying || 'Connection problem, retrying…';
+			case 'pending':
+				return i18n.activating || 'Activating...';
+		}
+		const outcomes = result.keys.map( ( key ) => [ key, result.attempts.get( key ) ] ).filter( ( [ , outcome ] ) => outcome );
+		if ( 1 === outcomes.length ) {
+			return this.failureReason( outcomes[ 0 ][ 1 ] );
+		}
+		return outcomes.map( ( [ key, outcome ] ) => `${ this.maskKey( key ) }: ${ this.failureReason( outcome ) }` ).join( ' ' );
+	},
+
+	setStatus( result, status ) {
+		result.status = status;
+		const item = this.resultsList.querySelector( `[data-option-slug="${ CSS.escape( result.addon.option_slug ) }"]` );
+		if ( ! item ) {
+			return;
+		}
+		const replacement = this.createResultItem( result );
+		const hadFocus = item.contains( document.activeElement );
+		item.replaceWith( replacement );
+
+		// A pressed "Retry" button goes away; keep focus on its row.
+		if ( hadFocus ) {
+			replacement.tabIndex = -1;
+			( replacement.querySelector( 'button' ) || replacement ).focus();
+		}
+	},
+
+	createResultItem( result ) {
+		const i18n = window.albertLicenses?.i18n || {};
+		const dots = { success: 'valid', failed: 'invalid', network: 'expired' };
+
+		const item = document.createElement( 'li' );
+		item.className = 'albert-license-result albert-license-result--' + result.status;
+		item.dataset.optionSlug = result.addon.option_slug;
+
+		const dot = document.createElement( 'span' );
+		dot.className = 'albert-status-dot albert-status-dot--' + ( dots[ result.status ] || 'none' );
+		dot.setAttribute( 'aria-hidden', 'true' );
+
+		const text = document.createElement( 'span' );
+		text.className = 'albert-license-result-text';
+		const name = document.createElement( 'strong' );
+		name.textContent = result.addon.name;
+		const reason = document.createElement( 'span' );
+		reason.className = 'albert-license-result-reason';
+		reason.textContent = this.describe( result );
+		text.append( name, reason );
+
+		item.append( dot, text );
+
+		if ( 'network' === result.status ) {
+			const retry = document.createElement( 'button' );
+			retry.type = 'button';
+			retry.className = 'button button-small albert-license-retry';
+			retry.dataset.optionSlug = result.addon.option_slug;
+			retry.textContent = i18n.retry || 'Retry';
+			retry.setAttribute( 'aria-label', ( i18n.retryAddon || 'Retry activating %s' ).replace( '%s', result.addon.name ) );
+			item.appendChild( retry );
+		}
+
+		return item;
+	},
+
+	/**
+	 * Summarise the run, refresh the table if anything changed and leave
+	 * only the keys that activated nothing in the field.
+	 */
+	finish() {
+		const i18n = window.albertLicenses?.i18n || {};
+		const results = Array.from( this.results.values() );
+		const activated = results.filter( ( result ) => 'success' === result.status );
+		const usedKeys = new Set( activated.map( ( result ) => result.key ) );
+
+		if ( activated.length ) {
+			this.showNotice(
+				( i18n.activatedCount || 'License activated for %1$s of %2$s addons.' )
+					.replace( '%1$s', String( activated.length ) )
+					.replace( '%2$s', String( results.length ) ),
+				'success'
+			);
+			this.keyInput.value = this.parseKeys( this.keyInput.value ).filter( ( key ) => ! usedKeys.has( key ) ).join( '\n' );
+			this.refreshTable();
+		} else {
+			this.showNotice( i18n.noneActivated || 'No addon could be activated. See the results below.', 'error' );
+		}
+	},
+
+	async handleDeactivate( btn ) {
 		const optionSlug = btn.dataset.optionSlug;
 		const addonName = btn.dataset.addonName;
 		const licenseKey = btn.dataset.licenseKey;
 		const cfg = window.albertLicenses || {};
 		const i18n = cfg.i18n || {};
 
-		const message = ( i18n.confirmDeactivate || 'Deactivate license for %s?' ).replace( '%s', addonName );
+		if ( btn.disabled ) {
+			return;
+		}
 
-		// eslint-disable-next-line no-alert
-		if ( ! window.confirm( message ) ) {
+		const confirmed = await Albert.confirmDialog.open( {
+			title: ( i18n.confirmDeactivate || 'Deactivate license for %s?' ).replace( '%s', addonName ),
+			message: i18n.deactivateMessage || 'This site will stop receiving updates and support for the addon until a license is activated again.',
+			confirmLabel: i18n.deactivate || 'Deactivate',
+			cancelLabel: i18n.cancel || 'Cancel',
+			closeLabel: i18n.close || 'Close',
+		} );
+		if ( ! confirmed ) {
 			return;
 		}
 
 		this.setButtonLoading( btn, true, i18n.deactivating || 'Deactivating...' );
 		this.hideNotice();
+		// The disabled button drops focus; the refresh puts it back on this row.
+		this.focusSlug = optionSlug;
 
 		Albert.ajax.post( cfg.ajaxUrl || window.ajaxurl, {
 			action: 'edd_sl_sdk_deactivate_' + optionSlug,
@@ -110,17 +358,20 @@ const AlbertLicenses = {
 			.then( ( r ) => r.json() )
 			.then( ( r ) => {
 				if ( r.success ) {
-					this.showNotice( 'License deactivated for ' + addonName + '.', 'success' );
+					this.showNotice( ( i18n.deactivated || 'License deactivated for %s.' ).replace( '%s', addonName ), 'success' );
 					this.refreshTable();
 				} else {
-					this.showNotice( r.data?.message || 'Deactivation failed.', 'error' );
+					this.showNotice( r.data?.message || i18n.deactivateFailed || 'Deactivation failed.', 'error' );
 				}
 			} )
 			.catch( () => {
 				this.showNotice( i18n.networkError || 'A network error occurred.', 'error' );
 			} )
 			.finally( () => {
-				this.setButtonLoading( btn, false, 'Deactivate' );
+				this.setButtonLoading( btn, false, i18n.deactivate || 'Deactivate' );
+				if ( btn.isConnected && ( ! document.activeElement || document.activeElement === document.body ) ) {
+					btn.focus();
+				}
 			} );
 	},
 
@@ -133,12 +384,147 @@ const AlbertLicenses = {
 		} )
 			.then( ( r ) => r.json() )
 			.then( ( r ) => {
-				if ( r.success && r.data?.table_html && this.tableWrap ) {
-					this.tableWrap.innerHTML = r.data.table_html;
+				if ( ! r.success ) {
+					return;
+				}
+				if ( Array.isArray( r.data?.licenses ) ) {
+					this.renderTable( r.data.licenses );
 				}
+				// Lets the expiry banners (albert-license-notices.js) catch up.
+				document.dispatchEvent( new CustomEvent( 'albert:licenses-refreshed', { detail: r.data } ) );
+			} )
+			.catch( () => {} )
+			.finally( () => {
+				this.focusSlug = '';
 			} );
 	},
 
+	/**
+	 * Bring the table in line with fresh license data.
+	 *
+	 * Rows are matched by addon and only the ones whose status or expiry
+	 * changed are rewritten, in place, so focus and scroll position
+	 * survive. Changed rows are announced together.
+	 *
+	 * @param {Object[]} licenses Entries from Settings::get_licenses_data().
+	 */
+	renderTable( licenses ) {
+		const tbody = document.getElementById( 'albert-licenses-rows' );
+		if ( ! tbody ) {
+			return;
+		}
+
+		const i18n = window.albertLicenses?.i18n || {};
+		const scrollY = window.scrollY;
+		const active = document.activeElement;
+		const rows = new Map( Array.from( tbody.rows ).map( ( row ) => [ row.dataset.slug, row ] ) );
+		const announcements = [];
+
+		licenses.forEach( ( license ) => {
+			let row = rows.get( license.slug );
+			rows.delete( license.slug );
+
+			if ( row && row.dataset.status === license.status && row.dataset.expires === license.expires ) {
+				return;
+			}
+
+			const hadFocus = row
+				? row.contains( active ) || ( license.slug === this.focusSlug && ( ! active || active === document.body ) )
+				: false;
+
+			if ( ! row ) {
+				row = document.createElement( 'tr' );
+				row.dataset.slug = license.slug;
+				tbody.appendChild( row );
+			}
+			this.fillRow( row, license );
+
+			if ( hadFocus ) {
+				const target = row.cells[ 4 ].querySelector( 'a, button' ) || row.cells[ 0 ];
+				if ( target === row.cells[ 0 ] ) {
+					target.tabIndex = -1;
+				}
+				target.focus( { preventScroll: true } );
+			}
+
+			const template = license.expires
+				? i18n.rowChangedExpires || '%1$s: %2$s, expires %3$s.'
+				: i18n.rowChanged || '%1$s: %2$s.';
+			announcements.push(
+				template
+					.replace( '%1$s', license.name )
+					.replace( '%2$s', license.statusLabel )
+					.replace( '%3$s', license.expires )
+			);
+		} );
+
+		rows.forEach( ( row ) => row.remove() );
+
+		if ( window.scrollY !== scrollY ) {
+			window.scrollTo( { top: scrollY } );
+		}
+		if ( announcements.length ) {
+			Albert.liveRegion.announce( announcements.join( ' ' ) );
+		}
+	},
+
+	fillRow( row, license ) {
+		while ( row.cells.length < 5 ) {
+			row.insertCell();
+		}
+		const [ nameCell, versionCell, statusCell, expiresCell, actionsCell ] = row.cells;
+
+		const name = document.createElement( 'strong' );
+		name.textContent = license.name;
+		nameCell.replaceChildren( name );
+
+		versionCell.textContent = license.version;
+
+		const dot = document.createElement( 'span' );
+		dot.className = 'albert-status-dot albert-status-dot--' + license.statusClass;
+		statusCell.replaceChildren( dot, ' ' + license.statusLabel );
+
+		expiresCell.replaceChildren( license.expires || this.createDash() );
+		actionsCell.replaceChildren( this.createAction( license ) );
+
+		row.dataset.status = license.status;
+		row.dataset.expires = license.expires;
+	},
+
+	createAction( license ) {
+		const i18n = window.albertLicenses?.i18n || {};
+
+		if ( 'deactivate' === license.action ) {
+			const btn = document.createElement( 'button' );
+			btn.type = 'button';
+			btn.className = 'albert-deactivate-btn';
+			btn.dataset.optionSlug = license.slug;
+			btn.dataset.addonName = license.name;
+			btn.dataset.licenseKey = license.licenseKey;
+			btn.textContent = i18n.deactivate || 'Deactivate';
+			return btn;
+		}
+
+		if ( 'renew' === license.action ) {
+			const link = document.createElement( 'a' );
+			link.href = license.renewUrl;
+			link.target = '_blank';
+			link.rel = 'noopener noreferrer';
+			link.className = 'button button-small';
+			link.textContent = i18n.renew || 'Renew';
+			return link;
+		}
+
+		return this.createDash();
+	},
+
+	createDash() {
+		const dash = document.createElement( 'span' );
+		dash.className = 'albert-no-license';
+		dash.textContent = '—';
+		return dash;
+	},
+
 	showNotice( message, type ) {
 		if ( ! this.noticeEl ) {
 			return;
@@ -0,0 +1,117 @@
+/**
+ * Albert OAuth Consent Scripts
+ *
+ * Enhances the ability list on the authorization page: a running count of
+ * what will be granted, a checkbox per category that ticks the whole group,
+ * a shortcut that leaves out everything that deletes data, and a guard
+ * against authorizing with nothing selected. The page works without it;
+ * the plain checkboxes are posted either way.
+ *
+ * @package Albert
+ * @since 1.2.0
+ */
+
+( function () {
+	'use strict';
+
+	const Consent = {
+		init() {
+			this.form = document.querySelector( '.consent-form' );
+			this.root = this.form?.querySelector( '.consent-abilities' );
+			if ( ! this.root ) {
+				return;
+			}
+			this.i18n = ( window.albertConsent || {} ).i18n || {};
+			this.boxes = Array.from( this.root.querySelectorAll( 'input[name="albert_abilities[]"]' ) );
+			this.count = this.root.querySelector( '.consent-count' );
+			this.error = this.form.querySelector( '.consent-error' );
+			this.approve = this.form.querySelector( 'button[name="approve"][value="yes"]' );
+
+			this.root.querySelector( '.consent-toolbar' ).hidden = false;
+			this.root.querySelectorAll( '.consent-group' ).forEach( ( group ) => this.addGroupToggle( group ) );
+
+			this.root.addEventListener( 'change', ( e ) => {
+				if ( e.target.classList.contains( 'consent-group-toggle' ) ) {
+					this.groupBoxes( e.target.closest( '.consent-group' ) ).forEach( ( box ) => {
+						box.checked = e.target.checked;
+					} );
+				}
+				this.update();
+			} );
+
+			this.root.querySelector( '[data-consent-action="skip-destructive"]' )?.addEventListener( 'click', () => this.skipDestructive() );
+
+			this.form.addEventListener( 'submit', ( e ) => {
+				if ( e.submitter === this.approve && ! this.selectedCount() ) {
+					e.preventDefault();
+					this.error.textContent = this.i18n.noneSelected || 'Select at least one ability, or deny access.';
+					this.error.hidden = false;
+					this.boxes[ 0 ]?.focus();
+				}
+			} );
+
+			this.update();
+		},
+
+		groupBoxes( group ) {
+			return Array.from( group.querySelectorAll( 'input[name="albert_abilities[]"]' ) );
+		},
+
+		/**
+		 * Put a tri-state "whole category" checkbox in the group's legend.
+		 */
+		addGroupToggle( group ) {
+			const legend = group.querySelector( '.consent-group-title' );
+			const label = document.createElement( 'label' );
+			const toggle = document.createElement( 'input' );
+			toggle.type = 'checkbox';
+			toggle.className = 'consent-group-toggle';
+			toggle.setAttribute(
+				'aria-label',
+				( this.i18n.selectGroup || 'Allow all %s abilities' ).replace( '%s', legend.textContent.trim() )
+			);
+			label.append( toggle, ...legend.childNodes );
+			legend.appendChild( label );
+		},
+
+		selectedCount() {
+			return this.boxes.filter( ( box ) => box.checked ).length;
+		},
+
+		skipDestructive() {
+			const destructive = this.boxes.filter( ( box ) => box.checked && box.dataset.destructive === '1' );
+			destructive.forEach( ( box ) => {
+				box.checked = false;
+			} );
+			this.update();
+			this.count.textContent = destructive.length
+				? ( this.i18n.destructiveOff || 'Left out %s abilities that delete data.' ).replace( '%s', String( destructive.length ) ) + ' ' + this.count.textContent
+				: ( this.i18n.destructiveNone || 'No selected ability deletes data.' ) + ' ' + this.count.textContent;
+		},
+
+		update() {
+			this.root.querySelectorAll( '.consent-group' ).forEach( ( group ) => {
+				const boxes = this.groupBoxes( group );
+				const checked = boxes.filter( ( box ) => box.checked ).length;
+				const toggle = group.querySelector( '.consent-group-toggle' );
+				toggle.checked = checked === boxes.length;
+				toggle.indeterminate = checked > 0 && checked < boxes.length;
+			} );
+
+			const selected = this.selectedCount();
+			this.count.textContent = ( this.i18n.selected || '%1$s of %2$s abilities selected' )
+				.replace( '%1$s', String( selected ) )
+				.replace( '%2$s', String( this.boxes.length ) );
+
+			if ( selected && ! this.error.hidden ) {
+				this.error.hidden = true;
+			}
+		},
+	};
+
+	if ( document.readyState === 'loading' ) {
+		document.addEventListener( 'DOMContentLoaded', () => Consent.init() );
+	} else {
+		Consent.init();
+	}
+} )();
@@ -0,0 +1,239 @@
+/**
+ * Albert OAuth Redirect Scripts
+ *
+ * Drives the success page shown after authorization: counts down before
+ * sending the browser back to the client (with Pause and Cancel), and for
+ * custom-scheme redirects to desktop apps watches whether the app actually
+ * opened. If it did, the page says the tab can be closed; if not, it shows
+ * the "Return to Application" button and the copyable authorization URL.
+ * Shared live-region and clipboard helpers come from `albert-admin-utils.js`.
+ *
+ * @package Albert
+ * @since 1.2.0
+ */
+
+( function () {
+	'use strict';
+
+	const Redirect = {
+		// How long to wait for a desktop app to take focus after a
+		// custom-scheme redirect before assuming it did not open.
+		DETECT_MS: 2500,
+
+		init() {
+			this.cfg = window.albertOAuthRedirect || {};
+			this.status = document.getElementById( 'albert-redirect-status' );
+			this.controls = document.getElementById( 'albert-redirect-controls' );
+			this.fallback = document.getElementById( 'albert-redirect-fallback' );
+			this.done = document.getElementById( 'albert-redirect-done' );
+			if ( ! this.cfg.redirectUrl || ! this.status || ! this.controls || ! this.fallback || ! this.done ) {
+				return;
+			}
+
+			let url;
+			try {
+				url = new URL( this.cfg.redirectUrl, window.location.href );
+			} catch {
+				return;
+			}
+			if ( /^(javascript|data|vbscript):$/i.test( url.protocol ) ) {
+				return;
+			}
+
+			this.i18n = this.cfg.i18n || {};
+			this.url = url.href;
+			this.customScheme = ! /^https?:$/i.test( url.protocol );
+			this.remaining = Math.max( 1, parseInt( this.cfg.seconds, 10 ) || 5 );
+			this.timer = null;
+			this.paused = false;
+
+			this.pauseButton = this.controls.querySelector( '[data-redirect-action="pause"]' );
+			this.returnLink = this.fallback.querySelector( 'a.button' );
+			this.urlField = document.getElementById( 'albert-redirect-url' );
+			this.copyButton = this.fallback.querySelector( '[data-redirect-action="copy"]' );
+
+			document.addEventListener( 'click', ( e ) => this.handleClick( e ) );
+			this.returnLink.addEventListener( 'click', ( e ) => {
+				e.preventDefault();
+				this.open();
+			} );
+
+			this.copyButton.hidden = false;
+			this.fallback.hidden = true;
+			this.controls.hidden = false;
+			this.status.hidden = false;
+
+			this.renderCountdown();
+			Albert.liveRegion.announce( this.status.textContent );
+			this.schedule();
+		},
+
+		handleClick( e ) {
+			const button = e.target.closest( '[data-redirect-action]' );
+			if ( ! button ) {
+				return;
+			}
+			switch ( button.dataset.redirectAction ) {
+				case 'pause':
+					this.togglePause();
+					break;
+				case 'cancel':
+					this.cancel();
+					break;
+				case 'copy':
+					this.copyUrl();
+					break;
+				case 'retry':
+					this.showFallback( this.format( this.i18n.notOpened ) );
+					break;
+			}
+		},
+
+		format( template, seconds ) {
+			return String( template || '' )
+				.replace( '%1$s', this.cfg.clientName || '' )
+				.replace( '%2$s', String( seconds ) )
+				.replace( '%s', this.cfg.clientName || '' );
+		},
+
+		renderCountdown() {
+			this.status.textContent = this.format(
+				this.paused ? this.i18n.paused : this.i18n.countdown,
+				this.remaining
+			);
+		},
+
+		schedule() {
+			clearTimeout( this.timer );
+			this.timer = setTimeout( () => {
+				this.remaining -= 1;
+				if ( this.remaining <= 0 ) {
+					this.open();
+					return;
+				}
+				this.renderCountdown();
+				this.schedule();
+			}, 1000 );
+		},
+
+		togglePause() {
+			this.paused = ! this.paused;
+			this.pauseButton.textContent = this.paused ? this.i18n.resume || 'Resume' : this.i18n.pause || 'Pause';
+			if ( this.paused ) {
+				clearTimeout( this.timer );
+			} else {
+				this.schedule();
+			}
+			this.renderCountdown();
+			Albert.liveRegion.announce( this.status.textContent );
+		},
+
+		cancel() {
+			clearTimeout( this.timer );
+			this.showFallback( this.format( this.i18n.cancelled ) );
+		},
+
+		/**
+		 * Send the browser to the client. An http(s) callback replaces this
+		 * page; a custom scheme hands off to a desktop app and leaves the
+		 * page in place, so watch for the app taking focus.
+		 */
+		open() {
+			clearTimeout( this.timer );
+			this.controls.hidden = true;
+			this.status.hidden = false;
+			this.status.textContent = this.format( this.i18n.opening );
+			Albert.liveRegion.announce( this.status.textContent );
+
+			if ( this.customScheme ) {
+				this.detect();
+			}
+			window.location.href = this.url;
+		},
+
+		detect() {
+			this.stopDetecting?.();
+
+			const opened = () => {
+				this.stopDetecting();
+				this.showDone();
+			};
+			const onVisibility = () => {
+				if ( document.hidden ) {
+					opened();
+				}
+			};
+			const timer = setTimeout( () => {
+				this.stopDetecting();
+				if ( document.hasFocus() && ! document.hidden ) {
+					this.showFallback( this.format( this.i18n.notOpened ) );
+				} else {
+					this.showDone();
+				}
+			}, this.DETECT_MS );
+
+			window.addEventListener( 'blur', opened );
+			document.addEventListener( 'visibilitychange', onVisibility );
+
+			this.stopDetecting = () => {
+				clearTimeout( timer );
+				window.removeEventListener( 'blur', opened );
+				document.removeEventListener( 'visibilitychange', onVisibility );
+				this.stopDetecting = null;
+			};
+		},
+
+		showDone() {
+			this.status.hidden = true;
+			this.fallback.hidden = true;
+			this.done.hidden = false;
+			this.done.querySelector( '.redirect-done-message' ).textContent = this.format( this.i18n.opened );
+			Albert.liveRegion.announce( this.format( this.i18n.opened ) );
+		},
+
+		showFallback( message ) {
+			const moveFocus = this.shouldMoveFocus();
+			this.controls.hidden = true;
+			this.status.hidden = true;
+			this.done.hidden = true;
+			this.fallback.hidden = false;
+			this.fallback.querySelector( '.fallback-message' ).textContent = message;
+			Albert.liveRegion.announce( message );
+			if ( moveFocus ) {
+				this.returnLink.focus();
+			}
+		},
+
+		/**
+		 * Focus only follows the change when it would otherwise be lost:
+		 * the control that had it is about to be hidden, or nothing had it.
+		 */
+		shouldMoveFocus() {
+			const active = document.activeElement;
+			return ! active || active === document.body || this.controls.contains( active ) || this.done.contains( active );
+		},
+
+		copyUrl() {
+			Albert.clipboard.copy( this.url ).then( ( ok ) => {
+				if ( ok ) {
+					Albert.clipboard.flashButton( this.copyButton, { label: this.i18n.copied || 'Copied!', swap: true } );
+					return;
+				}
+				this.urlField.focus();
+				this.urlField.select();
+				Albert.liveRegion.announce( this.i18n.copyFailed || 'Copy failed. The URL is selected; copy it with your keyboard.' );
+			} );
+		},
+	};
+
+	function init() {
+		Albert.liveRegion.ensure();
+		Redirect.init();
+	}
+
+	if ( document.readyState === 'loading' ) {
+		document.addEventListener( 'DOMContentLoaded', init );
+	} else {
+		init();
+	}
+} )();
@@ -19,6 +19,7 @@ use Albert\Contracts\Interfaces\Hookable;
 use Albert\Core\AbilitiesRegistry;
 use Albert\Core\AnnotationPresenter;
 use Albert\Logging\Repository as LoggingRepository;
+use WP\MCP\Abilities\GetAbilityInfoAbility;
 
 /**
  * AbilitiesPage class
@@ -54,7 +55,7 @@ class AbilitiesPage implements Hookable {
 	/**
 	 * Option name for the persisted view-mode preference.
 	 *
-	 * Stores either `list` or `paginated`. The value is rendered into the
+	 * Stores `list`, `paginated`, or `grouped`. The value is rendered into the
 	 * initial HTML on every page load so the JavaScript module never has to
 	 * "re-apply" the user's preference after the page paints — that race
 	 * caused a visible jump from list to paginated view on slow loads.
@@ -65,29 +66,103 @@ class AbilitiesPage implements Hookable {
 	const VIEW_MODE_OPTION = 'albert_abilities_view_mode';
 
 	/**
-	 * Number of rows per page in paginated view.
+	 * Default number of rows per page in paginated view.
 	 *
-	 * Surfaced to the JavaScript module via the `data-rows-per-page`
-	 * attribute on `#albert-abilities-list`; both sides must agree so the
-	 * server can pre-hide rows beyond the first page without flashing.
+	 * The effective value is the saved ROWS_PER_PAGE_OPTION, surfaced to
+	 * the JavaScript module via the `data-rows-per-page` attribute on
+	 * `#albert-abilities-list`; both sides must agree so the server can
+	 * pre-hide rows beyond the first page without flashing.
 	 *
 	 * @since 1.1.0
 	 * @var int
 	 */
 	const ROWS_PER_PAGE = 25;
 
+	/**
+	 * Option name for the persisted rows-per-page preference.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	const ROWS_PER_PAGE_OPTION = 'albert_abilities_rows_per_page';
+
+	/**
+	 * Page sizes offered by the rows-per-page selector.
+	 *
+	 * @since 1.2.0
+	 * @var array<int>
+	 */
+	const ROWS_PER_PAGE_CHOICES = [ 10, 25, 50, 100 ];
+
+	/**
+	 * Option name for the grouped view's settings.
+	 *
+	 * Stores `[ 'by' => 'category'|'supplier', 'collapsed' => string[] ]`,
+	 * where each collapsed entry is a `{by}:{slug}` section key.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	const GROUPING_OPTION = 'albert_abilities_grouping';
+
+	/**
+	 * Row attributes the grouped view can section by.
+	 *
+	 * @since 1.2.0
+	 * @var array<string>
+	 */
+	const GROUP_BY_CHOICES = [ 'category', 'supplier' ];
+
+	/**
+	 * Days covered by the usage sparkline in the details panel.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const ACTIVITY_DAYS = 30;
+
+	/**
+	 * Recent runs listed under "Recent callers" in the details panel.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const ACTIVITY_RECENT_LIMIT = 5;
+
+	/**
+	 * Format version written to exported configuration presets.
+	 *
+	 * Imports accept this version or older; bump it when the preset shape
+	 * changes incompatibly.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const PRESET_VERSION = 1;
+
 	/**
 	 * Register WordPress hooks.
 	 *
 	 * Wires the admin menu entry, the page-scoped asset enqueue, and the
 	 * two AJAX endpoints used by the abilities admin UI:
 	 *
-	 *   - `wp_ajax_albert_toggle_ability`  — enable/disable a single ability
-	 *   - `wp_ajax_albert_save_view_mode`  — persist the list/paginated preference
+	 *   - `wp_ajax_albert_toggle_ability`   — enable/disable a single ability
+	 *   - `wp_ajax_albert_toggle_abilities` — enable/disable a batch of abilities
+	 *   - `wp_ajax_albert_save_view_mode`   — persist the list/paginated/grouped preference
+	 *   - `wp_ajax_albert_save_rows_per_page` — persist the paginated page size
+	 *   - `wp_ajax_albert_save_grouping`    — persist grouped-view sectioning and collapsed sections
+	 *   - `wp_ajax_albert_ability_activity` — recent runs + daily usage for the details panel
+	 *   - `wp_ajax_albert_import_abilities` — apply an uploaded configuration preset
+	 *   - `wp_ajax_albert_ability_schema`   — input/output schema for the playground
+	 *   - `wp_ajax_albert_run_ability`      — run an ability from the playground
+	 *   - `wp_ajax_albert_refresh_abilities_nonces` — fresh nonces after the page's have expired
+	 *
+	 * plus `admin_post_albert_export_abilities`, which downloads the current
+	 * configuration as a JSON preset.
 	 *
 	 * The page no longer uses the Settings API: the disabled-abilities
-	 * option is mutated per-row via the AJAX endpoint, which means there is
-	 * no Save Changes button and no bulk submit form.
+	 * option is mutated per-row (or per bulk action) via the AJAX endpoints,
+	 * which means there is no Save Changes button and no bulk submit form.
 	 *
 	 * @return void
 	 * @since 1.1.0
@@ -96,7 +171,16 @@ class AbilitiesPage implements Hookable {
 		add_action( 'admin_menu', [ $this, 'add_menu_page' ] );
 		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
 		add_action( 'wp_ajax_albert_toggle_ability', [ $this, 'ajax_toggle_ability' ] );
+		add_action( 'wp_ajax_albert_toggle_abilities', [ $this, 'ajax_toggle_abilities' ] );
 		add_action( 'wp_ajax_albert_save_view_mode', [ $this, 'ajax_save_view_mode' ] );
+		add_action( 'wp_ajax_albert_save_rows_per_page', [ $this, 'ajax_save_rows_per_page' ] );
+		add_action( 'wp_ajax_albert_save_grouping', [ $this, 'ajax_save_grouping' ] );
+		add_action( 'wp_ajax_albert_ability_activity', [ $this, 'ajax_ability_activity' ] );
+		add_action( 'wp_ajax_albert_import_abilities', [ $this, 'ajax_import_abilities' ] );
+		add_action( 'wp_ajax_albert_ability_schema', [ $this, 'ajax_ability_schema' ] );
+		add_action( 'wp_ajax_albert_run_ability', [ $this, 'ajax_run_ability' ] );
+		add_action( 'wp_ajax_albert_refresh_abilities_nonces', [ $this, 'ajax_refresh_nonces' ] );
+		add_action( 'admin_post_albert_export_abilities', [ $this, 'handle_export_abilities' ] );
 	}
 
 	/**
@@ -140,6 +224,139 @@ class AbilitiesPage implements Hookable {
 			);
 		}
 
+		$this->save_ability_states( [ $ability_id ], $enabled );
+
+		wp_send_json_success(
+			[
+				'ability_id' => $ability_id,
+				'enabled'    => $enabled,
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler that hands out a fresh set of page nonces.
+	 *
+	 * Used by the save queue when a toggle comes back 403 because the
+	 * page has been open longer than the nonce lifetime: the JS swaps in
+	 * the new nonces and replays the queued changes instead of asking for
+	 * a reload. There is deliberately no nonce check here (the whole point
+	 * is that the old ones expired); the logged-in cookie and capability
+	 * check gate it, and the response is only readable same-origin — the
+	 * same model as core's heartbeat nonce refresh.
+	 *
+	 * Logged-out requests never reach this method: admin-ajax answers them
+	 * with a bare `0`, which the JS treats as "log in again".
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_refresh_nonces(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		wp_send_json_success( self::nonces() );
+	}
+
+	/**
+	 * Nonces the abilities page script needs, keyed by their albertAdmin
+	 * property name.
+	 *
+	 * @return array<string, string>
+	 * @since 1.2.0
+	 */
+	private static function nonces(): array {
+		return [
+			'toggleAbilityNonce' => wp_create_nonce( 'albert_toggle_ability' ),
+			'viewModeNonce'      => wp_create_nonce( 'albert_view_mode' ),
+			'rowsPerPageNonce'   => wp_create_nonce( 'albert_rows_per_page' ),
+			'groupingNonce'      => wp_create_nonce( 'albert_grouping' ),
+			'activityNonce'      => wp_create_nonce( 'albert_ability_activity' ),
+			'importNonce'        => wp_create_nonce( 'albert_import_abilities' ),
+			'playgroundNonce'    => wp_create_nonce( 'albert_ability_playground' ),
+		];
+	}
+
+	/**
+	 * AJAX handler that toggles a batch of abilities on or off.
+	 *
+	 * Used by the "Enable all visible" / "Disable all visible" bulk actions.
+	 * Takes a comma-separated `ability_ids` list and a single target state,
+	 * and writes the disabled-abilities option once, so a bulk action is
+	 * either saved as a whole or not at all.
+	 *
+	 * Every id is validated up-front; one bad id rejects the whole batch so
+	 * the JS can roll the rows back as a group.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_toggle_abilities(): void {
+		check_ajax_referer( 'albert_toggle_ability', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- each id sanitized via sanitize_text_field() below.
+		$raw_ids     = explode( ',', wp_unslash( (string) ( $_POST['ability_ids'] ?? '' ) ) );
+		$ability_ids = array_values(
+			array_unique(
+				array_filter( array_map( 'sanitize_text_field', array_map( 'trim', $raw_ids ) ) )
+			)
+		);
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- compared to literals below.
+		$enabled_raw = isset( $_POST['enabled'] ) ? wp_unslash( (string) $_POST['enabled'] ) : '';
+		$enabled     = $enabled_raw === '1' || $enabled_raw === 'true';
+
+		if ( empty( $ability_ids ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'No abilities selected.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		foreach ( $ability_ids as $ability_id ) {
+			if ( ! $this->is_valid_ability_slug( $ability_id ) ) {
+				wp_send_json_error(
+					[ 'message' => __( 'Invalid ability id.', 'albert-ai-butler' ) ],
+					400
+				);
+			}
+		}
+
+		$this->save_ability_states( $ability_ids, $enabled );
+
+		wp_send_json_success(
+			[
+				'ability_ids' => $ability_ids,
+				'enabled'     => $enabled,
+			]
+		);
+	}
+
+	/**
+	 * Add or remove ability ids from the disabled-abilities option.
+	 *
+	 * Shared by the single and batch toggle endpoints. Reads the current
+	 * blocklist, applies the change for every id, and writes it back in a
+	 * single update_option() call.
+	 *
+	 * @param array<int, string> $ability_ids Validated ability ids.
+	 * @param bool               $enabled     Target state for every id.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function save_ability_states( array $ability_ids, bool $enabled ): void {
 		$disabled = self::get_disabled_abilities();
 		// Re-sanitize stored values defensively before mutating.
 		$disabled = array_filter(
@@ -148,22 +365,466 @@ class AbilitiesPage implements Hookable {
 		);
 
 		if ( $enabled ) {
-			$disabled = array_values( array_diff( $disabled, [ $ability_id ] ) );
-		} elseif ( ! in_array( $ability_id, $disabled, true ) ) {
-			$disabled[] = $ability_id;
+			$disabled = array_values( array_diff( $disabled, $ability_ids ) );
+		} else {
+			$disabled = array_values( array_unique( array_merge( $disabled, $ability_ids ) ) );
+		}
+
+		update_option( self::DISABLED_ABILITIES_OPTION, $disabled );
+		update_option( 'albert_abilities_saved', true );
+	}
+
+	/**
+	 * Download the current ability configuration as a JSON preset.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function handle_export_abilities(): void {
+		check_admin_referer( 'albert_export_abilities' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'albert-ai-butler' ) );
+		}
+
+		$host     = sanitize_file_name( (string) wp_parse_url( home_url(), PHP_URL_HOST ) );
+		$filename = sprintf( 'albert-abilities-%s-%s.json', $host, gmdate( 'Y-m-d' ) );
+
+		nocache_headers();
+		header( 'Content-Type: application/json; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		echo wp_json_encode( self::build_preset(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
+		exit;
+	}
+
+	/**
+	 * Build a configuration preset from the current settings.
+	 *
+	 * The disabled list is exported as stored, so ids from add-ons that
+	 * are currently inactive travel with the preset too.
+	 *
+	 * @return array<string, mixed>
+	 * @since 1.2.0
+	 */
+	public static function build_preset(): array {
+		return [
+			'plugin'             => 'albert-ai-butler',
+			'version'            => self::PRESET_VERSION,
+			'exported_at'        => gmdate( 'c' ),
+			'site'               => home_url(),
+			'disabled_abilities' => array_values( self::get_disabled_abilities() ),
+			'preferences'        => [
+				'view_mode'     => self::get_view_mode(),
+				'rows_per_page' => self::get_rows_per_page(),
+				'grouping'      => self::get_grouping(),
+			],
+		];
+	}
+
+	/**
+	 * AJAX handler that applies an uploaded configuration preset.
+	 *
+	 * Receives the preset file's JSON as-is (the browser has already shown
+	 * the diff) and re-validates everything server-side. The disabled list
+	 * replaces the current one in a single write. Well-formed ids that no
+	 * registered ability matches — typically from an add-on that isn't
+	 * installed here — are kept, so the ability starts disabled if the
+	 * add-on is installed later, and are reported back as `unknown`.
+	 * Malformed ids are dropped and reported as `invalid`.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_import_abilities(): void {
+		check_ajax_referer( 'albert_import_abilities', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ], 403 );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON document; every value is validated below.
+		$preset = json_decode( wp_unslash( (string) ( $_POST['preset'] ?? '' ) ), true );
+
+		if (
+			! is_array( $preset )
+			|| ( $preset['plugin'] ?? '' ) !== 'albert-ai-butler'
+			|| ! is_int( $preset['version'] ?? null )
+			|| $preset['version'] > self::PRESET_VERSION
+			|| ! isset( $preset['disabled_abilities'] )
+			|| ! is_array( $preset['disabled_abilities'] )
+		) {
+			wp_send_json_error(
+				[ 'message' => __( 'This file is not an Albert abilities configuration.', 'albert-ai-butler' ) ],
+				400
+			);
 		}
 
+		$disabled = [];
+		$invalid  = [];
+		foreach ( $preset['disabled_abilities'] as $raw_id ) {
+			$ability_id = is_string( $raw_id ) ? sanitize_text_field( $raw_id ) : '';
+			if ( $this->is_valid_ability_slug( $ability_id ) ) {
+				$disabled[] = $ability_id;
+			} else {
+				$invalid[] = is_scalar( $raw_id ) ? sanitize_text_field( (string) $raw_id ) : '';
+			}
+		}
+		$disabled = array_values( array_unique( $disabled ) );
+
+		$registered = array_map(
+			static fn( $ability ): string => $ability->get_name(),
+			function_exists( 'wp_get_abilities' ) ? wp_get_abilities() : []
+		);
+		$unknown    = array_values( array_diff( $disabled, $registered ) );
+
 		update_option( self::DISABLED_ABILITIES_OPTION, $disabled );
 		update_option( 'albert_abilities_saved', true );
 
+		$preferences = is_array( $preset['preferences'] ?? null ) ? $preset['preferences'] : [];
+		if ( isset( $preferences['view_mode'] ) && is_string( $preferences['view_mode'] ) ) {
+			update_option( self::VIEW_MODE_OPTION, self::normalize_view_mode( sanitize_key( $preferences['view_mode'] ) ), false );
+		}
+		if ( isset( $preferences['rows_per_page'] ) ) {
+			update_option( self::ROWS_PER_PAGE_OPTION, self::normalize_rows_per_page( absint( $preferences['rows_per_page'] ) ), false );
+		}
+		if ( isset( $preferences['grouping'] ) && is_array( $preferences['grouping'] ) ) {
+			$grouping              = $preferences['grouping'];
+			$grouping['collapsed'] = array_map( 'sanitize_text_field', array_filter( (array) ( $grouping['collapsed'] ?? [] ), 'is_string' ) );
+			update_option( self::GROUPING_OPTION, self::normalize_grouping( $grouping ), false );
+		}
+
+		wp_send_json_success(
+			[
+				'disabled_abilities' => $disabled,
+				'unknown'            => $unknown,
+				'invalid'            => array_values( array_filter( $invalid ) ),
+				'preferences'        => [
+					'view_mode'     => self::get_view_mode(),
+					'rows_per_page' => self::get_rows_per_page(),
+					'grouping'      => self::get_grouping(),
+				],
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler that returns one ability's recent activity.
+	 *
+	 * Feeds the live "Last run", usage sparkline, and recent callers in
+	 * the expanded details panel. `days` always has ACTIVITY_DAYS entries,
+	 * oldest first, with zero-run days filled in; timestamps are Unix
+	 * seconds so the browser can render and refresh relative times.
+	 * The sparkline counts come from the per-day run counts, so they are
+	 * complete; the recent callers come from the log itself, and
+	 * `retention` tells the UI how many runs it keeps per ability, since a
+	 * low cap means older callers simply aren't there to list.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_ability_activity(): void {
+		check_ajax_referer( 'albert_ability_activity', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ], 403 );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized via sanitize_text_field() below.
+		$ability_id = sanitize_text_field( wp_unslash( (string) ( $_POST['ability_id'] ?? '' ) ) );
+
+		if ( ! $this->is_valid_ability_slug( $ability_id ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Invalid ability id.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		$repository = new LoggingRepository();
+		$start      = ( new \DateTimeImmutable( 'today', wp_timezone() ) )->modify( '-' . ( self::ACTIVITY_DAYS - 1 ) . ' days' );
+		$counts     = $repository->daily_counts_for_ability( $ability_id, $start->format( 'Y-m-d' ) );
+
+		$days = [];
+		for ( $i = 0; $i < self::ACTIVITY_DAYS; $i++ ) {
+			$date   = $start->modify( '+' . $i . ' days' )->format( 'Y-m-d' );
+			$days[] = [
+				'date' => $date,
+				'runs' => $counts[ $date ] ?? 0,
+			];
+		}
+
+		$runs = array_map(
+			static function ( object $log ): array {
+				$user = get_userdata( (int) $log->user_id );
+
+				return [
+					'user'      => $user ? $user->display_name : __( 'Unknown user', 'albert-ai-butler' ),
+					'timestamp' => (int) get_gmt_from_date( $log->created_at, 'U' ),
+				];
+			},
+			$repository->recent_for_ability( $ability_id, self::ACTIVITY_RECENT_LIMIT )
+		);
+
 		wp_send_json_success(
 			[
 				'ability_id' => $ability_id,
-				'enabled'    => $enabled,
+				'runs'       => $runs,
+				'days'       => $days,
+				'retention'  => LoggingRepository::retention_for( $ability_id ),
+				'now'        => time(),
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler that returns an ability's schemas for the playground
+	 * and the schema viewer.
+	 *
+	 * The viewer shows the schemas and annotations, and what MCP clients
+	 * see of the ability: the arguments of the execute-ability call that
+	 * runs it and the get-ability-info answer, which comes from the MCP
+	 * adapter itself ({@see self::mcp_ability_info()}).
+	 *
+	 * The playground builds its input form from `input_schema`. When the
+	 * schema declares a boolean `dry_run` (or `dryRun`) property the
+	 * ability can rehearse itself, and `dry_run_field` names it; otherwise
+	 * a dry run only validates the input and checks permissions.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_ability_schema(): void {
+		$ability = $this->playground_ability();
+
+		$input_schema = (array) $ability->get_input_schema();
+		$properties   = isset( $input_schema['properties'] ) && is_array( $input_schema['properties'] ) ? $input_schema['properties'] : [];
+		$dry_run      = null;
+
+		foreach ( [ 'dry_run', 'dryRun' ] as $field ) {
+			if ( isset( $properties[ $field ]['type'] ) && 'boolean' === $properties[ $field ]['type'] ) {
+				$dry_run = $field;
+				break;
+			}
+		}
+
+		$meta        = (array) $ability->get_meta();
+		$annotations = isset( $meta['annotations'] ) && is_array( $meta['annotations'] ) ? $meta['annotations'] : [];
+
+		wp_send_json_success(
+			[
+				'ability_id'    => $ability->get_name(),
+				'input_schema'  => (object) $input_schema,
+				'output_schema' => (object) $ability->get_output_schema(),
+				'destructive'   => AnnotationPresenter::is_destructive( $annotations, $ability->get_name() ),
+				'dry_run_field' => $dry_run,
+				'annotations'   => (object) $annotations,
+				// Clients only get the adapter's three tools (see Server::get_tools()); this one runs the ability.
+				'execute_call'  => [
+					'tool'      => 'mcp-adapter/execute-ability',
+					'arguments' => [
+						'ability_name' => $ability->get_name(),
+						'parameters'   => (object) [],
+					],
+				],
+				'ability_info'  => self::mcp_ability_info( $ability->get_name() ),
 			]
 		);
 	}
 
+	/**
+	 * What the MCP adapter's get-ability-info tool answers for an ability.
+	 *
+	 * Calls the adapter's own implementation rather than rebuilding its
+	 * output, so the viewer shows exactly what clients get, errors
+	 * included. Null when the adapter is not loaded.
+	 *
+	 * @param string $ability_name Ability name.
+	 *
+	 * @return mixed
+	 * @since 1.2.0
+	 */
+	private static function mcp_ability_info( string $ability_name ): mixed {
+		$handler = [ GetAbilityInfoAbility::class, 'execute' ];
+
+		if ( ! is_callable( $handler ) ) {
+			return null;
+		}
+
+		try {
+			$info = $handler( [ 'ability_name' => $ability_name ] );
+		} catch ( \Throwable $e ) {
+			return [ 'error' => $e->getMessage() ];
+		}
+
+		if ( is_wp_error( $info ) ) {
+			return [
+				'error' => [
+					'code'    => $info->get_error_code(),
+					'message' => $info->get_error_message(),
+				],
+			];
+		}
+
+		return $info;
+	}
+
+	/**
+	 * AJAX handler that runs an ability from the playground.
+	 *
+	 * Runs through the Abilities API as the current user, so input
+	 * validation, the ability's own permission check, the disabled check
+	 * and the activity log all apply exactly as they do for an assistant.
+	 * A dry run stops after validation and the permission check;
+	 * `validated` is false when the input could not be checked.
+	 *
+	 * Errors returned by the ability are a successful response with
+	 * `ok: false`; only a bad request to this endpoint is an AJAX error.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_run_ability(): void {
+		$ability = $this->playground_ability();
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- verified in playground_ability().
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, decoded and validated against the ability's schema.
+		$raw_input = isset( $_POST['input'] ) ? wp_unslash( (string) $_POST['input'] ) : '';
+		$dry_run   = isset( $_POST['dry_run'] ) && '1' === $_POST['dry_run'];
+		// phpcs:enable
+
+		$input = null;
+		if ( '' !== $raw_input ) {
+			$input = json_decode( $raw_input, true );
+			if ( JSON_ERROR_NONE !== json_last_error() ) {
+				wp_send_json_error(
+					[ 'message' => __( 'The input is not valid JSON.', 'albert-ai-butler' ) ],
+					400
+				);
+			}
+		}
+
+		$started = hrtime( true );
+
+		if ( $dry_run ) {
+			$result = $this->rehearse_ability( $ability, $input );
+		} else {
+			try {
+				$result = $ability->execute( $input );
+			} catch ( \Throwable $e ) {
+				$result = new \WP_Error( 'ability_exception', $e->getMessage() );
+			}
+		}
+
+		$duration = ( hrtime( true ) - $started ) / 1e6;
+
+		if ( is_wp_error( $result ) ) {
+			wp_send_json_success(
+				[
+					'ok'          => false,
+					'dry_run'     => $dry_run,
+					'duration_ms' => round( $duration, 1 ),
+					'error'       => [
+						'code'    => $result->get_error_code(),
+						'message' => $result->get_error_message(),
+						'data'    => $result->get_error_data(),
+					],
+				]
+			);
+		}
+
+		wp_send_json_success(
+			[
+				'ok'          => true,
+				'dry_run'     => $dry_run,
+				'validated'   => $dry_run ? $result : null,
+				'duration_ms' => round( $duration, 1 ),
+				'output'      => $dry_run ? null : $result,
+			]
+		);
+	}
+
+	/**
+	 * Validate a playground request and resolve its ability.
+	 *
+	 * Sends a JSON error and exits on a bad nonce, missing capability,
+	 * malformed id, or unknown ability.
+	 *
+	 * @return \WP_Ability
+	 * @since 1.2.0
+	 */
+	private function playground_ability(): \WP_Ability {
+		check_ajax_referer( 'albert_ability_playground', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized via sanitize_text_field() below.
+		$ability_id = sanitize_text_field( wp_unslash( (string) ( $_POST['ability_id'] ?? '' ) ) );
+
+		if ( ! $this->is_valid_ability_slug( $ability_id ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Invalid ability id.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		$ability = function_exists( 'wp_get_ability' ) ? wp_get_ability( $ability_id ) : null;
+
+		if ( ! $ability ) {
+			wp_send_json_error(
+				[ 'message' => __( 'This ability is not registered.', 'albert-ai-butler' ) ],
+				404
+			);
+		}
+
+		return $ability;
+	}
+
+	/**
+	 * Dry run: everything WP_Ability::execute() does before running.
+	 *
+	 * Input is checked through WP_Ability's public normalize_input() and
+	 * validate_input(). Where those are not public (Abilities API builds
+	 * before WordPress 6.9) the input goes unchecked, and the result says
+	 * so rather than claim it is valid.
+	 *
+	 * @param \WP_Ability $ability The ability.
+	 * @param mixed       $input   Decoded input.
+	 *
+	 * @return bool|\WP_Error True when input and permissions pass, false when
+	 *                        only permissions could be checked.
+	 * @since 1.2.0
+	 */
+	private function rehearse_ability( \WP_Ability $ability, mixed $input ): bool|\WP_Error {
+		$validated = is_callable( [ $ability, 'normalize_input' ] ) && is_callable( [ $ability, 'validate_input' ] );
+
+		if ( $validated ) {
+			$input = $ability->normalize_input( $input );
+			$valid = $ability->validate_input( $input );
+			if ( is_wp_error( $valid ) ) {
+				return $valid;
+			}
+		}
+
+		$permitted = $ability->check_permissions( $input );
+		if ( is_wp_error( $permitted ) ) {
+			return $permitted;
+		}
+
+		if ( true !== $permitted ) {
+			return new \WP_Error(
+				'ability_invalid_permissions',
+				__( 'You are not allowed to run this ability.', 'albert-ai-butler' )
+			);
+		}
+
+		return $validated;
+	}
+
 	/**
 	 * AJAX handler that persists the view-mode preference.
 	 *
@@ -191,26 +852,148 @@ class AbilitiesPage implements Hookable {
 	/**
 	 * Get the persisted view-mode preference, defaulting to "list".
 	 *
-	 * @return string Either `list` or `paginated`.
+	 * @return string `list`, `paginated`, or `grouped`.
 	 * @since 1.1.0
 	 */
 	public static function get_view_mode(): string {
 		return self::normalize_view_mode( get_option( self::VIEW_MODE_OPTION, 'list' ) );
 	}
 
+	/**
+	 * AJAX handler that persists the rows-per-page preference.
+	 *
+	 * Called by the page-size selector under the pager; mirrors
+	 * ajax_save_view_mode().
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_save_rows_per_page(): void {
+		check_ajax_referer( 'albert_rows_per_page', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ], 403 );
+		}
+
+		$rows_per_page = self::normalize_rows_per_page( absint( $_POST['rows_per_page'] ?? 0 ) );
+
+		update_option( self::ROWS_PER_PAGE_OPTION, $rows_per_page, false );
+
+		wp_send_json_success( [ 'rows_per_page' => $rows_per_page ] );
+	}
+
+	/**
+	 * Get the persisted rows-per-page preference, defaulting to ROWS_PER_PAGE.
+	 *
+	 * @return int One of ROWS_PER_PAGE_CHOICES.
+	 * @since 1.2.0
+	 */
+	public static function get_rows_per_page(): int {
+		return self::normalize_rows_per_page( absint( get_option( self::ROWS_PER_PAGE_OPTION, self::ROWS_PER_PAGE ) ) );
+	}
+
+	/**
+	 * AJAX handler that persists the grouped view's settings.
+	 *
+	 * Receives the section attribute (`group_by`) and the full list of
+	 * collapsed section keys (`collapsed`, comma-separated) on every
+	 * change, so the stored value always mirrors the UI.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_save_grouping(): void {
+		check_ajax_referer( 'albert_grouping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ], 403 );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized via sanitize_key() on the next line.
+		$group_by = sanitize_key( wp_unslash( (string) ( $_POST['group_by'] ?? '' ) ) );
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- each key sanitized via sanitize_text_field() below.
+		$raw_collapsed = explode( ',', wp_unslash( (string) ( $_POST['collapsed'] ?? '' ) ) );
+
+		$grouping = self::normalize_grouping(
+			[
+				'by'        => $group_by,
+				'collapsed' => array_map( 'sanitize_text_field', $raw_collapsed ),
+			]
+		);
+
+		update_option( self::GROUPING_OPTION, $grouping, false );
+
+		wp_send_json_success( $grouping );
+	}
+
+	/**
+	 * Get the persisted grouped-view settings.
+	 *
+	 * @return array{by: string, collapsed: array<string>}
+	 * @since 1.2.0
+	 */
+	public static function get_grouping(): array {
+		$stored = get_option( self::GROUPING_OPTION, [] );
+
+		return self::normalize_grouping( is_array( $stored ) ? $stored : [] );
+	}
+
+	/**
+	 * Normalize grouped-view settings.
+	 *
+	 * Unknown `by` values fall back to `category`; collapsed keys are
+	 * de-duplicated and must be `{by}:{slug}` for a known `by`.
+	 *
+	 * @param array<string, mixed> $grouping Raw settings.
+	 *
+	 * @return array{by: string, collapsed: array<string>}
+	 * @since 1.2.0
+	 */
+	private static function normalize_grouping( array $grouping ): array {
+		$by = in_array( $grouping['by'] ?? '', self::GROUP_BY_CHOICES, true ) ? $grouping['by'] : 'category';
+
+		$collapsed = array_filter(
+			(array) ( $grouping['collapsed'] ?? [] ),
+			static function ( $key ): bool {
+				if ( ! is_string( $key ) || strpos( $key, ':' ) === false ) {
+					return false;
+				}
+				return in_array( strstr( $key, ':', true ), self::GROUP_BY_CHOICES, true );
+			}
+		);
+
+		return [
+			'by'        => $by,
+			'collapsed' => array_values( array_unique( $collapsed ) ),
+		];
+	}
+
+	/**
+	 * Normalize a page size to one of the offered choices.
+	 *
+	 * @param int $rows_per_page Raw page size.
+	 *
+	 * @return int The value if it is a valid choice, otherwise ROWS_PER_PAGE.
+	 * @since 1.2.0
+	 */
+	private static function normalize_rows_per_page( int $rows_per_page ): int {
+		return in_array( $rows_per_page, self::ROWS_PER_PAGE_CHOICES, true ) ? $rows_per_page : self::ROWS_PER_PAGE;
+	}
+
 	/**
 	 * Normalize an arbitrary string to a valid view mode.
 	 *
-	 * Anything that isn't `paginated` collapses to `list` so an unexpected
-	 * value (corrupted option, bad AJAX payload) never breaks rendering.
+	 * Anything that isn't `paginated` or `grouped` collapses to `list` so
+	 * an unexpected value (corrupted option, bad AJAX payload) never breaks
+	 * rendering.
 	 *
 	 * @param string $mode Raw mode string.
 	 *
-	 * @return string Either `list` or `paginated`.
+	 * @return string `list`, `paginated`, or `grouped`.
 	 * @since 1.1.0
 	 */
 	private static function normalize_view_mode( string $mode ): string {
-		return $mode === 'paginated' ? 'paginated' : 'list';
+		return in_array( $mode, [ 'paginated', 'grouped' ], true ) ? $mode : 'list';
 	}
 
 	/**
@@ -263,6 +1046,8 @@ class AbilitiesPage implements Hookable {
 		$suppliers          = self::collect_filter_options( $abilities, 'supplier_slug', 'supplier_label' );
 		$annotations        = self::collect_filter_options( $abilities, 'annotation_slug', 'annotation_label' );
 		$view_mode          = self::get_view_mode();
+		$rows_per_page      = self::get_rows_per_page();
+		$grouping           = self::get_grouping();
 		$total_count        = count( $abilities );
 		$enabled_count      = count(
 			array_filter(
@@ -286,9 +1071,14 @@ class AbilitiesPage implements Hookable {
 					<p class="albert-abilities-intro">
 						<?php esc_html_e( 'Enable or disable the abilities AI assistants can call. Each row is labelled with what it can do — read data, make changes, or delete data — so you can decide at a glance which to allow.', 'albert-ai-butler' ); ?>
 					</p>
+					<?php $this->render_config_actions(); ?>
 				</header>
 
-				<?php $this->render_toolbar( $categories, $suppliers, $annotations, $enabled_count, $total_count, $view_mode ); ?>
+				<?php $this->render_toolbar( $categories, $suppliers, $annotations, $enabled_count, $total_count, $view_mode, $grouping['by'] ); ?>
+
+				<?php $this->render_bulk_actions(); ?>
+
+				<?php $this->render_import_review(); ?>
 
 				<div
 					class="albert-abilities-error"
@@ -298,15 +1088,25 @@ class AbilitiesPage implements Hookable {
 					hidden
 				></div>
 
+				<div class="albert-abilities-pending" id="albert-abilities-pending" role="status" hidden>
+					<span class="dashicons dashicons-cloud" aria-hidden="true"></span>
+					<p class="albert-abilities-pending-text"></p>
+					<button type="button" class="button button-small" id="albert-abilities-pending-retry">
+						<?php esc_html_e( 'Retry now', 'albert-ai-butler' ); ?>
+					</button>
+				</div>
+
 				<div
 					class="albert-abilities-list"
 					id="albert-abilities-list"
 					role="list"
 					data-view-mode="<?php echo esc_attr( $view_mode ); ?>"
-					data-rows-per-page="<?php echo esc_attr( (string) self::ROWS_PER_PAGE ); ?>"
+					data-rows-per-page="<?php echo esc_attr( (string) $rows_per_page ); ?>"
+					data-group-by="<?php echo esc_attr( $grouping['by'] ); ?>"
+					data-collapsed-groups="<?php echo esc_attr( (string) wp_json_encode( $grouping['collapsed'] ) ); ?>"
 				>
 					<?php foreach ( $abilities as $index => $row ) { ?>
-						<?php $pre_hidden = ( $view_mode === 'paginated' ) && ( $index >= self::ROWS_PER_PAGE ); ?>
+						<?php $pre_hidden = ( $view_mode === 'paginated' ) && ( $index >= $rows_per_page ); ?>
 						<?php $this->render_ability_row( $row, $disabled_abilities, $ability_log_map, $pre_hidden ); ?>
 					<?php } ?>
 
@@ -323,14 +1123,45 @@ class AbilitiesPage implements Hookable {
 						?>
 						hidden<?php } ?>
 				>
-					<button type="button" class="button albert-pagination-prev" data-direction="prev">
-						<?php esc_html_e( 'Previous', 'albert-ai-butler' ); ?>
-					</button>
-					<span class="albert-pagination-pages" aria-live="polite"></span>
-					<button type="button" class="button albert-pagination-next" data-direction="next">
-						<?php esc_html_e( 'Next', 'albert-ai-butler' ); ?>
-					</button>
+					<div class="albert-pagination-nav">
+						<button type="button" class="button albert-pagination-first" data-direction="first">
+							<span aria-hidden="true">&laquo;</span>
+							<span class="screen-reader-text"><?php esc_html_e( 'First page', 'albert-ai-butler' ); ?></span>
+						</button>
+						<button type="button" class="button albert-pagination-prev" data-direction="prev">
+							<?php esc_html_e( 'Previous', 'albert-ai-butler' ); ?>
+						</button>
+						<span class="albert-pagination-pages"></span>
+						<button type="button" class="button albert-pagination-next" data-direction="next">
+							<?php esc_html_e( 'Next', 'albert-ai-butler' ); ?>
+						</button>
+						<button type="button" class="button albert-pagination-last" data-direction="last">
+							<span aria-hidden="true">&raquo;</span>
+							<span class="screen-reader-text"><?php esc_html_e( 'Last page', 'albert-ai-butler' ); ?></span>
+						</button>
+					</div>
+
+					<span class="albert-pagination-status screen-reader-text" aria-live="polite"></span>
+
+					<div class="albert-pagination-settings">
+						<form class="albert-pagination-goto">
+							<label for="albert-pagination-goto-input"><?php esc_html_e( 'Go to page', 'albert-ai-butler' ); ?></label>
+							<input type="number" id="albert-pagination-goto-input" class="small-text" min="1" step="1" inputmode="numeric" />
+							<button type="submit" class="button"><?php esc_html_e( 'Go', 'albert-ai-butler' ); ?></button>
+						</form>
+
+						<label class="albert-pagination-size">
+							<span><?php esc_html_e( 'Rows per page', 'albert-ai-butler' ); ?></span>
+							<select id="albert-abilities-rows-per-page">
+								<?php foreach ( self::ROWS_PER_PAGE_CHOICES as $choice ) { ?>
+									<option value="<?php echo esc_attr( (string) $choice ); ?>" <?php selected( $rows_per_page, $choice ); ?>><?php echo esc_html( (string) $choice ); ?></option>
+								<?php } ?>
+							</select>
+						</label>
+					</div>
 				</nav>
+
+				<?php $this->render_shortcuts_dialog(); ?>
 			</div>
 		</div>
 		<?php
@@ -344,13 +1175,18 @@ class AbilitiesPage implements Hookable {
 	 * @param array<string, string> $annotations   Annotation slug => label.
 	 * @param int                   $enabled_count Number of currently-enabled abilities.
 	 * @param int                   $total_count   Total ability count.
-	 * @param string                $view_mode     Current view mode (`list` or `paginated`).
+	 * @param string                $view_mode     Current view mode (`list`, `paginated`, or `grouped`).
+	 * @param string                $group_by      Grouped-view section attribute (`category` or `supplier`).
 	 *
 	 * @return void
 	 * @since 1.1.0
 	 */
-	private function render_toolbar( array $categories, array $suppliers, array $annotations, int $enabled_count, int $total_count, string $view_mode ): void {
-		$is_paginated = $view_mode === 'paginated';
+	private function render_toolbar( array $categories, array $suppliers, array $annotations, int $enabled_count, int $total_count, string $view_mode, string $group_by ): void {
+		$modes = [
+			'list'      => __( 'List', 'albert-ai-butler' ),
+			'paginated' => __( 'Paginated', 'albert-ai-butler' ),
+			'grouped'   => __( 'Grouped', 'albert-ai-butler' ),
+		];
 		?>
 		<div class="albert-abilities-toolbar" role="region" aria-label="<?php esc_attr_e( 'Filter abilities', 'albert-ai-butler' ); ?>">
 			<div class="albert-toolbar-filters">
@@ -360,8 +1196,9 @@ class AbilitiesPage implements Hookable {
 						type="search"
 						id="albert-abilities-search"
 						class="albert-search"
-						placeholder="<?php esc_attr_e( 'Search by name, description, or ID', 'albert-ai-butler' ); ?>"
+						placeholder="<?php esc_attr_e( 'Search by name, description, or ID (try id:woo/)', 'albert-ai-butler' ); ?>"
 						aria-controls="albert-abilities-list"
+						aria-keyshortcuts="/"
 						autocomplete="off"
 					/>
 				</label>
@@ -399,23 +1236,30 @@ class AbilitiesPage implements Hookable {
 
 			<div class="albert-toolbar-meta">
 				<div class="albert-view-toggle" role="group" aria-label="<?php esc_attr_e( 'View mode', 'albert-ai-butler' ); ?>">
-					<button
-						type="button"
-						class="albert-view-toggle-btn<?php echo $is_paginated ? '' : ' is-active'; ?>"
-						data-view="list"
-						aria-pressed="<?php echo $is_paginated ? 'false' : 'true'; ?>"
-					>
-						<?php esc_html_e( 'List', 'albert-ai-butler' ); ?>
-					</button>
-					<button
-						type="button"
-						class="albert-view-toggle-btn<?php echo $is_paginated ? ' is-active' : ''; ?>"
-						data-view="paginated"
-						aria-pressed="<?php echo $is_paginated ? 'true' : 'false'; ?>"
-					>
-						<?php esc_html_e( 'Paginated', 'albert-ai-butler' ); ?>
-					</button>
+					<?php foreach ( $modes as $mode => $mode_label ) { ?>
+						<button
+							type="button"
+							class="albert-view-toggle-btn<?php echo $view_mode === $mode ? ' is-active' : ''; ?>"
+							data-view="<?php echo esc_attr( $mode ); ?>"
+							aria-pressed="<?php echo $view_mode === $mode ? 'true' : 'false'; ?>"
+						>
+							<?php echo esc_html( $mode_label ); ?>
+						</button>
+					<?php } ?>
 				</div>
+				<label
+					class="albert-toolbar-field albert-toolbar-field--group-by"
+					<?php
+					if ( $view_mode !== 'grouped' ) {
+						?>
+						hidden<?php } ?>
+				>
+					<span class="albert-toolbar-label"><?php esc_html_e( 'Group by', 'albert-ai-butler' ); ?></span>
+					<select id="albert-abilities-group-by" class="albert-filter-group-by">
+						<option value="category" <?php selected( $group_by, 'category' ); ?>><?php esc_html_e( 'Category', 'albert-ai-butler' ); ?></option>
+						<option value="supplier" <?php selected( $group_by, 'supplier' ); ?>><?php esc_html_e( 'Supplier', 'albert-ai-butler' ); ?></option>
+					</select>
+				</label>
 				<p
 					class="albert-toolbar-stats"
 					id="albert-abilities-stats"
@@ -440,6 +1284,139 @@ class AbilitiesPage implements Hookable {
 		<?php
 	}
 
+	/**
+	 * Render the bulk-action bar above the list.
+	 *
+	 * The "select all" checkbox and both buttons act on the rows that pass
+	 * the current search + filters. When some of those rows are ticked the
+	 * buttons narrow to the selection; admin-settings.js swaps the labels.
+	 * The Undo button steps back through this session's toggle history.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_bulk_actions(): void {
+		?>
+		<div class="albert-abilities-bulk" role="group" aria-label="<?php esc_attr_e( 'Bulk actions', 'albert-ai-butler' ); ?>">
+			<label class="albert-abilities-bulk-select">
+				<input type="checkbox" id="albert-abilities-select-all" />
+				<span><?php esc_html_e( 'Select all visible', 'albert-ai-butler' ); ?></span>
+			</label>
+			<span class="albert-abilities-bulk-count" id="albert-abilities-selected-count" aria-live="polite"></span>
+			<div class="albert-abilities-bulk-buttons">
+				<button type="button" class="button albert-abilities-undo" id="albert-abilities-undo" aria-keyshortcuts="Control+Z Meta+Z" disabled>
+					<span class="dashicons dashicons-undo" aria-hidden="true"></span>
+					<?php esc_html_e( 'Undo', 'albert-ai-butler' ); ?>
+				</button>
+				<button type="button" class="button albert-bulk-btn" data-bulk="enable">
+					<?php esc_html_e( 'Enable all visible', 'albert-ai-butler' ); ?>
+				</button>
+				<button type="button" class="button albert-bulk-btn" data-bulk="disable">
+					<?php esc_html_e( 'Disable all visible', 'albert-ai-butler' ); ?>
+				</button>
+				<button type="button" class="button albert-shortcuts-trigger" aria-keyshortcuts="?" aria-haspopup="dialog" aria-controls="albert-shortcuts-dialog">
+					<span class="dashicons dashicons-editor-help" aria-hidden="true"></span>
+					<span class="screen-reader-text"><?php esc_html_e( 'Keyboard shortcuts', 'albert-ai-butler' ); ?></span>
+				</button>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the export / import configuration buttons.
+	 *
+	 * Export is a plain admin-post download link. Import opens a file
+	 * picker; admin-settings.js reads the file and shows the review panel.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_config_actions(): void {
+		$export_url = wp_nonce_url( admin_url( 'admin-post.php?action=albert_export_abilities' ), 'albert_export_abilities' );
+		?>
+		<div class="albert-abilities-config">
+			<a href="<?php echo esc_url( $export_url ); ?>" class="button">
+				<span class="dashicons dashicons-download" aria-hidden="true"></span>
+				<?php esc_html_e( 'Export configuration', 'albert-ai-butler' ); ?>
+			</a>
+			<button type="button" class="button" id="albert-abilities-import-trigger">
+				<span class="dashicons dashicons-upload" aria-hidden="true"></span>
+				<?php esc_html_e( 'Import configuration', 'albert-ai-butler' ); ?>
+			</button>
+			<input type="file" id="albert-abilities-import-file" accept=".json,application/json" hidden />
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the (initially hidden) import review panel.
+	 *
+	 * admin-settings.js fills in the summary and change lists after a
+	 * preset file is chosen, and highlights the affected rows in the list.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_import_review(): void {
+		?>
+		<section class="albert-abilities-import" id="albert-abilities-import" aria-labelledby="albert-abilities-import-title" hidden>
+			<h2 id="albert-abilities-import-title" tabindex="-1"><?php esc_html_e( 'Review imported configuration', 'albert-ai-butler' ); ?></h2>
+			<p class="albert-abilities-import-summary"></p>
+			<div class="albert-abilities-import-changes"></div>
+			<div class="albert-abilities-import-actions">
+				<button type="button" class="button button-primary" id="albert-abilities-import-apply">
+					<?php esc_html_e( 'Apply configuration', 'albert-ai-butler' ); ?>
+				</button>
+				<button type="button" class="button" id="albert-abilities-import-cancel">
+					<?php esc_html_e( 'Cancel', 'albert-ai-butler' ); ?>
+				</button>
+			</div>
+		</section>
+		<?php
+	}
+
+	/**
+	 * Render the keyboard shortcut help dialog, opened with `?` or the
+	 * help button in the bulk-action bar.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_shortcuts_dialog(): void {
+		$shortcuts = [
+			[ [ 'j', '↓' ], __( 'Next ability', 'albert-ai-butler' ) ],
+			[ [ 'k', '↑' ], __( 'Previous ability', 'albert-ai-butler' ) ],
+			[ [ 'Home', 'End' ], __( 'First / last ability on the page', 'albert-ai-butler' ) ],
+			[ [ 'Enter' ], __( 'Show or hide details', 'albert-ai-butler' ) ],
+			[ [ 'Space' ], __( 'Enable or disable', 'albert-ai-butler' ) ],
+			[ [ '/' ], __( 'Search', 'albert-ai-butler' ) ],
+			[ [ '[', ']' ], __( 'Previous / next page', 'albert-ai-butler' ) ],
+			[ [ 'Ctrl+Z' ], __( 'Undo last change', 'albert-ai-butler' ) ],
+			[ [ '?' ], __( 'Show this help', 'albert-ai-butler' ) ],
+		];
+		?>
+		<dialog id="albert-shortcuts-dialog" aria-labelledby="albert-shortcuts-dialog-title">
+			<div class="albert-shortcuts-dialog-header">
+				<h2 id="albert-shortcuts-dialog-title"><?php esc_html_e( 'Keyboard shortcuts', 'albert-ai-butler' ); ?></h2>
+				<button type="button" class="albert-shortcuts-dialog-close" aria-label="<?php esc_attr_e( 'Close', 'albert-ai-butler' ); ?>">
+					<span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+				</button>
+			</div>
+			<dl class="albert-shortcuts-list">
+				<?php foreach ( $shortcuts as [ $keys, $description ] ) { ?>
+					<dt>
+						<?php foreach ( $keys as $key ) { ?>
+							<kbd><?php echo esc_html( $key ); ?></kbd>
+						<?php } ?>
+					</dt>
+					<dd><?php echo esc_html( $description ); ?></dd>
+				<?php } ?>
+			</dl>
+		</dialog>
+		<?php
+	}
+
 	/**
 	 * Render a single ability row.
 	 *
@@ -470,8 +1447,6 @@ class AbilitiesPage implements Hookable {
 		$dom_id     = 'albert-ability-' . sanitize_html_class( str_replace( '/', '-', $id ) );
 		$details_id = $dom_id . '-details';
 		$toggle_id  = $dom_id . '-toggle';
-
-		$search_haystack = strtolower( $label . ' ' . $description . ' ' . $id );
 		?>
 		<div
 			class="ability-row"
@@ -480,7 +1455,6 @@ class AbilitiesPage implements Hookable {
 			data-category="<?php echo esc_attr( $category_slug ); ?>"
 			data-supplier="<?php echo esc_attr( $supplier_slug ); ?>"
 			data-annotation="<?php echo esc_attr( $annotation_slug ); ?>"
-			data-search="<?php echo esc_attr( $search_haystack ); ?>"
 			data-destructive="<?php echo $is_destruct ? '1' : '0'; ?>"
 			data-enabled="<?php echo $is_enabled ? '1' : '0'; ?>"
 			<?php
@@ -490,6 +1464,12 @@ class AbilitiesPage implements Hookable {
 		>
 
 			<div class="ability-row-main">
+				<input
+					type="checkbox"
+					class="ability-row-select"
+					aria-label="<?php echo esc_attr( sprintf( /* translators: %s: ability label. */ __( 'Select %s', 'albert-ai-butler' ), $label ) ); ?>"
+				/>
+
 				<button
 					type="button"
 					class="ability-row-expand"
@@ -568,10 +1548,45 @@ class AbilitiesPage implements Hookable {
 					<?php } ?>
 
 					<dt><?php esc_html_e( 'Last run', 'albert-ai-butler' ); ?></dt>
-					<dd>
+					<dd class="ability-row-last-run">
 						<?php $this->render_log_line( $id, $ability_log_map ); ?>
 					</dd>
+
+					<?php /* Filled in by admin-settings.js when the panel opens. */ ?>
+					<dt class="ability-row-activity-term" hidden><?php esc_html_e( 'Usage', 'albert-ai-butler' ); ?></dt>
+					<dd class="ability-row-usage" hidden></dd>
+
+					<dt class="ability-row-activity-term" hidden><?php esc_html_e( 'Recent callers', 'albert-ai-butler' ); ?></dt>
+					<dd class="ability-row-callers" hidden></dd>
 				</dl>
+
+				<?php /* The viewer is built by admin-settings.js once the schemas are loaded. */ ?>
+				<div class="ability-schema">
+					<button
+						type="button"
+						class="button ability-schema-open"
+						aria-expanded="false"
+						aria-controls="<?php echo esc_attr( $dom_id . '-schema' ); ?>"
+					>
+						<span class="dashicons dashicons-editor-code" aria-hidden="true"></span>
+						<?php esc_html_e( 'Schema and MCP details', 'albert-ai-butler' ); ?>
+					</button>
+					<div class="ability-schema-panel" id="<?php echo esc_attr( $dom_id . '-schema' ); ?>" hidden></div>
+				</div>
+
+				<?php /* The form is built by admin-settings.js from the ability's input schema. */ ?>
+				<div class="ability-playground">
+					<button
+						type="button"
+						class="button ability-playground-open"
+						aria-expanded="false"
+						aria-controls="<?php echo esc_attr( $dom_id . '-playground' ); ?>"
+					>
+						<span class="dashicons dashicons-controls-play" aria-hidden="true"></span>
+						<?php esc_html_e( 'Try it', 'albert-ai-butler' ); ?>
+					</button>
+					<div class="ability-playground-panel" id="<?php echo esc_attr( $dom_id . '-playground' ); ?>" hidden></div>
+				</div>
 			</div>
 		</div>
 		<?php
@@ -604,15 +1619,24 @@ class AbilitiesPage implements Hookable {
 		$log          = $ability_log_map[ $ability_id ];
 		$user         = get_userdata( (int) $log->user_id );
 		$display_name = $user ? $user->display_name : __( 'Unknown user', 'albert-ai-butler' );
-		$created_utc  = get_gmt_from_date( $log->created_at, 'U' );
-		$time_diff    = human_time_diff( (int) $created_utc, time() );
+		$created_utc  = (int) get_gmt_from_date( $log->created_at, 'U' );
+		$time_diff    = human_time_diff( $created_utc, time() );
+		// The <time> carries a timestamp so admin-settings.js can keep the
+		// relative text current while the page stays open.
+		$time_html = sprintf(
+			'<time class="albert-relative-time" datetime="%1$s" data-timestamp="%2$s">%3$s</time>',
+			esc_attr( gmdate( 'c', $created_utc ) ),
+			esc_attr( (string) $created_utc ),
+			/* translators: %s: human time diff, e.g. "5 mins". */
+			esc_html( sprintf( __( '%s ago', 'albert-ai-butler' ), $time_diff ) )
+		);
 		?>
 		<span class="albert-ability__log-line">
 			<?php
 			printf(
-				/* translators: 1: human time diff, 2: user display name. */
-				esc_html__( '%1$s ago by %2$s', 'albert-ai-butler' ),
-				esc_html( $time_diff ),
+				/* translators: 1: relative time, e.g. "5 mins ago", 2: user display name. */
+				esc_html__( '%1$s by %2$s', 'albert-ai-butler' ),
+				$time_html, // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped above.
 				'<strong>' . esc_html( $display_name ) . '</strong>'
 			);
 			?>
@@ -628,7 +1652,7 @@ class AbilitiesPage implements Hookable {
 	 * @return array<int, array<string, mixed>>
 	 * @since 1.1.0
 	 */
-	private static function collect_abilities(): array {
+	public static function collect_abilities(): array {
 		$all        = wp_get_abilities();
 		$categories = wp_get_ability_categories();
 		$rows       = [];
@@ -684,7 +1708,7 @@ class AbilitiesPage implements Hookable {
 	 * @return array<string, string>
 	 * @since 1.1.0
 	 */
-	private static function collect_filter_options( array $abilities, string $slug_key, string $label_key ): array {
+	public static function collect_filter_options( array $abilities, string $slug_key, string $label_key ): array {
 		$options = [];
 		foreach ( $abilities as $row ) {
 			$slug = $row[ $slug_key ];
@@ -705,7 +1729,7 @@ class AbilitiesPage implements Hookable {
 	 * @return string
 	 * @since 1.1.0
 	 */
-	private static function resolve_category_label( string $slug, array $categories ): string {
+	public static function resolve_category_label( string $slug, array $categories ): string {
 		if ( $slug === '' ) {
 			return '';
 		}
@@ -810,8 +1834,7 @@ class AbilitiesPage implements Hookable {
 			'albertAdmin',
 			[
 				'ajaxUrl'            => admin_url( 'admin-ajax.php' ),
-				'toggleAbilityNonce' => wp_create_nonce( 'albert_toggle_ability' ),
-				'viewModeNonce'      => wp_create_nonce( 'albert_view_mode' ),
+				...self::nonces(),
 				'i18n'               => [
 					'copied'             => __( 'Copied!', 'albert-ai-butler' ),
 					'copyFailed'         => __( 'Copy failed', 'albert-ai-butler' ),
@@ -819,10 +1842,135 @@ class AbilitiesPage implements Hookable {
 					'statsTemplate'      => __( 'Showing %1$s of %2$s · %3$s enabled', 'albert-ai-butler' ),
 					/* translators: 1: current page number, 2: total page count. */
 					'pageTemplate'       => __( 'Page %1$s of %2$s', 'albert-ai-butler' ),
-					'destructiveConfirm' => __( 'This ability can permanently delete data. Are you sure you want to enable it?', 'albert-ai-butler' ),
+					/* translators: %s: page number. */
+					'pageLabel'          => __( 'Page %s', 'albert-ai-butler' ),
+					/* translators: 1: enabled count, 2: total count. */
+					'groupCount'         => __( '%1$s of %2$s enabled', 'albert-ai-butler' ),
+					/* translators: %s: section name (category or supplier). */
+					'groupToggle'        => __( 'Enable all in %s', 'albert-ai-butler' ),
+					/* translators: %s: section name (category or supplier). */
+					'groupToggleOff'     => __( 'Disable all in %s', 'albert-ai-butler' ),
+					'groupOther'         => __( 'Other', 'albert-ai-butler' ),
+					'neverRun'           => __( 'Never run yet', 'albert-ai-butler' ),
+					'noCallers'          => __( 'No recent runs.', 'albert-ai-butler' ),
+					/* translators: 1: relative time, e.g. "5 minutes ago", 2: user display name. */
+					'lastRunBy'          => __( '%1$s by %2$s', 'albert-ai-butler' ),
+					'activityError'      => __( 'Could not load recent activity.', 'albert-ai-butler' ),
+					'usage7'             => __( '7 days', 'albert-ai-butler' ),
+					'usage30'            => __( '30 days', 'albert-ai-butler' ),
+					/* translators: 1: run count, 2: number of days. */
+					'usageSummary'       => __( '%1$s runs in the last %2$s days', 'albert-ai-butler' ),
+					/* translators: 1: date, 2: run count. */
+					'usageDay'           => __( '%1$s: %2$s runs', 'albert-ai-butler' ),
+					/* translators: %s: number of runs kept per ability. */
+					'callersRetention'   => __( 'Only the last %s runs are kept.', 'albert-ai-butler' ),
+					'importInvalid'      => __( 'This file is not an Albert abilities configuration.', 'albert-ai-butler' ),
+					'importTooLarge'     => __( 'This file is too large to be a configuration preset.', 'albert-ai-butler' ),
+					/* translators: 1: number of abilities to enable, 2: number to disable. */
+					'importSummary'      => __( 'Applying this file will enable %1$s and disable %2$s abilities. Affected rows are highlighted below.', 'albert-ai-butler' ),
+					'importNoChanges'    => __( 'This file matches the current configuration. Nothing will change.', 'albert-ai-butler' ),
+					'importWillEnable'   => __( 'Will be enabled', 'albert-ai-butler' ),
+					'importWillDisable'  => __( 'Will be disabled', 'albert-ai-butler' ),
+					'importPreferences'  => __( 'View preferences', 'albert-ai-butler' ),
+					/* translators: 1: preference name, 2: old value, 3: new value. */
+					'importPrefChange'   => __( '%1$s: %2$s → %3$s', 'albert-ai-butler' ),
+					'importViewMode'     => __( 'View mode', 'albert-ai-butler' ),
+					'importRowsPerPage'  => __( 'Rows per page', 'albert-ai-butler' ),
+					'importGroupBy'      => __( 'Group by', 'albert-ai-butler' ),
+					'importUnknown'      => __( 'Not installed on this site (kept disabled in case they are added later)', 'albert-ai-butler' ),
+					/* translators: 1: number enabled, 2: number disabled. */
+					'importApplied'      => __( 'Configuration imported: %1$s enabled, %2$s disabled.', 'albert-ai-butler' ),
+					/* translators: %s: number of unknown ability ids. */
+					'importKeptUnknown'  => __( '%s ability IDs are not installed here and were kept as disabled.', 'albert-ai-butler' ),
+					/* translators: %s: ability label. */
+					'toggledOn'          => __( 'Enabled %s', 'albert-ai-butler' ),
+					/* translators: %s: ability label. */
+					'toggledOff'         => __( 'Disabled %s', 'albert-ai-butler' ),
+					'destructiveWarning' => __( 'It can permanently delete data.', 'albert-ai-butler' ),
+					'undo'               => __( 'Undo', 'albert-ai-butler' ),
+					/* translators: %s: ability label or "n abilities enabled/disabled". */
+					'undone'             => __( 'Reverted: %s', 'albert-ai-butler' ),
+					'undoEmpty'          => __( 'Nothing to undo.', 'albert-ai-butler' ),
+					'dismiss'            => __( 'Dismiss', 'albert-ai-butler' ),
 					'noMatches'          => __( 'No abilities match your filters.', 'albert-ai-butler' ),
 					'saveError'          => __( 'Could not save your change. Please try again.', 'albert-ai-butler' ),
 					'sessionExpired'     => __( 'Your session has expired. Reload the page and try again.', 'albert-ai-butler' ),
+					'pendingOne'         => __( '1 unsaved change', 'albert-ai-butler' ),
+					/* translators: %s: number of changes waiting to be saved. */
+					'pendingMany'        => __( '%s unsaved changes', 'albert-ai-butler' ),
+					'pendingSaving'      => __( 'Saving…', 'albert-ai-butler' ),
+					'pendingOffline'     => __( 'You are offline. They will be saved when the connection comes back.', 'albert-ai-butler' ),
+					'pendingRetry'       => __( 'The server could not be reached. Retrying automatically.', 'albert-ai-butler' ),
+					'pendingLoggedOut'   => __( 'You have been logged out. Log in again in another tab and they will be saved automatically.', 'albert-ai-butler' ),
+					/* translators: %s: number of changes saved from the queue. */
+					'pendingSaved'       => __( '%s queued changes saved.', 'albert-ai-butler' ),
+					/* translators: %s: newline-separated list of ability labels. */
+					'bulkDestructive'    => __( "The following abilities can permanently delete data:\n\n%s\n\nAre you sure you want to enable them?", 'albert-ai-butler' ),
+					'bulkConfirmTitle'   => __( 'Enable abilities that can delete data?', 'albert-ai-butler' ),
+					'bulkConfirm'        => __( 'Enable them', 'albert-ai-butler' ),
+					'bulkNothing'        => __( 'No visible abilities need changing.', 'albert-ai-butler' ),
+					/* translators: %s: number of abilities. */
+					'bulkEnabled'        => __( '%s abilities enabled.', 'albert-ai-butler' ),
+					/* translators: %s: number of abilities. */
+					'bulkDisabled'       => __( '%s abilities disabled.', 'albert-ai-butler' ),
+					/* translators: %s: number of selected abilities. */
+					'selectedCount'      => __( '%s selected', 'albert-ai-butler' ),
+					'enableVisible'      => __( 'Enable all visible', 'albert-ai-butler' ),
+					'disableVisible'     => __( 'Disable all visible', 'albert-ai-butler' ),
+					'enableSelected'     => __( 'Enable selected', 'albert-ai-butler' ),
+					'disableSelected'    => __( 'Disable selected', 'albert-ai-butler' ),
+					'tryLoading'         => __( 'Loading the input form…', 'albert-ai-butler' ),
+					'tryFailed'          => __( 'Could not reach the server. Please try again.', 'albert-ai-butler' ),
+					'tryNoInput'         => __( 'This ability takes no input.', 'albert-ai-butler' ),
+					'tryRequest'         => __( 'Input JSON', 'albert-ai-butler' ),
+					'tryRequired'        => __( '(required)', 'albert-ai-butler' ),
+					'tryNotSet'          => __( '— Not set —', 'albert-ai-butler' ),
+					'tryJsonHint'        => __( 'Enter a JSON value.', 'albert-ai-butler' ),
+					/* translators: %s: field label. */
+					'tryInvalidJson'     => __( '%s is not valid JSON.', 'albert-ai-butler' ),
+					'tryAddItem'         => __( 'Add item', 'albert-ai-butler' ),
+					/* translators: 1: field label, 2: item number. */
+					'tryItem'            => __( '%1$s, item %2$s', 'albert-ai-butler' ),
+					'tryRemove'          => __( 'Remove', 'albert-ai-butler' ),
+					/* translators: %s: item label, e.g. "Tags, item 2". */
+					'tryRemoveItem'      => __( 'Remove %s', 'albert-ai-butler' ),
+					'tryDryRun'          => __( 'Dry run (check input and permissions only)', 'albert-ai-butler' ),
+					'tryDryRunNative'    => __( 'Dry run (the ability rehearses without changing anything)', 'albert-ai-butler' ),
+					'tryRun'             => __( 'Run', 'albert-ai-butler' ),
+					'tryRunning'         => __( 'Running…', 'albert-ai-butler' ),
+					/* translators: %s: ability label. */
+					'tryConfirmTitle'    => __( 'Run %s for real?', 'albert-ai-butler' ),
+					'tryConfirmMessage'  => __( 'This ability can permanently delete data. It will run as you, on this site, right now.', 'albert-ai-butler' ),
+					'tryConfirm'         => __( 'Run it', 'albert-ai-butler' ),
+					'tryCancel'          => __( 'Cancel', 'albert-ai-butler' ),
+					/* translators: 1: server time in milliseconds, 2: round-trip time in milliseconds. */
+					'tryTiming'          => __( '%1$s ms on the server, %2$s ms round trip.', 'albert-ai-butler' ),
+					'tryDone'            => __( 'Finished.', 'albert-ai-butler' ),
+					'tryDryRunPassed'    => __( 'Dry run passed: the input is valid and you may run this ability. Nothing was changed.', 'albert-ai-butler' ),
+					'tryNotValidated'    => __( 'Dry run: you may run this ability, but the input was not validated on this version of WordPress. Nothing was changed.', 'albert-ai-butler' ),
+					'tryErrored'         => __( 'The ability returned an error.', 'albert-ai-butler' ),
+					'tryOutput'          => __( 'Output', 'albert-ai-butler' ),
+					'tryError'           => __( 'Error', 'albert-ai-butler' ),
+					'schemaLoading'      => __( 'Loading the schemas…', 'albert-ai-butler' ),
+					/* translators: %s: ability label. */
+					'schemaViews'        => __( 'Schema views for %s', 'albert-ai-butler' ),
+					'schemaTabInput'     => __( 'Input schema', 'albert-ai-butler' ),
+					'schemaTabOutput'    => __( 'Output schema', 'albert-ai-butler' ),
+					'schemaTabHints'     => __( 'Annotations', 'albert-ai-butler' ),
+					'schemaTabCall'      => __( 'MCP call', 'albert-ai-butler' ),
+					'schemaTabInfo'      => __( 'MCP ability info', 'albert-ai-butler' ),
+					'schemaNoInput'      => __( 'This ability declares no input schema.', 'albert-ai-butler' ),
+					'schemaNoOutput'     => __( 'This ability declares no output schema.', 'albert-ai-butler' ),
+					'schemaNoHints'      => __( 'This ability declares no annotations.', 'albert-ai-butler' ),
+					'schemaCallNote'     => __( 'MCP clients run this ability through the execute-ability tool with these arguments. "parameters" takes the input on the Input schema tab.', 'albert-ai-butler' ),
+					'schemaInfoNote'     => __( 'What the get-ability-info tool answers for this ability, straight from the MCP adapter.', 'albert-ai-butler' ),
+					'schemaNoInfo'       => __( 'The MCP adapter is not loaded, so its answer cannot be shown.', 'albert-ai-butler' ),
+					'schemaCopy'         => __( 'Copy JSON', 'albert-ai-butler' ),
+					'schemaExpandAll'    => __( 'Expand all', 'albert-ai-butler' ),
+					'schemaCollapseAll'  => __( 'Collapse all', 'albert-ai-butler' ),
+					'schemaItem'         => __( '1 item', 'albert-ai-butler' ),
+					/* translators: %s: number of entries in a collapsed JSON object or array. */
+					'schemaItems'        => __( '%s items', 'albert-ai-butler' ),
 				],
 			]
 		);
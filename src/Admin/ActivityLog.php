@@ -0,0 +1,530 @@
+<?php
+/**
+ * Activity Log Page
+ *
+ * Lists every ability execution recorded by the logger, with filters,
+ * infinite scroll and CSV / JSON export for audits.
+ *
+ * @package Albert
+ * @subpackage Admin
+ * @since      1.2.0
+ */
+
+namespace Albert\Admin;
+
+defined( 'ABSPATH' ) || exit;
+
+use Albert\Contracts\Interfaces\Hookable;
+use Albert\Logging\Repository as LoggingRepository;
+
+/**
+ * ActivityLog class
+ *
+ * Renders the filter bar and an empty table; `admin-activity.js` fills it
+ * page by page from `wp_ajax_albert_activity_log`, using the id of the
+ * last row shown as the cursor for the next page.
+ *
+ * @since 1.2.0
+ */
+class ActivityLog implements Hookable {
+
+	/**
+	 * Entries returned per AJAX page.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const PAGE_SIZE = 50;
+
+	/**
+	 * Rows fetched per query while streaming an export.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const EXPORT_BATCH = 500;
+
+	/**
+	 * Seconds between checks for new entries while the tab is visible.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const POLL_INTERVAL = 30;
+
+	/**
+	 * Parent menu slug.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	private string $parent_slug = 'albert';
+
+	/**
+	 * Page slug.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	private string $page_slug = 'albert-activity';
+
+	/**
+	 * Ability log repository.
+	 *
+	 * @since 1.2.0
+	 * @var LoggingRepository
+	 */
+	private LoggingRepository $logging_repository;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param LoggingRepository $logging_repository Ability log repository.
+	 *
+	 * @since 1.2.0
+	 */
+	public function __construct( LoggingRepository $logging_repository ) {
+		$this->logging_repository = $logging_repository;
+	}
+
+	/**
+	 * Register WordPress hooks.
+	 *
+	 *   - `wp_ajax_albert_activity_log`         — one page of filtered entries
+	 *   - `admin_post_albert_export_activity`   — download the filtered set
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function register_hooks(): void {
+		add_action( 'admin_menu', [ $this, 'add_menu_page' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
+		add_action( 'wp_ajax_albert_activity_log', [ $this, 'ajax_activity_log' ] );
+		add_action( 'admin_post_albert_export_activity', [ $this, 'handle_export' ] );
+	}
+
+	/**
+	 * Add the activity page to the admin menu.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function add_menu_page(): void {
+		add_submenu_page(
+			$this->parent_slug,
+			__( 'Activity', 'albert-ai-butler' ),
+			__( 'Activity', 'albert-ai-butler' ),
+			'manage_options',
+			$this->page_slug,
+			[ $this, 'render_page' ]
+		);
+	}
+
+	/**
+	 * AJAX handler returning one page of log entries.
+	 *
+	 * Pass `before` (the last id shown) for the next page when scrolling,
+	 * or `after` (the newest id shown) to pick up entries logged since the
+	 * page loaded. `next_cursor` is 0 once there is nothing further back;
+	 * for an `after` request it is non-zero when more new entries exist
+	 * than fit in one page, which tells the JS to reload from the top.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_activity_log(): void {
+		check_ajax_referer( 'albert_activity_log', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified by check_ajax_referer() above.
+		$args = self::read_filters( $_POST );
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified by check_ajax_referer() above.
+		$args['before_id'] = isset( $_POST['before'] ) ? absint( $_POST['before'] ) : 0;
+		$args['after_id']  = isset( $_POST['after'] ) ? absint( $_POST['after'] ) : 0;
+		// phpcs:enable
+		$args['limit'] = self::PAGE_SIZE + 1;
+
+		$rows     = $this->logging_repository->query( $args );
+		$has_more = count( $rows ) > self::PAGE_SIZE;
+		$rows     = array_slice( $rows, 0, self::PAGE_SIZE );
+
+		wp_send_json_success(
+			[
+				'entries'     => array_map( [ self::class, 'format_entry' ], $rows ),
+				'next_cursor' => $has_more && $rows ? (int) end( $rows )->id : 0,
+				'now'         => time(),
+			]
+		);
+	}
+
+	/**
+	 * Stream the filtered log as CSV or JSON.
+	 *
+	 * Walks the table in EXPORT_BATCH chunks with the same id cursor the
+	 * page uses, so large logs never have to fit in memory at once.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function handle_export(): void {
+		check_admin_referer( 'albert_export_activity' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'albert-ai-butler' ), 403 );
+		}
+
+		$args = self::read_filters( $_GET );
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- compared to a literal.
+		$format = isset( $_GET['format'] ) && 'json' === wp_unslash( $_GET['format'] ) ? 'json' : 'csv';
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'json' === $format ? 'application/json' : 'text/csv' ) . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="albert-activity-' . gmdate( 'Y-m-d' ) . '.' . $format . '"' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Streaming to the response body.
+		$out   = fopen( 'php://output', 'w' );
+		$first = true;
+
+		if ( 'json' === $format ) {
+			fwrite( $out, '[' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+		} else {
+			fputcsv( $out, [ 'id', 'ability', 'ability_label', 'user_id', 'user', 'created_at', 'created_at_utc' ] );
+		}
+
+		$args['limit'] = self::EXPORT_BATCH;
+		do {
+			$rows = $this->logging_repository->query( $args );
+			foreach ( $rows as $row ) {
+				$entry = self::format_entry( $row );
+				if ( 'json' === $format ) {
+					// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+					fwrite( $out, ( $first ? '' : ',' ) . "\n" . wp_json_encode( $entry ) );
+				} else {
+					fputcsv(
+						$out,
+						array_map(
+							[ self::class, 'csv_cell' ],
+							[ $entry['id'], $entry['ability'], $entry['label'], $entry['user_id'], $entry['user'], $entry['created_at'], $entry['created_at_utc'] ]
+						)
+					);
+				}
+				$first = false;
+			}
+			if ( $rows ) {
+				$args['before_id'] = (int) end( $rows )->id;
+			}
+		} while ( count( $rows ) === self::EXPORT_BATCH );
+
+		if ( 'json' === $format ) {
+			fwrite( $out, "\n]\n" ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+		}
+		fclose( $out ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		exit;
+	}
+
+	/**
+	 * Read and validate the filter fields from a request array.
+	 *
+	 * Unknown or malformed values are dropped rather than rejected, so a
+	 * hand-edited URL just shows a wider result.
+	 *
+	 * @param array<string, mixed> $source $_GET or $_POST.
+	 *
+	 * @return array{ability: string, user_id: int, from: string, to: string}
+	 * @since 1.2.0
+	 */
+	public static function read_filters( array $source ): array {
+		$date = static function ( string $key ) use ( $source ): string {
+			$value = isset( $source[ $key ] ) ? sanitize_text_field( wp_unslash( (string) $source[ $key ] ) ) : '';
+			if ( ! preg_match( '/^(\d{4})-(\d{2})-(\d{2})$/', $value, $m ) || ! checkdate( (int) $m[2], (int) $m[3], (int) $m[1] ) ) {
+				return '';
+			}
+			return $value;
+		};
+
+		$filters = [
+			'ability' => isset( $source['ability'] ) ? sanitize_text_field( wp_unslash( (string) $source['ability'] ) ) : '',
+			'user_id' => isset( $source['user'] ) ? absint( $source['user'] ) : 0,
+			'from'    => $date( 'from' ),
+			'to'      => $date( 'to' ),
+		];
+
+		// A reversed range is almost certainly a slip; swap rather than
+		// return nothing.
+		if ( $filters['from'] && $filters['to'] && $filters['from'] > $filters['to'] ) {
+			[ $filters['from'], $filters['to'] ] = [ $filters['to'], $filters['from'] ];
+		}
+
+		return $filters;
+	}
+
+	/**
+	 * Shape a log row for the page and exports.
+	 *
+	 * @param object $row Log row from the repository.
+	 *
+	 * @return array{id: int, ability: string, label: string, user_id: int, user: string, timestamp: int, created_at: string, created_at_utc: string}
+	 * @since 1.2.0
+	 */
+	public static function format_entry( object $row ): array {
+		$user      = get_userdata( (int) $row->user_id );
+		$ability   = function_exists( 'wp_get_ability' ) ? wp_get_ability( $row->ability_name ) : null;
+		$timestamp = (int) get_gmt_from_date( $row->created_at, 'U' );
+
+		return [
+			'id'             => (int) $row->id,
+			'ability'        => (string) $row->ability_name,
+			'label'          => $ability ? (string) $ability->get_label() : (string) $row->ability_name,
+			'user_id'        => (int) $row->user_id,
+			'user'           => $user ? $user->display_name : __( 'Unknown user', 'albert-ai-butler' ),
+			'timestamp'      => $timestamp,
+			'created_at'     => (string) $row->created_at,
+			'created_at_utc' => gmdate( 'c', $timestamp ),
+		];
+	}
+
+	/**
+	 * Neutralise values a spreadsheet would evaluate as a formula.
+	 *
+	 * Display names are user-editable, so an export opened in Excel must
+	 * not run `=HYPERLINK(...)` and friends.
+	 *
+	 * @param mixed $value Cell value.
+	 *
+	 * @return string
+	 * @since 1.2.0
+	 */
+	public static function csv_cell( $value ): string {
+		$value = (string) $value;
+
+		return preg_match( '/^[=+\-@\t\r]/', $value ) ? "'" . $value : $value;
+	}
+
+	/**
+	 * Unescaped admin-post URL for the export, nonce included; the filter
+	 * and format arguments are appended by the caller.
+	 *
+	 * @return string
+	 * @since 1.2.0
+	 */
+	private static function export_base_url(): string {
+		return add_query_arg(
+			[
+				'action'   => 'albert_export_activity',
+				'_wpnonce' => wp_create_nonce( 'albert_export_activity' ),
+			],
+			admin_url( 'admin-post.php' )
+		);
+	}
+
+	/**
+	 * Enqueue page assets.
+	 *
+	 * @param string $hook Current admin page hook.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function enqueue_assets( string $hook ): void {
+		// Hook format for submenu is: {parent_slug}_page_{menu_slug}.
+		if ( 'albert_page_' . $this->page_slug !== $hook ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'albert-admin',
+			ALBERT_PLUGIN_URL . 'assets/css/admin-settings.css',
+			[],
+			ALBERT_VERSION
+		);
+
+		wp_enqueue_script(
+			'albert-admin-utils',
+			ALBERT_PLUGIN_URL . 'assets/js/albert-admin-utils.js',
+			[],
+			ALBERT_VERSION,
+			true
+		);
+
+		wp_enqueue_script(
+			'albert-activity',
+			ALBERT_PLUGIN_URL . 'assets/js/admin-activity.js',
+			[ 'albert-admin-utils' ],
+			ALBERT_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'albert-activity',
+			'albertActivity',
+			[
+				'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
+				'nonce'        => wp_create_nonce( 'albert_activity_log' ),
+				'exportUrl'    => self::export_base_url(),
+				'pageSize'     => self::PAGE_SIZE,
+				'pollInterval' => self::POLL_INTERVAL * 1000,
+				'now'          => time(),
+				'i18n'         => [
+					'loading'   => __( 'Loading…', 'albert-ai-butler' ),
+					'noEntries' => __( 'No activity matches these filters.', 'albert-ai-butler' ),
+					/* translators: %s: number of entries shown. */
+					'shown'     => __( 'Showing %s entries.', 'albert-ai-butler' ),
+					/* translators: %s: number of entries shown. */
+					'shownAll'  => __( 'Showing all %s entries.', 'albert-ai-butler' ),
+					'loadError' => __( 'Could not load activity. Please try again.', 'albert-ai-butler' ),
+					/* translators: %s: number of new entries. */
+					'newItems'  => __( '%s new entries added to the top of the log.', 'albert-ai-butler' ),
+				],
+			]
+		);
+	}
+
+	/**
+	 * Render the activity page.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'albert-ai-butler' ) );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only filter state.
+		$filters = self::read_filters( $_GET );
+		?>
+		<div class="wrap albert-settings">
+			<h1><?php echo esc_html__( 'Activity', 'albert-ai-butler' ); ?></h1>
+			<p class="description">
+				<?php esc_html_e( 'Every ability run by a connected AI assistant, newest first.', 'albert-ai-butler' ); ?>
+				<?php
+				printf(
+					/* translators: 1: number of runs kept, 2: opening <code>, 3: closing </code> wrapping the filter name. */
+					esc_html__( 'By default the last %1$d runs of each ability are kept; the %2$salbert/logging/retention%3$s filter raises that.', 'albert-ai-butler' ),
+					(int) LoggingRepository::RETENTION_COUNT,
+					'<code>',
+					'</code>'
+				);
+				?>
+			</p>
+
+			<?php $this->render_filters( $filters ); ?>
+
+			<section class="albert-settings-card albert-activity-log">
+				<div class="albert-settings-card-body">
+					<table class="albert-connections-table albert-activity-log-table" aria-describedby="albert-activity-log-status">
+						<thead>
+							<tr>
+								<th scope="col"><?php esc_html_e( 'Ability', 'albert-ai-butler' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'User', 'albert-ai-butler' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'When', 'albert-ai-butler' ); ?></th>
+							</tr>
+						</thead>
+						<tbody id="albert-activity-log-rows"></tbody>
+					</table>
+					<p class="albert-activity-log-status" id="albert-activity-log-status" role="status"></p>
+					<p class="albert-activity-log-more">
+						<button type="button" class="button" id="albert-activity-log-more" hidden>
+							<?php esc_html_e( 'Load more', 'albert-ai-butler' ); ?>
+						</button>
+					</p>
+				</div>
+			</section>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the filter bar and export links.
+	 *
+	 * The form submits as a plain GET to this page; the JS intercepts it
+	 * to reload the table in place and keep the URL in sync.
+	 *
+	 * @param array{ability: string, user_id: int, from: string, to: string} $filters Current filters.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_filters( array $filters ): void {
+		$abilities = [];
+		foreach ( $this->logging_repository->logged_abilities() as $name ) {
+			$ability            = function_exists( 'wp_get_ability' ) ? wp_get_ability( $name ) : null;
+			$abilities[ $name ] = $ability ? $ability->get_label() : $name;
+		}
+		asort( $abilities );
+
+		$users = [];
+		foreach ( $this->logging_repository->logged_user_ids() as $user_id ) {
+			$user = get_userdata( $user_id );
+			/* translators: %d: user id of a deleted user. */
+			$users[ $user_id ] = $user ? $user->display_name : sprintf( __( 'Deleted user #%d', 'albert-ai-butler' ), $user_id );
+		}
+		asort( $users );
+
+		$export_base = self::export_base_url();
+		$query       = array_filter(
+			[
+				'ability' => $filters['ability'],
+				'user'    => $filters['user_id'],
+				'from'    => $filters['from'],
+				'to'      => $filters['to'],
+			]
+		);
+		?>
+		<form class="albert-activity-log-filters" id="albert-activity-log-filters" method="get" action="<?php echo esc_url( admin_url( 'admin.php' ) ); ?>">
+			<input type="hidden" name="page" value="<?php echo esc_attr( $this->page_slug ); ?>" />
+
+			<label class="albert-toolbar-field">
+				<span class="albert-toolbar-label"><?php esc_html_e( 'Ability', 'albert-ai-butler' ); ?></span>
+				<select name="ability">
+					<option value=""><?php esc_html_e( 'All abilities', 'albert-ai-butler' ); ?></option>
+					<?php foreach ( $abilities as $name => $label ) { ?>
+						<option value="<?php echo esc_attr( $name ); ?>" <?php selected( $filters['ability'], $name ); ?>><?php echo esc_html( $label ); ?></option>
+					<?php } ?>
+				</select>
+			</label>
+
+			<label class="albert-toolbar-field">
+				<span class="albert-toolbar-label"><?php esc_html_e( 'User', 'albert-ai-butler' ); ?></span>
+				<select name="user">
+					<option value=""><?php esc_html_e( 'All users', 'albert-ai-butler' ); ?></option>
+					<?php foreach ( $users as $user_id => $display_name ) { ?>
+						<option value="<?php echo esc_attr( (string) $user_id ); ?>" <?php selected( $filters['user_id'], $user_id ); ?>><?php echo esc_html( $display_name ); ?></option>
+					<?php } ?>
+				</select>
+			</label>
+
+			<label class="albert-toolbar-field">
+				<span class="albert-toolbar-label"><?php esc_html_e( 'From', 'albert-ai-butler' ); ?></span>
+				<input type="date" name="from" value="<?php echo esc_attr( $filters['from'] ); ?>" />
+			</label>
+
+			<label class="albert-toolbar-field">
+				<span class="albert-toolbar-label"><?php esc_html_e( 'To', 'albert-ai-butler' ); ?></span>
+				<input type="date" name="to" value="<?php echo esc_attr( $filters['to'] ); ?>" />
+			</label>
+
+			<div class="albert-activity-log-actions">
+				<button type="submit" class="button"><?php esc_html_e( 'Apply filters', 'albert-ai-butler' ); ?></button>
+				<a class="button-link" href="<?php echo esc_url( admin_url( 'admin.php?page=' . $this->page_slug ) ); ?>"><?php esc_html_e( 'Reset', 'albert-ai-butler' ); ?></a>
+			</div>
+
+			<div class="albert-activity-log-export">
+				<span><?php esc_html_e( 'Export filtered entries:', 'albert-ai-butler' ); ?></span>
+				<a class="button" data-format="csv" href="<?php echo esc_url( add_query_arg( $query + [ 'format' => 'csv' ], $export_base ) ); ?>">
+					<?php esc_html_e( 'CSV', 'albert-ai-butler' ); ?>
+				</a>
+				<a class="button" data-format="json" href="<?php echo esc_url( add_query_arg( $query + [ 'format' => 'json' ], $export_base ) ); ?>">
+					<?php esc_html_e( 'JSON', 'albert-ai-butler' ); ?>
+				</a>
+			</div>
+		</form>
+		<?php
+	}
+}
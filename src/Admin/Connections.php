@@ -44,6 +44,22 @@ class Connections implements Hookable {
 	 */
 	private string $page_slug = 'albert-connections';
 
+	/**
+	 * Page sizes offered for the Active Connections table.
+	 *
+	 * @since 1.2.0
+	 * @var array<int>
+	 */
+	const PER_PAGE_CHOICES = [ 10, 25, 50, 100 ];
+
+	/**
+	 * Default Active Connections page size.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const PER_PAGE_DEFAULT = 25;
+
 	/**
 	 * Register WordPress hooks.
 	 *
@@ -55,6 +71,10 @@ class Connections implements Hookable {
 		add_action( 'admin_init', [ $this, 'handle_actions' ] );
 		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
 		add_action( 'admin_post_albert_add_allowed_user', [ $this, 'handle_add_allowed_user' ] );
+		add_action( 'wp_ajax_albert_revoke_connection', [ $this, 'ajax_revoke_connection' ] );
+		add_action( 'wp_ajax_albert_revoke_all_connections', [ $this, 'ajax_revoke_all_connections' ] );
+		add_action( 'wp_ajax_albert_add_allowed_users', [ $this, 'ajax_add_allowed_users' ] );
+		add_action( 'wp_ajax_albert_remove_allowed_user', [ $this, 'ajax_remove_allowed_user' ] );
 	}
 
 	/**
@@ -140,18 +160,7 @@ class Connections implements Hookable {
 			wp_die( esc_html__( 'You do not have permission to revoke sessions.', 'albert-ai-butler' ) );
 		}
 
-		global $wpdb;
-		$table = $wpdb->prefix . 'albert_oauth_access_tokens';
-
-		// Admins can revoke any connection.
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$wpdb->update(
-			$table,
-			[ 'revoked' => 1 ],
-			[ 'id' => $token_id ],
-			[ '%d' ],
-			[ '%d' ]
-		);
+		$this->revoke_access_token( $token_id );
 
 		add_settings_error(
 			'albert_connections',
@@ -197,34 +206,7 @@ class Connections implements Hookable {
 			wp_die( esc_html__( 'You do not have permission to end sessions.', 'albert-ai-butler' ) );
 		}
 
-		global $wpdb;
-		$table = $wpdb->prefix . 'albert_oauth_access_tokens';
-
-		// Get the token_id string before revoking.
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$token_id_string = $wpdb->get_var(
-			$wpdb->prepare(
-				'SELECT token_id FROM %i WHERE id = %d',
-				$table,
-				$token_id
-			)
-		);
-
-		// Revoke the access token.
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$wpdb->update(
-			$table,
-			[ 'revoked' => 1 ],
-			[ 'id' => $token_id ],
-			[ '%d' ],
-			[ '%d' ]
-		);
-
-		// Revoke associated refresh tokens.
-		if ( $token_id_string ) {
-			$refresh_repo = new RefreshTokenRepository();
-			$refresh_repo->revokeRefreshTokensByAccessToken( $token_id_string );
-		}
+		$this->end_session( $token_id );
 
 		add_settings_error(
 			'albert_connections',
@@ -302,31 +284,21 @@ class Connections implements Hookable {
 			wp_die( esc_html__( 'You do not have permission to manage MCP access.', 'albert-ai-butler' ) );
 		}
 
-		$user_id = isset( $_POST['albert_user_id'] ) ? absint( $_POST['albert_user_id'] ) : 0;
-
-		if ( ! $user_id ) {
-			wp_safe_redirect(
-				add_query_arg(
-					[ 'page' => $this->page_slug ],
-					admin_url( 'admin.php' )
-				)
-			);
-			exit;
-		}
-
-		// Verify user exists.
-		$user = get_user_by( 'id', $user_id );
-		if ( ! $user ) {
-			wp_die( esc_html__( 'Invalid user selected.', 'albert-ai-butler' ) );
+		// The user picker posts one hidden albert_user_ids[] field per chosen user.
+		$user_ids = isset( $_POST['albert_user_ids'] )
+			? array_map( 'absint', (array) $_POST['albert_user_ids'] )
+			: [ isset( $_POST['albert_user_id'] ) ? absint( $_POST['albert_user_id'] ) : 0 ];
+
+		// Without JavaScript there are no chips; accept a typed login or email instead.
+		$search = sanitize_text_field( wp_unslash( $_POST['albert_user_search'] ?? '' ) );
+		if ( '' !== $search ) {
+			$user = get_user_by( is_email( $search ) ? 'email' : 'login', $search );
+			if ( $user ) {
+				$user_ids[] = $user->ID;
+			}
 		}
 
-		// Get current allowed users and add the new one.
-		$allowed_users = get_option( 'albert_allowed_users', [] );
-
-		if ( ! in_array( $user_id, $allowed_users, true ) ) {
-			$allowed_users[] = $user_id;
-			update_option( 'albert_allowed_users', $allowed_users );
-		}
+		$this->add_allowed_users( $user_ids );
 
 		// Redirect back.
 		wp_safe_redirect(
@@ -362,13 +334,7 @@ class Connections implements Hookable {
 			wp_die( esc_html__( 'You do not have permission to manage MCP access.', 'albert-ai-butler' ) );
 		}
 
-		// Remove user from allowed list.
-		$allowed_users = get_option( 'albert_allowed_users', [] );
-		$allowed_users = array_filter( $allowed_users, fn( $id ) => $id !== $user_id );
-		update_option( 'albert_allowed_users', array_values( $allowed_users ) );
-
-		// Revoke all their sessions.
-		Settings::revoke_user_tokens( $user_id );
+		$this->remove_allowed_user( $user_id );
 
 		add_settings_error(
 			'albert_connections',
@@ -416,17 +382,7 @@ class Connections implements Hookable {
 			wp_die( esc_html__( 'You do not have permission to revoke sessions.', 'albert-ai-butler' ) );
 		}
 
-		global $wpdb;
-		$table = $wpdb->prefix . 'albert_oauth_access_tokens';
-
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$wpdb->update(
-			$table,
-			[ 'revoked' => 1 ],
-			[ 'id' => $token_id ],
-			[ '%d' ],
-			[ '%d' ]
-		);
+		$this->revoke_access_token( $token_id );
 
 		add_settings_error(
 			'albert_connections',
@@ -498,6 +454,316 @@ class Connections implements Hookable {
 		exit;
 	}
 
+	/**
+	 * AJAX handler for disconnecting one or more connections.
+	 *
+	 * Takes `token_id`, or a comma-separated `token_ids` list from the
+	 * table's multi-select. `mode` is `token` to revoke only the access
+	 * token (the client reconnects with its refresh token) or `session` to
+	 * end the session. When `view_user` is set the response also lists
+	 * that user's remaining sessions for the per-user view.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_revoke_connection(): void {
+		check_ajax_referer( 'albert_connections', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- each ID is cast with absint() below.
+		$raw_ids   = wp_unslash( (string) ( $_POST['token_ids'] ?? $_POST['token_id'] ?? '' ) );
+		$token_ids = array_values( array_unique( array_filter( array_map( 'absint', explode( ',', $raw_ids ) ) ) ) );
+		$mode      = isset( $_POST['mode'] ) ? sanitize_key( wp_unslash( $_POST['mode'] ) ) : 'token';
+		$view_user = isset( $_POST['view_user'] ) ? absint( $_POST['view_user'] ) : 0;
+
+		if ( empty( $token_ids ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Invalid connection.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		foreach ( $token_ids as $token_id ) {
+			if ( 'session' === $mode ) {
+				$this->end_session( $token_id );
+			} else {
+				$this->revoke_access_token( $token_id );
+			}
+		}
+
+		$count = count( $token_ids );
+		if ( 1 === $count ) {
+			$message = 'session' === $mode
+				? __( 'Session ended successfully.', 'albert-ai-butler' )
+				: __( 'Session revoked successfully.', 'albert-ai-butler' );
+		} elseif ( 'session' === $mode ) {
+			/* translators: %d: number of sessions */
+			$message = sprintf( _n( '%d session ended.', '%d sessions ended.', $count, 'albert-ai-butler' ), $count );
+		} else {
+			/* translators: %d: number of connections */
+			$message = sprintf( _n( '%d connection disconnected.', '%d connections disconnected.', $count, 'albert-ai-butler' ), $count );
+		}
+
+		wp_send_json_success( $this->get_ajax_state( $message, $view_user ) );
+	}
+
+	/**
+	 * AJAX handler for revoking every session of a user.
+	 *
+	 * Without a `user_id` this revokes the current user's sessions, like
+	 * the "Disconnect All" link always has.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_revoke_all_connections(): void {
+		check_ajax_referer( 'albert_connections', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		$user_id = isset( $_POST['user_id'] ) ? absint( $_POST['user_id'] ) : 0;
+
+		Settings::revoke_user_tokens( $user_id ? $user_id : get_current_user_id() );
+
+		wp_send_json_success(
+			$this->get_ajax_state( __( 'All sessions revoked successfully.', 'albert-ai-butler' ), $user_id )
+		);
+	}
+
+	/**
+	 * AJAX handler for adding users picked in the user picker.
+	 *
+	 * Takes a comma-separated `user_ids` list and answers with the rendered
+	 * Allowed Users rows for the users that were actually added.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_add_allowed_users(): void {
+		check_ajax_referer( 'albert_connections', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- each ID is cast with absint() below.
+		$raw_ids = wp_unslash( (string) ( $_POST['user_ids'] ?? '' ) );
+		$added   = $this->add_allowed_users( array_map( 'absint', explode( ',', $raw_ids ) ) );
+
+		if ( empty( $added ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'None of the selected users could be added.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		$rows = [];
+		foreach ( $added as $user_id ) {
+			ob_start();
+			$this->render_allowed_user_row( $user_id );
+			$rows[] = [
+				'id'   => $user_id,
+				'html' => (string) ob_get_clean(),
+			];
+		}
+
+		$count         = count( $added );
+		$state         = $this->get_ajax_state(
+			/* translators: %d: number of users */
+			sprintf( _n( '%d user added.', '%d users added.', $count, 'albert-ai-butler' ), $count )
+		);
+		$state['rows'] = $rows;
+
+		wp_send_json_success( $state );
+	}
+
+	/**
+	 * AJAX handler for removing an allowed user.
+	 *
+	 * Answers with the page state only. The user picker keeps no list of
+	 * its own: every search asks the users endpoint and leaves out the
+	 * rows still on the page, so a removed user is offered again from the
+	 * next search without the page needing their label.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_remove_allowed_user(): void {
+		check_ajax_referer( 'albert_connections', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		$user_id = isset( $_POST['user_id'] ) ? absint( $_POST['user_id'] ) : 0;
+
+		if ( ! $user_id || ! get_user_by( 'id', $user_id ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Invalid user selected.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		$this->remove_allowed_user( $user_id );
+
+		wp_send_json_success( $this->get_ajax_state( __( 'User removed and all their sessions revoked.', 'albert-ai-butler' ) ) );
+	}
+
+	/**
+	 * Revoke a single access token.
+	 *
+	 * The refresh token is left alone, so the client reconnects by itself.
+	 *
+	 * @param int $token_id Access token row ID.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function revoke_access_token( int $token_id ): void {
+		global $wpdb;
+		$table = $wpdb->prefix . 'albert_oauth_access_tokens';
+
+		// Admins can revoke any connection.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update(
+			$table,
+			[ 'revoked' => 1 ],
+			[ 'id' => $token_id ],
+			[ '%d' ],
+			[ '%d' ]
+		);
+	}
+
+	/**
+	 * End a session: revoke the access token and its refresh tokens.
+	 *
+	 * @param int $token_id Access token row ID.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function end_session( int $token_id ): void {
+		global $wpdb;
+		$table = $wpdb->prefix . 'albert_oauth_access_tokens';
+
+		// Get the token_id string before revoking.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$token_id_string = $wpdb->get_var(
+			$wpdb->prepare(
+				'SELECT token_id FROM %i WHERE id = %d',
+				$table,
+				$token_id
+			)
+		);
+
+		$this->revoke_access_token( $token_id );
+
+		// Revoke associated refresh tokens.
+		if ( $token_id_string ) {
+			$refresh_repo = new RefreshTokenRepository();
+			$refresh_repo->revokeRefreshTokensByAccessToken( $token_id_string );
+		}
+	}
+
+	/**
+	 * Add users to the allowed users list.
+	 *
+	 * @param int[] $user_ids User IDs; unknown and already-allowed IDs are skipped.
+	 *
+	 * @return int[] IDs that were added.
+	 * @since 1.2.0
+	 */
+	private function add_allowed_users( array $user_ids ): array {
+		$allowed_users = get_option( 'albert_allowed_users', [] );
+		$added         = [];
+
+		foreach ( array_unique( $user_ids ) as $user_id ) {
+			if ( $user_id && ! in_array( $user_id, $allowed_users, true ) && get_user_by( 'id', $user_id ) ) {
+				$allowed_users[] = $user_id;
+				$added[]         = $user_id;
+			}
+		}
+
+		if ( $added ) {
+			update_option( 'albert_allowed_users', $allowed_users );
+		}
+
+		return $added;
+	}
+
+	/**
+	 * Take a user off the allowed users list and revoke all their sessions.
+	 *
+	 * @param int $user_id The user ID.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function remove_allowed_user( int $user_id ): void {
+		$allowed_users = get_option( 'albert_allowed_users', [] );
+		$allowed_users = array_filter( $allowed_users, fn( $id ) => $id !== $user_id );
+		update_option( 'albert_allowed_users', array_values( $allowed_users ) );
+
+		Settings::revoke_user_tokens( $user_id );
+	}
+
+	/**
+	 * Build the response the page uses to update itself after an action.
+	 *
+	 * `active` lists the access token IDs still shown in Active
+	 * Connections, `sessions` maps each allowed user to their session
+	 * count, and `user_sessions` lists the remaining sessions of
+	 * `$user_id` (one per client, as the per-user view groups them, with
+	 * the shortened session ID the view displays).
+	 *
+	 * @param string $message Confirmation message for the user.
+	 * @param int    $user_id Optional. User whose sessions view is open.
+	 *
+	 * @return array<string, mixed>
+	 * @since 1.2.0
+	 */
+	private function get_ajax_state( string $message, int $user_id = 0 ): array {
+		$sessions = [];
+		foreach ( (array) get_option( 'albert_allowed_users', [] ) as $allowed_id ) {
+			$sessions[ (int) $allowed_id ] = $this->get_user_session_count( (int) $allowed_id );
+		}
+
+		$user_sessions = [];
+		if ( $user_id ) {
+			foreach ( $this->get_user_sessions( $user_id ) as $session ) {
+				$user_sessions[] = [
+					'client_id' => $session->client_id,
+					'id'        => (int) $session->id,
+					'session'   => substr( $session->token_id, 0, 16 ) . '...',
+				];
+			}
+		}
+
+		return [
+			'message'       => $message,
+			'active'        => array_map( 'intval', wp_list_pluck( $this->get_active_connections(), 'id' ) ),
+			'sessions'      => (object) $sessions,
+			'user_sessions' => $user_sessions,
+		];
+	}
+
 	/**
 	 * Render the page.
 	 *
@@ -557,6 +823,8 @@ class Connections implements Hookable {
 				<?php $this->render_allowed_users_section(); ?>
 				<?php $this->render_active_connections_section(); ?>
 			</div>
+
+			<?php $this->render_confirm_dialog(); ?>
 		</div>
 		<?php
 	}
@@ -639,117 +907,139 @@ class Connections implements Hookable {
 	private function render_allowed_users_section(): void {
 		$allowed_users = get_option( 'albert_allowed_users', [] );
 
-		// Get all users for the dropdown.
-		$all_users = get_users(
-			[
-				'orderby' => 'display_name',
-				'order'   => 'ASC',
-			]
-		);
-
 		?>
 		<section class="albert-settings-card">
 			<div class="albert-settings-card-header">
 				<span class="dashicons dashicons-admin-users" aria-hidden="true"></span>
-				<h2><?php esc_html_e( 'Allowed Users', 'albert-ai-butler' ); ?></h2>
+				<h2 id="albert-allowed-users-title" tabindex="-1"><?php esc_html_e( 'Allowed Users', 'albert-ai-butler' ); ?></h2>
+				<span class="albert-settings-card-count" id="albert-allowed-users-count"><?php echo esc_html( number_format_i18n( count( $allowed_users ) ) ); ?></span>
 			</div>
 			<div class="albert-settings-card-body">
 				<div class="albert-field-group">
-					<p class="albert-field-description">
+					<p class="albert-field-description" id="albert-user-picker-description">
 						<?php esc_html_e( 'Select users who can connect AI tools to your site. Only these users can authorize AI assistants.', 'albert-ai-butler' ); ?>
 					</p>
 
-					<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="albert-inline-form">
+					<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>" class="albert-user-picker" id="albert-user-picker">
 						<?php wp_nonce_field( 'albert_add_allowed_user', 'albert_add_user_nonce' ); ?>
 						<input type="hidden" name="action" value="albert_add_allowed_user" />
-						<label for="albert-add-user-select" class="screen-reader-text"><?php esc_html_e( 'Select user to add', 'albert-ai-butler' ); ?></label>
-						<select name="albert_user_id" id="albert-add-user-select" class="albert-select-input">
-							<option value=""><?php esc_html_e( '— Select User —', 'albert-ai-butler' ); ?></option>
-							<?php foreach ( $all_users as $user ) { ?>
-								<?php if ( ! in_array( $user->ID, $allowed_users, true ) ) { ?>
-									<option value="<?php echo esc_attr( $user->ID ); ?>">
-										<?php echo esc_html( $user->display_name . ' (' . $user->user_email . ')' ); ?>
-									</option>
-								<?php } ?>
-							<?php } ?>
-						</select>
-						<button type="submit" class="button button-primary"><?php esc_html_e( 'Add User', 'albert-ai-butler' ); ?></button>
+						<label for="albert-user-picker-input" class="screen-reader-text"><?php esc_html_e( 'Find users to add', 'albert-ai-butler' ); ?></label>
+						<div class="albert-user-picker-field">
+							<ul class="albert-user-picker-chips" id="albert-user-picker-chips" aria-label="<?php esc_attr_e( 'Users to add', 'albert-ai-butler' ); ?>"></ul>
+							<input
+								type="text"
+								id="albert-user-picker-input"
+								class="albert-user-picker-input"
+								name="albert_user_search"
+								role="combobox"
+								aria-autocomplete="list"
+								aria-expanded="false"
+								aria-controls="albert-user-picker-listbox"
+								aria-describedby="albert-user-picker-description"
+								autocomplete="off"
+								placeholder="<?php esc_attr_e( 'Search users by name or email…', 'albert-ai-butler' ); ?>"
+							/>
+							<ul class="albert-user-picker-listbox" id="albert-user-picker-listbox" role="listbox" aria-label="<?php esc_attr_e( 'Matching users', 'albert-ai-butler' ); ?>" hidden></ul>
+						</div>
+						<button type="submit" class="button button-primary" id="albert-user-picker-submit"><?php esc_html_e( 'Add Users', 'albert-ai-butler' ); ?></button>
 					</form>
 				</div>
 
-				<?php if ( empty( $allowed_users ) ) { ?>
-					<div class="albert-empty-state">
-						<span class="dashicons dashicons-groups" aria-hidden="true"></span>
-						<p><?php esc_html_e( 'No users have access yet. Add users above to allow them to connect AI tools.', 'albert-ai-butler' ); ?></p>
-					</div>
+				<div class="albert-empty-state" id="albert-allowed-users-empty" <?php echo empty( $allowed_users ) ? '' : 'hidden'; ?>>
+					<span class="dashicons dashicons-groups" aria-hidden="true"></span>
+					<p><?php esc_html_e( 'No users have access yet. Add users above to allow them to connect AI tools.', 'albert-ai-butler' ); ?></p>
+				</div>
+				<div class="albert-users-list" id="albert-allowed-users-list" <?php echo empty( $allowed_users ) ? 'hidden' : ''; ?>>
+					<?php foreach ( $allowed_users as $user_id ) { ?>
+						<?php $this->render_allowed_user_row( (int) $user_id ); ?>
+					<?php } ?>
+				</div>
+			</div>
+		</section>
+		<?php
+	}
+
+	/**
+	 * Render one row of the Allowed Users list.
+	 *
+	 * Also used to build the rows returned by {@see self::ajax_add_allowed_users()}.
+	 *
+	 * @param int $user_id The user ID.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_allowed_user_row( int $user_id ): void {
+		$user = get_user_by( 'id', $user_id );
+
+		if ( ! $user ) {
+			return;
+		}
+
+		$session_count = $this->get_user_session_count( $user_id );
+
+		$remove_url = wp_nonce_url(
+			add_query_arg(
+				[
+					'page'    => $this->page_slug,
+					'action'  => 'remove_allowed_user',
+					'user_id' => $user_id,
+				],
+				admin_url( 'admin.php' )
+			),
+			'remove_user_' . $user_id
+		);
+
+		$sessions_url = add_query_arg(
+			[
+				'page'    => $this->page_slug,
+				'action'  => 'view_user_sessions',
+				'user_id' => $user_id,
+			],
+			admin_url( 'admin.php' )
+		);
+
+		$remove_title = sprintf(
+			/* translators: %s: user display name */
+			__( 'Remove %s?', 'albert-ai-butler' ),
+			$user->display_name
+		);
+		?>
+		<div class="albert-user-row" data-user-id="<?php echo esc_attr( $user_id ); ?>">
+			<div class="albert-user-info">
+				<span class="albert-user-avatar"><?php echo get_avatar( $user_id, 32 ); ?></span>
+				<div class="albert-user-details">
+					<strong class="albert-user-name"><?php echo esc_html( $user->display_name ); ?></strong>
+					<span class="albert-user-email"><?php echo esc_html( $user->user_email ); ?></span>
+				</div>
+			</div>
+			<div class="albert-user-sessions" data-sessions-url="<?php echo esc_url( $sessions_url ); ?>">
+				<?php if ( $session_count > 0 ) { ?>
+					<a href="<?php echo esc_url( $sessions_url ); ?>" class="albert-sessions-link">
+						<?php
+						printf(
+							/* translators: %d: number of sessions */
+							esc_html( _n( '%d session', '%d sessions', $session_count, 'albert-ai-butler' ) ),
+							(int) $session_count
+						);
+						?>
+					</a>
 				<?php } else { ?>
-					<div class="albert-users-list">
-						<?php foreach ( $allowed_users as $user_id ) { ?>
-							<?php
-							$user          = get_user_by( 'id', $user_id );
-							$session_count = $this->get_user_session_count( $user_id );
-
-							if ( ! $user ) {
-								continue;
-							}
-
-							$remove_url = wp_nonce_url(
-								add_query_arg(
-									[
-										'page'    => $this->page_slug,
-										'action'  => 'remove_allowed_user',
-										'user_id' => $user_id,
-									],
-									admin_url( 'admin.php' )
-								),
-								'remove_user_' . $user_id
-							);
-
-							$sessions_url = add_query_arg(
-								[
-									'page'    => $this->page_slug,
-									'action'  => 'view_user_sessions',
-									'user_id' => $user_id,
-								],
-								admin_url( 'admin.php' )
-							);
-							?>
-							<div class="albert-user-row">
-								<div class="albert-user-info">
-									<span class="albert-user-avatar"><?php echo get_avatar( $user_id, 32 ); ?></span>
-									<div class="albert-user-details">
-										<strong class="albert-user-name"><?php echo esc_html( $user->display_name ); ?></strong>
-										<span class="albert-user-email"><?php echo esc_html( $user->user_email ); ?></span>
-									</div>
-								</div>
-								<div class="albert-user-sessions">
-									<?php if ( $session_count > 0 ) { ?>
-										<a href="<?php echo esc_url( $sessions_url ); ?>" class="albert-sessions-link">
-											<?php
-											printf(
-												/* translators: %d: number of sessions */
-												esc_html( _n( '%d session', '%d sessions', $session_count, 'albert-ai-butler' ) ),
-												(int) $session_count
-											);
-											?>
-										</a>
-									<?php } else { ?>
-										<span class="albert-no-sessions"><?php esc_html_e( 'No sessions', 'albert-ai-butler' ); ?></span>
-									<?php } ?>
-								</div>
-								<div class="albert-user-actions">
-									<a href="<?php echo esc_url( $remove_url ); ?>"
-										class="albert-remove-link"
-										onclick="return confirm('<?php echo esc_js( __( 'Remove this user\'s access? All their sessions will be revoked.', 'albert-ai-butler' ) ); ?>');">
-										<?php esc_html_e( 'Remove', 'albert-ai-butler' ); ?>
-									</a>
-								</div>
-							</div>
-						<?php } ?>
-					</div>
+					<span class="albert-no-sessions"><?php esc_html_e( 'No sessions', 'albert-ai-butler' ); ?></span>
 				<?php } ?>
 			</div>
-		</section>
+			<div class="albert-user-actions">
+				<a href="<?php echo esc_url( $remove_url ); ?>"
+					class="albert-remove-link albert-connection-action"
+					data-connection-action="remove_user"
+					data-user-id="<?php echo esc_attr( $user_id ); ?>"
+					data-confirm-title="<?php echo esc_attr( $remove_title ); ?>"
+					data-confirm="<?php esc_attr_e( 'Remove this user\'s access? All their sessions will be revoked.', 'albert-ai-butler' ); ?>"
+					data-confirm-label="<?php esc_attr_e( 'Remove user', 'albert-ai-butler' ); ?>">
+					<?php esc_html_e( 'Remove', 'albert-ai-butler' ); ?>
+				</a>
+			</div>
+		</div>
 		<?php
 	}
 
@@ -760,35 +1050,14 @@ class Connections implements Hookable {
 	 * @since 1.0.0
 	 */
 	private function render_active_connections_section(): void {
-		global $wpdb;
-
-		$tables = Installer::get_table_names();
-
-		// Get all active connections (all users) grouped by client.
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$sessions = $wpdb->get_results(
-			$wpdb->prepare(
-				"SELECT
-					t.id,
-					t.client_id,
-					t.user_id,
-					t.token_id,
-					CONVERT_TZ(t.created_at, @@session.time_zone, '+00:00') as created_at,
-					COALESCE(c.name, 'Unknown Client') as client_name
-				FROM %i t
-				LEFT JOIN %i c ON t.client_id = c.client_id
-				WHERE t.revoked = 0 AND t.expires_at > UTC_TIMESTAMP()
-				ORDER BY t.created_at DESC",
-				$tables['access_tokens'],
-				$tables['clients']
-			)
-		);
+		$sessions = $this->get_active_connections();
 
 		?>
 		<section class="albert-settings-card">
 			<div class="albert-settings-card-header">
 				<span class="dashicons dashicons-networking" aria-hidden="true"></span>
-				<h2><?php esc_html_e( 'Active Connections', 'albert-ai-butler' ); ?></h2>
+				<h2 id="albert-connections-title" tabindex="-1"><?php esc_html_e( 'Active Connections', 'albert-ai-butler' ); ?></h2>
+				<span class="albert-settings-card-count" id="albert-connections-count"><?php echo esc_html( number_format_i18n( count( $sessions ) ) ); ?></span>
 				<button type="button" class="albert-info-trigger" aria-expanded="false" aria-label="<?php esc_attr_e( 'More info about active connections', 'albert-ai-butler' ); ?>">
 					<span class="dashicons dashicons-editor-help" aria-hidden="true"></span>
 				</button>
@@ -797,100 +1066,170 @@ class Connections implements Hookable {
 				</div>
 			</div>
 			<div class="albert-settings-card-body">
-				<?php if ( empty( $sessions ) ) { ?>
-					<div class="albert-empty-state">
-						<span class="dashicons dashicons-networking" aria-hidden="true"></span>
-						<p><?php esc_html_e( 'No active connections yet. Once an allowed user authorizes an AI assistant, connections will appear here.', 'albert-ai-butler' ); ?></p>
-					</div>
-				<?php } else { ?>
-					<table class="albert-connections-table">
-						<thead>
-							<tr>
-								<th><?php esc_html_e( 'Client', 'albert-ai-butler' ); ?></th>
-								<th><?php esc_html_e( 'User', 'albert-ai-butler' ); ?></th>
-								<th><?php esc_html_e( 'Connected', 'albert-ai-butler' ); ?></th>
-								<th></th>
-							</tr>
-						</thead>
-						<tbody>
-							<?php foreach ( $sessions as $session ) { ?>
-								<?php
-								$app_name     = ! empty( $session->client_name ) ? $session->client_name : __( 'Unknown Client', 'albert-ai-butler' );
-								$user         = get_userdata( $session->user_id );
-								$connected_at = strtotime( $session->created_at );
-
-								$revoke_url = wp_nonce_url(
-									add_query_arg(
-										[
-											'page'     => $this->page_slug,
-											'action'   => 'revoke',
-											'token_id' => $session->id,
-										],
-										admin_url( 'admin.php' )
-									),
-									'revoke_my_session_' . $session->id
-								);
-
-								$revoke_full_url = wp_nonce_url(
-									add_query_arg(
-										[
-											'page'     => $this->page_slug,
-											'action'   => 'revoke_full',
-											'token_id' => $session->id,
-										],
-										admin_url( 'admin.php' )
-									),
-									'revoke_full_session_' . $session->id
-								);
-								?>
+				<div class="albert-empty-state" id="albert-connections-empty" <?php echo empty( $sessions ) ? '' : 'hidden'; ?>>
+					<span class="dashicons dashicons-networking" aria-hidden="true"></span>
+					<p><?php esc_html_e( 'No active connections yet. Once an allowed user authorizes an AI assistant, connections will appear here.', 'albert-ai-butler' ); ?></p>
+				</div>
+				<?php if ( ! empty( $sessions ) ) { ?>
+					<div class="albert-connections-list" id="albert-connections-list">
+						<div class="albert-connections-toolbar">
+							<label class="albert-connections-search">
+								<span class="screen-reader-text"><?php esc_html_e( 'Filter connections', 'albert-ai-butler' ); ?></span>
+								<input
+									type="search"
+									id="albert-connections-search"
+									class="albert-search"
+									placeholder="<?php esc_attr_e( 'Filter by client or user…', 'albert-ai-butler' ); ?>"
+									aria-controls="albert-connections-table"
+									autocomplete="off"
+								/>
+							</label>
+							<span class="albert-connections-selected-count" id="albert-connections-selected-count" aria-live="polite"></span>
+							<button type="button" class="button albert-connections-bulk" id="albert-connections-bulk-disconnect" disabled>
+								<?php esc_html_e( 'Disconnect selected', 'albert-ai-butler' ); ?>
+							</button>
+						</div>
+
+						<table class="albert-connections-table" id="albert-connections-table">
+							<thead>
 								<tr>
-									<td>
-										<strong><?php echo esc_html( $app_name ); ?></strong>
-										<span class="albert-connection-session"><?php echo esc_html( substr( $session->token_id, 0, 12 ) . '...' ); ?></span>
-									</td>
-									<td><?php echo $user ? esc_html( $user->display_name ) : esc_html__( 'Unknown', 'albert-ai-butler' ); ?></td>
-									<td><?php echo esc_html( human_time_diff( $connected_at, time() ) . ' ' . __( 'ago', 'albert-ai-butler' ) ); ?></td>
-									<td class="albert-connections-table-actions">
-										<a href="#"
-											class="albert-disconnect-link albert-disconnect-trigger"
-											data-token-id="<?php echo esc_attr( $session->id ); ?>"
-											data-client-name="<?php echo esc_attr( $app_name ); ?>"
-											data-revoke-url="<?php echo esc_url( $revoke_url ); ?>"
-											data-revoke-full-url="<?php echo esc_url( $revoke_full_url ); ?>">
-											<?php esc_html_e( 'Disconnect', 'albert-ai-butler' ); ?>
-										</a>
+									<td class="albert-connections-check">
+										<input type="checkbox" id="albert-connections-select-all" aria-label="<?php esc_attr_e( 'Select all connections on this page', 'albert-ai-butler' ); ?>" />
 									</td>
+									<?php foreach ( self::sort_columns() as $key => $label ) { ?>
+										<th scope="col" data-sort="<?php echo esc_attr( $key ); ?>" <?php echo 'connected' === $key ? 'aria-sort="descending"' : ''; ?>>
+											<button type="button" class="albert-sort-button" data-sort="<?php echo esc_attr( $key ); ?>">
+												<?php echo esc_html( $label ); ?>
+												<span class="albert-sort-indicator" aria-hidden="true"></span>
+											</button>
+										</th>
+									<?php } ?>
+									<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'albert-ai-butler' ); ?></span></th>
 								</tr>
-							<?php } ?>
-						</tbody>
-					</table>
+							</thead>
+							<tbody>
+								<?php foreach ( $sessions as $session ) { ?>
+									<?php
+									$app_name     = ! empty( $session->client_name ) ? $session->client_name : __( 'Unknown Client', 'albert-ai-butler' );
+									$user         = get_userdata( $session->user_id );
+									$user_name    = $user ? $user->display_name : __( 'Unknown', 'albert-ai-butler' );
+									$connected_at = strtotime( $session->created_at );
+
+									$revoke_url = wp_nonce_url(
+										add_query_arg(
+											[
+												'page'     => $this->page_slug,
+												'action'   => 'revoke',
+												'token_id' => $session->id,
+											],
+											admin_url( 'admin.php' )
+										),
+										'revoke_my_session_' . $session->id
+									);
+
+									$select_label = sprintf(
+										/* translators: 1: AI client name, 2: user display name */
+										__( 'Select %1$s (%2$s)', 'albert-ai-butler' ),
+										$app_name,
+										$user_name
+									);
+									?>
+									<tr
+										data-token-id="<?php echo esc_attr( $session->id ); ?>"
+										data-client="<?php echo esc_attr( $app_name ); ?>"
+										data-user="<?php echo esc_attr( $user_name ); ?>"
+										data-connected="<?php echo esc_attr( (string) $connected_at ); ?>"
+									>
+										<td class="albert-connections-check">
+											<input type="checkbox" class="albert-connection-select" value="<?php echo esc_attr( $session->id ); ?>" aria-label="<?php echo esc_attr( $select_label ); ?>" />
+										</td>
+										<td>
+											<strong><?php echo esc_html( $app_name ); ?></strong>
+											<span class="albert-connection-session"><?php echo esc_html( substr( $session->token_id, 0, 12 ) . '...' ); ?></span>
+										</td>
+										<td><?php echo esc_html( $user_name ); ?></td>
+										<td><?php echo esc_html( human_time_diff( $connected_at, time() ) . ' ' . __( 'ago', 'albert-ai-butler' ) ); ?></td>
+										<td class="albert-connections-table-actions">
+											<a href="<?php echo esc_url( $revoke_url ); ?>"
+												class="albert-disconnect-link albert-disconnect-trigger"
+												data-token-id="<?php echo esc_attr( $session->id ); ?>"
+												data-client-name="<?php echo esc_attr( $app_name ); ?>">
+												<?php esc_html_e( 'Disconnect', 'albert-ai-butler' ); ?>
+											</a>
+										</td>
+									</tr>
+								<?php } ?>
+							</tbody>
+						</table>
+
+						<p class="albert-connections-no-match" id="albert-connections-no-match" hidden>
+							<?php esc_html_e( 'No connections match your filter.', 'albert-ai-butler' ); ?>
+						</p>
+
+						<nav
+							class="albert-connections-pagination"
+							id="albert-connections-pagination"
+							aria-label="<?php esc_attr_e( 'Connections pagination', 'albert-ai-butler' ); ?>"
+							<?php echo count( $sessions ) > min( self::PER_PAGE_CHOICES ) ? '' : 'hidden'; ?>
+						>
+							<div class="albert-pagination-nav">
+								<button type="button" class="button albert-pagination-first" data-direction="first">
+									<span aria-hidden="true">&laquo;</span>
+									<span class="screen-reader-text"><?php esc_html_e( 'First page', 'albert-ai-butler' ); ?></span>
+								</button>
+								<button type="button" class="button albert-pagination-prev" data-direction="prev">
+									<?php esc_html_e( 'Previous', 'albert-ai-butler' ); ?>
+								</button>
+								<span class="albert-pagination-pages"></span>
+								<button type="button" class="button albert-pagination-next" data-direction="next">
+									<?php esc_html_e( 'Next', 'albert-ai-butler' ); ?>
+								</button>
+								<button type="button" class="button albert-pagination-last" data-direction="last">
+									<span aria-hidden="true">&raquo;</span>
+									<span class="screen-reader-text"><?php esc_html_e( 'Last page', 'albert-ai-butler' ); ?></span>
+								</button>
+							</div>
 
-					<?php if ( count( $sessions ) > 1 ) { ?>
-						<?php
-						$revoke_all_url = wp_nonce_url(
-							add_query_arg(
-								[
-									'page'   => $this->page_slug,
-									'action' => 'revoke_all',
-								],
-								admin_url( 'admin.php' )
-							),
-							'revoke_all_my_sessions'
-						);
-						?>
-						<div class="albert-connections-actions">
-							<a href="<?php echo esc_url( $revoke_all_url ); ?>"
-								class="albert-disconnect-link albert-disconnect-all-link"
-								onclick="return confirm('<?php echo esc_js( __( 'Disconnect ALL AI assistants? This action cannot be undone.', 'albert-ai-butler' ) ); ?>');">
-								<?php esc_html_e( 'Disconnect All', 'albert-ai-butler' ); ?>
-							</a>
-						</div>
-					<?php } ?>
+							<label class="albert-pagination-size">
+								<span><?php esc_html_e( 'Rows per page', 'albert-ai-butler' ); ?></span>
+								<select id="albert-connections-per-page">
+									<?php foreach ( self::PER_PAGE_CHOICES as $choice ) { ?>
+										<option value="<?php echo esc_attr( (string) $choice ); ?>" <?php selected( self::PER_PAGE_DEFAULT, $choice ); ?>><?php echo esc_html( (string) $choice ); ?></option>
+									<?php } ?>
+								</select>
+							</label>
+						</nav>
+
+						<p class="albert-connections-status" id="albert-connections-status"></p>
+					</div>
+
+					<?php
+					$revoke_all_url = wp_nonce_url(
+						add_query_arg(
+							[
+								'page'   => $this->page_slug,
+								'action' => 'revoke_all',
+							],
+							admin_url( 'admin.php' )
+						),
+						'revoke_all_my_sessions'
+					);
+					?>
+					<div class="albert-connections-actions" id="albert-connections-actions" <?php echo count( $sessions ) > 1 ? '' : 'hidden'; ?>>
+						<a href="<?php echo esc_url( $revoke_all_url ); ?>"
+							class="albert-disconnect-link albert-disconnect-all-link albert-connection-action"
+							data-connection-action="revoke_all"
+							data-confirm-title="<?php esc_attr_e( 'Disconnect all AI assistants?', 'albert-ai-butler' ); ?>"
+							data-confirm="<?php esc_attr_e( 'Disconnect ALL AI assistants? This action cannot be undone.', 'albert-ai-butler' ); ?>"
+							data-confirm-label="<?php esc_attr_e( 'Disconnect All', 'albert-ai-butler' ); ?>">
+							<?php esc_html_e( 'Disconnect All', 'albert-ai-butler' ); ?>
+						</a>
+					</div>
 				<?php } ?>
 			</div>
 
 			<!-- Disconnect Dialog -->
-			<dialog id="albert-disconnect-dialog">
+			<dialog id="albert-disconnect-dialog" aria-labelledby="albert-disconnect-dialog-title">
 				<div class="albert-disconnect-dialog-header">
 					<h2 id="albert-disconnect-dialog-title"><?php esc_html_e( 'Disconnect?', 'albert-ai-butler' ); ?></h2>
 					<button type="button" class="albert-disconnect-dialog-close" aria-label="<?php esc_attr_e( 'Close', 'albert-ai-butler' ); ?>">
@@ -898,14 +1237,14 @@ class Connections implements Hookable {
 					</button>
 				</div>
 				<div class="albert-disconnect-options">
-					<a href="#" id="albert-disconnect-connection" class="albert-disconnect-option">
+					<button type="button" id="albert-disconnect-connection" class="albert-disconnect-option" data-mode="token">
 						<strong><?php esc_html_e( 'Disconnect connection', 'albert-ai-butler' ); ?></strong>
 						<span><?php esc_html_e( 'Revokes the current access token. The client will automatically reconnect within the hour.', 'albert-ai-butler' ); ?></span>
-					</a>
-					<a href="#" id="albert-disconnect-session" class="albert-disconnect-option albert-disconnect-option--destructive">
+					</button>
+					<button type="button" id="albert-disconnect-session" class="albert-disconnect-option albert-disconnect-option--destructive" data-mode="session">
 						<strong><?php esc_html_e( 'End session', 'albert-ai-butler' ); ?></strong>
 						<span><?php esc_html_e( 'Revokes the access token and session. The client must re-authorize to connect again.', 'albert-ai-butler' ); ?></span>
-					</a>
+					</button>
 				</div>
 				<button type="button" class="button albert-disconnect-cancel">
 					<?php esc_html_e( 'Cancel', 'albert-ai-butler' ); ?>
@@ -924,8 +1263,6 @@ class Connections implements Hookable {
 	 * @since 1.0.0
 	 */
 	private function render_user_sessions_view( int $user_id ): void {
-		global $wpdb;
-
 		$user = get_user_by( 'id', $user_id );
 
 		if ( ! $user ) {
@@ -933,28 +1270,8 @@ class Connections implements Hookable {
 			return;
 		}
 
-		$tables = Installer::get_table_names();
-
-		// Get active sessions grouped by client, with first connection time.
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-		$sessions = $wpdb->get_results(
-			$wpdb->prepare(
-				"SELECT
-					t.client_id,
-					MAX(t.id) as id,
-					MAX(t.token_id) as token_id,
-					COALESCE(c.name, 'Unknown') as client_name,
-					MIN(CONVERT_TZ(t.created_at, @@session.time_zone, '+00:00')) as first_connected
-				FROM %i t
-				LEFT JOIN %i c ON t.client_id = c.client_id
-				WHERE t.user_id = %d AND t.revoked = 0
-				GROUP BY t.client_id
-				ORDER BY first_connected DESC",
-				$tables['access_tokens'],
-				$tables['clients'],
-				$user_id
-			)
-		);
+		// Active sessions grouped by client, with first connection time.
+		$sessions = $this->get_user_sessions( $user_id );
 
 		$back_url = add_query_arg(
 			[ 'page' => $this->page_slug ],
@@ -987,15 +1304,14 @@ class Connections implements Hookable {
 					</table>
 				</div>
 
-				<h3><?php esc_html_e( 'Active Sessions', 'albert-ai-butler' ); ?></h3>
+				<h3 id="albert-user-sessions-title" tabindex="-1"><?php esc_html_e( 'Active Sessions', 'albert-ai-butler' ); ?></h3>
 				<p class="description">
 					<?php esc_html_e( 'Each session represents an AI tool that has been authorized. Revoking a session will disconnect that tool.', 'albert-ai-butler' ); ?>
 				</p>
 
-				<?php if ( empty( $sessions ) ) { ?>
-					<p><em><?php esc_html_e( 'No active sessions. The user has not authorized any tools yet.', 'albert-ai-butler' ); ?></em></p>
-				<?php } else { ?>
-					<table class="wp-list-table widefat fixed striped">
+				<p id="albert-user-sessions-empty" <?php echo empty( $sessions ) ? '' : 'hidden'; ?>><em><?php esc_html_e( 'No active sessions. The user has not authorized any tools yet.', 'albert-ai-butler' ); ?></em></p>
+				<?php if ( ! empty( $sessions ) ) { ?>
+					<table class="wp-list-table widefat fixed striped" id="albert-user-sessions-table" data-user-id="<?php echo esc_attr( $user_id ); ?>">
 						<thead>
 							<tr>
 								<th><?php esc_html_e( 'App', 'albert-ai-butler' ); ?></th>
@@ -1006,7 +1322,7 @@ class Connections implements Hookable {
 						</thead>
 						<tbody>
 							<?php foreach ( $sessions as $session ) { ?>
-								<tr>
+								<tr data-token-id="<?php echo esc_attr( $session->id ); ?>" data-client-id="<?php echo esc_attr( $session->client_id ); ?>">
 									<td>
 										<strong><?php echo esc_html( $session->client_name ?? __( 'Unknown', 'albert-ai-butler' ) ); ?></strong>
 									</td>
@@ -1039,8 +1355,13 @@ class Connections implements Hookable {
 										);
 										?>
 										<a href="<?php echo esc_url( $revoke_url ); ?>"
-											class="button button-small"
-											onclick="return confirm('<?php echo esc_js( __( 'Revoke this session?', 'albert-ai-butler' ) ); ?>');">
+											class="button button-small albert-connection-action"
+											data-connection-action="revoke_user_session"
+											data-token-id="<?php echo esc_attr( $session->id ); ?>"
+											data-user-id="<?php echo esc_attr( $user_id ); ?>"
+											data-confirm-title="<?php esc_attr_e( 'Revoke this session?', 'albert-ai-butler' ); ?>"
+											data-confirm="<?php esc_attr_e( 'The AI tool loses its current access token.', 'albert-ai-butler' ); ?>"
+											data-confirm-label="<?php esc_attr_e( 'Revoke', 'albert-ai-butler' ); ?>">
 											<?php esc_html_e( 'Revoke', 'albert-ai-butler' ); ?>
 										</a>
 									</td>
@@ -1062,19 +1383,134 @@ class Connections implements Hookable {
 						'revoke_all_sessions_' . $user_id
 					);
 					?>
-					<p style="margin-top: 15px;">
+					<p style="margin-top: 15px;" id="albert-user-sessions-actions">
 						<a href="<?php echo esc_url( $revoke_all_url ); ?>"
-							class="button"
-							onclick="return confirm('<?php echo esc_js( __( 'Revoke ALL sessions for this user?', 'albert-ai-butler' ) ); ?>');">
+							class="button albert-connection-action"
+							data-connection-action="revoke_all_user_sessions"
+							data-user-id="<?php echo esc_attr( $user_id ); ?>"
+							data-confirm-title="<?php esc_attr_e( 'Revoke all sessions?', 'albert-ai-butler' ); ?>"
+							data-confirm="<?php esc_attr_e( 'Revoke ALL sessions for this user?', 'albert-ai-butler' ); ?>"
+							data-confirm-label="<?php esc_attr_e( 'Revoke All Sessions', 'albert-ai-butler' ); ?>">
 							<?php esc_html_e( 'Revoke All Sessions', 'albert-ai-butler' ); ?>
 						</a>
 					</p>
 				<?php } ?>
 			</div>
+
+			<?php $this->render_confirm_dialog(); ?>
 		</div>
 		<?php
 	}
 
+	/**
+	 * Render the confirmation dialog used in place of `confirm()`.
+	 *
+	 * Action links carry their own wording in `data-confirm-title`,
+	 * `data-confirm` and `data-confirm-label`; the script fills it in.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_confirm_dialog(): void {
+		?>
+		<dialog id="albert-confirm-dialog" aria-labelledby="albert-confirm-dialog-title" aria-describedby="albert-confirm-dialog-message">
+			<div class="albert-disconnect-dialog-header">
+				<h2 id="albert-confirm-dialog-title"></h2>
+				<button type="button" class="albert-disconnect-dialog-close" aria-label="<?php esc_attr_e( 'Close', 'albert-ai-butler' ); ?>">
+					<span class="dashicons dashicons-no-alt"></span>
+				</button>
+			</div>
+			<p id="albert-confirm-dialog-message" class="albert-confirm-dialog-message"></p>
+			<div class="albert-confirm-dialog-actions">
+				<button type="button" class="button albert-disconnect-cancel">
+					<?php esc_html_e( 'Cancel', 'albert-ai-butler' ); ?>
+				</button>
+				<button type="button" class="button albert-confirm-dialog-confirm"></button>
+			</div>
+		</dialog>
+		<?php
+	}
+
+	/**
+	 * Sortable Active Connections columns, keyed by the row data attribute
+	 * the table script sorts on.
+	 *
+	 * @return array<string, string>
+	 * @since 1.2.0
+	 */
+	private static function sort_columns(): array {
+		return [
+			'client'    => __( 'Client', 'albert-ai-butler' ),
+			'user'      => __( 'User', 'albert-ai-butler' ),
+			'connected' => __( 'Connected', 'albert-ai-butler' ),
+		];
+	}
+
+	/**
+	 * Get all active connections (all users), newest first.
+	 *
+	 * @return object[] Rows with id, client_id, user_id, token_id, created_at (UTC) and client_name.
+	 * @since 1.2.0
+	 */
+	private function get_active_connections(): array {
+		global $wpdb;
+
+		$tables = Installer::get_table_names();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (array) $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT
+					t.id,
+					t.client_id,
+					t.user_id,
+					t.token_id,
+					CONVERT_TZ(t.created_at, @@session.time_zone, '+00:00') as created_at,
+					COALESCE(c.name, 'Unknown Client') as client_name
+				FROM %i t
+				LEFT JOIN %i c ON t.client_id = c.client_id
+				WHERE t.revoked = 0 AND t.expires_at > UTC_TIMESTAMP()
+				ORDER BY t.created_at DESC",
+				$tables['access_tokens'],
+				$tables['clients']
+			)
+		);
+	}
+
+	/**
+	 * Get a user's active sessions, one per client.
+	 *
+	 * @param int $user_id The user ID.
+	 *
+	 * @return object[] Rows with client_id, id (newest token), token_id, client_name and first_connected (UTC).
+	 * @since 1.2.0
+	 */
+	private function get_user_sessions( int $user_id ): array {
+		global $wpdb;
+
+		$tables = Installer::get_table_names();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (array) $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT
+					t.client_id,
+					MAX(t.id) as id,
+					MAX(t.token_id) as token_id,
+					COALESCE(c.name, 'Unknown') as client_name,
+					MIN(CONVERT_TZ(t.created_at, @@session.time_zone, '+00:00')) as first_connected
+				FROM %i t
+				LEFT JOIN %i c ON t.client_id = c.client_id
+				WHERE t.user_id = %d AND t.revoked = 0
+				GROUP BY t.client_id
+				ORDER BY first_connected DESC",
+				$tables['access_tokens'],
+				$tables['clients'],
+				$user_id
+			)
+		);
+	}
+
 	/**
 	 * Get the number of active sessions for a user.
 	 *
@@ -1139,11 +1575,49 @@ class Connections implements Hookable {
 			'albert-admin',
 			'albertAdmin',
 			[
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce'   => wp_create_nonce( 'albert_oauth_nonce' ),
-				'i18n'    => [
-					'copied'     => __( 'Copied!', 'albert-ai-butler' ),
-					'copyFailed' => __( 'Copy failed', 'albert-ai-butler' ),
+				'ajaxUrl'          => admin_url( 'admin-ajax.php' ),
+				'nonce'            => wp_create_nonce( 'albert_oauth_nonce' ),
+				'connectionsNonce' => wp_create_nonce( 'albert_connections' ),
+				'usersEndpoint'    => rest_url( 'wp/v2/users' ),
+				'restNonce'        => wp_create_nonce( 'wp_rest' ),
+				'roles'            => array_map( 'translate_user_role', wp_roles()->get_names() ),
+				'i18n'             => [
+					'copied'              => __( 'Copied!', 'albert-ai-butler' ),
+					'copyFailed'          => __( 'Copy failed', 'albert-ai-butler' ),
+					'dismiss'             => __( 'Dismiss', 'albert-ai-butler' ),
+					/* translators: %s: AI client name */
+					'disconnectTitle'     => __( 'Disconnect %s?', 'albert-ai-butler' ),
+					/* translators: %d: number of sessions */
+					'sessionOne'          => __( '%d session', 'albert-ai-butler' ),
+					/* translators: %d: number of sessions */
+					'sessionMany'         => __( '%d sessions', 'albert-ai-butler' ),
+					'noSessions'          => __( 'No sessions', 'albert-ai-butler' ),
+					'confirm'             => __( 'Confirm', 'albert-ai-butler' ),
+					'actionFailed'        => __( 'That did not work. Please try again.', 'albert-ai-butler' ),
+					'actionExpired'       => __( 'Your session has expired. Reload the page and try again.', 'albert-ai-butler' ),
+					/* translators: %s: number of connections */
+					'bulkDisconnectTitle' => __( 'Disconnect %s connections?', 'albert-ai-butler' ),
+					/* translators: %s: number of selected connections */
+					'connectionsSelected' => __( '%s selected', 'albert-ai-butler' ),
+					/* translators: 1: first row shown, 2: last row shown, 3: number of matching connections */
+					'connectionsShowing'  => __( 'Showing %1$s–%2$s of %3$s connections', 'albert-ai-butler' ),
+					/* translators: %s: column name */
+					'sortedAscending'     => __( 'Sorted by %s, ascending.', 'albert-ai-butler' ),
+					/* translators: %s: column name */
+					'sortedDescending'    => __( 'Sorted by %s, descending.', 'albert-ai-butler' ),
+					/* translators: %s: page number */
+					'pageLabel'           => __( 'Page %s', 'albert-ai-butler' ),
+					/* translators: %s: number of users */
+					'usersFound'          => __( '%s users found.', 'albert-ai-butler' ),
+					'usersOne'            => __( '1 user found.', 'albert-ai-butler' ),
+					'usersNone'           => __( 'No users found.', 'albert-ai-butler' ),
+					'userSearchFailed'    => __( 'Could not search users. Please try again.', 'albert-ai-butler' ),
+					/* translators: %s: user display name */
+					'userPicked'          => __( '%s will be added.', 'albert-ai-butler' ),
+					/* translators: %s: user display name */
+					'userUnpicked'        => __( '%s removed.', 'albert-ai-butler' ),
+					/* translators: %s: user display name */
+					'removeUser'          => __( 'Remove %s', 'albert-ai-butler' ),
 				],
 			]
 		);
@@ -26,6 +26,22 @@ use Albert\OAuth\Database\Installer;
  */
 class Dashboard implements Hookable {
 
+	/**
+	 * Seconds between dashboard status polls while the tab is visible.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const POLL_INTERVAL = 20;
+
+	/**
+	 * Number of entries shown in the Recent Activity card.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const ACTIVITY_LIMIT = 5;
+
 	/**
 	 * Parent menu slug.
 	 *
@@ -64,12 +80,51 @@ class Dashboard implements Hookable {
 	/**
 	 * Register WordPress hooks.
 	 *
+	 * `wp_ajax_albert_dashboard_status` serves the live counts and activity
+	 * feed that admin-dashboard.js polls while the page is visible.
+	 *
 	 * @return void
 	 * @since 1.0.0
 	 */
 	public function register_hooks(): void {
 		add_action( 'admin_menu', [ $this, 'add_menu_pages' ], 9 ); // Priority 9 to run before Abilities at 10.
 		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
+		add_action( 'wp_ajax_albert_dashboard_status', [ $this, 'ajax_dashboard_status' ] );
+	}
+
+	/**
+	 * AJAX handler returning the dashboard's live state.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_dashboard_status(): void {
+		check_ajax_referer( 'albert_dashboard_status', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		wp_send_json_success( $this->get_status() );
+	}
+
+	/**
+	 * Snapshot of everything the dashboard refreshes without a reload.
+	 *
+	 * @return array{connections: int, abilities: string, has_allowed_users: bool, activity: array<int, array{id: string, icon: string, text: string, timestamp: int}>, now: int}
+	 * @since 1.2.0
+	 */
+	private function get_status(): array {
+		return [
+			'connections'       => $this->get_active_connections_count(),
+			'abilities'         => $this->get_enabled_abilities_count(),
+			'has_allowed_users' => ! empty( get_option( 'albert_allowed_users', [] ) ),
+			'activity'          => $this->get_recent_activity(),
+			'now'               => time(),
+		];
 	}
 
 	/**
@@ -140,6 +195,99 @@ class Dashboard implements Hookable {
 			ALBERT_VERSION,
 			true
 		);
+
+		wp_localize_script(
+			'albert-dashboard',
+			'albertDashboard',
+			[
+				'ajaxUrl'       => admin_url( 'admin-ajax.php' ),
+				'statusNonce'   => wp_create_nonce( 'albert_dashboard_status' ),
+				'pollInterval'  => self::POLL_INTERVAL * 1000,
+				'activityLimit' => self::ACTIVITY_LIMIT,
+				'now'           => time(),
+				'diagnostics'   => $this->get_diagnostics_config(),
+				'i18n'          => [
+					'userAdded'          => __( 'Allowed user added', 'albert-ai-butler' ),
+					'assistantConnected' => __( 'AI assistant connected', 'albert-ai-butler' ),
+					'setupComplete'      => __( 'An AI assistant just connected. Setup is complete.', 'albert-ai-butler' ),
+					/* translators: %s: activity description, e.g. "Claude connected by admin". */
+					'newActivity'        => __( 'New activity: %s', 'albert-ai-butler' ),
+					'copied'             => __( 'Copied!', 'albert-ai-butler' ),
+					'copyFailed'         => __( 'Copy failed', 'albert-ai-butler' ),
+				],
+			]
+		);
+	}
+
+	/**
+	 * URLs and server-side facts the connection diagnostics need.
+	 *
+	 * The checks themselves run in the browser, so they exercise the same
+	 * rewrite rules, proxies and TLS setup an AI assistant would hit; the
+	 * server only contributes what the browser can't see for itself.
+	 *
+	 * @return array<string, mixed>
+	 * @since 1.2.0
+	 */
+	private function get_diagnostics_config(): array {
+		$base = McpServer::get_base_url();
+
+		return [
+			'endpoint'          => McpServer::get_endpoint_url(),
+			'authServerUrl'     => $base . '/.well-known/oauth-authorization-server',
+			'protectedResource' => $base . '/.well-known/oauth-protected-resource',
+			'resourceUrl'       => McpServer::get_resource_metadata_url(),
+			'externalUrl'       => McpServer::get_external_url_state(),
+			'prettyPermalinks'  => '' !== (string) get_option( 'permalink_structure' ),
+			'permalinksUrl'     => admin_url( 'options-permalink.php' ),
+			'i18n'              => [
+				'running'                => __( 'Running diagnostics…', 'albert-ai-butler' ),
+				/* translators: %s: number of checks. */
+				'summaryPass'            => __( 'All %s checks passed.', 'albert-ai-butler' ),
+				/* translators: 1: number of failed checks, 2: number of checks. */
+				'summaryFail'            => __( '%1$s of %2$s checks failed.', 'albert-ai-butler' ),
+				/* translators: %s: number of warnings. */
+				'summaryWarn'            => __( 'No failures, %s warnings.', 'albert-ai-butler' ),
+				'pass'                   => __( 'Passed', 'albert-ai-butler' ),
+				'fail'                   => __( 'Failed', 'albert-ai-butler' ),
+				'warn'                   => __( 'Warning', 'albert-ai-butler' ),
+				'active'                 => __( 'Active', 'albert-ai-butler' ),
+				'problem'                => __( 'Problem found', 'albert-ai-butler' ),
+				'checkHttps'             => __( 'Endpoint uses HTTPS', 'albert-ai-butler' ),
+				'checkExternalUrl'       => __( 'External URL filter', 'albert-ai-butler' ),
+				'checkAuthServer'        => __( 'Authorization server metadata (/.well-known/oauth-authorization-server)', 'albert-ai-butler' ),
+				'checkProtected'         => __( 'Protected resource metadata (/.well-known/oauth-protected-resource)', 'albert-ai-butler' ),
+				'checkResource'          => __( 'Protected resource endpoint (REST API)', 'albert-ai-butler' ),
+				'checkUnauthorized'      => __( 'MCP endpoint asks for OAuth (401 + WWW-Authenticate)', 'albert-ai-butler' ),
+				'ok'                     => __( 'Looks good.', 'albert-ai-butler' ),
+				/* translators: %s: HTTP status code. */
+				'detailStatus'           => __( 'Responded with HTTP %s.', 'albert-ai-butler' ),
+				/* translators: %s: browser error message. */
+				'detailNetwork'          => __( 'The request failed before a response arrived (%s).', 'albert-ai-butler' ),
+				'detailNotJson'          => __( 'The response was not valid JSON — something other than Albert answered.', 'albert-ai-butler' ),
+				/* translators: %s: comma-separated field names. */
+				'detailMissing'          => __( 'Missing fields: %s.', 'albert-ai-butler' ),
+				/* translators: 1: advertised URL, 2: expected URL. */
+				'detailMismatch'         => __( 'Advertises %1$s, expected %2$s.', 'albert-ai-butler' ),
+				'detailNoHeader'         => __( 'The 401 response had no WWW-Authenticate header.', 'albert-ai-butler' ),
+				'detailHeaderHidden'     => __( 'Got a 401, but the browser may not read WWW-Authenticate on a cross-origin request, so the header could not be checked.', 'albert-ai-butler' ),
+				'detailHttp'             => __( 'Assistants such as Claude and ChatGPT only connect to https:// endpoints.', 'albert-ai-butler' ),
+				'detailLocal'            => __( 'This is a local address. Fine for testing, but remote assistants cannot reach it.', 'albert-ai-butler' ),
+				'detailExternalInactive' => __( 'Not set; the site URL is used.', 'albert-ai-butler' ),
+				/* translators: %s: URL returned by the filter. */
+				'detailExternalActive'   => __( 'Active: endpoints are advertised on %s.', 'albert-ai-butler' ),
+				/* translators: %s: invalid value returned by the filter. */
+				'detailExternalInvalid'  => __( 'The filter returns "%s", which is not a valid URL, so it is ignored.', 'albert-ai-butler' ),
+				'fixPermalinks'          => __( 'Pretty permalinks are off, so /.well-known/ and /wp-json/ URLs do not resolve. Choose any structure other than "Plain" and save.', 'albert-ai-butler' ),
+				'fixRewrite'             => __( 'Re-save the permalink settings to flush the rewrite rules. On Nginx, make sure requests to /.well-known/ are passed to WordPress instead of being served as static files.', 'albert-ai-butler' ),
+				'fixRestBlocked'         => __( 'The REST API looks blocked. Check security plugins or server rules that restrict /wp-json/.', 'albert-ai-butler' ),
+				'fixHttps'               => __( 'Serve the site over HTTPS, or expose it through an HTTPS tunnel and return that address from the albert/mcp/external_url filter.', 'albert-ai-butler' ),
+				'fixExternalInvalid'     => __( 'Return a full URL including https:// from the albert/mcp/external_url filter, or an empty string to turn the override off.', 'albert-ai-butler' ),
+				'fixExternalHost'        => __( 'The albert/mcp/external_url filter points at a different host than this page. If it is a tunnel, check that it is running and forwards to this site.', 'albert-ai-butler' ),
+				'fixAuthHeader'          => __( 'A proxy, CDN or security plugin may be answering the request itself or stripping the WWW-Authenticate header.', 'albert-ai-butler' ),
+				'permalinkSettings'      => __( 'Open Permalink settings', 'albert-ai-butler' ),
+			],
+		];
 	}
 
 	/**
@@ -184,6 +332,10 @@ class Dashboard implements Hookable {
 										<?php esc_html_e( 'Manage Abilities', 'albert-ai-butler' ); ?>
 									</a>
 								</p>
+								<details class="albert-snippets-details">
+									<summary><?php esc_html_e( 'Connect another AI assistant', 'albert-ai-butler' ); ?></summary>
+									<?php $this->render_client_snippets( $mcp_endpoint ); ?>
+								</details>
 							</div>
 						</div>
 					<?php } else { ?>
@@ -193,7 +345,7 @@ class Dashboard implements Hookable {
 								<span class="albert-checklist-icon dashicons dashicons-yes-alt" aria-hidden="true"></span>
 								<span class="albert-checklist-text"><?php esc_html_e( 'Plugin installed', 'albert-ai-butler' ); ?></span>
 							</li>
-							<li class="albert-checklist-item <?php echo $has_allowed_users ? 'albert-checklist-done' : 'albert-checklist-current'; ?>">
+							<li class="albert-checklist-item <?php echo $has_allowed_users ? 'albert-checklist-done' : 'albert-checklist-current'; ?>" data-step="users">
 								<span class="albert-checklist-icon dashicons <?php echo $has_allowed_users ? 'dashicons-yes-alt' : 'dashicons-marker'; ?>" aria-hidden="true"></span>
 								<span class="albert-checklist-text">
 									<?php if ( $has_allowed_users ) { ?>
@@ -205,7 +357,7 @@ class Dashboard implements Hookable {
 									<?php } ?>
 								</span>
 							</li>
-							<li class="albert-checklist-item <?php echo $has_allowed_users ? ( $has_connections ? 'albert-checklist-done' : 'albert-checklist-current' ) : 'albert-checklist-pending'; ?>">
+							<li class="albert-checklist-item <?php echo $has_allowed_users ? ( $has_connections ? 'albert-checklist-done' : 'albert-checklist-current' ) : 'albert-checklist-pending'; ?>" data-step="connect">
 								<span class="albert-checklist-icon dashicons <?php echo $has_connections ? 'dashicons-yes-alt' : ( $has_allowed_users ? 'dashicons-marker' : 'dashicons-marker' ); ?>" aria-hidden="true"></span>
 								<span class="albert-checklist-text">
 									<?php if ( $has_connections ) { ?>
@@ -239,6 +391,7 @@ class Dashboard implements Hookable {
 											<?php echo esc_html__( 'Copy', 'albert-ai-butler' ); ?>
 										</button>
 									</div>
+									<?php $this->render_client_snippets( $mcp_endpoint ); ?>
 								</li>
 							<?php } ?>
 						</ol>
@@ -250,30 +403,37 @@ class Dashboard implements Hookable {
 					<h2><?php echo esc_html__( 'Status', 'albert-ai-butler' ); ?></h2>
 					<ul class="albert-status-list">
 						<li>
-							<span class="albert-status-indicator albert-status-active" aria-hidden="true"></span>
+							<span class="albert-status-indicator albert-status-info" aria-hidden="true" data-indicator="oauth"></span>
 							<strong><?php echo esc_html__( 'OAuth Server:', 'albert-ai-butler' ); ?></strong>
-							<span class="albert-status-value"><?php echo esc_html__( 'Active', 'albert-ai-butler' ); ?></span>
+							<span class="albert-status-value" data-status="oauth"><?php echo esc_html__( 'Checking…', 'albert-ai-butler' ); ?></span>
 						</li>
 						<li>
-							<span class="albert-status-indicator albert-status-active" aria-hidden="true"></span>
+							<span class="albert-status-indicator albert-status-info" aria-hidden="true" data-indicator="mcp"></span>
 							<strong><?php echo esc_html__( 'MCP Endpoint:', 'albert-ai-butler' ); ?></strong>
-							<span class="albert-status-value"><?php echo esc_html__( 'Active', 'albert-ai-butler' ); ?></span>
+							<span class="albert-status-value" data-status="mcp"><?php echo esc_html__( 'Checking…', 'albert-ai-butler' ); ?></span>
 						</li>
 						<li>
 							<span class="albert-status-indicator albert-status-info" aria-hidden="true"></span>
 							<strong><?php echo esc_html__( 'Active Connections:', 'albert-ai-butler' ); ?></strong>
-							<span class="albert-status-value"><?php echo esc_html( (string) $active_connections ); ?></span>
+							<span class="albert-status-value" data-status="connections"><?php echo esc_html( (string) $active_connections ); ?></span>
 						</li>
 						<li>
 							<span class="albert-status-indicator albert-status-info" aria-hidden="true"></span>
 							<strong><?php echo esc_html__( 'Enabled Abilities:', 'albert-ai-butler' ); ?></strong>
-							<span class="albert-status-value"><?php echo esc_html( $enabled_abilities ); ?></span>
+							<span class="albert-status-value" data-status="abilities"><?php echo esc_html( $enabled_abilities ); ?></span>
 						</li>
 					</ul>
+					<div class="albert-diagnostics" id="albert-diagnostics" hidden>
+						<p class="albert-diagnostics-summary" role="status"></p>
+						<ul class="albert-diagnostics-list"></ul>
+					</div>
 					<p>
 						<a href="<?php echo esc_url( admin_url( 'admin.php?page=albert-connections' ) ); ?>" class="button button-secondary">
 							<?php echo esc_html__( 'View Connections', 'albert-ai-butler' ); ?>
 						</a>
+						<button type="button" class="button button-secondary" id="albert-run-diagnostics" aria-controls="albert-diagnostics">
+							<?php esc_html_e( 'Run diagnostics', 'albert-ai-butler' ); ?>
+						</button>
 					</p>
 				</div>
 
@@ -301,30 +461,154 @@ class Dashboard implements Hookable {
 				<!-- Recent Activity -->
 				<div class="albert-card albert-activity-card">
 					<h2><?php echo esc_html__( 'Recent Activity', 'albert-ai-butler' ); ?></h2>
-					<?php
-					$recent_activity = $this->get_recent_activity();
-					if ( ! empty( $recent_activity ) ) {
-						?>
-						<ul class="albert-activity-list">
-							<?php foreach ( $recent_activity as $activity ) { ?>
-								<li>
-									<span class="albert-activity-icon"><?php echo esc_html( $activity['icon'] ); ?></span>
-									<span class="albert-activity-text"><?php echo esc_html( $activity['text'] ); ?></span>
-									<span class="albert-activity-time"><?php echo esc_html( $activity['time'] ); ?></span>
-								</li>
-							<?php } ?>
-						</ul>
-					<?php } else { ?>
-						<p class="description">
-							<?php echo esc_html__( 'No recent activity. Connect an AI assistant to get started!', 'albert-ai-butler' ); ?>
-						</p>
-					<?php } ?>
+					<?php $recent_activity = $this->get_recent_activity(); ?>
+					<?php // The list is always rendered so the live feed has somewhere to prepend to. ?>
+					<ul class="albert-activity-list" <?php echo empty( $recent_activity ) ? 'hidden' : ''; ?>>
+						<?php foreach ( $recent_activity as $activity ) { ?>
+							<li data-activity-id="<?php echo esc_attr( $activity['id'] ); ?>">
+								<span class="albert-activity-icon" aria-hidden="true"><?php echo esc_html( $activity['icon'] ); ?></span>
+								<span class="albert-activity-text"><?php echo esc_html( $activity['text'] ); ?></span>
+								<?php
+								printf(
+									'<time class="albert-activity-time albert-relative-time" datetime="%1$s" data-timestamp="%2$s">%3$s</time>',
+									esc_attr( gmdate( 'c', $activity['timestamp'] ) ),
+									esc_attr( (string) $activity['timestamp'] ),
+									esc_html(
+										sprintf(
+											/* translators: %s: Time difference */
+											__( '%s ago', 'albert-ai-butler' ),
+											human_time_diff( $activity['timestamp'] )
+										)
+									)
+								);
+								?>
+							</li>
+						<?php } ?>
+					</ul>
+					<p class="description albert-activity-empty" <?php echo empty( $recent_activity ) ? '' : 'hidden'; ?>>
+						<?php echo esc_html__( 'No recent activity. Connect an AI assistant to get started!', 'albert-ai-butler' ); ?>
+					</p>
 				</div>
 			</div>
 		</div>
 		<?php
 	}
 
+	/**
+	 * Ready-to-paste client configurations for the MCP endpoint.
+	 *
+	 * The server key is derived from the site's host so several Albert
+	 * sites can sit side by side in one client config.
+	 *
+	 * @param string $endpoint MCP endpoint URL.
+	 *
+	 * @return array<string, array{label: string, help: string, content: string, filename: string}> Keyed by tab id; `filename` is empty when there is nothing to download.
+	 * @since 1.2.0
+	 */
+	public static function get_client_snippets( string $endpoint ): array {
+		$host   = (string) wp_parse_url( home_url(), PHP_URL_HOST );
+		$name   = 'albert-' . sanitize_title( str_replace( '.', '-', $host ) );
+		$json   = static function ( array $data ): string {
+			return (string) wp_json_encode( $data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
+		};
+		$remote = [ '-y', 'mcp-remote', $endpoint ];
+
+		return [
+			'desktop'    => [
+				'label'    => __( 'Desktop clients (JSON)', 'albert-ai-butler' ),
+				'help'     => __( 'For Claude Desktop and other clients configured with an mcpServers file. Merge this into the existing file and restart the client; it opens a browser window to sign in.', 'albert-ai-butler' ),
+				'content'  => $json(
+					[
+						'mcpServers' => [
+							$name => [
+								'command' => 'npx',
+								'args'    => $remote,
+							],
+						],
+					]
+				),
+				'filename' => $name . '.json',
+			],
+			'mcp-remote' => [
+				'label'    => __( 'mcp-remote (command line)', 'albert-ai-butler' ),
+				'help'     => __( 'For clients that take a command to launch. Needs Node.js; mcp-remote bridges the client to this endpoint and handles the OAuth sign-in.', 'albert-ai-butler' ),
+				'content'  => 'npx ' . implode( ' ', $remote ),
+				'filename' => '',
+			],
+			'http'       => [
+				'label'    => __( 'Streamable HTTP', 'albert-ai-butler' ),
+				'help'     => __( 'For clients that connect to remote MCP servers directly. Authentication is OAuth 2.1 and is discovered from the endpoint, so no token needs to be entered.', 'albert-ai-butler' ),
+				'content'  => $json(
+					[
+						'mcpServers' => [
+							$name => [
+								'type' => 'http',
+								'url'  => $endpoint,
+							],
+						],
+					]
+				),
+				'filename' => $name . '-http.json',
+			],
+		];
+	}
+
+	/**
+	 * Render the tabbed snippet generator.
+	 *
+	 * @param string $endpoint MCP endpoint URL.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_client_snippets( string $endpoint ): void {
+		$snippets = self::get_client_snippets( $endpoint );
+		$first    = array_key_first( $snippets );
+		?>
+		<div class="albert-snippets">
+			<p class="albert-field-description" id="albert-snippets-label">
+				<?php esc_html_e( 'Or paste a ready-made configuration for your client:', 'albert-ai-butler' ); ?>
+			</p>
+			<div class="albert-snippets-tabs" role="tablist" aria-labelledby="albert-snippets-label">
+				<?php foreach ( $snippets as $key => $snippet ) { ?>
+					<button
+						type="button"
+						role="tab"
+						class="albert-snippets-tab"
+						id="albert-snippet-tab-<?php echo esc_attr( $key ); ?>"
+						aria-controls="albert-snippet-<?php echo esc_attr( $key ); ?>"
+						aria-selected="<?php echo $key === $first ? 'true' : 'false'; ?>"
+						tabindex="<?php echo $key === $first ? '0' : '-1'; ?>"
+					><?php echo esc_html( $snippet['label'] ); ?></button>
+				<?php } ?>
+			</div>
+			<?php foreach ( $snippets as $key => $snippet ) { ?>
+				<div
+					class="albert-snippet"
+					role="tabpanel"
+					id="albert-snippet-<?php echo esc_attr( $key ); ?>"
+					aria-labelledby="albert-snippet-tab-<?php echo esc_attr( $key ); ?>"
+					<?php echo $key === $first ? '' : 'hidden'; ?>
+				>
+					<p class="albert-snippet-help"><?php echo esc_html( $snippet['help'] ); ?></p>
+					<pre class="albert-snippet-code" tabindex="0"><code id="albert-snippet-code-<?php echo esc_attr( $key ); ?>"><?php echo esc_html( $snippet['content'] ); ?></code></pre>
+					<p class="albert-snippet-actions">
+						<button type="button" class="button button-secondary albert-snippet-copy" data-snippet="albert-snippet-code-<?php echo esc_attr( $key ); ?>">
+							<?php esc_html_e( 'Copy', 'albert-ai-butler' ); ?>
+						</button>
+						<?php if ( '' !== $snippet['filename'] ) { ?>
+							<button type="button" class="button button-secondary albert-snippet-download" data-snippet="albert-snippet-code-<?php echo esc_attr( $key ); ?>" data-filename="<?php echo esc_attr( $snippet['filename'] ); ?>">
+								<span class="dashicons dashicons-download" aria-hidden="true"></span>
+								<?php esc_html_e( 'Download .json', 'albert-ai-butler' ); ?>
+							</button>
+						<?php } ?>
+					</p>
+				</div>
+			<?php } ?>
+		</div>
+		<?php
+	}
+
 	/**
 	 * Get count of active OAuth connections.
 	 *
@@ -374,7 +658,11 @@ class Dashboard implements Hookable {
 	/**
 	 * Get recent activity from OAuth sessions.
 	 *
-	 * @return array<int, array{icon: string, text: string, time: string}> Recent activity items.
+	 * Each item carries a stable `id` (`token-<id>` / `log-<id>`) so the
+	 * live feed can tell new entries from ones it already shows, and a
+	 * Unix `timestamp` the page renders as a self-refreshing relative time.
+	 *
+	 * @return array<int, array{id: string, icon: string, text: string, timestamp: int}> Recent activity items, newest first.
 	 * @since 1.0.0
 	 */
 	private function get_recent_activity(): array {
@@ -385,14 +673,14 @@ class Dashboard implements Hookable {
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$connections = $wpdb->get_results(
 			$wpdb->prepare(
-				'SELECT t.client_id, t.user_id, t.created_at, c.name
+				'SELECT t.id, t.client_id, t.user_id, t.created_at, c.name
 				FROM %i t
 				LEFT JOIN %i c ON t.client_id = c.client_id
 				ORDER BY t.created_at DESC
 				LIMIT %d',
 				$tables['access_tokens'],
 				$tables['clients'],
-				5
+				self::ACTIVITY_LIMIT
 			)
 		);
 
@@ -402,8 +690,9 @@ class Dashboard implements Hookable {
 			$user        = get_userdata( $row->user_id );
 			$client_name = $row->name ?? __( 'Unknown Client', 'albert-ai-butler' );
 			$events[]    = [
+				'id'        => 'token-' . $row->id,
 				'icon'      => '🔗',
-				'timestamp' => strtotime( $row->created_at ),
+				'timestamp' => (int) strtotime( $row->created_at ),
 				'text'      => sprintf(
 					/* translators: 1: Client name, 2: Username */
 					__( '%1$s connected by %2$s', 'albert-ai-butler' ),
@@ -414,11 +703,13 @@ class Dashboard implements Hookable {
 		}
 
 		// Merge in recent ability executions.
-		foreach ( $this->logging_repository->recent( 5 ) as $row ) {
+		foreach ( $this->logging_repository->recent( self::ACTIVITY_LIMIT ) as $row ) {
 			$user     = get_userdata( (int) $row->user_id );
 			$events[] = [
+				'id'        => 'log-' . $row->id,
 				'icon'      => '⚡',
-				'timestamp' => strtotime( $row->created_at ),
+				// Log rows are stored in site time, tokens in UTC.
+				'timestamp' => (int) get_gmt_from_date( $row->created_at, 'U' ),
 				'text'      => sprintf(
 					/* translators: 1: Ability identifier, 2: Username */
 					__( '%1$s executed by %2$s', 'albert-ai-butler' ),
@@ -428,29 +719,14 @@ class Dashboard implements Hookable {
 			];
 		}
 
-		// Sort by timestamp DESC and keep the most recent 5.
+		// Sort by timestamp DESC and keep the most recent entries.
 		usort(
 			$events,
 			static function ( array $a, array $b ): int {
 				return $b['timestamp'] <=> $a['timestamp'];
 			}
 		);
-		$events = array_slice( $events, 0, 5 );
-
-		$now      = time();
-		$activity = [];
-		foreach ( $events as $event ) {
-			$activity[] = [
-				'icon' => $event['icon'],
-				'text' => $event['text'],
-				'time' => sprintf(
-					/* translators: %s: Time difference */
-					__( '%s ago', 'albert-ai-butler' ),
-					human_time_diff( $event['timestamp'], $now )
-				),
-			];
-		}
 
-		return $activity;
+		return array_slice( $events, 0, self::ACTIVITY_LIMIT );
 	}
 }
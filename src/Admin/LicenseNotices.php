@@ -0,0 +1,298 @@
+<?php
+/**
+ * License Notices
+ *
+ * @package Albert
+ * @subpackage Admin
+ * @since      1.2.0
+ */
+
+namespace Albert\Admin;
+
+defined( 'ABSPATH' ) || exit;
+
+use Albert\Abstracts\AbstractAddon;
+use Albert\Contracts\Interfaces\Hookable;
+
+/**
+ * LicenseNotices class
+ *
+ * Warns on every Albert admin page when an add-on license has expired or
+ * expires within {@see self::WARNING_DAYS} days. The banners are rendered
+ * by albert-license-notices.js from the data localized here and kept
+ * current through the albert_refresh_licenses_table AJAX flow, so a
+ * license renewed or activated elsewhere clears its banner without a
+ * visit to the Licenses screen.
+ *
+ * Each admin can dismiss a banner (until the license changes state) or
+ * snooze it for {@see self::SNOOZE_DAYS} days; both are stored per user.
+ *
+ * @since 1.2.0
+ */
+class LicenseNotices implements Hookable {
+
+	/**
+	 * Days before expiry at which the warning starts.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const WARNING_DAYS = 30;
+
+	/**
+	 * Days a snoozed banner stays hidden.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const SNOOZE_DAYS = 7;
+
+	/**
+	 * User meta key holding dismissed and snoozed banners.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	const META_KEY = 'albert_license_notices';
+
+	/**
+	 * Register WordPress hooks.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function register_hooks(): void {
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
+		add_action( 'admin_notices', [ $this, 'render_container' ] );
+		add_action( 'wp_ajax_albert_license_notice_hide', [ $this, 'ajax_hide_notice' ] );
+	}
+
+	/**
+	 * Whether the given admin page hook belongs to Albert.
+	 *
+	 * @param string $hook Admin page hook suffix.
+	 *
+	 * @return bool
+	 * @since 1.2.0
+	 */
+	private function is_albert_screen( string $hook ): bool {
+		return 'toplevel_page_albert' === $hook || str_starts_with( $hook, 'albert_page_' );
+	}
+
+	/**
+	 * Print the (empty) banner container on Albert pages.
+	 *
+	 * The script fills it; without JavaScript nothing is shown here and the
+	 * Licenses table remains the place to check expiry.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function render_container(): void {
+		$screen = get_current_screen();
+
+		if ( ! $screen || ! $this->is_albert_screen( $screen->id ) || ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		echo '<div id="albert-license-notices" class="albert-license-notices"></div>';
+	}
+
+	/**
+	 * Licenses that need a warning for the given user.
+	 *
+	 * Skips licenses that are fine, never activated, or hidden by the user.
+	 * A dismissal is tied to the license's status and expiry date, so it
+	 * lapses when the license changes (e.g. "expiring" becomes "expired").
+	 *
+	 * @param int $user_id The user ID.
+	 *
+	 * @return array<int, array<string, mixed>>
+	 * @since 1.2.0
+	 */
+	public static function get_notices( int $user_id ): array {
+		if ( ! class_exists( AbstractAddon::class ) ) {
+			return [];
+		}
+
+		$hidden  = self::get_hidden( $user_id );
+		$now     = time();
+		$notices = [];
+
+		foreach ( AbstractAddon::get_registered_addons() as $addon ) {
+			$option_slug  = $addon['option_slug'];
+			$license_data = get_option( "{$option_slug}_license", false );
+
+			if ( ! is_object( $license_data ) ) {
+				continue;
+			}
+
+			$status  = (string) ( $license_data->license ?? '' );
+			$expires = (string) ( $license_data->expires ?? '' );
+
+			if ( ! in_array( $status, [ 'valid', 'expired' ], true ) || '' === $expires || 'lifetime' === $expires ) {
+				continue;
+			}
+
+			$timestamp = strtotime( $expires );
+			if ( false === $timestamp ) {
+				continue;
+			}
+
+			$days_left = (int) floor( ( $timestamp - $now ) / DAY_IN_SECONDS );
+			$expired   = 'expired' === $status || $timestamp < $now;
+
+			if ( ! $expired && $days_left > self::WARNING_DAYS ) {
+				continue;
+			}
+
+			$state = ( $expired ? 'expired' : 'expiring' ) . '|' . $expires;
+			$entry = $hidden[ $option_slug ] ?? null;
+			if ( is_array( $entry ) && ( $entry['state'] ?? '' ) === $state && ( $entry['until'] ?? 0 ) > $now ) {
+				continue;
+			}
+
+			$notices[] = [
+				'slug'      => $option_slug,
+				'name'      => $addon['name'],
+				'state'     => $expired ? 'expired' : 'expiring',
+				'daysLeft'  => max( 0, $days_left ),
+				'expires'   => wp_date( get_option( 'date_format' ), $timestamp ),
+				'renewUrl'  => $addon['store_url'] ?? 'https://albertwp.com',
+				'signature' => $state,
+			];
+		}
+
+		return $notices;
+	}
+
+	/**
+	 * The user's dismissed and snoozed banners.
+	 *
+	 * @param int $user_id The user ID.
+	 *
+	 * @return array<string, array{state: string, until: int}> Keyed by option slug.
+	 * @since 1.2.0
+	 */
+	private static function get_hidden( int $user_id ): array {
+		$hidden = get_user_meta( $user_id, self::META_KEY, true );
+
+		return is_array( $hidden ) ? $hidden : [];
+	}
+
+	/**
+	 * AJAX handler for dismissing or snoozing a banner.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_hide_notice(): void {
+		check_ajax_referer( 'albert_license_notices', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		$slug      = sanitize_key( wp_unslash( $_POST['slug'] ?? '' ) );
+		$signature = sanitize_text_field( wp_unslash( $_POST['signature'] ?? '' ) );
+		$mode      = sanitize_key( wp_unslash( $_POST['mode'] ?? '' ) );
+
+		if ( '' === $slug || '' === $signature || ! in_array( $mode, [ 'dismiss', 'snooze' ], true ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Invalid request.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		$user_id         = get_current_user_id();
+		$hidden          = self::get_hidden( $user_id );
+		$hidden[ $slug ] = [
+			'state' => $signature,
+			'until' => 'snooze' === $mode ? time() + self::SNOOZE_DAYS * DAY_IN_SECONDS : PHP_INT_MAX,
+		];
+		update_user_meta( $user_id, self::META_KEY, $hidden );
+
+		wp_send_json_success(
+			[
+				'message' => 'snooze' === $mode
+					? sprintf(
+						/* translators: %d: number of days */
+						_n( 'We will remind you again in %d day.', 'We will remind you again in %d days.', self::SNOOZE_DAYS, 'albert-ai-butler' ),
+						self::SNOOZE_DAYS
+					)
+					: __( 'Notice dismissed.', 'albert-ai-butler' ),
+			]
+		);
+	}
+
+	/**
+	 * Enqueue the banner script on Albert admin pages.
+	 *
+	 * @param string $hook Current admin page hook.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function enqueue_assets( string $hook ): void {
+		if ( ! $this->is_albert_screen( $hook ) || ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'albert-license-notices',
+			ALBERT_PLUGIN_URL . 'assets/css/albert-license-notices.css',
+			[],
+			ALBERT_VERSION
+		);
+
+		wp_enqueue_script(
+			'albert-admin-utils',
+			ALBERT_PLUGIN_URL . 'assets/js/albert-admin-utils.js',
+			[],
+			ALBERT_VERSION,
+			true
+		);
+
+		wp_enqueue_script(
+			'albert-license-notices',
+			ALBERT_PLUGIN_URL . 'assets/js/albert-license-notices.js',
+			[ 'albert-admin-utils' ],
+			ALBERT_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'albert-license-notices',
+			'albertLicenseNotices',
+			[
+				'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+				'nonce'           => wp_create_nonce( 'albert_license_notices' ),
+				'licenseNonce'    => wp_create_nonce( 'albert_license_nonce' ),
+				'notices'         => self::get_notices( get_current_user_id() ),
+				'refreshInterval' => HOUR_IN_SECONDS * 1000,
+				'i18n'            => [
+					/* translators: 1: addon name, 2: expiry date */
+					'expired'       => __( 'Your %1$s license expired on %2$s. Renew it to keep receiving updates and support.', 'albert-ai-butler' ),
+					/* translators: 1: addon name, 2: expiry date */
+					'expiresToday'  => __( 'Your %1$s license expires today (%2$s). Renew it to keep receiving updates and support.', 'albert-ai-butler' ),
+					/* translators: 1: addon name, 2: expiry date */
+					'expiresOne'    => __( 'Your %1$s license expires tomorrow (%2$s). Renew it to keep receiving updates and support.', 'albert-ai-butler' ),
+					/* translators: 1: addon name, 2: expiry date, 3: number of days */
+					'expiresIn'     => __( 'Your %1$s license expires in %3$s days (%2$s). Renew it to keep receiving updates and support.', 'albert-ai-butler' ),
+					'renew'         => __( 'Renew license', 'albert-ai-butler' ),
+					'opensNewTab'   => __( '(opens in a new tab)', 'albert-ai-butler' ),
+					/* translators: %d: number of days */
+					'snooze'        => sprintf( _n( 'Remind me in %d day', 'Remind me in %d days', self::SNOOZE_DAYS, 'albert-ai-butler' ), self::SNOOZE_DAYS ),
+					'dismiss'       => __( 'Dismiss this notice.', 'albert-ai-butler' ),
+					/* translators: %s: addon name */
+					'newNotice'     => __( 'License notice: %s', 'albert-ai-butler' ),
+					'actionFailed'  => __( 'That did not work. Please try again.', 'albert-ai-butler' ),
+					'actionExpired' => __( 'Your session has expired. Reload the page and try again.', 'albert-ai-butler' ),
+				],
+			]
+		);
+	}
+}
@@ -0,0 +1,541 @@
+<?php
+/**
+ * Permissions Page
+ *
+ * @package Albert
+ * @subpackage Admin
+ * @since      1.2.0
+ */
+
+namespace Albert\Admin;
+
+defined( 'ABSPATH' ) || exit;
+
+use Albert\Contracts\Interfaces\Hookable;
+
+/**
+ * PermissionsPage class
+ *
+ * Renders Albert → Permissions: a matrix with the allowed users as
+ * columns and every registered ability as a row, where each cell allows
+ * or denies one ability to one user. Rows filter with the same search
+ * and category / supplier / type filters as the Abilities page, rows and
+ * columns have bulk toggles, and all changes are saved in one batch.
+ *
+ * Like the Abilities page this is a blocklist: a user may use every
+ * enabled ability unless it is denied to them here. The denials are
+ * enforced for every caller of an ability by {@see \Albert\MCP\AbilityGrants},
+ * and {@see \Albert\MCP\Server::permission_callback()} turns away MCP
+ * connections of users who are left with nothing to use.
+ *
+ * @since 1.2.0
+ */
+class PermissionsPage implements Hookable {
+
+	/**
+	 * Admin page slug.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	const PAGE_SLUG = 'albert-permissions';
+
+	/**
+	 * Option holding the denied abilities, keyed by user ID.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	const OPTION = 'albert_user_ability_denials';
+
+	/**
+	 * Register WordPress hooks.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function register_hooks(): void {
+		add_action( 'admin_menu', [ $this, 'add_menu_page' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
+		add_action( 'wp_ajax_albert_save_permissions', [ $this, 'ajax_save_permissions' ] );
+	}
+
+	/**
+	 * Register the submenu page under Albert.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function add_menu_page(): void {
+		add_submenu_page(
+			'albert',
+			__( 'Permissions', 'albert-ai-butler' ),
+			__( 'Permissions', 'albert-ai-butler' ),
+			'manage_options',
+			self::PAGE_SLUG,
+			[ $this, 'render_page' ]
+		);
+	}
+
+	/**
+	 * The denied abilities of every user.
+	 *
+	 * @return array<int, array<int, string>> Ability names, keyed by user ID.
+	 * @since 1.2.0
+	 */
+	public static function get_denials(): array {
+		$denials = get_option( self::OPTION, [] );
+
+		return is_array( $denials ) ? $denials : [];
+	}
+
+	/**
+	 * Whether a user may use an ability.
+	 *
+	 * The MCP adapter's own tools are how abilities are reached, so they
+	 * are always allowed; whether the ability itself is enabled is checked
+	 * separately when it runs.
+	 *
+	 * @param int    $user_id      The user ID.
+	 * @param string $ability_name Ability name.
+	 *
+	 * @return bool
+	 * @since 1.2.0
+	 */
+	public static function is_allowed( int $user_id, string $ability_name ): bool {
+		if ( str_starts_with( $ability_name, 'mcp-adapter/' ) ) {
+			return true;
+		}
+
+		$denials = self::get_denials();
+
+		return ! isset( $denials[ $user_id ] ) || ! in_array( $ability_name, (array) $denials[ $user_id ], true );
+	}
+
+	/**
+	 * Whether a user may use at least one enabled ability.
+	 *
+	 * @param int $user_id The user ID.
+	 *
+	 * @return bool
+	 * @since 1.2.0
+	 */
+	public static function allows_any( int $user_id ): bool {
+		$denials = self::get_denials();
+
+		if ( empty( $denials[ $user_id ] ) || ! function_exists( 'wp_get_abilities' ) ) {
+			return true;
+		}
+
+		$unavailable = array_merge( (array) $denials[ $user_id ], AbilitiesPage::get_disabled_abilities() );
+
+		foreach ( wp_get_abilities() as $ability ) {
+			$name = $ability->get_name();
+			if ( ! str_starts_with( $name, 'mcp-adapter/' ) && ! in_array( $name, $unavailable, true ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Merge a saved matrix into the stored denials.
+	 *
+	 * Only the users and abilities in the matrix are replaced. Denials of
+	 * abilities that are not registered right now (an add-on that is
+	 * switched off) are kept, and users no longer on the allowed list are
+	 * dropped, so a user who is added again starts with everything allowed.
+	 *
+	 * @param array<int, array<int, string>> $existing    Stored denials, keyed by user ID.
+	 * @param array<int, array<int, string>> $submitted   Denials from the matrix, keyed by user ID.
+	 * @param array<int, int>                $user_ids    Users on the allowed list.
+	 * @param array<int, string>             $ability_ids Registered abilities.
+	 *
+	 * @return array<int, array<int, string>>
+	 * @since 1.2.0
+	 */
+	public static function merge_denials( array $existing, array $submitted, array $user_ids, array $ability_ids ): array {
+		$denials = [];
+
+		foreach ( $user_ids as $user_id ) {
+			$stored = (array) ( $existing[ $user_id ] ?? [] );
+
+			// A user added after the matrix was loaded keeps what is stored.
+			if ( ! isset( $submitted[ $user_id ] ) ) {
+				$merged = $stored;
+			} else {
+				$kept   = array_diff( $stored, $ability_ids );
+				$denied = array_intersect( (array) $submitted[ $user_id ], $ability_ids );
+				$merged = array_values( array_unique( array_merge( $kept, $denied ) ) );
+			}
+
+			if ( $merged ) {
+				sort( $merged );
+				$denials[ $user_id ] = $merged;
+			}
+		}
+
+		return $denials;
+	}
+
+	/**
+	 * The allowed users that still exist.
+	 *
+	 * @return array<int, \WP_User>
+	 * @since 1.2.0
+	 */
+	private static function get_allowed_users(): array {
+		$users = [];
+
+		foreach ( (array) get_option( 'albert_allowed_users', [] ) as $user_id ) {
+			$user = get_user_by( 'id', (int) $user_id );
+			if ( $user ) {
+				$users[] = $user;
+			}
+		}
+
+		return $users;
+	}
+
+	/**
+	 * AJAX handler that saves the whole matrix.
+	 *
+	 * Expects `denials` as a JSON object mapping each user ID in the matrix
+	 * to the abilities denied to them. Only denials travel, so a large
+	 * matrix stays well under `max_input_vars`.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function ajax_save_permissions(): void {
+		check_ajax_referer( 'albert_save_permissions', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Insufficient permissions.', 'albert-ai-butler' ) ],
+				403
+			);
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, decoded and every id checked against the registered abilities below.
+		$submitted = json_decode( wp_unslash( (string) ( $_POST['denials'] ?? '' ) ), true );
+
+		if ( ! is_array( $submitted ) ) {
+			wp_send_json_error(
+				[ 'message' => __( 'Invalid request.', 'albert-ai-butler' ) ],
+				400
+			);
+		}
+
+		$denied = [];
+		foreach ( $submitted as $user_id => $ability_ids ) {
+			$denied[ absint( $user_id ) ] = array_map( 'sanitize_text_field', array_filter( (array) $ability_ids, 'is_string' ) );
+		}
+
+		$user_ids    = array_map( static fn( \WP_User $user ): int => $user->ID, self::get_allowed_users() );
+		$ability_ids = array_column( AbilitiesPage::collect_abilities(), 'id' );
+		$denials     = self::merge_denials( self::get_denials(), $denied, $user_ids, $ability_ids );
+
+		update_option( self::OPTION, $denials );
+
+		wp_send_json_success(
+			[
+				'message' => __( 'Permissions saved.', 'albert-ai-butler' ),
+				'denials' => (object) $denials,
+			]
+		);
+	}
+
+	/**
+	 * Render the admin page.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function render_page(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'albert-ai-butler' ) );
+		}
+
+		// WP 6.9+ Abilities API required.
+		if ( ! function_exists( 'wp_get_abilities' ) ) {
+			?>
+			<div class="wrap albert-wrap">
+				<h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+				<div class="notice notice-error">
+					<p>
+						<strong><?php esc_html_e( 'WordPress 6.9+ Required', 'albert-ai-butler' ); ?></strong>
+						<?php esc_html_e( 'The Abilities API requires WordPress 6.9 or later. Please update WordPress to use this feature.', 'albert-ai-butler' ); ?>
+					</p>
+				</div>
+			</div>
+			<?php
+			return;
+		}
+
+		$users     = self::get_allowed_users();
+		$abilities = AbilitiesPage::collect_abilities();
+		?>
+		<div class="wrap albert-wrap">
+			<h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+
+			<div class="albert-permissions-page">
+				<p class="albert-abilities-intro">
+					<?php esc_html_e( 'Choose which abilities each allowed user may use through an AI assistant. Abilities are allowed unless you deny them here; abilities switched off on the Abilities page stay off for everyone.', 'albert-ai-butler' ); ?>
+				</p>
+
+				<?php if ( empty( $users ) ) { ?>
+					<div class="albert-permissions-empty">
+						<p>
+							<?php esc_html_e( 'No users are allowed to connect yet.', 'albert-ai-butler' ); ?>
+							<a href="<?php echo esc_url( admin_url( 'admin.php?page=albert-connections' ) ); ?>">
+								<?php esc_html_e( 'Add users on the Connections page', 'albert-ai-butler' ); ?>
+							</a>
+						</p>
+					</div>
+				<?php } else { ?>
+					<?php $this->render_toolbar( $abilities ); ?>
+					<?php $this->render_matrix( $users, $abilities ); ?>
+				<?php } ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the filter toolbar.
+	 *
+	 * Same search and filters as the Abilities page toolbar.
+	 *
+	 * @param array<int, array<string, mixed>> $abilities Collected ability rows.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_toolbar( array $abilities ): void {
+		$filters = [
+			'category'   => [
+				'label'   => __( 'Category', 'albert-ai-butler' ),
+				'all'     => __( 'All categories', 'albert-ai-butler' ),
+				'options' => AbilitiesPage::collect_filter_options( $abilities, 'category_slug', 'category_label' ),
+			],
+			'supplier'   => [
+				'label'   => __( 'Supplier', 'albert-ai-butler' ),
+				'all'     => __( 'All suppliers', 'albert-ai-butler' ),
+				'options' => AbilitiesPage::collect_filter_options( $abilities, 'supplier_slug', 'supplier_label' ),
+			],
+			'annotation' => [
+				'label'   => __( 'Type', 'albert-ai-butler' ),
+				'all'     => __( 'All types', 'albert-ai-butler' ),
+				'options' => AbilitiesPage::collect_filter_options( $abilities, 'annotation_slug', 'annotation_label' ),
+			],
+		];
+		?>
+		<div class="albert-abilities-toolbar" role="region" aria-label="<?php esc_attr_e( 'Filter abilities', 'albert-ai-butler' ); ?>">
+			<div class="albert-toolbar-filters">
+				<label class="albert-toolbar-field albert-toolbar-field--search">
+					<span class="albert-toolbar-label"><?php esc_html_e( 'Search', 'albert-ai-butler' ); ?></span>
+					<input
+						type="search"
+						id="albert-permissions-search"
+						class="albert-search"
+						placeholder="<?php esc_attr_e( 'Search by name, description, or ID (try id:woo/)', 'albert-ai-butler' ); ?>"
+						aria-controls="albert-permissions-matrix"
+						autocomplete="off"
+					/>
+				</label>
+
+				<?php foreach ( $filters as $key => $filter ) { ?>
+					<label class="albert-toolbar-field">
+						<span class="albert-toolbar-label"><?php echo esc_html( $filter['label'] ); ?></span>
+						<select id="<?php echo esc_attr( 'albert-permissions-filter-' . $key ); ?>">
+							<option value=""><?php echo esc_html( $filter['all'] ); ?></option>
+							<?php foreach ( $filter['options'] as $slug => $label ) { ?>
+								<option value="<?php echo esc_attr( $slug ); ?>"><?php echo esc_html( $label ); ?></option>
+							<?php } ?>
+						</select>
+					</label>
+				<?php } ?>
+			</div>
+
+			<div class="albert-toolbar-meta">
+				<p class="albert-toolbar-stats" id="albert-permissions-stats" aria-live="polite">
+					<?php
+					printf(
+						/* translators: 1: visible count, 2: total count. */
+						esc_html__( 'Showing %1$s of %2$s abilities', 'albert-ai-butler' ),
+						esc_html( (string) count( $abilities ) ),
+						esc_html( (string) count( $abilities ) )
+					);
+					?>
+				</p>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the matrix and its save bar.
+	 *
+	 * Every cell is a checkbox (ticked = allowed). The row and column
+	 * header checkboxes are bulk toggles that admin-settings.js keeps in
+	 * a mixed state when their cells disagree.
+	 *
+	 * @param array<int, \WP_User>             $users     Allowed users (the columns).
+	 * @param array<int, array<string, mixed>> $abilities Collected ability rows.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	private function render_matrix( array $users, array $abilities ): void {
+		$denials  = self::get_denials();
+		$disabled = AbilitiesPage::get_disabled_abilities();
+		?>
+		<div class="albert-permissions-savebar" role="group" aria-label="<?php esc_attr_e( 'Save permissions', 'albert-ai-butler' ); ?>">
+			<span class="albert-permissions-pending" id="albert-permissions-pending" aria-live="polite">
+				<?php esc_html_e( 'No unsaved changes.', 'albert-ai-butler' ); ?>
+			</span>
+			<button type="button" class="button" id="albert-permissions-discard" disabled>
+				<?php esc_html_e( 'Discard changes', 'albert-ai-butler' ); ?>
+			</button>
+			<button type="button" class="button button-primary" id="albert-permissions-save" disabled>
+				<?php esc_html_e( 'Save permissions', 'albert-ai-butler' ); ?>
+			</button>
+		</div>
+
+		<div class="albert-permissions-error" id="albert-permissions-error" role="alert" hidden></div>
+
+		<div class="albert-permissions-scroll" role="region" tabindex="0" aria-labelledby="albert-permissions-caption">
+			<table class="albert-permissions-matrix" id="albert-permissions-matrix">
+				<caption id="albert-permissions-caption" class="screen-reader-text">
+					<?php esc_html_e( 'Abilities allowed per user', 'albert-ai-butler' ); ?>
+				</caption>
+				<thead>
+					<tr>
+						<th scope="col" class="albert-permissions-corner"><?php esc_html_e( 'Ability', 'albert-ai-butler' ); ?></th>
+						<?php foreach ( $users as $user ) { ?>
+							<th scope="col" class="albert-permissions-user" data-user-id="<?php echo esc_attr( (string) $user->ID ); ?>">
+								<label>
+									<input
+										type="checkbox"
+										class="albert-permissions-col-toggle"
+										data-user-id="<?php echo esc_attr( (string) $user->ID ); ?>"
+										aria-label="<?php echo esc_attr( sprintf( /* translators: %s: user display name. */ __( 'Allow every shown ability for %s', 'albert-ai-butler' ), $user->display_name ) ); ?>"
+									/>
+									<span class="albert-permissions-user-name"><?php echo esc_html( $user->display_name ); ?></span>
+								</label>
+								<span class="albert-permissions-user-login"><?php echo esc_html( $user->user_login ); ?></span>
+							</th>
+						<?php } ?>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $abilities as $row ) { ?>
+						<?php $is_off = in_array( $row['id'], $disabled, true ); ?>
+						<tr
+							class="albert-permissions-row<?php echo $is_off ? ' is-disabled' : ''; ?>"
+							data-ability-id="<?php echo esc_attr( $row['id'] ); ?>"
+							data-category="<?php echo esc_attr( $row['category_slug'] ); ?>"
+							data-supplier="<?php echo esc_attr( $row['supplier_slug'] ); ?>"
+							data-annotation="<?php echo esc_attr( $row['annotation_slug'] ); ?>"
+						>
+							<th scope="row" class="albert-permissions-ability">
+								<label>
+									<input
+										type="checkbox"
+										class="albert-permissions-row-toggle"
+										aria-label="<?php echo esc_attr( sprintf( /* translators: %s: ability label. */ __( 'Allow %s for every user', 'albert-ai-butler' ), $row['label'] ) ); ?>"
+									/>
+									<span class="ability-row-label"><?php echo esc_html( $row['label'] ); ?></span>
+								</label>
+								<?php if ( $is_off ) { ?>
+									<span class="albert-permissions-off"><?php esc_html_e( 'Off for everyone', 'albert-ai-butler' ); ?></span>
+								<?php } ?>
+								<span class="ability-row-description"><?php echo esc_html( $row['description'] ); ?></span>
+								<code class="albert-permissions-id"><?php echo esc_html( $row['id'] ); ?></code>
+							</th>
+							<?php foreach ( $users as $user ) { ?>
+								<?php $allowed = ! in_array( $row['id'], (array) ( $denials[ $user->ID ] ?? [] ), true ); ?>
+								<td class="albert-permissions-cell">
+									<input
+										type="checkbox"
+										class="albert-permissions-cell-toggle"
+										data-user-id="<?php echo esc_attr( (string) $user->ID ); ?>"
+										aria-label="<?php echo esc_attr( sprintf( /* translators: 1: ability label, 2: user display name. */ __( 'Allow %1$s for %2$s', 'albert-ai-butler' ), $row['label'], $user->display_name ) ); ?>"
+										<?php checked( $allowed ); ?>
+									/>
+								</td>
+							<?php } ?>
+						</tr>
+					<?php } ?>
+				</tbody>
+			</table>
+
+			<p class="albert-abilities-empty" hidden>
+				<?php esc_html_e( 'No abilities match your filters.', 'albert-ai-butler' ); ?>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Enqueue admin assets for this page only.
+	 *
+	 * @param string $hook Current admin page hook.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function enqueue_assets( string $hook ): void {
+		if ( 'albert_page_' . self::PAGE_SLUG !== $hook ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'albert-admin',
+			ALBERT_PLUGIN_URL . 'assets/css/admin-settings.css',
+			[],
+			ALBERT_VERSION
+		);
+
+		wp_enqueue_script(
+			'albert-admin-utils',
+			ALBERT_PLUGIN_URL . 'assets/js/albert-admin-utils.js',
+			[],
+			ALBERT_VERSION,
+			true
+		);
+
+		wp_enqueue_script(
+			'albert-admin',
+			ALBERT_PLUGIN_URL . 'assets/js/admin-settings.js',
+			[ 'albert-admin-utils' ],
+			ALBERT_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			'albert-admin',
+			'albertAdmin',
+			[
+				'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+				'permissionNonce' => wp_create_nonce( 'albert_save_permissions' ),
+				'i18n'            => [
+					/* translators: 1: visible count, 2: total count. */
+					'permStats'       => __( 'Showing %1$s of %2$s abilities', 'albert-ai-butler' ),
+					'permNoChanges'   => __( 'No unsaved changes.', 'albert-ai-butler' ),
+					'permOneChange'   => __( '1 unsaved change.', 'albert-ai-butler' ),
+					/* translators: %s: number of changed cells. */
+					'permChanges'     => __( '%s unsaved changes.', 'albert-ai-butler' ),
+					'permSaving'      => __( 'Saving…', 'albert-ai-butler' ),
+					'permDiscarded'   => __( 'Changes discarded.', 'albert-ai-butler' ),
+					'permFailed'      => __( 'Could not save the permissions. Please try again.', 'albert-ai-butler' ),
+					'permLeave'       => __( 'You have unsaved permission changes.', 'albert-ai-butler' ),
+					'dismiss'         => __( 'Dismiss', 'albert-ai-butler' ),
+					'sessionExpired'  => __( 'Your session has expired. Reload the page and try again.', 'albert-ai-butler' ),
+				],
+			]
+		);
+	}
+}
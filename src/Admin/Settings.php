@@ -490,13 +490,41 @@ class Settings implements Hookable {
 				'eddNonce'  => $edd_nonce,
 				'addons'    => $addons_for_js,
 				'i18n'      => [
-					'activating'        => __( 'Activating...', 'albert-ai-butler' ),
-					'activate'          => __( 'Activate', 'albert-ai-butler' ),
-					'deactivating'      => __( 'Deactivating...', 'albert-ai-butler' ),
+					'activating'         => __( 'Activating...', 'albert-ai-butler' ),
+					'activate'           => __( 'Activate', 'albert-ai-butler' ),
+					'deactivating'       => __( 'Deactivating...', 'albert-ai-butler' ),
 					/* translators: %s: addon name */
-					'confirmDeactivate' => __( 'Deactivate license for %s?', 'albert-ai-butler' ),
-					'emptyKey'          => __( 'Please enter a license key.', 'albert-ai-butler' ),
-					'networkError'      => __( 'A network error occurred. Please try again.', 'albert-ai-butler' ),
+					'confirmDeactivate'  => __( 'Deactivate license for %s?', 'albert-ai-butler' ),
+					'emptyKey'           => __( 'Please enter a license key.', 'albert-ai-butler' ),
+					'networkError'       => __( 'A network error occurred. Please try again.', 'albert-ai-butler' ),
+					/* translators: %s: last characters of a license key */
+					'activatedWith'      => __( 'Activated with key %s.', 'albert-ai-butler' ),
+					/* translators: 1: number of addons activated, 2: number of addons */
+					'activatedCount'     => __( 'License activated for %1$s of %2$s addons.', 'albert-ai-butler' ),
+					'noneActivated'      => __( 'No addon could be activated. See the results below.', 'albert-ai-butler' ),
+					'retrying'           => __( 'Connection problem, retrying…', 'albert-ai-butler' ),
+					'retry'              => __( 'Retry', 'albert-ai-butler' ),
+					/* translators: %s: addon name */
+					'retryAddon'         => __( 'Retry activating %s', 'albert-ai-butler' ),
+					'reasonNetwork'      => __( 'Could not reach the license server.', 'albert-ai-butler' ),
+					'reasonExpired'      => __( 'This license key has expired.', 'albert-ai-butler' ),
+					'reasonSiteLimit'    => __( 'This license has reached its site limit.', 'albert-ai-butler' ),
+					'reasonWrongProduct' => __( 'This license key is for a different product.', 'albert-ai-butler' ),
+					'reasonDisabled'     => __( 'This license key has been disabled.', 'albert-ai-butler' ),
+					'reasonInvalid'      => __( 'This license key is not valid.', 'albert-ai-butler' ),
+					'reasonUnknown'      => __( 'Activation failed.', 'albert-ai-butler' ),
+					'deactivate'         => __( 'Deactivate', 'albert-ai-butler' ),
+					'deactivateMessage'  => __( 'This site will stop receiving updates and support for the addon until a license is activated again.', 'albert-ai-butler' ),
+					/* translators: %s: addon name */
+					'deactivated'        => __( 'License deactivated for %s.', 'albert-ai-butler' ),
+					'deactivateFailed'   => __( 'Deactivation failed.', 'albert-ai-butler' ),
+					'renew'              => __( 'Renew', 'albert-ai-butler' ),
+					'cancel'             => __( 'Cancel', 'albert-ai-butler' ),
+					'close'              => __( 'Close', 'albert-ai-butler' ),
+					/* translators: 1: addon name, 2: license status */
+					'rowChanged'         => __( '%1$s: %2$s.', 'albert-ai-butler' ),
+					/* translators: 1: addon name, 2: license status, 3: expiry date */
+					'rowChangedExpires'  => __( '%1$s: %2$s, expires %3$s.', 'albert-ai-butler' ),
 				],
 			]
 		);
@@ -505,22 +533,18 @@ class Settings implements Hookable {
 	/**
 	 * Render the licenses table.
 	 *
-	 * This method is public and static so the AJAX handler can call it to
-	 * return refreshed table HTML.
+	 * This method is public and static so the licenses block can render it
+	 * on page load; later refreshes are rendered by albert-licenses.js from
+	 * {@see self::get_licenses_data()}, which this markup mirrors.
 	 *
 	 * @since 1.1.0
 	 *
 	 * @return void
 	 */
 	public static function render_licenses_table(): void {
-		if ( ! class_exists( '\Albert\Abstracts\AbstractAddon' ) ) {
-			self::render_licenses_empty_state();
-			return;
-		}
-
-		$addons = \Albert\Abstracts\AbstractAddon::get_registered_addons();
+		$licenses = self::get_licenses_data();
 
-		if ( empty( $addons ) ) {
+		if ( empty( $licenses ) ) {
 			self::render_licenses_empty_state();
 			return;
 		}
@@ -535,22 +559,27 @@ class Settings implements Hookable {
 					<th><?php esc_html_e( 'Actions', 'albert-ai-butler' ); ?></th>
 				</tr>
 			</thead>
-			<tbody>
-				<?php
-				foreach ( $addons as $addon ) {
-					$option_slug  = $addon['option_slug'];
-					$license_data = get_option( "{$option_slug}_license", false );
-					$license_key  = get_option( "{$option_slug}_license_key", '' );
-					$status       = is_object( $license_data ) ? ( $license_data->license ?? '' ) : '';
-					$expires      = is_object( $license_data ) ? ( $license_data->expires ?? '' ) : '';
-					$store_url    = $addon['store_url'] ?? 'https://albertwp.com';
-					?>
-					<tr>
-						<td><strong><?php echo esc_html( $addon['name'] ); ?></strong></td>
-						<td><?php echo esc_html( $addon['version'] ); ?></td>
-						<td><?php self::render_status( $status ); ?></td>
-						<td><?php self::render_expires( $status, $expires ); ?></td>
-						<td><?php self::render_actions( $status, $option_slug, $addon['name'], $store_url, $license_key ); ?></td>
+			<tbody id="albert-licenses-rows">
+				<?php foreach ( $licenses as $license ) { ?>
+					<tr
+						data-slug="<?php echo esc_attr( $license['slug'] ); ?>"
+						data-status="<?php echo esc_attr( $license['status'] ); ?>"
+						data-expires="<?php echo esc_attr( $license['expires'] ); ?>"
+					>
+						<td><strong><?php echo esc_html( $license['name'] ); ?></strong></td>
+						<td><?php echo esc_html( $license['version'] ); ?></td>
+						<td>
+							<span class="albert-status-dot albert-status-dot--<?php echo esc_attr( $license['statusClass'] ); ?>"></span>
+							<?php echo esc_html( $license['statusLabel'] ); ?>
+						</td>
+						<td>
+							<?php if ( '' === $license['expires'] ) { ?>
+								<span class="albert-no-license">&mdash;</span>
+							<?php } else { ?>
+								<?php echo esc_html( $license['expires'] ); ?>
+							<?php } ?>
+						</td>
+						<td><?php self::render_actions( $license ); ?></td>
 					</tr>
 				<?php } ?>
 			</tbody>
@@ -559,73 +588,106 @@ class Settings implements Hookable {
 	}
 
 	/**
-	 * Render the status cell content.
+	 * License state of every registered addon, ready for display.
 	 *
-	 * @since 1.1.0
+	 * Returned by the albert_refresh_licenses_table AJAX handler so the
+	 * script can update the table row by row.
+	 *
+	 * @since 1.2.0
+	 *
+	 * @return array<int, array{slug: string, name: string, version: string, status: string, statusClass: string, statusLabel: string, expires: string, action: string, licenseKey: string, renewUrl: string}>
+	 */
+	public static function get_licenses_data(): array {
+		if ( ! class_exists( '\Albert\Abstracts\AbstractAddon' ) ) {
+			return [];
+		}
+
+		$licenses = [];
+
+		foreach ( \Albert\Abstracts\AbstractAddon::get_registered_addons() as $addon ) {
+			$option_slug  = $addon['option_slug'];
+			$license_data = get_option( "{$option_slug}_license", false );
+			$status       = is_object( $license_data ) ? (string) ( $license_data->license ?? '' ) : '';
+			$expires      = is_object( $license_data ) ? (string) ( $license_data->expires ?? '' ) : '';
+
+			[ $status_class, $status_label ] = self::get_status_display( $status );
+
+			$action = '';
+			if ( $status === 'valid' ) {
+				$action = 'deactivate';
+			} elseif ( $status === 'expired' ) {
+				$action = 'renew';
+			}
+
+			$licenses[] = [
+				'slug'        => $option_slug,
+				'name'        => $addon['name'],
+				'version'     => $addon['version'],
+				'status'      => $status,
+				'statusClass' => $status_class,
+				'statusLabel' => $status_label,
+				'expires'     => self::get_expires_label( $status, $expires ),
+				'action'      => $action,
+				'licenseKey'  => $action === 'deactivate' ? (string) get_option( "{$option_slug}_license_key", '' ) : '',
+				'renewUrl'    => $addon['store_url'] ?? 'https://albertwp.com',
+			];
+		}
+
+		return $licenses;
+	}
+
+	/**
+	 * Status dot modifier and label for an EDD license status.
+	 *
+	 * @since 1.2.0
 	 *
 	 * @param string $status The EDD license status.
 	 *
-	 * @return void
+	 * @return array{0: string, 1: string} Dot modifier (valid|expired|invalid|none) and label.
 	 */
-	private static function render_status( string $status ): void {
+	private static function get_status_display( string $status ): array {
 		switch ( $status ) {
 			case 'valid':
-				$class = 'albert-status-dot--valid';
-				$label = __( 'Active', 'albert-ai-butler' );
-				break;
+				return [ 'valid', __( 'Active', 'albert-ai-butler' ) ];
 
 			case 'expired':
-				$class = 'albert-status-dot--expired';
-				$label = __( 'Expired', 'albert-ai-butler' );
-				break;
+				return [ 'expired', __( 'Expired', 'albert-ai-butler' ) ];
 
 			case 'disabled':
 			case 'invalid':
 			case 'site_inactive':
 			case 'item_name_mismatch':
 			case 'no_activations_left':
-				$class = 'albert-status-dot--invalid';
-				$label = ucfirst( str_replace( '_', ' ', $status ) );
-				break;
+				return [ 'invalid', ucfirst( str_replace( '_', ' ', $status ) ) ];
 
 			default:
-				$class = 'albert-status-dot--none';
-				$label = __( 'Not activated', 'albert-ai-butler' );
-				break;
+				return [ 'none', __( 'Not activated', 'albert-ai-butler' ) ];
 		}
-
-		echo '<span class="albert-status-dot ' . esc_attr( $class ) . '"></span> ';
-		echo esc_html( $label );
 	}
 
 	/**
-	 * Render the "Expires" cell content.
+	 * Text of the "Expires" cell; empty when there is nothing to show.
 	 *
-	 * @since 1.1.0
+	 * @since 1.2.0
 	 *
 	 * @param string $status  The license status.
 	 * @param string $expires The expiration date string.
 	 *
-	 * @return void
+	 * @return string
 	 */
-	private static function render_expires( string $status, string $expires ): void {
+	private static function get_expires_label( string $status, string $expires ): string {
 		if ( empty( $status ) || $status === 'inactive' || empty( $expires ) ) {
-			echo '<span class="albert-no-license">&mdash;</span>';
-			return;
+			return '';
 		}
 
 		if ( $expires === 'lifetime' ) {
-			echo esc_html__( 'Lifetime', 'albert-ai-butler' );
-			return;
+			return __( 'Lifetime', 'albert-ai-butler' );
 		}
 
 		$timestamp = strtotime( $expires );
 		$formatted = $timestamp !== false ? wp_date( get_option( 'date_format' ), $timestamp ) : false;
-		if ( $formatted !== false ) {
-			echo esc_html( $formatted );
-		} else {
-			echo esc_html( $expires );
-		}
+
+		return $formatted !== false ? $formatted : $expires;
 	}
 
 	/**
@@ -633,24 +695,20 @@ class Settings implements Hookable {
 	 *
 	 * @since 1.1.0
 	 *
-	 * @param string $status      The license status.
-	 * @param string $option_slug The addon option slug (basename of plugin dir).
-	 * @param string $name        The addon name.
-	 * @param string $store_url   The addon store URL.
-	 * @param string $license_key The stored license key.
+	 * @param array<string, string> $license Entry from {@see self::get_licenses_data()}.
 	 *
 	 * @return void
 	 */
-	private static function render_actions( string $status, string $option_slug, string $name, string $store_url, string $license_key = '' ): void {
-		if ( $status === 'valid' ) {
+	private static function render_actions( array $license ): void {
+		if ( $license['action'] === 'deactivate' ) {
 			echo '<button type="button" class="albert-deactivate-btn"'
-				. ' data-option-slug="' . esc_attr( $option_slug ) . '"'
-				. ' data-addon-name="' . esc_attr( $name ) . '"'
-				. ' data-license-key="' . esc_attr( $license_key ) . '">'
+				. ' data-option-slug="' . esc_attr( $license['slug'] ) . '"'
+				. ' data-addon-name="' . esc_attr( $license['name'] ) . '"'
+				. ' data-license-key="' . esc_attr( $license['licenseKey'] ) . '">'
 				. esc_html__( 'Deactivate', 'albert-ai-butler' )
 				. '</button>';
-		} elseif ( $status === 'expired' ) {
-			echo '<a href="' . esc_url( $store_url ) . '" target="_blank" rel="noopener noreferrer" class="button button-small">'
+		} elseif ( $license['action'] === 'renew' ) {
+			echo '<a href="' . esc_url( $license['renewUrl'] ) . '" target="_blank" rel="noopener noreferrer" class="button button-small">'
 				. esc_html__( 'Renew', 'albert-ai-butler' )
 				. '</a>';
 		} else {
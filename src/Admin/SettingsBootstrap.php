@@ -78,20 +78,27 @@ class SettingsBootstrap {
 			?>
 			<div id="albert-license-notice" class="albert-license-notice" hidden></div>
 			<div class="albert-license-form">
-				<input
-					type="text"
+				<label for="albert-license-key" class="screen-reader-text"><?php esc_html_e( 'License keys', 'albert-ai-butler' ); ?></label>
+				<textarea
 					id="albert-license-key"
-					class="albert-text-input"
+					class="albert-text-input albert-license-keys"
+					rows="2"
 					placeholder="<?php esc_attr_e( 'Enter your license key', 'albert-ai-butler' ); ?>"
+					aria-describedby="albert-license-hint"
 					autocomplete="off"
-				/>
+					spellcheck="false"
+				></textarea>
 				<button type="button" id="albert-activate-btn" class="button button-primary">
 					<?php esc_html_e( 'Activate', 'albert-ai-butler' ); ?>
 				</button>
 			</div>
-			<p class="albert-field-description albert-license-hint">
-				<?php esc_html_e( 'Enter your license key. It will be automatically matched to the correct addon.', 'albert-ai-butler' ); ?>
+			<p class="albert-field-description albert-license-hint" id="albert-license-hint">
+				<?php esc_html_e( 'Enter your license key. It will be automatically matched to the correct addon. To activate several at once, paste one key per line (Shift+Enter starts a new line).', 'albert-ai-butler' ); ?>
 			</p>
+			<div id="albert-license-results" class="albert-license-results" hidden>
+				<h3 class="albert-license-results-title"><?php esc_html_e( 'Activation results', 'albert-ai-butler' ); ?></h3>
+				<ul id="albert-license-results-list" class="albert-license-results-list"></ul>
+			</div>
 			<div id="albert-addons-table-wrap">
 				<?php Settings::render_licenses_table(); ?>
 			</div>
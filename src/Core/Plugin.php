@@ -43,12 +43,16 @@ use Albert\Abilities\WooCommerce\ViewCustomer;
 use Albert\Abilities\WooCommerce\ViewOrder;
 use Albert\Abilities\WooCommerce\ViewProduct;
 use Albert\Admin\AbilitiesPage;
+use Albert\Admin\ActivityLog;
 use Albert\Admin\Connections;
 use Albert\Admin\Dashboard;
+use Albert\Admin\LicenseNotices;
+use Albert\Admin\PermissionsPage;
 use Albert\Admin\Settings;
 use Albert\Logging\Installer as LoggingInstaller;
 use Albert\Logging\Logger;
 use Albert\Logging\Repository as LoggingRepository;
+use Albert\MCP\AbilityGrants;
 use Albert\MCP\Server as McpServer;
 use Albert\OAuth\Database\Installer as OAuthInstaller;
 use Albert\OAuth\Endpoints\AuthorizationPage;
@@ -161,12 +165,21 @@ class Plugin {
 			// Unified abilities page (toggle abilities on/off).
 			( new AbilitiesPage() )->register_hooks();
 
+			// Per-user ability permissions matrix.
+			( new PermissionsPage() )->register_hooks();
+
 			// Connections page (allowed users + active sessions).
 			( new Connections() )->register_hooks();
 
+			// Activity page (filterable, exportable ability log).
+			( new ActivityLog( $logging_repository ) )->register_hooks();
+
 			// Settings page (MCP endpoint, developer options, licenses).
 			( new Settings() )->register_hooks();
 
+			// License expiry banners on every Albert page.
+			( new LicenseNotices() )->register_hooks();
+
 			// Addon submenu pages (registered via filter at priority 15).
 			add_action( 'admin_menu', [ $this, 'register_addon_admin_pages' ], 15 );
 		}
@@ -186,6 +199,9 @@ class Plugin {
 		// Register MCP server (uses OAuth for authentication).
 		( new McpServer() )->register_hooks();
 
+		// Enforce the abilities each connection was granted on the consent page.
+		( new AbilityGrants() )->register_hooks();
+
 		// Initialize the MCP adapter, but not on admin pages.
 		//
 		// McpAdapter::instance() hooks the adapter's init() to rest_api_init, which
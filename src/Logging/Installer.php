@@ -14,7 +14,8 @@ defined( 'ABSPATH' ) || exit;
 /**
  * Installer class
  *
- * Handles creation and management of the ability log database table.
+ * Handles creation and management of the ability log database table and
+ * the per-day run counts kept next to it.
  *
  * @since 1.1.0
  */
@@ -26,7 +27,7 @@ class Installer {
 	 * @since 1.1.0
 	 * @var string
 	 */
-	const DB_VERSION = '1.0.0';
+	const DB_VERSION = '1.1.0';
 
 	/**
 	 * Option name for storing database version.
@@ -37,7 +38,7 @@ class Installer {
 	const DB_VERSION_OPTION = 'albert_logging_db_version';
 
 	/**
-	 * Install database table.
+	 * Install database tables.
 	 *
 	 * @return void
 	 * @since 1.1.0
@@ -52,7 +53,7 @@ class Installer {
 	}
 
 	/**
-	 * Create database table.
+	 * Create database tables.
 	 *
 	 * @return void
 	 * @since 1.1.0
@@ -60,8 +61,9 @@ class Installer {
 	private static function create_table(): void {
 		global $wpdb;
 
-		$charset_collate = $wpdb->get_charset_collate();
-		$table_name      = self::get_table_name();
+		$charset_collate  = $wpdb->get_charset_collate();
+		$table_name       = self::get_table_name();
+		$daily_table_name = self::get_daily_table_name();
 
 		$sql = "CREATE TABLE {$table_name} (
 			id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
@@ -72,6 +74,13 @@ class Installer {
 			KEY ability_created (ability_name, created_at)
 		) $charset_collate;\n\n";
 
+		$sql .= "CREATE TABLE {$daily_table_name} (
+			ability_name varchar(191) NOT NULL,
+			day date NOT NULL,
+			runs int(10) unsigned NOT NULL DEFAULT 0,
+			PRIMARY KEY  (ability_name,day)
+		) $charset_collate;\n\n";
+
 		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
 		dbDelta( $sql );
 	}
@@ -89,7 +98,19 @@ class Installer {
 	}
 
 	/**
-	 * Uninstall database table.
+	 * Get the name of the per-day run count table.
+	 *
+	 * @return string The full table name with prefix.
+	 * @since 1.2.0
+	 */
+	public static function get_daily_table_name(): string {
+		global $wpdb;
+
+		return $wpdb->prefix . 'albert_ability_daily_runs';
+	}
+
+	/**
+	 * Uninstall database tables.
 	 *
 	 * Only call this on plugin uninstall, not deactivation.
 	 *
@@ -99,10 +120,10 @@ class Installer {
 	public static function uninstall(): void {
 		global $wpdb;
 
-		$table_name = self::get_table_name();
-
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange -- Schema change required for uninstall.
-		$wpdb->query( $wpdb->prepare( 'DROP TABLE IF EXISTS %i', $table_name ) );
+		foreach ( [ self::get_table_name(), self::get_daily_table_name() ] as $table_name ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange -- Schema change required for uninstall.
+			$wpdb->query( $wpdb->prepare( 'DROP TABLE IF EXISTS %i', $table_name ) );
+		}
 
 		delete_option( self::DB_VERSION_OPTION );
 	}
@@ -15,7 +15,10 @@ defined( 'ABSPATH' ) || exit;
  * Repository class
  *
  * Handles database operations for the ability log table.
- * Free tier retains only the last 2 records per ability_name.
+ * Free tier retains only the last 2 records per ability_name; the
+ * `albert/logging/retention` filter can raise that. Every run is also
+ * counted per ability and day for DAILY_COUNT_DAYS days, so usage charts
+ * don't depend on how many log rows are kept.
  *
  * @since 1.1.0
  */
@@ -29,6 +32,14 @@ class Repository {
 	 */
 	const RETENTION_COUNT = 2;
 
+	/**
+	 * Number of days the per-day run counts are kept.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const DAILY_COUNT_DAYS = 30;
+
 	/**
 	 * Insert a log entry and prune old entries for the ability.
 	 *
@@ -54,7 +65,72 @@ class Repository {
 		);
 
 		// Prune old entries after insert.
-		$this->prune_for_ability( $ability_name );
+		$this->prune_for_ability( $ability_name, self::retention_for( $ability_name ) );
+
+		$this->count_run( $ability_name );
+	}
+
+	/**
+	 * Add one run to an ability's count for a day and drop its counts
+	 * older than DAILY_COUNT_DAYS.
+	 *
+	 * @param string      $ability_name The ability identifier.
+	 * @param string|null $day          Day as `Y-m-d`. Default today in the site's timezone.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function count_run( string $ability_name, ?string $day = null ): void {
+		global $wpdb;
+
+		$table_name = Installer::get_daily_table_name();
+		$day        = $day ?? current_time( 'Y-m-d' );
+		$cutoff     = gmdate( 'Y-m-d', (int) strtotime( $day . ' -' . ( self::DAILY_COUNT_DAYS - 1 ) . ' days' ) );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Atomic upsert required for counting.
+		$wpdb->query(
+			$wpdb->prepare(
+				'INSERT INTO %i (ability_name, day, runs) VALUES (%s, %s, 1) ON DUPLICATE KEY UPDATE runs = runs + 1',
+				$table_name,
+				$ability_name,
+				$day
+			)
+		);
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Direct query required for pruning.
+		$wpdb->query(
+			$wpdb->prepare(
+				'DELETE FROM %i WHERE ability_name = %s AND day < %s',
+				$table_name,
+				$ability_name,
+				$cutoff
+			)
+		);
+	}
+
+	/**
+	 * Number of log entries kept for an ability.
+	 *
+	 * @param string $ability_name The ability identifier.
+	 *
+	 * @return int At least 1.
+	 * @since 1.2.0
+	 */
+	public static function retention_for( string $ability_name ): int {
+		/**
+		 * Filters how many log entries are kept per ability.
+		 *
+		 * The abilities page lists an ability's recent callers from these
+		 * rows, so a higher value gives that list more history to show.
+		 *
+		 * @since 1.2.0
+		 *
+		 * @param int    $keep         Entries to keep. Default RETENTION_COUNT (2).
+		 * @param string $ability_name The ability identifier.
+		 */
+		$keep = (int) apply_filters( 'albert/logging/retention', self::RETENTION_COUNT, $ability_name );
+
+		return max( 1, $keep );
 	}
 
 	/**
@@ -129,6 +205,176 @@ class Repository {
 		return is_array( $rows ) ? $rows : [];
 	}
 
+	/**
+	 * Get the most recent log entries for one ability.
+	 *
+	 * @param string $ability_name The ability identifier.
+	 * @param int    $limit        Maximum number of rows to return.
+	 *
+	 * @return array<int, object{id: int, ability_name: string, user_id: int, created_at: string}> List of log rows, newest first.
+	 * @since 1.2.0
+	 */
+	public function recent_for_ability( string $ability_name, int $limit = 5 ): array {
+		global $wpdb;
+
+		$table_name = Installer::get_table_name();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Direct query required for the ability activity panel.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT id, ability_name, user_id, created_at FROM %i WHERE ability_name = %s ORDER BY created_at DESC, id DESC LIMIT %d',
+				$table_name,
+				$ability_name,
+				$limit
+			)
+		);
+
+		return is_array( $rows ) ? $rows : [];
+	}
+
+	/**
+	 * Count executions of one ability per calendar day.
+	 *
+	 * Reads the per-day counts, which outlive the pruned log rows but only
+	 * go back DAILY_COUNT_DAYS days. Days without any runs are omitted, so
+	 * callers fill the gaps themselves.
+	 *
+	 * @param string $ability_name The ability identifier.
+	 * @param string $since        Earliest day to include (`Y-m-d`).
+	 *
+	 * @return array<string, int> Map of `Y-m-d` => run count, oldest first.
+	 * @since 1.2.0
+	 */
+	public function daily_counts_for_ability( string $ability_name, string $since ): array {
+		global $wpdb;
+
+		$table_name = Installer::get_daily_table_name();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Direct query required for the ability activity panel.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				'SELECT day, runs FROM %i WHERE ability_name = %s AND day >= %s ORDER BY day ASC',
+				$table_name,
+				$ability_name,
+				$since
+			)
+		);
+
+		$counts = [];
+		foreach ( is_array( $rows ) ? $rows : [] as $row ) {
+			$counts[ (string) $row->day ] = (int) $row->runs;
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Query log entries with filters and an id cursor.
+	 *
+	 * Rows come back newest first (by id, which follows insertion order).
+	 * Page backwards with `before_id` set to the last id of the previous
+	 * page; fetch entries newer than the first one shown with `after_id`.
+	 *
+	 * @param array{ability?: string, user_id?: int, from?: string, to?: string, before_id?: int, after_id?: int, limit?: int} $args {
+	 *     Optional. Query arguments.
+	 *
+	 *     @type string $ability   Exact ability identifier.
+	 *     @type int    $user_id   User who executed the ability.
+	 *     @type string $from      First day to include, `Y-m-d`.
+	 *     @type string $to        Last day to include, `Y-m-d`.
+	 *     @type int    $before_id Only rows with a smaller id.
+	 *     @type int    $after_id  Only rows with a larger id.
+	 *     @type int    $limit     Maximum rows. Default 50.
+	 * }
+	 *
+	 * @return array<int, object{id: int, ability_name: string, user_id: int, created_at: string}> List of log rows, newest first.
+	 * @since 1.2.0
+	 */
+	public function query( array $args = [] ): array {
+		global $wpdb;
+
+		$table_name = Installer::get_table_name();
+		$clauses    = [];
+		$values     = [ $table_name ];
+
+		if ( ! empty( $args['ability'] ) ) {
+			$clauses[] = 'ability_name = %s';
+			$values[]  = (string) $args['ability'];
+		}
+		if ( ! empty( $args['user_id'] ) ) {
+			$clauses[] = 'user_id = %d';
+			$values[]  = (int) $args['user_id'];
+		}
+		if ( ! empty( $args['from'] ) ) {
+			$clauses[] = 'created_at >= %s';
+			$values[]  = $args['from'] . ' 00:00:00';
+		}
+		if ( ! empty( $args['to'] ) ) {
+			$clauses[] = 'created_at <= %s';
+			$values[]  = $args['to'] . ' 23:59:59';
+		}
+		if ( ! empty( $args['before_id'] ) ) {
+			$clauses[] = 'id < %d';
+			$values[]  = (int) $args['before_id'];
+		}
+		if ( ! empty( $args['after_id'] ) ) {
+			$clauses[] = 'id > %d';
+			$values[]  = (int) $args['after_id'];
+		}
+		$values[] = max( 1, (int) ( $args['limit'] ?? 50 ) );
+
+		$where = $clauses ? 'WHERE ' . implode( ' AND ', $clauses ) : '';
+
+		// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $where only holds fixed placeholder clauses.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT id, ability_name, user_id, created_at FROM %i {$where} ORDER BY id DESC LIMIT %d",
+				...$values
+			)
+		);
+		// phpcs:enable
+
+		return is_array( $rows ) ? $rows : [];
+	}
+
+	/**
+	 * Every ability identifier that has at least one log entry.
+	 *
+	 * @return array<int, string> Ability identifiers, sorted.
+	 * @since 1.2.0
+	 */
+	public function logged_abilities(): array {
+		global $wpdb;
+
+		$table_name = Installer::get_table_name();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Direct query required for the activity log filters.
+		$names = $wpdb->get_col(
+			$wpdb->prepare( 'SELECT DISTINCT ability_name FROM %i ORDER BY ability_name ASC', $table_name )
+		);
+
+		return array_map( 'strval', is_array( $names ) ? $names : [] );
+	}
+
+	/**
+	 * Every user id that has at least one log entry.
+	 *
+	 * @return array<int, int> User ids, ascending.
+	 * @since 1.2.0
+	 */
+	public function logged_user_ids(): array {
+		global $wpdb;
+
+		$table_name = Installer::get_table_name();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Direct query required for the activity log filters.
+		$ids = $wpdb->get_col(
+			$wpdb->prepare( 'SELECT DISTINCT user_id FROM %i ORDER BY user_id ASC', $table_name )
+		);
+
+		return array_map( 'intval', is_array( $ids ) ? $ids : [] );
+	}
+
 	/**
 	 * Get the latest log entry for each ability in a list.
 	 *
@@ -232,7 +478,7 @@ class Repository {
 	}
 
 	/**
-	 * Truncate the entire log table.
+	 * Truncate the entire log table and the per-day run counts.
 	 *
 	 * Use with caution. Primarily for testing or complete reset.
 	 *
@@ -242,9 +488,9 @@ class Repository {
 	public function truncate(): void {
 		global $wpdb;
 
-		$table_name = Installer::get_table_name();
-
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Direct query required for truncate.
-		$wpdb->query( $wpdb->prepare( 'TRUNCATE TABLE %i', $table_name ) );
+		foreach ( [ Installer::get_table_name(), Installer::get_daily_table_name() ] as $table_name ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Direct query required for truncate.
+			$wpdb->query( $wpdb->prepare( 'TRUNCATE TABLE %i', $table_name ) );
+		}
 	}
 }
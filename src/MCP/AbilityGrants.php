@@ -0,0 +1,269 @@
+<?php
+/**
+ * Ability Grants
+ *
+ * @package Albert
+ * @subpackage MCP
+ * @since      1.2.0
+ */
+
+namespace Albert\MCP;
+
+defined( 'ABSPATH' ) || exit;
+
+use Albert\Admin\PermissionsPage;
+use Albert\Contracts\Interfaces\Hookable;
+use WP_Error;
+
+/**
+ * AbilityGrants class
+ *
+ * Holds the abilities a user allowed a client to use on the OAuth consent
+ * page. The choice is kept per user and client, copied onto every access
+ * token issued for that pair (see AccessTokenRepository), and loaded back
+ * from the token by {@see Server::permission_callback()} for the request.
+ * The grant limits which abilities can run, which are discovered, and
+ * which get-ability-info describes.
+ *
+ * A grant of null means "everything that is enabled" — what tokens issued
+ * before per-ability consent existed, and full approvals, carry.
+ *
+ * @since 1.2.0
+ */
+class AbilityGrants implements Hookable {
+
+	/**
+	 * User meta key holding the grants, keyed by client ID.
+	 *
+	 * @since 1.2.0
+	 * @var string
+	 */
+	const META_KEY = 'albert_oauth_grants';
+
+	/**
+	 * Abilities granted to the token of the current request.
+	 *
+	 * Null outside MCP requests and for unrestricted tokens.
+	 *
+	 * @since 1.2.0
+	 * @var array<int, string>|null
+	 */
+	private static ?array $current = null;
+
+	/**
+	 * Register WordPress hooks.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public function register_hooks(): void {
+		add_filter( 'wp_register_ability_args', [ $this, 'guard_permission_callback' ], 20, 2 );
+		add_filter( 'wp_register_ability_args', [ $this, 'guard_discovery' ], 20, 2 );
+		add_filter( 'wp_register_ability_args', [ $this, 'guard_ability_info' ], 20, 2 );
+	}
+
+	/**
+	 * Store the abilities a user granted to a client.
+	 *
+	 * @param int                     $user_id   The user ID.
+	 * @param string                  $client_id The OAuth client ID.
+	 * @param array<int, string>|null $abilities Granted ability names, or null for all.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public static function save( int $user_id, string $client_id, ?array $abilities ): void {
+		$grants = get_user_meta( $user_id, self::META_KEY, true );
+		$grants = is_array( $grants ) ? $grants : [];
+
+		if ( $abilities === null ) {
+			unset( $grants[ $client_id ] );
+		} else {
+			$grants[ $client_id ] = array_values( array_unique( $abilities ) );
+		}
+
+		update_user_meta( $user_id, self::META_KEY, $grants );
+	}
+
+	/**
+	 * The abilities a user granted to a client.
+	 *
+	 * @param int    $user_id   The user ID.
+	 * @param string $client_id The OAuth client ID.
+	 *
+	 * @return array<int, string>|null Granted ability names, or null for all.
+	 * @since 1.2.0
+	 */
+	public static function get( int $user_id, string $client_id ): ?array {
+		$grants = get_user_meta( $user_id, self::META_KEY, true );
+
+		if ( ! is_array( $grants ) || ! isset( $grants[ $client_id ] ) || ! is_array( $grants[ $client_id ] ) ) {
+			return null;
+		}
+
+		return $grants[ $client_id ];
+	}
+
+	/**
+	 * Set the grant that applies to the current request.
+	 *
+	 * @param array<int, string>|null $abilities Granted ability names, or null for all.
+	 *
+	 * @return void
+	 * @since 1.2.0
+	 */
+	public static function set_current( ?array $abilities ): void {
+		self::$current = $abilities;
+	}
+
+	/**
+	 * Whether the current request may use an ability.
+	 *
+	 * The MCP adapter's own tools are how the granted abilities are reached,
+	 * so they are always allowed.
+	 *
+	 * @param string $ability_name Ability name.
+	 *
+	 * @return bool
+	 * @since 1.2.0
+	 */
+	public static function allows( string $ability_name ): bool {
+		if ( self::$current === null || str_starts_with( $ability_name, 'mcp-adapter/' ) ) {
+			return true;
+		}
+
+		return in_array( $ability_name, self::$current, true );
+	}
+
+	/**
+	 * Wrap every ability's permission callback with the grant check.
+	 *
+	 * Also applies the per-user denials from the Permissions screen
+	 * ({@see PermissionsPage}), for every caller and not only over MCP.
+	 *
+	 * @param array<string, mixed> $args Ability arguments.
+	 * @param string               $name Ability name.
+	 *
+	 * @return array<string, mixed> Modified arguments.
+	 * @since 1.2.0
+	 */
+	public function guard_permission_callback( array $args, string $name ): array {
+		if ( ! isset( $args['permission_callback'] ) || ! is_callable( $args['permission_callback'] ) ) {
+			return $args;
+		}
+
+		$callback = $args['permission_callback'];
+
+		$args['permission_callback'] = static function ( ...$params ) use ( $callback, $name ) {
+			if ( ! self::allows( $name ) ) {
+				return new WP_Error(
+					'ability_not_granted',
+					sprintf(
+						/* translators: %s: ability name */
+						__( 'This connection was not granted access to the ability "%s".', 'albert-ai-butler' ),
+						$name
+					),
+					[ 'status' => 403 ]
+				);
+			}
+
+			if ( ! PermissionsPage::is_allowed( get_current_user_id(), $name ) ) {
+				return new WP_Error(
+					'ability_not_permitted',
+					sprintf(
+						/* translators: %s: ability name */
+						__( 'Your account is not allowed to use the ability "%s".', 'albert-ai-butler' ),
+						$name
+					),
+					[ 'status' => 403 ]
+				);
+			}
+
+			return $callback( ...$params );
+		};
+
+		return $args;
+	}
+
+	/**
+	 * Leave abilities the current request may not use out of discovery.
+	 *
+	 * Wraps the execute callback of the adapter's discover-abilities tool
+	 * so a client only lists what it was granted on the consent page and
+	 * what its user is allowed on the Permissions screen. Results of any
+	 * other shape are passed through untouched.
+	 *
+	 * @param array<string, mixed> $args Ability arguments.
+	 * @param string               $name Ability name.
+	 *
+	 * @return array<string, mixed> Modified arguments.
+	 * @since 1.2.0
+	 */
+	public function guard_discovery( array $args, string $name ): array {
+		if ( 'mcp-adapter/discover-abilities' !== $name || ! isset( $args['execute_callback'] ) || ! is_callable( $args['execute_callback'] ) ) {
+			return $args;
+		}
+
+		$callback = $args['execute_callback'];
+
+		$args['execute_callback'] = static function ( ...$params ) use ( $callback ) {
+			$result = $callback( ...$params );
+
+			if ( ! is_array( $result ) || ! isset( $result['abilities'] ) || ! is_array( $result['abilities'] ) ) {
+				return $result;
+			}
+
+			$user_id             = get_current_user_id();
+			$result['abilities'] = array_values(
+				array_filter(
+					$result['abilities'],
+					static function ( $ability ) use ( $user_id ): bool {
+						$ability_name = is_array( $ability ) ? (string) ( $ability['name'] ?? '' ) : '';
+
+						return '' === $ability_name || ( self::allows( $ability_name ) && PermissionsPage::is_allowed( $user_id, $ability_name ) );
+					}
+				)
+			);
+
+			return $result;
+		};
+
+		return $args;
+	}
+
+	/**
+	 * Refuse to describe abilities the current request may not use.
+	 *
+	 * Wraps the permission callback of the adapter's get-ability-info tool,
+	 * with the same filter as {@see self::guard_discovery()}. The refusal is
+	 * the adapter's own answer for an ability that does not exist, so a
+	 * client cannot tell an ungranted ability from an unknown one.
+	 *
+	 * @param array<string, mixed> $args Ability arguments.
+	 * @param string               $name Ability name.
+	 *
+	 * @return array<string, mixed> Modified arguments.
+	 * @since 1.2.0
+	 */
+	public function guard_ability_info( array $args, string $name ): array {
+		if ( 'mcp-adapter/get-ability-info' !== $name || ! isset( $args['permission_callback'] ) || ! is_callable( $args['permission_callback'] ) ) {
+			return $args;
+		}
+
+		$callback = $args['permission_callback'];
+
+		$args['permission_callback'] = static function ( ...$params ) use ( $callback ) {
+			$input        = $params[0] ?? [];
+			$ability_name = is_array( $input ) ? (string) ( $input['ability_name'] ?? '' ) : '';
+
+			if ( '' !== $ability_name && ( ! self::allows( $ability_name ) || ! PermissionsPage::is_allowed( get_current_user_id(), $ability_name ) ) ) {
+				// Matches GetAbilityInfoAbility::check_permission(), untranslated like it.
+				return new WP_Error( 'ability_not_found', sprintf( "Ability '%s' not found", $ability_name ) );
+			}
+
+			return $callback( ...$params );
+		};
+
+		return $args;
+	}
+}
@@ -11,8 +11,10 @@ namespace Albert\MCP;
 
 defined( 'ABSPATH' ) || exit;
 
+use Albert\Admin\PermissionsPage;
 use Albert\Contracts\Interfaces\Hookable;
 use Albert\Core\Plugin;
+use Albert\OAuth\Repositories\AccessTokenRepository;
 use Albert\OAuth\Server\TokenValidator;
 use WP\MCP\Core\McpAdapter;
 use WP\MCP\Infrastructure\ErrorHandling\ErrorLogMcpErrorHandler;
@@ -92,7 +94,7 @@ class Server implements Hookable {
 		if ( empty( $token ) ) {
 			// Send headers for OAuth discovery per MCP spec (RFC 6750).
 			// Point to REST API resource endpoint for OAuth discovery.
-			$resource_url = self::get_base_url() . '/wp-json/' . Plugin::rest_namespace() . '/oauth/resource';
+			$resource_url = self::get_resource_metadata_url();
 			header( 'WWW-Authenticate: Bearer realm="MCP", resource="' . $resource_url . '"' );
 		}
 
@@ -144,7 +146,10 @@ class Server implements Hookable {
 	/**
 	 * Permission callback for OAuth authentication.
 	 *
-	 * Validates OAuth 2.0 Bearer tokens and sets the current WordPress user.
+	 * Validates OAuth 2.0 Bearer tokens, sets the current WordPress user,
+	 * turns the user away when they may use no ability at all (see
+	 * {@see PermissionsPage}) and loads the abilities the token was granted
+	 * (see {@see AbilityGrants}).
 	 *
 	 * @param WP_REST_Request<array<string, mixed>> $request The REST request.
 	 *
@@ -163,8 +168,14 @@ class Server implements Hookable {
 			);
 		}
 
-		// Validate the token.
-		$user = TokenValidator::validate_request( $request );
+		// Validate the token once; its metadata also carries the grant.
+		$metadata = TokenValidator::get_token_metadata( $request );
+
+		if ( is_wp_error( $metadata ) ) {
+			return $metadata;
+		}
+
+		$user = TokenValidator::get_token_user( $metadata );
 
 		if ( is_wp_error( $user ) ) {
 			return $user;
@@ -173,6 +184,20 @@ class Server implements Hookable {
 		// Set the current user for the request.
 		wp_set_current_user( $user->ID );
 
+		// A user denied every ability on the Permissions screen has nothing to connect to.
+		if ( ! PermissionsPage::allows_any( $user->ID ) ) {
+			return new WP_Error(
+				'albert_no_abilities',
+				__( 'Your account is not allowed to use any abilities. Ask a site administrator to allow some under Albert → Permissions.', 'albert-ai-butler' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		// Limit the request to the abilities granted on the consent page.
+		AbilityGrants::set_current(
+			( new AccessTokenRepository() )->getTokenAbilities( (string) $metadata['access_token_id'] )
+		);
+
 		return true;
 	}
 
@@ -196,6 +221,17 @@ class Server implements Hookable {
 		return home_url();
 	}
 
+	/**
+	 * Get the protected resource metadata URL advertised in the
+	 * `WWW-Authenticate` header of unauthenticated MCP requests.
+	 *
+	 * @return string The full URL to the REST resource metadata route.
+	 * @since 1.2.0
+	 */
+	public static function get_resource_metadata_url(): string {
+		return self::get_base_url() . '/wp-json/' . Plugin::rest_namespace() . '/oauth/resource';
+	}
+
 	/**
 	 * Get the server endpoint URL.
 	 *
@@ -21,10 +21,12 @@ class Installer {
 	/**
 	 * Database version.
 	 *
+	 * 1.1.0 adds the `abilities` column to access tokens.
+	 *
 	 * @since 1.0.0
 	 * @var string
 	 */
-	const DB_VERSION = '1.0.0';
+	const DB_VERSION = '1.1.0';
 
 	/**
 	 * Option name for storing database version.
@@ -117,6 +119,7 @@ class Installer {
 			client_id varchar(80) NOT NULL,
 			user_id bigint(20) unsigned DEFAULT NULL,
 			scopes text DEFAULT NULL,
+			abilities longtext DEFAULT NULL,
 			revoked tinyint(1) NOT NULL DEFAULT 0,
 			expires_at datetime NOT NULL,
 			created_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
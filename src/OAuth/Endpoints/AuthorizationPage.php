@@ -14,7 +14,11 @@ namespace Albert\OAuth\Endpoints;
 
 defined( 'ABSPATH' ) || exit;
 
+use Albert\Admin\AbilitiesPage;
+use Albert\Admin\PermissionsPage;
 use Albert\Contracts\Interfaces\Hookable;
+use Albert\Core\AnnotationPresenter;
+use Albert\MCP\AbilityGrants;
 use Albert\OAuth\Entities\UserEntity;
 use Albert\OAuth\Repositories\ClientRepository;
 use Albert\OAuth\Server\AuthorizationServerFactory;
@@ -37,6 +41,14 @@ class AuthorizationPage implements Hookable {
 	 */
 	const QUERY_VAR = 'albert_oauth_authorize';
 
+	/**
+	 * Seconds the success page counts down before returning to the client.
+	 *
+	 * @since 1.2.0
+	 * @var int
+	 */
+	const REDIRECT_DELAY = 5;
+
 	/**
 	 * Register WordPress hooks.
 	 *
@@ -65,9 +77,25 @@ class AuthorizationPage implements Hookable {
 			ALBERT_VERSION
 		);
 
+		wp_register_script(
+			'albert-admin-utils',
+			ALBERT_PLUGIN_URL . 'assets/js/albert-admin-utils.js',
+			[],
+			ALBERT_VERSION,
+			true
+		);
+
 		wp_register_script(
 			'albert-oauth-redirect',
-			false,
+			ALBERT_PLUGIN_URL . 'assets/js/oauth-redirect.js',
+			[ 'albert-admin-utils' ],
+			ALBERT_VERSION,
+			true
+		);
+
+		wp_register_script(
+			'albert-oauth-consent',
+			ALBERT_PLUGIN_URL . 'assets/js/oauth-consent.js',
 			[],
 			ALBERT_VERSION,
 			true
@@ -281,6 +309,10 @@ class AuthorizationPage implements Hookable {
 
 			// Validate and complete the authorization request.
 			$auth_request = $server->validateAuthorizationRequest( $psr_request );
+
+			// Remember which abilities the user allowed; tokens copy this grant.
+			AbilityGrants::save( get_current_user_id(), $client->getIdentifier(), $this->read_ability_grant() );
+
 			$auth_request->setUser( new UserEntity( get_current_user_id() ) );
 			$auth_request->setAuthorizationApproved( true );
 
@@ -332,6 +364,7 @@ class AuthorizationPage implements Hookable {
 		$client_name  = $client->getName();
 		$user_name    = $current_user->display_name;
 		$site_name    = get_bloginfo( 'name' );
+		$groups       = $this->get_consent_groups();
 
 		// Start output.
 		nocache_headers();
@@ -339,6 +372,23 @@ class AuthorizationPage implements Hookable {
 
 		$this->enqueue_oauth_styles();
 
+		wp_localize_script(
+			'albert-oauth-consent',
+			'albertConsent',
+			[
+				'i18n' => [
+					/* translators: 1: number of selected abilities, 2: total number of abilities */
+					'selected'        => __( '%1$s of %2$s abilities selected', 'albert-ai-butler' ),
+					/* translators: %s: category name */
+					'selectGroup'     => __( 'Allow all %s abilities', 'albert-ai-butler' ),
+					'noneSelected'    => __( 'Select at least one ability, or deny access.', 'albert-ai-butler' ),
+					/* translators: %s: number of abilities */
+					'destructiveOff'  => __( 'Left out %s abilities that delete data.', 'albert-ai-butler' ),
+					'destructiveNone' => __( 'No selected ability deletes data.', 'albert-ai-butler' ),
+				],
+			]
+		);
+
 		?>
 <!DOCTYPE html>
 <html <?php language_attributes(); ?>>
@@ -346,10 +396,10 @@ class AuthorizationPage implements Hookable {
 	<meta charset="<?php bloginfo( 'charset' ); ?>">
 	<meta name="viewport" content="width=device-width, initial-scale=1.0">
 	<title><?php echo esc_html__( 'Authorize Application', 'albert-ai-butler' ); ?> - <?php echo esc_html( $site_name ); ?></title>
-		<?php wp_print_styles( 'albert-oauth-pages' ); ?>
+		<?php wp_print_styles( [ 'dashicons', 'albert-oauth-pages' ] ); ?>
 </head>
 <body>
-	<div class="auth-container">
+	<div class="auth-container<?php echo ! empty( $groups ) ? ' auth-container--abilities' : ''; ?>">
 		<div class="auth-header">
 			<h1><?php esc_html_e( 'Authorize Application', 'albert-ai-butler' ); ?></h1>
 			<p><?php echo esc_html( $site_name ); ?></p>
@@ -372,7 +422,7 @@ class AuthorizationPage implements Hookable {
 			?>
 		</div>
 
-		<form method="post">
+		<form method="post" class="consent-form">
 			<input type="hidden" name="client_id" value="<?php echo esc_attr( $client->getIdentifier() ); ?>">
 			<input type="hidden" name="redirect_uri" value="<?php echo esc_attr( $redirect_uri ); ?>">
 			<input type="hidden" name="state" value="<?php echo esc_attr( $state ); ?>">
@@ -381,6 +431,65 @@ class AuthorizationPage implements Hookable {
 			<input type="hidden" name="code_challenge_method" value="<?php echo esc_attr( $code_challenge_method ); ?>">
 			<?php wp_nonce_field( 'albert_oauth_authorize', '_albert_nonce' ); ?>
 
+			<?php if ( ! empty( $groups ) ) { ?>
+				<input type="hidden" name="albert_abilities_offered" value="1">
+				<fieldset class="consent-abilities" aria-describedby="consent-hint">
+					<legend class="consent-title"><?php esc_html_e( 'What it will be able to do', 'albert-ai-butler' ); ?></legend>
+					<p class="consent-hint" id="consent-hint">
+						<?php esc_html_e( 'Untick anything you do not want this application to use. You can change this by connecting again.', 'albert-ai-butler' ); ?>
+					</p>
+
+					<div class="consent-toolbar" hidden>
+						<span class="consent-count" aria-live="polite"></span>
+						<button type="button" class="consent-link" data-consent-action="skip-destructive">
+							<?php esc_html_e( 'Leave out abilities that delete data', 'albert-ai-butler' ); ?>
+						</button>
+					</div>
+
+					<div class="consent-groups">
+						<?php foreach ( $groups as $slug => $group ) { ?>
+							<fieldset class="consent-group" data-category="<?php echo esc_attr( $slug ); ?>">
+								<legend class="consent-group-title"><?php echo esc_html( $group['label'] ); ?></legend>
+								<ul class="consent-list">
+									<?php foreach ( $group['abilities'] as $ability ) { ?>
+										<?php $field_id = 'consent-' . sanitize_html_class( str_replace( '/', '-', $ability['id'] ) ); ?>
+										<li class="consent-ability">
+											<input
+												type="checkbox"
+												id="<?php echo esc_attr( $field_id ); ?>"
+												name="albert_abilities[]"
+												value="<?php echo esc_attr( $ability['id'] ); ?>"
+												data-destructive="<?php echo $ability['destructive'] ? '1' : '0'; ?>"
+												checked
+											>
+											<div class="consent-ability-body">
+												<label for="<?php echo esc_attr( $field_id ); ?>" class="consent-ability-label"><?php echo esc_html( $ability['label'] ); ?></label>
+												<?php if ( $ability['description'] !== '' ) { ?>
+													<p class="consent-ability-description"><?php echo esc_html( $ability['description'] ); ?></p>
+												<?php } ?>
+											</div>
+											<?php if ( ! empty( $ability['chips'] ) ) { ?>
+												<ul class="consent-chips" aria-label="<?php esc_attr_e( 'What this ability does', 'albert-ai-butler' ); ?>">
+													<?php foreach ( $ability['chips'] as $chip ) { ?>
+														<li class="consent-chip consent-chip--<?php echo esc_attr( $chip['tone'] ); ?>" title="<?php echo esc_attr( $chip['description'] ); ?>">
+															<span class="dashicons <?php echo esc_attr( $chip['icon'] ); ?>" aria-hidden="true"></span>
+															<?php echo esc_html( $chip['label'] ); ?>
+															<span class="screen-reader-text"><?php echo esc_html( $chip['description'] ); ?></span>
+														</li>
+													<?php } ?>
+												</ul>
+											<?php } ?>
+										</li>
+									<?php } ?>
+								</ul>
+							</fieldset>
+						<?php } ?>
+					</div>
+				</fieldset>
+			<?php } ?>
+
+			<p class="consent-error" role="alert" hidden></p>
+
 			<div class="button-group">
 				<button type="submit" name="approve" value="no" class="button button-secondary">
 					<?php esc_html_e( 'Deny', 'albert-ai-butler' ); ?>
@@ -391,6 +500,11 @@ class AuthorizationPage implements Hookable {
 			</div>
 		</form>
 	</div>
+	<?php
+	if ( ! empty( $groups ) ) {
+		wp_print_scripts( 'albert-oauth-consent' );
+	}
+	?>
 </body>
 </html>
 		<?php
@@ -490,7 +604,11 @@ class AuthorizationPage implements Hookable {
 	/**
 	 * Render the success page after authorization.
 	 *
-	 * Completes the OAuth callback and shows a success message.
+	 * Completes the OAuth callback and shows a success message. The
+	 * redirect script counts down before returning to the client, can be
+	 * paused or cancelled, and falls back to a button and a copyable URL
+	 * when a custom-scheme (desktop app) redirect does not open anything.
+	 * Without JavaScript the fallback is all that is shown.
 	 *
 	 * @param string $redirect_url The OAuth callback URL with authorization code.
 	 * @param string $client_name  The name of the authorized client.
@@ -507,9 +625,32 @@ class AuthorizationPage implements Hookable {
 		$this->enqueue_oauth_styles();
 
 		wp_enqueue_script( 'albert-oauth-redirect' );
-		wp_add_inline_script(
+		wp_localize_script(
 			'albert-oauth-redirect',
-			'setTimeout(function(){window.location.href=' . wp_json_encode( $redirect_url ) . ';},1500);'
+			'albertOAuthRedirect',
+			[
+				'redirectUrl' => $redirect_url,
+				'clientName'  => $client_name,
+				'seconds'     => self::REDIRECT_DELAY,
+				'i18n'        => [
+					/* translators: 1: application name, 2: number of seconds */
+					'countdown'  => __( 'Returning to %1$s in %2$s seconds…', 'albert-ai-butler' ),
+					/* translators: 1: application name, 2: number of seconds */
+					'paused'     => __( 'Paused. Returning to %1$s in %2$s seconds once you resume.', 'albert-ai-butler' ),
+					'pause'      => __( 'Pause', 'albert-ai-butler' ),
+					'resume'     => __( 'Resume', 'albert-ai-butler' ),
+					/* translators: %s: application name */
+					'opening'    => __( 'Opening %s…', 'albert-ai-butler' ),
+					/* translators: %s: application name */
+					'cancelled'  => __( 'Redirect cancelled. Return to %s when you are ready.', 'albert-ai-butler' ),
+					/* translators: %s: application name */
+					'notOpened'  => __( '%s did not open. Use the button below, or copy the authorization URL into the application.', 'albert-ai-butler' ),
+					/* translators: %s: application name */
+					'opened'     => __( '%s is open. You can close this tab.', 'albert-ai-butler' ),
+					'copied'     => __( 'Copied!', 'albert-ai-butler' ),
+					'copyFailed' => __( 'Copy failed. The URL is selected; copy it with your keyboard.', 'albert-ai-butler' ),
+				],
+			]
 		);
 
 		?>
@@ -538,13 +679,31 @@ class AuthorizationPage implements Hookable {
 			);
 			?>
 		</p>
-		<p class="close-message">
-			<?php esc_html_e( 'Redirecting back to the application...', 'albert-ai-butler' ); ?>
-		</p>
-		<p class="fallback-message">
-			<?php esc_html_e( "If the application doesn't open automatically, please click the button below.", 'albert-ai-butler' ); ?>
-		</p>
-		<a href="<?php echo esc_url( $redirect_url ); ?>" class="button"><?php esc_html_e( 'Return to Application', 'albert-ai-butler' ); ?></a>
+		<p class="close-message" id="albert-redirect-status" hidden></p>
+
+		<div class="redirect-controls" id="albert-redirect-controls" hidden>
+			<button type="button" class="button button-secondary" data-redirect-action="pause"><?php esc_html_e( 'Pause', 'albert-ai-butler' ); ?></button>
+			<button type="button" class="button button-secondary" data-redirect-action="cancel"><?php esc_html_e( 'Cancel', 'albert-ai-butler' ); ?></button>
+		</div>
+
+		<div class="redirect-fallback" id="albert-redirect-fallback">
+			<p class="fallback-message">
+				<?php esc_html_e( "If the application doesn't open automatically, please click the button below.", 'albert-ai-butler' ); ?>
+			</p>
+			<a href="<?php echo esc_url( $redirect_url ); ?>" class="button"><?php esc_html_e( 'Return to Application', 'albert-ai-butler' ); ?></a>
+			<div class="redirect-url">
+				<label for="albert-redirect-url"><?php esc_html_e( 'Authorization URL', 'albert-ai-butler' ); ?></label>
+				<div class="redirect-url-field">
+					<input type="text" id="albert-redirect-url" value="<?php echo esc_attr( $redirect_url ); ?>" readonly>
+					<button type="button" class="button button-secondary" data-redirect-action="copy" hidden><?php esc_html_e( 'Copy', 'albert-ai-butler' ); ?></button>
+				</div>
+			</div>
+		</div>
+
+		<div class="redirect-done" id="albert-redirect-done" hidden>
+			<p class="redirect-done-message"></p>
+			<button type="button" class="redirect-link" data-redirect-action="retry"><?php esc_html_e( 'The application did not open?', 'albert-ai-butler' ); ?></button>
+		</div>
 	</div>
 		<?php wp_print_scripts( 'albert-oauth-redirect' ); ?>
 </body>
@@ -553,6 +712,105 @@ class AuthorizationPage implements Hookable {
 		exit;
 	}
 
+	/**
+	 * Enabled abilities offered on the consent page, grouped by category.
+	 *
+	 * The MCP adapter's own tools are left out: they are how the other
+	 * abilities are reached and are always available to a connection.
+	 * So are abilities denied to the user on the Permissions screen.
+	 *
+	 * @return array<string, array{label: string, abilities: array<int, array<string, mixed>>}> Keyed by category slug.
+	 * @since 1.2.0
+	 */
+	private function get_consent_groups(): array {
+		if ( ! function_exists( 'wp_get_abilities' ) ) {
+			return [];
+		}
+
+		$disabled   = AbilitiesPage::get_disabled_abilities();
+		$categories = function_exists( 'wp_get_ability_categories' ) ? wp_get_ability_categories() : [];
+		$user_id    = get_current_user_id();
+		$groups     = [];
+
+		foreach ( wp_get_abilities() as $ability ) {
+			$id = $ability->get_name();
+
+			if ( in_array( $id, $disabled, true ) || str_starts_with( $id, 'mcp-adapter/' ) || ! PermissionsPage::is_allowed( $user_id, $id ) ) {
+				continue;
+			}
+
+			$meta        = (array) $ability->get_meta();
+			$annotations = isset( $meta['annotations'] ) && is_array( $meta['annotations'] ) ? $meta['annotations'] : [];
+			$category    = $ability->get_category();
+
+			if ( ! isset( $groups[ $category ] ) ) {
+				$groups[ $category ] = [
+					'label'     => AbilitiesPage::resolve_category_label( $category, $categories ),
+					'abilities' => [],
+				];
+			}
+
+			$groups[ $category ]['abilities'][] = [
+				'id'          => $id,
+				'label'       => $ability->get_label(),
+				'description' => $ability->get_description(),
+				'chips'       => AnnotationPresenter::chips_for( $annotations, $id ),
+				'destructive' => AnnotationPresenter::is_destructive( $annotations, $id ),
+			];
+		}
+
+		uasort(
+			$groups,
+			static function ( array $a, array $b ): int {
+				return strcasecmp( $a['label'], $b['label'] );
+			}
+		);
+
+		foreach ( $groups as &$group ) {
+			usort(
+				$group['abilities'],
+				static function ( array $a, array $b ): int {
+					return strcasecmp( $a['label'], $b['label'] );
+				}
+			);
+		}
+		unset( $group );
+
+		return $groups;
+	}
+
+	/**
+	 * Read the abilities the user kept ticked on the consent page.
+	 *
+	 * Only abilities that were offered count. Keeping every offered ability
+	 * is stored as a full grant (null), so abilities enabled later are
+	 * covered just as they are for connections made before this choice.
+	 *
+	 * @return array<int, string>|null Granted ability names, or null for all.
+	 * @since 1.2.0
+	 */
+	private function read_ability_grant(): ?array {
+		// Nonce already verified in handle_authorization().
+		// phpcs:disable WordPress.Security.NonceVerification.Missing
+		if ( empty( $_POST['albert_abilities_offered'] ) ) {
+			return null;
+		}
+
+		$picked = isset( $_POST['albert_abilities'] ) && is_array( $_POST['albert_abilities'] )
+			? array_map( 'sanitize_text_field', wp_unslash( $_POST['albert_abilities'] ) )
+			: [];
+		// phpcs:enable
+
+		$offered = [];
+		foreach ( $this->get_consent_groups() as $group ) {
+			$offered = array_merge( $offered, array_column( $group['abilities'], 'id' ) );
+		}
+
+		$granted = array_values( array_intersect( $offered, $picked ) );
+
+		return count( $granted ) === count( $offered ) ? null : $granted;
+	}
+
 	/**
 	 * Get the current request URL.
 	 *
@@ -9,6 +9,7 @@
 
 namespace Albert\OAuth\Repositories;
 
+use Albert\MCP\AbilityGrants;
 use Albert\OAuth\Database\Installer;
 use Albert\OAuth\Entities\AccessTokenEntity;
 use League\OAuth2\Server\Entities\AccessTokenEntityInterface;
@@ -56,6 +57,9 @@ class AccessTokenRepository implements AccessTokenRepositoryInterface {
 	/**
 	 * Persist a new access token to permanent storage.
 	 *
+	 * The abilities the user granted this client on the consent page are
+	 * stored with the token, so tokens issued by a refresh carry them too.
+	 *
 	 * @param AccessTokenEntityInterface $access_token_entity The access token entity.
 	 *
 	 * @return void
@@ -64,8 +68,12 @@ class AccessTokenRepository implements AccessTokenRepositoryInterface {
 	public function persistNewAccessToken( AccessTokenEntityInterface $access_token_entity ): void {
 		global $wpdb;
 
-		$tables = Installer::get_table_names();
-		$scopes = [];
+		$tables    = Installer::get_table_names();
+		$scopes    = [];
+		$abilities = AbilityGrants::get(
+			(int) $access_token_entity->getUserIdentifier(),
+			$access_token_entity->getClient()->getIdentifier()
+		);
 
 		foreach ( $access_token_entity->getScopes() as $scope ) {
 			$scopes[] = $scope->getIdentifier();
@@ -79,11 +87,12 @@ class AccessTokenRepository implements AccessTokenRepositoryInterface {
 				'client_id'  => $access_token_entity->getClient()->getIdentifier(),
 				'user_id'    => $access_token_entity->getUserIdentifier(),
 				'scopes'     => wp_json_encode( $scopes ),
+				'abilities'  => $abilities === null ? null : wp_json_encode( $abilities ),
 				'revoked'    => 0,
 				'expires_at' => $access_token_entity->getExpiryDateTime()->format( 'Y-m-d H:i:s' ),
 				'created_at' => gmdate( 'Y-m-d H:i:s' ),
 			],
-			[ '%s', '%s', '%d', '%s', '%d', '%s', '%s' ]
+			[ '%s', '%s', '%d', '%s', '%s', '%d', '%s', '%s' ]
 		);
 	}
 
@@ -140,6 +149,38 @@ class AccessTokenRepository implements AccessTokenRepositoryInterface {
 		return (bool) $revoked;
 	}
 
+	/**
+	 * Get the abilities an access token was granted.
+	 *
+	 * @param string $token_id The token identifier.
+	 *
+	 * @return array<int, string>|null Granted ability names, or null for all.
+	 * @since 1.2.0
+	 */
+	public function getTokenAbilities( string $token_id ): ?array {
+		global $wpdb;
+
+		$tables = Installer::get_table_names();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$abilities = $wpdb->get_var(
+			$wpdb->prepare(
+				'SELECT abilities FROM %i WHERE token_id = %s',
+				$tables['access_tokens'],
+				$token_id
+			)
+		);
+
+		if ( $abilities === null ) {
+			return null;
+		}
+
+		$decoded = json_decode( $abilities, true );
+
+		// An unreadable grant allows nothing rather than everything.
+		return is_array( $decoded ) ? array_values( array_filter( $decoded, 'is_string' ) ) : [];
+	}
+
 	/**
 	 * Get all access tokens for a user.
 	 *
@@ -34,49 +34,49 @@ class TokenValidator {
 	 * @since 1.0.0
 	 */
 	public static function validate_request( WP_REST_Request $request ): WP_User|WP_Error {
-		try {
-			$server      = ResourceServerFactory::create();
-			$psr_request = Psr7Bridge::to_psr7_request( $request );
-
-			// Validate the request.
-			$validated_request = $server->validateAuthenticatedRequest( $psr_request );
-
-			// Get user ID from the token.
-			$user_id = $validated_request->getAttribute( 'oauth_user_id' );
+		$metadata = self::get_token_metadata( $request );
 
-			if ( empty( $user_id ) ) {
-				return new WP_Error(
-					'oauth_invalid_token',
-					__( 'Token does not contain a valid user identifier.', 'albert-ai-butler' ),
-					[ 'status' => 401 ]
-				);
-			}
+		if ( is_wp_error( $metadata ) ) {
+			return $metadata;
+		}
 
-			// Get the WordPress user.
-			$user = get_user_by( 'id', $user_id );
+		return self::get_token_user( $metadata );
+	}
 
-			if ( ! $user ) {
-				return new WP_Error(
-					'oauth_user_not_found',
-					__( 'User associated with token not found.', 'albert-ai-butler' ),
-					[ 'status' => 401 ]
-				);
-			}
+	/**
+	 * Get the WordPress user a validated token belongs to.
+	 *
+	 * Lets callers that need both the token metadata and the user validate
+	 * the token only once.
+	 *
+	 * @param array<string, mixed> $metadata Token metadata from {@see self::get_token_metadata()}.
+	 *
+	 * @return WP_User|WP_Error The user or an error.
+	 * @since 1.2.0
+	 */
+	public static function get_token_user( array $metadata ): WP_User|WP_Error {
+		$user_id = $metadata['user_id'] ?? null;
 
-			return $user;
-		} catch ( OAuthServerException $e ) {
+		if ( empty( $user_id ) ) {
 			return new WP_Error(
-				'oauth_' . $e->getErrorType(),
-				$e->getMessage(),
+				'oauth_invalid_token',
+				__( 'Token does not contain a valid user identifier.', 'albert-ai-butler' ),
 				[ 'status' => 401 ]
 			);
-		} catch ( Exception $e ) {
+		}
+
+		// Get the WordPress user.
+		$user = get_user_by( 'id', $user_id );
+
+		if ( ! $user ) {
 			return new WP_Error(
-				'oauth_error',
-				$e->getMessage(),
-				[ 'status' => 500 ]
+				'oauth_user_not_found',
+				__( 'User associated with token not found.', 'albert-ai-butler' ),
+				[ 'status' => 401 ]
 			);
 		}
+
+		return $user;
 	}
 
 	/**
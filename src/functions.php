@@ -14,10 +14,12 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 /**
- * AJAX handler: return fresh licenses table HTML.
+ * AJAX handler: return the current license state of every addon.
  *
  * Called by albert-licenses.js after the EDD SL SDK finishes
- * activating or deactivating a license.
+ * activating or deactivating a license (it re-renders the table from
+ * `licenses`), and periodically by albert-license-notices.js to keep the
+ * expiry banners current.
  *
  * @since 1.1.0
  *
@@ -30,9 +32,12 @@ function albert_refresh_licenses_table(): void {
 		wp_send_json_error( [ 'message' => __( 'Insufficient permissions.', 'albert' ) ] );
 	}
 
-	ob_start();
-	\Albert\Admin\Settings::render_licenses_table();
-	wp_send_json_success( [ 'table_html' => ob_get_clean() ] );
+	wp_send_json_success(
+		[
+			'licenses' => \Albert\Admin\Settings::get_licenses_data(),
+			'notices'  => \Albert\Admin\LicenseNotices::get_notices( get_current_user_id() ),
+		]
+	);
 }
 
 add_action( 'wp_ajax_albert_refresh_licenses_table', 'albert_refresh_licenses_table' );
@@ -0,0 +1,187 @@
+<?php
+/**
+ * Integration tests for the ability toggle AJAX endpoints.
+ *
+ * @package Albert
+ */
+
+namespace Albert\Tests\Integration\Admin;
+
+use Albert\Admin\AbilitiesPage;
+use WPAjaxDieContinueException;
+use WPAjaxDieStopException;
+
+/**
+ * AbilitiesPage toggle tests.
+ *
+ * Runs `albert_toggle_abilities` and `albert_toggle_ability` through
+ * admin-ajax and checks the nonce and capability gates and the saved
+ * disabled-abilities option.
+ *
+ * @covers \Albert\Admin\AbilitiesPage::ajax_toggle_abilities
+ * @covers \Albert\Admin\AbilitiesPage::ajax_toggle_ability
+ */
+class AbilitiesPageToggleTest extends \WP_Ajax_UnitTestCase {
+
+	/**
+	 * Register the page's AJAX hooks (the plugin only does so in wp-admin)
+	 * and start from an empty blocklist as an administrator.
+	 *
+	 * @return void
+	 */
+	public function set_up(): void {
+		parent::set_up();
+
+		( new AbilitiesPage() )->register_hooks();
+
+		$this->_setRole( 'administrator' );
+		update_option( AbilitiesPage::DISABLED_ABILITIES_OPTION, [] );
+		delete_option( 'albert_abilities_saved' );
+	}
+
+	/**
+	 * Run an AJAX action and return the decoded JSON response.
+	 *
+	 * @param string               $action AJAX action.
+	 * @param array<string, mixed> $post   Request body.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function ajax( string $action, array $post ): array {
+		$_POST = $post;
+
+		try {
+			$this->_handleAjax( $action );
+		} catch ( WPAjaxDieContinueException $e ) {
+			unset( $e );
+		}
+
+		return (array) json_decode( $this->_last_response, true );
+	}
+
+	/**
+	 * Disabling a batch adds every id to the option once.
+	 *
+	 * @return void
+	 */
+	public function test_bulk_disable_saves_every_id(): void {
+		update_option( AbilitiesPage::DISABLED_ABILITIES_OPTION, [ 'albert/delete-post' ] );
+
+		$response = $this->ajax(
+			'albert_toggle_abilities',
+			[
+				'nonce'       => wp_create_nonce( 'albert_toggle_ability' ),
+				'ability_ids' => 'albert/find-posts, albert/delete-post,albert/view-post',
+				'enabled'     => '0',
+			]
+		);
+
+		$this->assertTrue( $response['success'] );
+		$this->assertSame(
+			[ 'albert/delete-post', 'albert/find-posts', 'albert/view-post' ],
+			get_option( AbilitiesPage::DISABLED_ABILITIES_OPTION )
+		);
+		$this->assertTrue( (bool) get_option( 'albert_abilities_saved' ) );
+	}
+
+	/**
+	 * Enabling a batch removes only those ids.
+	 *
+	 * @return void
+	 */
+	public function test_bulk_enable_removes_only_those_ids(): void {
+		update_option( AbilitiesPage::DISABLED_ABILITIES_OPTION, [ 'albert/delete-post', 'albert/find-posts', 'albert/view-post' ] );
+
+		$response = $this->ajax(
+			'albert_toggle_abilities',
+			[
+				'nonce'       => wp_create_nonce( 'albert_toggle_ability' ),
+				'ability_ids' => 'albert/find-posts,albert/view-post',
+				'enabled'     => '1',
+			]
+		);
+
+		$this->assertTrue( $response['success'] );
+		$this->assertSame( [ 'albert/delete-post' ], get_option( AbilitiesPage::DISABLED_ABILITIES_OPTION ) );
+	}
+
+	/**
+	 * One invalid id rejects the whole batch and saves nothing.
+	 *
+	 * @return void
+	 */
+	public function test_invalid_id_rejects_the_batch(): void {
+		$response = $this->ajax(
+			'albert_toggle_abilities',
+			[
+				'nonce'       => wp_create_nonce( 'albert_toggle_ability' ),
+				'ability_ids' => 'albert/find-posts,not an id',
+				'enabled'     => '0',
+			]
+		);
+
+		$this->assertFalse( $response['success'] );
+		$this->assertSame( [], get_option( AbilitiesPage::DISABLED_ABILITIES_OPTION ) );
+	}
+
+	/**
+	 * The single toggle shares the same storage.
+	 *
+	 * @return void
+	 */
+	public function test_single_toggle_saves_the_option(): void {
+		$response = $this->ajax(
+			'albert_toggle_ability',
+			[
+				'nonce'      => wp_create_nonce( 'albert_toggle_ability' ),
+				'ability_id' => 'albert/delete-post',
+				'enabled'    => 'false',
+			]
+		);
+
+		$this->assertTrue( $response['success'] );
+		$this->assertSame( [ 'albert/delete-post' ], get_option( AbilitiesPage::DISABLED_ABILITIES_OPTION ) );
+	}
+
+	/**
+	 * A bad nonce stops the request before anything is saved.
+	 *
+	 * @return void
+	 */
+	public function test_bad_nonce_is_rejected(): void {
+		$_POST = [
+			'nonce'       => 'invalid',
+			'ability_ids' => 'albert/find-posts',
+			'enabled'     => '0',
+		];
+
+		$this->expectException( WPAjaxDieStopException::class );
+
+		try {
+			$this->_handleAjax( 'albert_toggle_abilities' );
+		} finally {
+			$this->assertSame( [], get_option( AbilitiesPage::DISABLED_ABILITIES_OPTION ) );
+		}
+	}
+
+	/**
+	 * Users without manage_options get a 403 and nothing is saved.
+	 *
+	 * @return void
+	 */
+	public function test_editor_is_rejected(): void {
+		$this->_setRole( 'editor' );
+
+		$response = $this->ajax(
+			'albert_toggle_abilities',
+			[
+				'nonce'       => wp_create_nonce( 'albert_toggle_ability' ),
+				'ability_ids' => 'albert/find-posts',
+				'enabled'     => '0',
+			]
+		);
+
+		$this->assertFalse( $response['success'] );
+		$this->assertSame( [], get_option( AbilitiesPage::DISABLED_ABILITIES_OPTION ) );
+	}
+}
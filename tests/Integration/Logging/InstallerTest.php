@@ -51,6 +51,20 @@ class InstallerTest extends TestCase {
 		$this->assertContains( 'created_at', $columns );
 	}
 
+	/**
+	 * Creates the per-day run count table.
+	 *
+	 * @return void
+	 */
+	public function test_install_creates_daily_count_table(): void {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Schema introspection.
+		$columns = $wpdb->get_col( $wpdb->prepare( 'SHOW COLUMNS FROM %i', Installer::get_daily_table_name() ) );
+
+		$this->assertSame( [ 'ability_name', 'day', 'runs' ], $columns );
+	}
+
 	/**
 	 * Records the installed db_version in its option.
 	 *
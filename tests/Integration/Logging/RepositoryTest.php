@@ -109,6 +109,24 @@ class RepositoryTest extends TestCase {
 		$this->assertCount( 1, $this->all_rows_for( 'albert/beta' ) );
 	}
 
+	/**
+	 * The retention filter raises how many rows insert() keeps.
+	 *
+	 * @return void
+	 */
+	public function test_insert_respects_retention_filter(): void {
+		$keep_five = static fn(): int => 5;
+		add_filter( 'albert/logging/retention', $keep_five );
+
+		for ( $i = 1; $i <= 7; $i++ ) {
+			$this->repository->insert( 'albert/long', $i );
+		}
+
+		remove_filter( 'albert/logging/retention', $keep_five );
+
+		$this->assertCount( 5, $this->all_rows_for( 'albert/long' ) );
+	}
+
 	// ─── latest_for_ability() ───────────────────────────────────────
 
 	/**
@@ -261,6 +279,146 @@ class RepositoryTest extends TestCase {
 		$this->assertSame( 99, (int) $latest->user_id );
 	}
 
+	// ─── recent_for_ability() and daily_counts_for_ability() ─────────
+
+	/**
+	 * Returns only the requested ability's rows, newest first.
+	 *
+	 * @return void
+	 */
+	public function test_recent_for_ability_filters_and_orders(): void {
+		$this->repository->insert( 'albert/mine', 1 );
+		$this->repository->insert( 'albert/other', 2 );
+		$this->repository->insert( 'albert/mine', 3 );
+
+		$rows = $this->repository->recent_for_ability( 'albert/mine' );
+
+		$this->assertCount( 2, $rows );
+		$this->assertSame( 3, (int) $rows[0]->user_id );
+		$this->assertSame( 1, (int) $rows[1]->user_id );
+	}
+
+	/**
+	 * Returns the counted runs per day and skips days before the cutoff.
+	 *
+	 * @return void
+	 */
+	public function test_daily_counts_for_ability_groups_by_day(): void {
+		$this->repository->count_run( 'albert/daily', '2026-03-01' );
+		$this->repository->count_run( 'albert/daily', '2026-03-01' );
+		$this->repository->count_run( 'albert/daily', '2026-03-03' );
+		$this->repository->count_run( 'albert/daily', '2026-02-20' );
+		$this->repository->count_run( 'albert/other', '2026-03-01' );
+
+		$counts = $this->repository->daily_counts_for_ability( 'albert/daily', '2026-02-25' );
+
+		$this->assertSame(
+			[
+				'2026-03-01' => 2,
+				'2026-03-03' => 1,
+			],
+			$counts
+		);
+	}
+
+	/**
+	 * Daily counts keep every run, even once the log rows are pruned.
+	 *
+	 * @return void
+	 */
+	public function test_daily_counts_outlive_log_retention(): void {
+		for ( $i = 1; $i <= 5; $i++ ) {
+			$this->repository->insert( 'albert/busy', $i );
+		}
+
+		$counts = $this->repository->daily_counts_for_ability( 'albert/busy', current_time( 'Y-m-d' ) );
+
+		$this->assertCount( Repository::RETENTION_COUNT, $this->all_rows_for( 'albert/busy' ) );
+		$this->assertSame( [ current_time( 'Y-m-d' ) => 5 ], $counts );
+	}
+
+	/**
+	 * Counting a run drops that ability's days older than DAILY_COUNT_DAYS.
+	 *
+	 * @return void
+	 */
+	public function test_count_run_prunes_old_days(): void {
+		$this->repository->count_run( 'albert/old', '2026-01-01' );
+		$this->repository->count_run( 'albert/keep', '2026-01-01' );
+		$this->repository->count_run( 'albert/old', '2026-03-01' );
+
+		$this->assertSame( [ '2026-03-01' => 1 ], $this->repository->daily_counts_for_ability( 'albert/old', '2025-01-01' ) );
+		$this->assertSame( [ '2026-01-01' => 1 ], $this->repository->daily_counts_for_ability( 'albert/keep', '2025-01-01' ) );
+	}
+
+	// ─── query() and the filter lists ───────────────────────────────
+
+	/**
+	 * Filters by ability, user and inclusive date range, newest first.
+	 *
+	 * @return void
+	 */
+	public function test_query_applies_filters(): void {
+		$this->insert_at( 'albert/a', '2026-03-01 09:00:00', 1 );
+		$this->insert_at( 'albert/a', '2026-03-02 23:59:00', 2 );
+		$this->insert_at( 'albert/a', '2026-03-03 00:00:00', 2 );
+		$this->insert_at( 'albert/b', '2026-03-02 12:00:00', 2 );
+
+		$rows = $this->repository->query(
+			[
+				'ability' => 'albert/a',
+				'user_id' => 2,
+				'from'    => '2026-03-01',
+				'to'      => '2026-03-02',
+			]
+		);
+
+		$this->assertCount( 1, $rows );
+		$this->assertSame( '2026-03-02 23:59:00', $rows[0]->created_at );
+
+		$this->assertCount( 4, $this->repository->query() );
+	}
+
+	/**
+	 * The id cursor pages backwards without gaps or repeats, and
+	 * after_id returns only newer rows.
+	 *
+	 * @return void
+	 */
+	public function test_query_pages_with_id_cursor(): void {
+		for ( $i = 1; $i <= 5; $i++ ) {
+			$this->insert_at( 'albert/page', '2026-03-0' . $i . ' 10:00:00' );
+		}
+
+		$first  = $this->repository->query( [ 'limit' => 2 ] );
+		$second = $this->repository->query(
+			[
+				'limit'     => 2,
+				'before_id' => (int) end( $first )->id,
+			]
+		);
+		$newer  = $this->repository->query( [ 'after_id' => (int) $second[0]->id ] );
+
+		$this->assertSame( '2026-03-05 10:00:00', $first[0]->created_at );
+		$this->assertSame( '2026-03-03 10:00:00', $second[0]->created_at );
+		$this->assertSame( '2026-03-02 10:00:00', $second[1]->created_at );
+		$this->assertCount( 2, $newer );
+	}
+
+	/**
+	 * Lists each logged ability and user once.
+	 *
+	 * @return void
+	 */
+	public function test_logged_abilities_and_users_are_distinct(): void {
+		$this->insert_at( 'albert/b', '2026-03-01 09:00:00', 7 );
+		$this->insert_at( 'albert/a', '2026-03-01 10:00:00', 3 );
+		$this->insert_at( 'albert/b', '2026-03-01 11:00:00', 3 );
+
+		$this->assertSame( [ 'albert/a', 'albert/b' ], $this->repository->logged_abilities() );
+		$this->assertSame( [ 3, 7 ], $this->repository->logged_user_ids() );
+	}
+
 	// ─── prune_for_ability() with custom keep ───────────────────────
 
 	/**
@@ -297,6 +455,31 @@ class RepositoryTest extends TestCase {
 
 	// ─── helpers ────────────────────────────────────────────────────
 
+	/**
+	 * Insert a row with an explicit timestamp — test helper, bypasses
+	 * Repository (and therefore pruning).
+	 *
+	 * @param string $ability_name Ability id.
+	 * @param string $created_at   MySQL datetime.
+	 * @param int    $user_id      User id.
+	 *
+	 * @return void
+	 */
+	private function insert_at( string $ability_name, string $created_at, int $user_id = 1 ): void {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery -- Test helper.
+		$wpdb->insert(
+			Installer::get_table_name(),
+			[
+				'ability_name' => $ability_name,
+				'user_id'      => $user_id,
+				'created_at'   => $created_at,
+			],
+			[ '%s', '%d', '%s' ]
+		);
+	}
+
 	/**
 	 * Fetch every row for an ability — test helper, bypasses Repository.
 	 *
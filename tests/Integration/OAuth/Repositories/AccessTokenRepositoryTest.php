@@ -11,6 +11,7 @@
 
 namespace Albert\Tests\Integration\OAuth\Repositories;
 
+use Albert\MCP\AbilityGrants;
 use Albert\OAuth\Database\Installer;
 use Albert\OAuth\Entities\AccessTokenEntity;
 use Albert\OAuth\Entities\ClientEntity;
@@ -69,6 +70,53 @@ class AccessTokenRepositoryTest extends TestCase {
 		$this->assertSame( 0, (int) $row->revoked );
 	}
 
+	// ─── Ability grants ─────────────────────────────────────────────
+
+	/**
+	 * Copies the user's grant for the client onto the token.
+	 *
+	 * @return void
+	 */
+	public function test_persist_stores_granted_abilities(): void {
+		AbilityGrants::save( 7, 'cli_grant', [ 'albert/find-posts', 'albert/view-post' ] );
+
+		$this->repository->persistNewAccessToken( $this->build_token( 'tok_grant', 'cli_grant', 7 ) );
+
+		$this->assertSame(
+			[ 'albert/find-posts', 'albert/view-post' ],
+			$this->repository->getTokenAbilities( 'tok_grant' )
+		);
+	}
+
+	/**
+	 * Tokens without a narrowed grant allow every ability.
+	 *
+	 * @return void
+	 */
+	public function test_token_without_grant_allows_everything(): void {
+		AbilityGrants::save( 7, 'cli_full', null );
+
+		$this->repository->persistNewAccessToken( $this->build_token( 'tok_full', 'cli_full', 7 ) );
+
+		$this->assertNull( $this->fetch_row( 'tok_full' )->abilities );
+		$this->assertNull( $this->repository->getTokenAbilities( 'tok_full' ) );
+	}
+
+	/**
+	 * A grant is scoped to its client; other clients keep full access.
+	 *
+	 * @return void
+	 */
+	public function test_grant_applies_only_to_its_client(): void {
+		AbilityGrants::save( 7, 'cli_narrow', [] );
+
+		$this->repository->persistNewAccessToken( $this->build_token( 'tok_narrow', 'cli_narrow', 7 ) );
+		$this->repository->persistNewAccessToken( $this->build_token( 'tok_other', 'cli_other', 7 ) );
+
+		$this->assertSame( [], $this->repository->getTokenAbilities( 'tok_narrow' ) );
+		$this->assertNull( $this->repository->getTokenAbilities( 'tok_other' ) );
+	}
+
 	// ─── Revocation semantics (security-critical) ──────────────────
 
 	/**
@@ -0,0 +1,96 @@
+<?php
+/**
+ * Unit tests for PermissionsPage.
+ *
+ * @package Albert
+ */
+
+namespace Albert\Tests\Unit\Admin;
+
+use Albert\Admin\PermissionsPage;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * PermissionsPage tests.
+ *
+ * Covers how a saved matrix is merged into the stored per-user denials.
+ */
+class PermissionsPageTest extends TestCase {
+
+	/**
+	 * Submitted denials replace the stored ones for registered abilities.
+	 *
+	 * @return void
+	 */
+	public function test_submitted_denials_replace_stored_ones(): void {
+		$denials = PermissionsPage::merge_denials(
+			[ 2 => [ 'albert/delete-post' ] ],
+			[
+				2 => [ 'albert/create-post' ],
+				3 => [ 'albert/delete-post', 'albert/create-post' ],
+			],
+			[ 2, 3 ],
+			[ 'albert/create-post', 'albert/delete-post', 'albert/find-posts' ]
+		);
+
+		$this->assertSame(
+			[
+				2 => [ 'albert/create-post' ],
+				3 => [ 'albert/create-post', 'albert/delete-post' ],
+			],
+			$denials
+		);
+	}
+
+	/**
+	 * Allowing everything removes the user's entry.
+	 *
+	 * @return void
+	 */
+	public function test_allowing_everything_drops_the_user(): void {
+		$denials = PermissionsPage::merge_denials(
+			[ 2 => [ 'albert/delete-post' ] ],
+			[ 2 => [] ],
+			[ 2 ],
+			[ 'albert/delete-post' ]
+		);
+
+		$this->assertSame( [], $denials );
+	}
+
+	/**
+	 * Denials of abilities that are not registered right now survive a save.
+	 *
+	 * @return void
+	 */
+	public function test_unregistered_abilities_keep_their_denials(): void {
+		$denials = PermissionsPage::merge_denials(
+			[ 2 => [ 'albert/woo-find-orders' ] ],
+			[ 2 => [ 'albert/delete-post', 'albert/unknown' ] ],
+			[ 2 ],
+			[ 'albert/delete-post' ]
+		);
+
+		$this->assertSame( [ 2 => [ 'albert/delete-post', 'albert/woo-find-orders' ] ], $denials );
+	}
+
+	/**
+	 * Users missing from the submission keep what is stored; users no
+	 * longer allowed to connect are dropped.
+	 *
+	 * @return void
+	 */
+	public function test_users_outside_the_matrix(): void {
+		$denials = PermissionsPage::merge_denials(
+			[
+				2 => [ 'albert/delete-post' ],
+				9 => [ 'albert/delete-post' ],
+			],
+			[],
+			[ 2 ],
+			[ 'albert/delete-post' ]
+		);
+
+		$this->assertSame( [ 2 => [ 'albert/delete-post' ] ], $denials );
+	}
+}
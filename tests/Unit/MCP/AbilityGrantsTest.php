@@ -0,0 +1,182 @@
+<?php
+/**
+ * Unit tests for AbilityGrants — discovery and ability info filtering.
+ *
+ * @package Albert
+ */
+
+namespace Albert\Tests\Unit\MCP;
+
+require_once dirname( __DIR__ ) . '/stubs/wordpress.php';
+
+use Albert\Admin\PermissionsPage;
+use Albert\MCP\AbilityGrants;
+use PHPUnit\Framework\TestCase;
+use WP_Error;
+
+/**
+ * AbilityGrants discovery and ability info tests.
+ *
+ * @covers \Albert\MCP\AbilityGrants::guard_discovery
+ * @covers \Albert\MCP\AbilityGrants::guard_ability_info
+ */
+class AbilityGrantsTest extends TestCase {
+
+	/**
+	 * Start every test with no grant and no denials.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$GLOBALS['albert_test_options'] = [];
+		$GLOBALS['albert_test_user_id'] = 2;
+		AbilityGrants::set_current( null );
+	}
+
+	/**
+	 * Reset the static grant so it does not leak into other tests.
+	 *
+	 * @return void
+	 */
+	protected function tearDown(): void {
+		AbilityGrants::set_current( null );
+		unset( $GLOBALS['albert_test_user_id'] );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Run the wrapped discover-abilities callback over a fixed list.
+	 *
+	 * @return array<string, mixed>
+	 */
+	private function discover(): array {
+		$args = ( new AbilityGrants() )->guard_discovery(
+			[
+				'execute_callback' => static fn(): array => [
+					'abilities' => [
+						[ 'name' => 'albert/find-posts' ],
+						[ 'name' => 'albert/delete-post' ],
+						[ 'name' => 'albert/view-post' ],
+					],
+				],
+			],
+			'mcp-adapter/discover-abilities'
+		);
+
+		return $args['execute_callback']();
+	}
+
+	/**
+	 * Run the wrapped get-ability-info permission callback for one ability.
+	 *
+	 * @param string $ability_name Ability asked about.
+	 *
+	 * @return bool|WP_Error
+	 */
+	private function ability_info( string $ability_name ): bool|WP_Error {
+		$args = ( new AbilityGrants() )->guard_ability_info(
+			[ 'permission_callback' => static fn(): bool => true ],
+			'mcp-adapter/get-ability-info'
+		);
+
+		return $args['permission_callback']( [ 'ability_name' => $ability_name ] );
+	}
+
+	/**
+	 * An unrestricted token discovers everything.
+	 *
+	 * @return void
+	 */
+	public function test_unrestricted_token_discovers_everything(): void {
+		$this->assertCount( 3, $this->discover()['abilities'] );
+	}
+
+	/**
+	 * Abilities outside the grant are left out.
+	 *
+	 * @return void
+	 */
+	public function test_ungranted_abilities_are_left_out(): void {
+		AbilityGrants::set_current( [ 'albert/find-posts', 'albert/view-post' ] );
+
+		$this->assertSame(
+			[
+				[ 'name' => 'albert/find-posts' ],
+				[ 'name' => 'albert/view-post' ],
+			],
+			$this->discover()['abilities']
+		);
+	}
+
+	/**
+	 * Abilities denied to the user on the Permissions screen are left out.
+	 *
+	 * @return void
+	 */
+	public function test_denied_abilities_are_left_out(): void {
+		$GLOBALS['albert_test_options'][ PermissionsPage::OPTION ] = [ 2 => [ 'albert/delete-post' ] ];
+
+		$this->assertSame(
+			[
+				[ 'name' => 'albert/find-posts' ],
+				[ 'name' => 'albert/view-post' ],
+			],
+			$this->discover()['abilities']
+		);
+	}
+
+	/**
+	 * Other abilities keep their execute callback.
+	 *
+	 * @return void
+	 */
+	public function test_other_abilities_are_untouched(): void {
+		$callback = static fn(): array => [];
+		$args     = ( new AbilityGrants() )->guard_discovery( [ 'execute_callback' => $callback ], 'albert/find-posts' );
+
+		$this->assertSame( $callback, $args['execute_callback'] );
+	}
+
+	/**
+	 * Granted abilities are described as before.
+	 *
+	 * @return void
+	 */
+	public function test_granted_ability_info_is_allowed(): void {
+		AbilityGrants::set_current( [ 'albert/find-posts' ] );
+
+		$this->assertTrue( $this->ability_info( 'albert/find-posts' ) );
+	}
+
+	/**
+	 * Asking about an ungranted ability gets the unknown-ability error.
+	 *
+	 * @return void
+	 */
+	public function test_ungranted_ability_info_is_not_found(): void {
+		AbilityGrants::set_current( [ 'albert/find-posts' ] );
+
+		$result = $this->ability_info( 'albert/delete-post' );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'ability_not_found', $result->get_error_code() );
+		$this->assertSame( "Ability 'albert/delete-post' not found", $result->get_error_message() );
+	}
+
+	/**
+	 * Asking about an ability denied on the Permissions screen is refused too.
+	 *
+	 * @return void
+	 */
+	public function test_denied_ability_info_is_not_found(): void {
+		$GLOBALS['albert_test_options'][ PermissionsPage::OPTION ] = [ 2 => [ 'albert/delete-post' ] ];
+
+		$result = $this->ability_info( 'albert/delete-post' );
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertSame( 'ability_not_found', $result->get_error_code() );
+	}
+}